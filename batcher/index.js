@@ -169,6 +169,26 @@ async function scheduleRecurringJobs() {
       console.log('  ✓ pollOpenAIBatches already scheduled');
     }
 
+    // pollAnthropicBatches - runs every 5 minutes to download ended Anthropic message batches
+    const existingAnthropicPollJob = await agenda.jobs({ name: 'pollAnthropicBatches' });
+
+    if (existingAnthropicPollJob.length === 0) {
+      console.log('  📅 Scheduling pollAnthropicBatches (every 5 minutes)');
+      await agenda.every('5 minutes', 'pollAnthropicBatches');
+    } else {
+      console.log('  ✓ pollAnthropicBatches already scheduled');
+    }
+
+    // retryPendingAnalysis - runs every 15 minutes to retry sentiment analyses left pending or failed
+    const existingRetryAnalysisJob = await agenda.jobs({ name: 'retryPendingAnalysis' });
+
+    if (existingRetryAnalysisJob.length === 0) {
+      console.log('  📅 Scheduling retryPendingAnalysis (every 15 minutes)');
+      await agenda.every('15 minutes', 'retryPendingAnalysis');
+    } else {
+      console.log('  ✓ retryPendingAnalysis already scheduled');
+    }
+
   } catch (error) {
     console.error('Error scheduling recurring jobs:', error);
   }
@@ -1,3 +1,5 @@
+const { getCompatibleModels } = require('../providers/openaiCompatible/config');
+
 // Comprehensive models list - includes current and historic models
 // This is the master list that includes all models we've ever supported
 const ALL_AVAILABLE_MODELS = [
@@ -51,6 +53,34 @@ const ALL_AVAILABLE_MODELS = [
     description: 'Balanced Claude 4 model for most use cases',
     status: 'historic' // Temporarily disabled due to quota limits - need quota increase
   },
+  {
+    id: 'claude-opus-4-20250514',
+    name: 'Claude Opus 4',
+    provider: 'anthropic', // Direct Anthropic API (not subject to Vertex AI quota)
+    description: 'Anthropic\'s most powerful model for complex reasoning',
+    status: 'active'
+  },
+  {
+    id: 'claude-sonnet-4-20250514',
+    name: 'Claude Sonnet 4',
+    provider: 'anthropic',
+    description: 'Balanced Claude 4 model for most use cases',
+    status: 'active'
+  },
+  {
+    id: 'claude-sonnet-4-5-20250929',
+    name: 'Claude Sonnet 4.5',
+    provider: 'anthropic',
+    description: 'Anthropic\'s latest balanced model for most use cases',
+    status: 'active'
+  },
+  {
+    id: 'claude-haiku-4-5-20251001',
+    name: 'Claude Haiku 4.5',
+    provider: 'anthropic',
+    description: 'Fast and cost-effective Claude model',
+    status: 'active'
+  },
   
   // Historic models (deprecated but still supported for existing users)
   {
@@ -101,8 +131,21 @@ const getHistoricModels = () => {
 };
 
 // Get model by ID
+// OpenAI-compatible endpoint models are configured in models.yaml rather than listed here
 const getModelById = (modelId) => {
-  return ALL_AVAILABLE_MODELS.find(model => model.id === modelId);
+  const model = ALL_AVAILABLE_MODELS.find(model => model.id === modelId);
+  if (model) {
+    return model;
+  }
+
+  const compatibleModel = getCompatibleModels().find(m => m.modelId === modelId);
+  return compatibleModel && {
+    id: compatibleModel.modelId,
+    name: compatibleModel.name,
+    provider: compatibleModel.provider,
+    description: compatibleModel.description,
+    status: compatibleModel.isSelectable === false ? 'historic' : 'active'
+  };
 };
 
 // Check if model is historic
@@ -132,6 +175,10 @@ const getModelConfig = (modelId, task = 'generation') => {
       generation: { max_tokens: 4096, temperature: 0.7, top_p: 1 },
       sentiment: { max_tokens: 500, temperature: 0.2, top_p: 1 }
     },
+    'gpt-4o-mini': {
+      generation: { max_tokens: 4096, temperature: 0.7, top_p: 1 },
+      sentiment: { max_tokens: 2500, temperature: 0.2, top_p: 1 } // Analysis fallback model - room for the full brand list
+    },
     'gpt-4-turbo': {
       generation: { max_tokens: 4096, temperature: 0.7, top_p: 1 },
       sentiment: { max_tokens: 500, temperature: 0.2, top_p: 1 }
@@ -167,6 +214,24 @@ const getModelConfig = (modelId, task = 'generation') => {
     'claude-sonnet-4@20250514': {
       generation: { max_tokens: 2048, temperature: 0.7, top_p: 1.0, top_k: 50 },
       sentiment: { max_tokens: 800, temperature: 0.2, top_p: 1.0, top_k: 20 }
+    },
+
+    // Claude Models (direct Anthropic API) - same defaults as the Vertex AI variants.
+    'claude-opus-4-20250514': {
+      generation: { max_tokens: 2048, temperature: 0.7, top_p: 1.0, top_k: 50 },
+      sentiment: { max_tokens: 800, temperature: 0.2, top_p: 1.0, top_k: 20 }
+    },
+    'claude-sonnet-4-20250514': {
+      generation: { max_tokens: 2048, temperature: 0.7, top_p: 1.0, top_k: 50 },
+      sentiment: { max_tokens: 800, temperature: 0.2, top_p: 1.0, top_k: 20 }
+    },
+    'claude-sonnet-4-5-20250929': {
+      generation: { max_tokens: 2048, temperature: 0.7, top_p: 1.0, top_k: 50 },
+      sentiment: { max_tokens: 800, temperature: 0.2, top_p: 1.0, top_k: 20 }
+    },
+    'claude-haiku-4-5-20251001': {
+      generation: { max_tokens: 2048, temperature: 0.7, top_p: 1.0, top_k: 50 },
+      sentiment: { max_tokens: 800, temperature: 0.2, top_p: 1.0, top_k: 20 }
     }
   };
 
@@ -78,6 +78,20 @@ const ConsolidatedRecordSchema = new mongoose.Schema({}, { strict: false });
 const PromptSchema = new mongoose.Schema({
     phrase: { type: String, required: true },
     workspaceId: { type: String, required: true },
+    samples: { type: Number, min: 1 }, // Generations per model per run; falls back to the workspace 'sampling' config
+    contextProfileIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ContextProfile' }], // Runs once per profile; none = default context
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Context Profile Schema (who is asking: persona, locale/country and system prompt)
+const ContextProfileSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    systemPrompt: { type: String },
+    locale: { type: String }, // e.g. 'en-AU'
+    country: { type: String }, // e.g. 'Australia'
+    persona: { type: String }, // e.g. 'First home buyer comparing mortgage lenders'
+    workspaceId: { type: String, required: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
@@ -86,6 +100,11 @@ const PromptSchema = new mongoose.Schema({
 const BrandSchema = new mongoose.Schema({
     name: { type: String, required: true },
     isOwnBrand: { type: Boolean, default: false },
+    // Other names the brand is mentioned by; analysis resolves them to `name`
+    aliases: { type: [String], default: [] },        // e.g. "Commonwealth Bank"
+    abbreviations: { type: [String], default: [] },  // e.g. "CBA"
+    productNames: { type: [String], default: [] },   // e.g. "CommBank Yello"
+    domains: { type: [String], default: [] },        // Official domains without www., e.g. "commbank.com.au"
     workspaceId: { type: String, required: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
@@ -111,23 +130,99 @@ const PreviousModelResultSchema = new mongoose.Schema({
     provider: { type: String, required: true }, // Store provider for rate limiting reference
     response: { type: String, required: true }, // The model's response
     tokensUsed: { type: Number, required: true }, // Tokens consumed for this request
+    inputTokens: { type: Number, default: 0 }, // Prompt tokens
+    outputTokens: { type: Number, default: 0 }, // Completion tokens (including thinking tokens)
+    costUSD: { type: Number, default: null }, // From config/pricing.yaml (batch discount applied); null = unpriced model
     responseTime: { type: Number, required: true }, // Response time in milliseconds
+    sampleIndex: { type: Number, default: 0 }, // Which of the N samples for this prompt x model run (0-based)
+    contextProfileId: { type: mongoose.Schema.Types.ObjectId, ref: 'ContextProfile', default: null }, // null = default context
+
+    // Sources the response cites: provider grounding/annotations first, then inline URLs
+    citations: [{
+        url: { type: String, required: true },
+        domain: { type: String, required: true }, // Hostname without www., used for analytics
+        title: { type: String, default: null },
+        position: { type: Number }, // 1-based order of the citation in the response
+        source: { type: String, enum: ['grounding', 'annotation', 'inline'], default: 'inline' }
+    }],
     workspaceId: { type: String, required: true },
     
     // Sentiment analysis results (populated after Gemini analysis)
     sentimentAnalysis: {
         // New unified structure with brands array
         brands: [{
-            brandKeywords: { type: String, required: true },
+            brandId: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', default: null }, // null = stored before brand IDs
+            brandKeywords: { type: String, required: true }, // Brand name when analysed; brandId survives renames
             type: { type: String, enum: ['own', 'competitor'], required: true },
             mentioned: { type: Boolean, default: false },
-            sentiment: { type: String, enum: ['positive', 'negative', 'not-determined'], default: 'not-determined' },
-            position: { type: Number, default: null } // Position in response (1=first, 2=second, etc.)
+            // 'neutral' and 'mixed' are judgements; 'not-determined' means none was made
+            sentiment: { type: String, enum: ['positive', 'negative', 'neutral', 'mixed', 'not-determined'], default: 'not-determined' },
+            confidence: { type: Number, default: null }, // 0-1 confidence of the sentiment/role judgement (null = none)
+            position: { type: Number, default: null }, // Position in response (1=first, 2=second, etc.)
+            offset: { type: Number, default: null }, // Character offset of the first mention (local detector)
+            // Words one typo from a brand term (local detector); never counted as mentions
+            possibleMisspellings: [{ type: String }],
+            // What the mention does for the brand (null when not mentioned)
+            role: {
+                type: String,
+                enum: ['primary-recommendation', 'alternative', 'neutral-reference', 'comparison-loser', 'warning', null],
+                default: null
+            },
+            // Sentiment per aspect of the workspace taxonomy (price, customer service, ...) the response discusses
+            aspects: [{
+                aspect: { type: String },
+                sentiment: { type: String, enum: ['positive', 'negative', 'neutral', 'mixed', 'not-determined'] }
+            }]
         }],
-        overallSentiment: { type: String, enum: ['positive', 'negative', 'not-determined'], default: 'not-determined' },
+        overallSentiment: { type: String, enum: ['positive', 'negative', 'neutral', 'mixed', 'not-determined'], default: 'not-determined' },
         analyzedAt: { type: Date },
-        analyzedBy: { type: String, default: 'gemini-2.5-flash' } // Track which model did the analysis
+        analyzedBy: { type: String, default: 'gemini-2.5-flash' }, // Track which model did the analysis
+        analyzerVersion: { type: Number }, // ANALYZER_VERSION of config/utils/brandAnalysis (unset = version 1)
+        // The result's one analysis status (config/utils/analysisState): 'complete', 'detector-only' (no
+        // analysis model), 'pending' (not analysed yet or queued in an analysis batch) or 'failed'
+        // (sentiment could not be judged)
+        analysisStatus: { type: String, enum: ['complete', 'detector-only', 'pending', 'failed'] },
+        analysisError: { type: String, default: null },
+        analysisBatchId: { type: String }, // Analysis batch the sentiment came from (analysis-batch mode)
+        // Brands/companies mentioned that the workspace does not track (suggestedCompetitors)
+        untrackedBrands: [{ type: String }],
+        // Brands where the local detector and the analysis model disagree about being mentioned
+        disagreements: [{ type: String }],
+        needsReview: { type: Boolean, default: false },
+        // Usage and cost of the analysis call itself
+        inputTokens: { type: Number, default: 0 },
+        outputTokens: { type: Number, default: 0 },
+        costUSD: { type: Number, default: null }
     },
+
+    // Analysis retries (config/utils/analysisState): retryPendingAnalysis re-analyses results without a
+    // sentiment judgement (sentimentAnalysis.analysisStatus other than 'complete') once nextAnalysisAt passes
+    analysisAttempts: { type: Number, default: 0 },
+    nextAnalysisAt: { type: Date, default: null }, // null = no retry scheduled (complete or out of attempts)
+
+    // Analyst corrections of brand judgements (config/utils/brandOverrides). Kept outside
+    // sentimentAnalysis so re-analysis never drops them; unset fields keep the analyzer's value.
+    brandOverrides: [{
+        brandId: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', default: null },
+        brandKeywords: { type: String, required: true },
+        mentioned: { type: Boolean },
+        sentiment: { type: String, enum: ['positive', 'negative', 'neutral', 'mixed', 'not-determined'] },
+        position: { type: Number },
+        reviewedBy: { type: String },
+        reviewedAt: { type: Date },
+        reason: { type: String }
+    }],
+    // Audit trail of every override and cleared override
+    reviewHistory: [{
+        brandId: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', default: null },
+        brandKeywords: { type: String },
+        action: { type: String, enum: ['override', 'clear'] },
+        changes: { type: mongoose.Schema.Types.Mixed }, // Fields set by the override
+        previous: { type: mongoose.Schema.Types.Mixed }, // Values in effect before the change
+        reviewedBy: { type: String },
+        reviewedAt: { type: Date },
+        reason: { type: String }
+    }],
     
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
@@ -145,6 +240,7 @@ module.exports = {
     JobHistory: getOrCreateModel('JobHistory', JobHistorySchema),
     Prompt: getOrCreateModel('Prompt', PromptSchema),
     Brand: getOrCreateModel('Brand', BrandSchema),
+    ContextProfile: getOrCreateModel('ContextProfile', ContextProfileSchema),
     Model: getOrCreateModel('Model', ModelSchema),
     PreviousModelResult: getOrCreateModel('PreviousModelResult', PreviousModelResultSchema),
     SearchAnalyticsDataSchema,
@@ -156,6 +252,7 @@ module.exports = {
     JobHistorySchema,
     PromptSchema,
     BrandSchema,
+    ContextProfileSchema,
     ModelSchema,
     PreviousModelResultSchema
 }; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+const yaml = require('js-yaml');
+const fs = require('fs');
+const path = require('path');
+
+let cachedPricing = null;
+const warnedModels = new Set();
+
+/**
+ * Load pricing.yaml (cached for the life of the process)
+ * @returns {Object} - { defaults, models }
+ */
+function loadPricing() {
+  if (cachedPricing) {
+    return cachedPricing;
+  }
+
+  try {
+    const configPath = path.join(__dirname, '../pricing.yaml');
+    cachedPricing = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+  } catch (error) {
+    console.error('Error loading pricing config:', error);
+    cachedPricing = {};
+  }
+
+  return cachedPricing;
+}
+
+/**
+ * Get the price entry for a model
+ * @param {String} modelId - Model ID as stored on results
+ * @returns {Object|null} - { input, output, batchDiscount } in USD per 1M tokens
+ */
+function getModelPricing(modelId) {
+  const pricing = loadPricing();
+  const entry = pricing.models?.[modelId];
+
+  if (!entry) {
+    if (!warnedModels.has(modelId)) {
+      warnedModels.add(modelId);
+      console.warn(`💲 No pricing configured for ${modelId}, cost will be stored as null`);
+    }
+    return null;
+  }
+
+  return {
+    input: entry.input || 0,
+    output: entry.output || 0,
+    batchDiscount: entry.batchDiscount ?? pricing.defaults?.batchDiscount ?? 0
+  };
+}
+
+/**
+ * Compute the USD cost of one call
+ * @param {String} modelId - Model ID
+ * @param {Number} inputTokens - Prompt tokens
+ * @param {Number} outputTokens - Completion tokens (including thinking tokens)
+ * @param {Object} options - { batch: true } for batch API calls
+ * @returns {Number|null} - Cost in USD, or null when the model has no pricing
+ */
+function calculateCost(modelId, inputTokens, outputTokens, options = {}) {
+  const pricing = getModelPricing(modelId);
+  if (!pricing) {
+    return null;
+  }
+
+  const multiplier = options.batch ? 1 - pricing.batchDiscount : 1;
+  const cost = ((inputTokens || 0) * pricing.input + (outputTokens || 0) * pricing.output) / 1000000 * multiplier;
+
+  // Micro-dollar precision keeps per-call costs meaningful when summed
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * Build the usage fields stored on a result from a provider response
+ * @param {String} modelId - Model ID
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @param {Object} options - { batch: true } for batch API calls
+ * @returns {Object} - { inputTokens, outputTokens, costUSD }
+ */
+function getUsageCost(modelId, usage, options = {}) {
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+
+  return {
+    inputTokens,
+    outputTokens,
+    costUSD: calculateCost(modelId, inputTokens, outputTokens, options)
+  };
+}
+
+module.exports = {
+  getModelPricing,
+  calculateCost,
+  getUsageCost
+};
@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const { getCostBudget } = require('../plans');
+const { calculateCost } = require('./pricing');
+
+/**
+ * Spend ledger
+ *
+ * Every provider call made by the jobs is written to the `spendledger` collection in the airank
+ * database, keyed by billing profile, so spend is shared across all workspaces on a profile.
+ * Jobs check the projected cost of a run against what is left of the profile's monthly budget
+ * and then skip the run, trim the model list or only alert, depending on `budgetAction`.
+ */
+
+const LEDGER_COLLECTION = 'spendledger';
+
+const BUDGET_ACTIONS = ['skip', 'trim', 'alert'];
+const DEFAULT_BUDGET_ACTION = 'trim';
+
+// Usage assumed for projections when a model has no recent results in the workspace
+const DEFAULT_USAGE = { inputTokens: 100, outputTokens: 800 };
+const DEFAULT_ANALYSIS_USAGE = { inputTokens: 1500, outputTokens: 300 };
+const USAGE_LOOKBACK_DAYS = 30;
+
+/**
+ * Get the budget period a date falls in
+ * Uses the Stripe billing period when the date is inside it, otherwise the calendar month (UTC).
+ * @param {Object} billingProfile - Billing profile document (may be null)
+ * @param {Date} now - Reference date
+ * @returns {Object} - { start, end }
+ */
+function getBudgetPeriod(billingProfile, now = new Date()) {
+  const periodStart = billingProfile?.currentPeriodStart ? new Date(billingProfile.currentPeriodStart) : null;
+  const periodEnd = billingProfile?.currentPeriodEnd ? new Date(billingProfile.currentPeriodEnd) : null;
+
+  if (periodStart && periodEnd && periodStart <= now && now < periodEnd) {
+    return { start: periodStart, end: periodEnd };
+  }
+
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
+
+/**
+ * Get what a job should do when a run would exceed the budget
+ * @param {Object} billingProfile - Billing profile document (may be null)
+ * @returns {String} - 'skip', 'trim' or 'alert'
+ */
+function getBudgetAction(billingProfile) {
+  return BUDGET_ACTIONS.includes(billingProfile?.budgetAction) ? billingProfile.budgetAction : DEFAULT_BUDGET_ACTION;
+}
+
+/**
+ * Sum ledger spend for a billing profile within a period
+ * @param {Db} airankDb - Native airank database handle
+ * @param {String} billingProfileId - Billing profile ID
+ * @param {Object} period - { start, end }
+ * @returns {Promise<Object>} - { spentUSD, byWorkspace: [{ workspaceId, spentUSD, calls }] }
+ */
+async function getPeriodSpend(airankDb, billingProfileId, period) {
+  const rows = await airankDb.collection(LEDGER_COLLECTION).aggregate([
+    { $match: { billingProfileId: String(billingProfileId), createdAt: { $gte: period.start, $lt: period.end } } },
+    { $group: { _id: '$workspaceId', spentUSD: { $sum: '$costUSD' }, calls: { $sum: 1 } } },
+    { $sort: { spentUSD: -1 } }
+  ]).toArray();
+
+  const byWorkspace = rows.map(row => ({
+    workspaceId: row._id,
+    spentUSD: roundUSD(row.spentUSD),
+    calls: row.calls
+  }));
+
+  return {
+    spentUSD: roundUSD(byWorkspace.reduce((sum, row) => sum + row.spentUSD, 0)),
+    byWorkspace
+  };
+}
+
+/**
+ * Current spend against budget for a billing profile
+ * @param {Db} airankDb - Native airank database handle
+ * @param {Object} billingProfile - Billing profile document
+ * @returns {Promise<Object>} - { periodStart, periodEnd, budgetUSD, spentUSD, remainingUSD, percentUsed, budgetAction, byWorkspace, lastBudgetAlert }
+ */
+async function getBudgetStatus(airankDb, billingProfile) {
+  const period = getBudgetPeriod(billingProfile);
+  const budgetUSD = getCostBudget(billingProfile);
+  const { spentUSD, byWorkspace } = billingProfile?._id
+    ? await getPeriodSpend(airankDb, billingProfile._id, period)
+    : { spentUSD: 0, byWorkspace: [] };
+
+  return {
+    periodStart: period.start,
+    periodEnd: period.end,
+    budgetUSD,
+    spentUSD,
+    // null budget means no limit
+    remainingUSD: budgetUSD === null ? null : roundUSD(Math.max(0, budgetUSD - spentUSD)),
+    percentUsed: budgetUSD ? Math.round(spentUSD / budgetUSD * 10000) / 100 : null,
+    budgetAction: getBudgetAction(billingProfile),
+    byWorkspace,
+    lastBudgetAlert: billingProfile?.lastBudgetAlert || null
+  };
+}
+
+/**
+ * Average token usage per model over recent results in a workspace, for cost projections
+ * @param {Db} workspaceDb - Native workspace database handle
+ * @returns {Promise<Object>} - { models: Map(modelId -> { inputTokens, outputTokens }), analysis }
+ */
+async function getRecentUsage(workspaceDb) {
+  const since = new Date(Date.now() - USAGE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const results = workspaceDb.collection('previousmodelresults');
+
+  const [models, analysis] = await Promise.all([
+    results.aggregate([
+      { $match: { createdAt: { $gte: since }, outputTokens: { $gt: 0 } } },
+      { $group: { _id: '$modelId', inputTokens: { $avg: '$inputTokens' }, outputTokens: { $avg: '$outputTokens' } } }
+    ]).toArray(),
+    results.aggregate([
+      { $match: { createdAt: { $gte: since }, 'sentimentAnalysis.outputTokens': { $gt: 0 } } },
+      { $group: { _id: null, inputTokens: { $avg: '$sentimentAnalysis.inputTokens' }, outputTokens: { $avg: '$sentimentAnalysis.outputTokens' } } }
+    ]).toArray()
+  ]);
+
+  return {
+    models: new Map(models.map(row => [row._id, { inputTokens: row.inputTokens, outputTokens: row.outputTokens }])),
+    analysis: analysis[0] ? { inputTokens: analysis[0].inputTokens, outputTokens: analysis[0].outputTokens } : null
+  };
+}
+
+/**
+ * Projected cost of one request to a model, including its sentiment analysis call
+ * @param {String} modelId - Model ID
+ * @param {Object} recentUsage - Result of getRecentUsage (may be null)
+ * @param {Object} options - { batch, analysisModel } - analysisModel: model of the sentiment call (none when unset)
+ * @returns {Number} - USD (unpriced models count as 0)
+ */
+function estimateRequestCost(modelId, recentUsage, options = {}) {
+  const usage = recentUsage?.models?.get(modelId) || DEFAULT_USAGE;
+  let cost = calculateCost(modelId, usage.inputTokens, usage.outputTokens, { batch: options.batch }) || 0;
+
+  if (options.analysisModel) {
+    const analysisUsage = recentUsage?.analysis || DEFAULT_ANALYSIS_USAGE;
+    cost += calculateCost(options.analysisModel, analysisUsage.inputTokens, analysisUsage.outputTokens) || 0;
+  }
+
+  return cost;
+}
+
+/**
+ * Decide which run items fit the remaining budget
+ * Items are whatever the job can drop independently (models, results); trim drops the most expensive first.
+ * @param {Object} budgetStatus - Result of getBudgetStatus
+ * @param {Array} items - [{ id, costUSD }]
+ * @returns {Object} - { withinBudget, action, projectedUSD, keptIds, droppedIds }
+ */
+function planWithinBudget(budgetStatus, items) {
+  const projectedUSD = roundUSD(items.reduce((sum, item) => sum + item.costUSD, 0));
+  const remainingUSD = budgetStatus?.remainingUSD;
+  const action = budgetStatus?.budgetAction || DEFAULT_BUDGET_ACTION;
+  const allIds = items.map(item => item.id);
+
+  if (remainingUSD === null || remainingUSD === undefined || projectedUSD <= remainingUSD) {
+    return { withinBudget: true, action, projectedUSD, keptIds: allIds, droppedIds: [] };
+  }
+
+  if (action === 'skip') {
+    return { withinBudget: false, action, projectedUSD, keptIds: [], droppedIds: allIds };
+  }
+
+  if (action === 'alert') {
+    return { withinBudget: false, action, projectedUSD, keptIds: allIds, droppedIds: [] };
+  }
+
+  // trim: keep the cheapest items that fit
+  const kept = new Set();
+  let keptUSD = 0;
+  [...items].sort((a, b) => a.costUSD - b.costUSD).forEach(item => {
+    if (keptUSD + item.costUSD <= remainingUSD) {
+      kept.add(item.id);
+      keptUSD += item.costUSD;
+    }
+  });
+
+  return {
+    withinBudget: false,
+    action,
+    projectedUSD,
+    keptIds: allIds.filter(id => kept.has(id)),
+    droppedIds: allIds.filter(id => !kept.has(id))
+  };
+}
+
+function roundUSD(value) {
+  return Math.round((value || 0) * 1000000) / 1000000;
+}
+
+/**
+ * Buffers ledger entries for one job run and writes them to the airank database in one go
+ */
+class SpendLedger {
+  /**
+   * @param {Object} options - { workspaceId, billingProfileId, source }
+   * billingProfileId is looked up from the workspace on flush when not given.
+   */
+  constructor({ workspaceId, billingProfileId, source }) {
+    this.workspaceId = workspaceId;
+    this.billingProfileId = billingProfileId;
+    this.source = source;
+    this.entries = [];
+    this.budgetAlert = null;
+    this.totalUSD = 0;
+  }
+
+  /**
+   * Record one provider call
+   * @param {String} category - 'generation' or 'analysis'
+   * @param {String} modelId - Model called
+   * @param {Object} usage - { inputTokens, outputTokens, costUSD } as stored on the result
+   * @param {Object} options - { batch, resultId }
+   */
+  record(category, modelId, usage, options = {}) {
+    this.entries.push({
+      workspaceId: this.workspaceId,
+      source: this.source,
+      category,
+      modelId,
+      batch: !!options.batch,
+      resultId: options.resultId || null,
+      inputTokens: usage?.inputTokens || 0,
+      outputTokens: usage?.outputTokens || 0,
+      costUSD: usage?.costUSD ?? null,
+      createdAt: new Date()
+    });
+    this.totalUSD += usage?.costUSD || 0;
+  }
+
+  /**
+   * Store a budget alert on the billing profile when the ledger is flushed
+   * @param {Object} alert - { action, projectedUSD, remainingUSD, droppedModels }
+   */
+  alert(alert) {
+    this.budgetAlert = { ...alert, workspaceId: this.workspaceId, source: this.source, at: new Date() };
+  }
+
+  get total() {
+    return roundUSD(this.totalUSD);
+  }
+
+  /**
+   * Write buffered entries (and any alert) to the airank database
+   * @returns {Promise<Number>} - Entries written
+   */
+  async flush() {
+    if (this.entries.length === 0 && !this.budgetAlert) {
+      return 0;
+    }
+
+    const airankUri = `${process.env.MONGODB_URI}/airank?${process.env.MONGODB_PARAMS}`;
+    const airankDb = mongoose.createConnection(airankUri);
+    await airankDb.asPromise();
+
+    try {
+      if (this.billingProfileId === undefined) {
+        const workspace = await airankDb.collection('workspaces').findOne({ _id: this.workspaceId });
+        this.billingProfileId = workspace?.billingProfileId || null;
+      }
+      const billingProfileId = this.billingProfileId ? String(this.billingProfileId) : null;
+
+      const entries = this.entries.map(entry => ({ ...entry, billingProfileId }));
+      if (entries.length > 0) {
+        await airankDb.collection(LEDGER_COLLECTION).insertMany(entries, { ordered: false });
+      }
+
+      if (this.budgetAlert && billingProfileId) {
+        await airankDb.collection('billingprofiles').updateOne(
+          { _id: this.billingProfileId },
+          { $set: { lastBudgetAlert: this.budgetAlert } }
+        );
+      }
+
+      console.log(`💸 Recorded ${entries.length} ledger entries ($${this.total}) for billing profile ${billingProfileId || 'none'}`);
+      this.entries = [];
+      this.budgetAlert = null;
+      return entries.length;
+    } finally {
+      await airankDb.close();
+    }
+  }
+}
+
+module.exports = {
+  LEDGER_COLLECTION,
+  BUDGET_ACTIONS,
+  getBudgetPeriod,
+  getBudgetAction,
+  getPeriodSpend,
+  getBudgetStatus,
+  getRecentUsage,
+  estimateRequestCost,
+  planWithinBudget,
+  SpendLedger
+};
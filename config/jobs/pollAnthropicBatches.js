@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { checkAnthropicBatchStatus, downloadAnthropicBatchResults } = require('../../graphql/mutations/helpers/batch/anthropic');
+
+/**
+ * Polls Anthropic for message batch status and downloads results when batches end
+ * Anthropic has no completion webhook, so this job should run every 5-10 minutes.
+ * Downloading sets the batch status to 'received', which triggers processBatchResults via the listener.
+ */
+module.exports = async function pollAnthropicBatches(job, done) {
+  try {
+    console.log('🔍 Polling Anthropic batches for completion status...');
+
+    if (!process.env.ANTHROPIC_API_KEY) {
+      console.error('⚠️  ANTHROPIC_API_KEY not configured, skipping poll');
+      return done();
+    }
+
+    // Connect to airank database to get all workspaces
+    const airankUri = `${process.env.MONGODB_URI}/airank?${process.env.MONGODB_PARAMS}`;
+    const airankConn = mongoose.createConnection(airankUri);
+    await airankConn.asPromise();
+    const airankDb = airankConn.db;
+
+    const workspaces = await airankDb.collection('workspaces').find({}).toArray();
+    console.log(`Checking ${workspaces.length} workspace(s) for pending Anthropic batches...`);
+
+    let totalChecked = 0;
+    let totalCompleted = 0;
+
+    // Check each workspace for pending Anthropic batches
+    for (const workspace of workspaces) {
+      const workspaceId = workspace._id.toString();
+
+      try {
+        const workspaceUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+        const workspaceConn = mongoose.createConnection(workspaceUri);
+        await workspaceConn.asPromise();
+        const workspaceDb = workspaceConn.db;
+
+        // Find all pending Anthropic batches (submitted or in progress)
+        const pendingBatches = await workspaceDb.collection('batches').find({
+          provider: 'anthropic',
+          status: { $in: ['submitted', 'in_progress', 'canceling'] }
+        }).toArray();
+
+        if (pendingBatches.length === 0) {
+          await workspaceConn.close();
+          continue;
+        }
+
+        console.log(`  Workspace ${workspace.name}: ${pendingBatches.length} pending batch(es)`);
+
+        for (const batch of pendingBatches) {
+          totalChecked++;
+
+          try {
+            const apiBatch = await checkAnthropicBatchStatus(batch.batchId);
+
+            console.log(`    Batch ${batch.batchId}: ${apiBatch.status}`);
+
+            if (apiBatch.status === 'ended') {
+              totalCompleted++;
+
+              // Download results - sets status to 'received' for processBatchResults
+              await downloadAnthropicBatchResults(batch.batchId, workspaceDb);
+              console.log(`      ✅ Downloaded results for ended batch ${batch.batchId}`);
+            } else {
+              await workspaceDb.collection('batches').updateOne(
+                { _id: batch._id },
+                {
+                  $set: {
+                    status: apiBatch.status,
+                    updatedAt: new Date()
+                  }
+                }
+              );
+            }
+
+          } catch (error) {
+            if (error.status === 404) {
+              console.log(`      ⚠️  Batch ${batch.batchId} not found in Anthropic (may have expired)`);
+
+              // Mark as failed
+              await workspaceDb.collection('batches').updateOne(
+                { _id: batch._id },
+                {
+                  $set: {
+                    status: 'not_found',
+                    completedAt: new Date(),
+                    errorInfo: { message: 'Batch not found in Anthropic API' }
+                  }
+                }
+              );
+            } else {
+              console.error(`      ❌ Error checking batch ${batch.batchId}:`, error.message);
+            }
+          }
+        }
+
+        await workspaceConn.close();
+
+      } catch (error) {
+        console.error(`  ⚠️  Error processing workspace ${workspaceId}:`, error.message);
+      }
+    }
+
+    await airankConn.close();
+
+    console.log(`✅ Polling complete: ${totalChecked} batches checked, ${totalCompleted} completed`);
+    done();
+
+  } catch (error) {
+    console.error('💥 Error polling Anthropic batches:', error);
+    done(error);
+  }
+};
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const ProviderFactory = require('../providers');
+const { analyzeBatchOutput, getAnalysisSettings, ANALYSIS_MODEL, ANALYSIS_BATCH_TYPE } = require('../utils/brandAnalysis');
+const { getAnalysisState } = require('../utils/analysisState');
+const { SpendLedger } = require('../data/spendLedger');
+
+/**
+ * Write analysis batch results back to the results they analyse
+ * This job is triggered by the listener service when an analysis batch (type 'analysis', submitted by
+ * processBatchResults in analysis-batch mode) changes to 'received'.
+ */
+module.exports = async function processAnalysisBatchResults(job, done) {
+  const { workspaceId, documentId } = job.attrs.data;
+
+  if (!workspaceId) {
+    return done(new Error('workspaceId is required'));
+  }
+
+  if (!documentId) {
+    return done(new Error('documentId is required'));
+  }
+
+  let workspaceConnection = null;
+  const spendLedger = new SpendLedger({ workspaceId, source: 'processAnalysisBatchResults' });
+
+  try {
+    console.log(`🔄 Processing analysis batch for workspace ${workspaceId}, batch ${documentId}`);
+
+    // Connect to workspace-specific database
+    const mongoUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+    workspaceConnection = mongoose.createConnection(mongoUri, {
+      serverSelectionTimeoutMS: 30000,
+      socketTimeoutMS: 45000,
+      maxPoolSize: 10,
+      minPoolSize: 5,
+    });
+
+    await new Promise((resolve, reject) => {
+      workspaceConnection.once('connected', () => {
+        console.log('✓ Connected to workspace database');
+        resolve();
+      });
+      workspaceConnection.once('error', (error) => {
+        console.error('❌ Workspace database connection error:', error);
+        reject(error);
+      });
+      setTimeout(() => reject(new Error('Workspace database connection timeout')), 30000);
+    });
+
+    const workspaceDb = workspaceConnection.db;
+
+    const batch = await workspaceDb.collection('batches').findOne({
+      _id: new mongoose.Types.ObjectId(documentId)
+    });
+
+    if (!batch) {
+      throw new Error(`Batch ${documentId} not found`);
+    }
+
+    if (batch.isProcessed || batch.type !== ANALYSIS_BATCH_TYPE) {
+      console.log('⚠️ Not an unprocessed analysis batch, skipping');
+      await workspaceConnection.close();
+      return done();
+    }
+
+    // Batches submitted before the analysis model was configurable have no modelId
+    const analysisModel = batch.modelId || ANALYSIS_MODEL;
+    console.log(`📦 Analysis batch: ${batch.batchId} (${analysisModel}) - ${batch.results.length} results`);
+
+    // Brands as they are now - the detector re-runs on each response alongside the batch output
+    const WorkspaceBrand = workspaceConnection.model('Brand', require('../data/models').BrandSchema);
+    const brands = await WorkspaceBrand.find({}).exec();
+
+    const ownBrand = brands.find(b => b.isOwnBrand === true) || { name: 'Your Company' };
+    const competitors = brands.filter(b => b.isOwnBrand === false);
+    const { aspects } = await getAnalysisSettings(workspaceDb);
+    const brandData = { ownBrand, competitors, aspects };
+
+    const WorkspacePreviousModelResult = workspaceConnection.model(
+      'PreviousModelResult',
+      require('../data/models').PreviousModelResultSchema
+    );
+
+    // Invalid batch output is repaired with one direct call, as in direct analysis
+    const providerFactory = new ProviderFactory(job.redisClient);
+    const googleProvider = providerFactory.getProvider('google');
+
+    let analysisCompleted = 0;
+    let analysisFailed = 0;
+
+    for (const result of batch.results) {
+      try {
+        if (typeof job.touch === 'function') {
+          job.touch();
+        }
+
+        // Format: analysis-resultId
+        const requestMeta = batch.metadata?.requests?.find(r => r.custom_id === result.custom_id);
+        const resultId = requestMeta?.resultId || (result.custom_id || '').replace(`${ANALYSIS_BATCH_TYPE}-`, '');
+
+        const modelResult = await WorkspacePreviousModelResult.findById(resultId).exec();
+        if (!modelResult) {
+          console.error(`❌ Result ${resultId} not found`);
+          continue;
+        }
+
+        // Re-analysed since the batch was submitted
+        if (modelResult.sentimentAnalysis?.analysisBatchId !== batch.batchId) {
+          console.log(`⚠️ Result ${resultId} no longer waits on this batch, skipping`);
+          continue;
+        }
+
+        // Vertex AI format: result.response.candidates (no body wrapper)
+        const candidate = result.response?.candidates?.[0];
+        const responseText = candidate?.content?.parts?.[0]?.text || null;
+        const usage = result.response?.usageMetadata;
+
+        modelResult.sentimentAnalysis = {
+          ...await analyzeBatchOutput(googleProvider, modelResult.response, brandData, responseText, {
+            inputTokens: usage?.promptTokenCount || 0,
+            // Thinking tokens are billed as output on Gemini 2.5
+            outputTokens: (usage?.candidatesTokenCount || 0) + (usage?.thoughtsTokenCount || 0)
+          }, analysisModel),
+          analysisBatchId: batch.batchId
+        };
+        Object.assign(modelResult, getAnalysisState(modelResult.sentimentAnalysis, modelResult.analysisAttempts));
+        await modelResult.save();
+
+        if (modelResult.sentimentAnalysis.inputTokens > 0) {
+          spendLedger.record('analysis', analysisModel, modelResult.sentimentAnalysis, { batch: true, resultId: modelResult._id });
+        }
+
+        if (modelResult.sentimentAnalysis.analysisStatus === 'complete') {
+          analysisCompleted++;
+        } else {
+          analysisFailed++;
+        }
+
+      } catch (error) {
+        console.error(`❌ Failed to process analysis result ${result.custom_id}:`, error.message);
+        analysisFailed++;
+      }
+    }
+
+    // Requests the batch returned nothing for would otherwise stay pending until the batch wait runs out;
+    // they are retried directly by retryPendingAnalysis
+    const { nextAnalysisAt } = getAnalysisState(null);
+    const missing = await WorkspacePreviousModelResult.updateMany(
+      { 'sentimentAnalysis.analysisBatchId': batch.batchId, 'sentimentAnalysis.analysisStatus': 'pending' },
+      {
+        $set: {
+          'sentimentAnalysis.analysisStatus': 'failed',
+          'sentimentAnalysis.analysisError': 'No output in analysis batch',
+          nextAnalysisAt
+        },
+        $inc: { analysisAttempts: 1 }
+      }
+    );
+    analysisFailed += missing.modifiedCount || 0;
+
+    await workspaceDb.collection('batches').updateOne(
+      { _id: batch._id },
+      {
+        $set: {
+          isProcessed: true,
+          processedAt: new Date(),
+          processingStats: {
+            analysisCompleted,
+            analysisFailed,
+            totalResults: batch.results.length,
+            spendUSD: spendLedger.total
+          }
+        }
+      }
+    );
+
+    console.log(`✅ Analysis batch completed: ${analysisCompleted} analysed, ${analysisFailed} failed`);
+
+    await spendLedger.flush();
+
+    job.attrs.result = {
+      batchId: batch.batchId,
+      analysisCompleted,
+      analysisFailed,
+      spendUSD: spendLedger.total,
+      completedAt: new Date()
+    };
+
+    if (workspaceConnection) {
+      await workspaceConnection.close();
+      console.log('🔌 Workspace database connection closed');
+    }
+
+    done();
+
+  } catch (error) {
+    console.error('💥 Analysis batch processing failed:', error);
+
+    await spendLedger.flush().catch(flushError => console.error('❌ Failed to write spend ledger:', flushError.message));
+
+    if (workspaceConnection) {
+      await workspaceConnection.close();
+    }
+
+    done(error);
+  }
+};
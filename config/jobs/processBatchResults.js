@@ -1,10 +1,27 @@
 const mongoose = require('mongoose');
 const ProviderFactory = require('../providers');
-const { getModelConfig } = require('../data/availableModels');
+const { extractCitations, fromChatCompletion, fromGroundingMetadata, fromAnthropicContent } = require('../utils/citations');
+const { getUsageCost } = require('../data/pricing');
+const {
+  analyzeBrands,
+  pendingAnalysis,
+  buildAnalysisBatchRequest,
+  getAnalysisBatchOptions,
+  getAnalysisSettings,
+  getAnalyzers,
+  getAnalysisBatchModel,
+  ANALYSIS_BATCH_TYPE
+} = require('../utils/brandAnalysis');
+const { pendingAnalysisState, getAnalysisState } = require('../utils/analysisState');
+const { SpendLedger } = require('../data/spendLedger');
+const { submitBatch } = require('../../graphql/mutations/helpers/batch');
 
 /**
  * Process batch results and perform sentiment analysis
  * This job is triggered by the listener service when a batch status changes to 'received'
+ * In analysis-batch mode (workspace 'analysis' config or ANALYSIS_BATCH_MODE) sentiment is not analysed
+ * here: every result is queued in one Vertex analysis batch and processAnalysisBatchResults writes
+ * the sentiment back when that batch completes.
  */
 module.exports = async function processBatchResults(job, done) {
   const { workspaceId, documentId } = job.attrs.data;
@@ -18,6 +35,8 @@ module.exports = async function processBatchResults(job, done) {
   }
 
   let workspaceConnection = null;
+  // Batch spend is only known once results arrive, so it is recorded here rather than at submission
+  const spendLedger = new SpendLedger({ workspaceId, source: 'processBatchResults' });
 
   try {
     console.log(`🔄 Processing batch results for workspace ${workspaceId}, batch ${documentId}`);
@@ -59,6 +78,13 @@ module.exports = async function processBatchResults(job, done) {
       return done();
     }
 
+    // Analysis batches are handled by processAnalysisBatchResults
+    if (batch.type === ANALYSIS_BATCH_TYPE) {
+      console.log('⚠️ Analysis batch, skipping (handled by processAnalysisBatchResults)');
+      await workspaceConnection.close();
+      return done();
+    }
+
     console.log(`📦 Batch: ${batch.batchId} (${batch.provider}) - ${batch.results.length} results`);
 
     // Get brands for sentiment analysis
@@ -67,7 +93,8 @@ module.exports = async function processBatchResults(job, done) {
 
     const ownBrand = brands.find(b => b.isOwnBrand === true) || { name: 'Your Company' };
     const competitors = brands.filter(b => b.isOwnBrand === false);
-    const brandData = { ownBrand, competitors };
+    const analysisSettings = await getAnalysisSettings(workspaceDb);
+    const brandData = { ownBrand, competitors, aspects: analysisSettings.aspects };
 
     console.log(`🏷️ Brands: Own brand "${ownBrand.name}", ${competitors.length} competitors`);
 
@@ -77,17 +104,48 @@ module.exports = async function processBatchResults(job, done) {
       require('../data/models').PreviousModelResultSchema
     );
 
-    // Initialize provider factory for sentiment analysis
-    const providerFactory = new ProviderFactory();
-    const googleProvider = providerFactory.getProvider('google');
+    // Initialize provider factory for sentiment analysis (analysis models in fallback order)
+    const providerFactory = new ProviderFactory(job.redisClient);
+    const analyzers = getAnalyzers(providerFactory, analysisSettings.models);
+
+    if (analyzers.length === 0) {
+      console.log('⚠️ No analysis model available, brand mentions will come from the local detector only');
+    }
 
-    if (!googleProvider) {
-      console.log('⚠️ Google provider not available, skipping sentiment analysis');
+    // Analysis batches run on Vertex AI, so they need the Google provider too
+    const analysisBatchModel = getAnalysisBatchModel(analysisSettings.models);
+    const analysisBatch = analysisSettings.batch && !!providerFactory.getProvider('google');
+    if (analysisBatch) {
+      console.log(`📦 Analysis-batch mode: sentiment will be analysed in a Vertex batch on ${analysisBatchModel}`);
     }
 
     let savedResults = 0;
     let sentimentCompleted = 0;
     let sentimentFailed = 0;
+    let analysisQueued = 0;
+    let analysisBatchId = null;
+    const pendingResults = [];
+    // Requests the provider could not answer (Anthropic errored/expired/canceled), kept on the batch for a re-run
+    const failedRequests = [];
+
+    const analyzeResult = async (modelResult, responseText) => {
+      try {
+        modelResult.sentimentAnalysis = await analyzeBrands(analyzers, responseText, brandData);
+        Object.assign(modelResult, getAnalysisState(modelResult.sentimentAnalysis, modelResult.analysisAttempts));
+        await modelResult.save();
+        if (modelResult.sentimentAnalysis.inputTokens > 0) {
+          spendLedger.record('analysis', modelResult.sentimentAnalysis.analyzedBy, modelResult.sentimentAnalysis, { resultId: modelResult._id });
+        }
+        sentimentCompleted++;
+
+        // Small delay between sentiment analysis calls
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+      } catch (error) {
+        console.error(`❌ Sentiment analysis failed for result ${modelResult._id}:`, error.message);
+        sentimentFailed++;
+      }
+    };
 
     // Process each result
     for (const result of batch.results) {
@@ -98,10 +156,21 @@ module.exports = async function processBatchResults(job, done) {
         }
 
         // Parse custom_id to get prompt and model info
-        // Format: workspaceId-promptId-modelId-timestamp
+        // Format: workspaceId-promptId-modelId-timestamp[-sampleIndex[-contextProfileId]]
         const customIdParts = result.custom_id.split('-');
         const promptId = customIdParts[1];
-        const modelId = customIdParts[2];
+
+        // Model IDs can contain dashes, so prefer the model recorded in batch metadata
+        const requestMeta = batch.metadata?.requests?.find(r => r.custom_id === result.custom_id);
+        const modelId = requestMeta?.model || customIdParts[2];
+
+        // Anthropic entries that did not succeed carry no message - record them instead of saving an empty response
+        if (result.result && (result.result.type !== 'succeeded' || !result.result.message)) {
+          const error = result.result.error?.error?.message || result.result.error?.message || null;
+          console.warn(`⚠️  Anthropic request ${result.custom_id} ${result.result.type}${error ? `: ${error}` : ''}`);
+          failedRequests.push({ custom_id: result.custom_id, promptId, modelId, type: result.result.type, error });
+          continue;
+        }
 
         // Get the prompt from batch metadata
         const promptDoc = await workspaceDb.collection('prompts').findOne({
@@ -116,6 +185,9 @@ module.exports = async function processBatchResults(job, done) {
         // Extract response from batch result
         let responseText = '';
         let tokensUsed = 0;
+        let inputTokens = 0;
+        let outputTokens = 0;
+        let providerCitations = [];
 
         if (result.response) {
           // OpenAI format: result.response.body.choices
@@ -124,14 +196,18 @@ module.exports = async function processBatchResults(job, done) {
 
             if (body.choices && body.choices.length > 0) {
               responseText = body.choices[0].message?.content || body.choices[0].text || '';
+              providerCitations = fromChatCompletion(body);
             } else if (body.candidates && body.candidates.length > 0) {
               // Gemini format (if wrapped in body)
               responseText = body.candidates[0].content?.parts?.[0]?.text || '';
+              providerCitations = fromGroundingMetadata(body.candidates[0].groundingMetadata);
             }
 
             // Extract token usage
             if (body.usage) {
               tokensUsed = body.usage.total_tokens || 0;
+              inputTokens = body.usage.prompt_tokens || 0;
+              outputTokens = body.usage.completion_tokens || 0;
             }
           }
           // Vertex AI format: result.response.candidates (no body wrapper)
@@ -140,17 +216,36 @@ module.exports = async function processBatchResults(job, done) {
             if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
               responseText = candidate.content.parts[0].text || '';
             }
+            providerCitations = fromGroundingMetadata(candidate.groundingMetadata);
 
             // Extract token usage from Vertex AI format
             if (result.response.usageMetadata) {
-              tokensUsed = result.response.usageMetadata.totalTokenCount || 0;
+              const usage = result.response.usageMetadata;
+              tokensUsed = usage.totalTokenCount || 0;
+              inputTokens = usage.promptTokenCount || 0;
+              // Thinking tokens are billed as output on Gemini 2.5
+              outputTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
             }
           }
         }
+        // Anthropic Message Batches format: result.result.message.content (succeeded entries only, see above)
+        else if (result.result) {
+          const message = result.result.message;
+          responseText = (message.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+          providerCitations = fromAnthropicContent(message.content);
+
+          if (message.usage) {
+            inputTokens = message.usage.input_tokens || 0;
+            outputTokens = message.usage.output_tokens || 0;
+            tokensUsed = inputTokens + outputTokens;
+          }
+        }
 
         // Get model name from config
-        const modelConfig = batch.metadata?.requests?.find(r => r.custom_id === result.custom_id);
-        const modelName = modelConfig?.model || modelId;
+        const modelName = requestMeta?.model || modelId;
 
         // Save model result
         const modelResult = new WorkspacePreviousModelResult({
@@ -161,122 +256,32 @@ module.exports = async function processBatchResults(job, done) {
           provider: batch.provider,
           response: responseText,
           tokensUsed: tokensUsed,
+          // Batch APIs are billed at the discounted rate
+          ...getUsageCost(modelId, { inputTokens, outputTokens }, { batch: true }),
           responseTime: 0, // Batch jobs don't have individual response times
+          sampleIndex: requestMeta?.sampleIndex || 0,
+          contextProfileId: requestMeta?.contextProfileId || null,
+          citations: extractCitations(responseText, providerCitations),
           workspaceId: workspaceId,
           batchId: batch.batchId,
-          processedAt: new Date()
+          processedAt: new Date(),
+          // Pending until an analysis is saved below; retryPendingAnalysis picks it up otherwise
+          ...pendingAnalysisState()
         });
 
         await modelResult.save();
         savedResults++;
-
-        // Perform sentiment analysis if Google provider is available
-        if (googleProvider && responseText) {
-          try {
-            const allBrands = [
-              { name: brandData.ownBrand?.name || 'Not specified', type: 'own' },
-              ...brandData.competitors.map(b => ({ name: b.name, type: 'competitor' }))
-            ];
-
-            const analysisPrompt = `Analyze this text for brand mentions and sentiment. Return ONLY valid JSON.
-
-AVAILABLE BRANDS (use these EXACT values):
-${allBrands.map(b => `- ${b.name} (${b.type})`).join('\n')}
-
-Text to analyze: "${responseText}"
-
-CRITICAL RULES - READ CAREFULLY:
-1. "brandKeywords" must be a SINGLE brand name from the list above - NOT a comma-separated list
-2. If the text says "Commonwealth Bank" or "CBA" or "CommBank App", use ONLY "Commbank" (if that's in the list)
-3. DO NOT write: "Commonwealth Bank, CBA, CommBank" ❌
-4. DO write: "Commbank" ✅
-5. For "position": if the brand is mentioned, indicate which order it appears in the text (1=first brand mentioned, 2=second, etc.). If not mentioned, use null.
-
-WRONG EXAMPLE:
-{
-  "brandKeywords": "Commonwealth Bank, CBA, CommBank App",  ❌ WRONG - multiple values
-  "mentioned": true
-}
-
-CORRECT EXAMPLE:
-{
-  "brandKeywords": "Commbank",  ✅ CORRECT - single exact value from list
-  "mentioned": true,
-  "position": 1
-}
-
-BRAND NORMALIZATION:
-- Text mentions "Commonwealth Bank" or "CBA" or "CommBank Ultimate" → use "Commbank"
-- Text mentions "National Australia Bank" or "NAB Rewards" → use "NAB"
-- Text mentions "ANZ Black Credit Card" → use "ANZ"
-- Text mentions "Westpac Altitude" → use "Westpac"
-
-POSITION EXAMPLES:
-- Text: "I recommend NAB and Westpac..." → NAB position=1, Westpac position=2
-- Text: "Westpac is great, also consider ANZ..." → Westpac position=1, ANZ position=2
-- Text: "For banking, Commbank, ANZ, and NAB..." → Commbank position=1, ANZ position=2, NAB position=3
-
-JSON Response Format:
-{
-    "brands": [
-        {
-            "brandKeywords": "single_brand_name_from_list",
-            "type": "own"|"competitor",
-            "mentioned": boolean,
-            "sentiment": "positive"|"negative"|"not-determined",
-            "position": number|null
-        }
-    ],
-    "overallSentiment": "positive"|"negative"|"not-determined"
-}
-
-Return JSON only. Include ALL brands from the list, using their EXACT names:`;
-
-            const sentimentConfig = getModelConfig('gemini-2.5-flash', 'sentiment');
-            const analysisResult = await googleProvider.generateText('gemini-2.5-flash', analysisPrompt, sentimentConfig);
-
-            console.log(`📊 Gemini sentiment response:`, analysisResult.response.substring(0, 500));
-
-            // Parse sentiment data
-            let sentimentData;
-            try {
-              const jsonMatch = analysisResult.response.match(/\{[\s\S]*\}/);
-              if (jsonMatch) {
-                sentimentData = JSON.parse(jsonMatch[0]);
-                console.log(`✓ Parsed sentiment data - brands:`, sentimentData.brands?.length || 0);
-              } else {
-                throw new Error('No JSON found in response');
-              }
-            } catch (parseError) {
-              console.warn(`⚠️  Failed to parse sentiment JSON:`, parseError.message);
-              sentimentData = {
-                brands: allBrands.map(brand => ({
-                  brandKeywords: brand.name,
-                  type: brand.type,
-                  mentioned: false,
-                  sentiment: 'not-determined'
-                })),
-                overallSentiment: 'not-determined'
-              };
-            }
-
-            // Update model result with sentiment
-            modelResult.sentimentAnalysis = {
-              ...sentimentData,
-              analyzedAt: new Date(),
-              analyzedBy: 'gemini-2.5-flash'
-            };
-
-            await modelResult.save();
-            sentimentCompleted++;
-
-            // Small delay between sentiment analysis calls
-            await new Promise(resolve => setTimeout(resolve, 200));
-
-          } catch (error) {
-            console.error(`❌ Sentiment analysis failed for result ${result.custom_id}:`, error.message);
-            sentimentFailed++;
-          }
+        spendLedger.record('generation', modelId, modelResult, { batch: true, resultId: modelResult._id });
+
+        // Analyse brand mentions (sentiment needs an analysis model)
+        if (responseText && analysisBatch) {
+          // Mentions now, sentiment when the analysis batch completes
+          modelResult.sentimentAnalysis = pendingAnalysis(responseText, brandData);
+          Object.assign(modelResult, getAnalysisState(modelResult.sentimentAnalysis, modelResult.analysisAttempts));
+          await modelResult.save();
+          pendingResults.push({ modelResult, responseText });
+        } else if (responseText) {
+          await analyzeResult(modelResult, responseText);
         }
 
         console.log(`✓ Processed result ${savedResults}/${batch.results.length}`);
@@ -286,6 +291,33 @@ Return JSON only. Include ALL brands from the list, using their EXACT names:`;
       }
     }
 
+    // Submit one analysis batch for every result queued above
+    if (pendingResults.length > 0) {
+      try {
+        const analysisRequests = pendingResults.map(({ modelResult, responseText }) =>
+          buildAnalysisBatchRequest(modelResult._id, responseText, brandData, analysisBatchModel)
+        );
+        const submitted = await submitBatch('vertex', analysisRequests, workspaceDb, workspaceId, getAnalysisBatchOptions(brandData, analysisBatchModel));
+        analysisBatchId = submitted.batchId;
+        analysisQueued = analysisRequests.length;
+
+        await WorkspacePreviousModelResult.updateMany(
+          { _id: { $in: pendingResults.map(({ modelResult }) => modelResult._id) } },
+          { $set: { 'sentimentAnalysis.analysisBatchId': analysisBatchId } }
+        );
+        console.log(`📦 Queued ${analysisQueued} results in analysis batch ${analysisBatchId}`);
+      } catch (error) {
+        // Fall back to analysing each result directly
+        console.error('❌ Analysis batch submission failed, analysing directly:', error.message);
+        for (const { modelResult, responseText } of pendingResults) {
+          if (typeof job.touch === 'function') {
+            job.touch();
+          }
+          await analyzeResult(modelResult, responseText);
+        }
+      }
+    }
+
     // Mark batch as processed
     await workspaceDb.collection('batches').updateOne(
       { _id: batch._id },
@@ -295,15 +327,38 @@ Return JSON only. Include ALL brands from the list, using their EXACT names:`;
           processedAt: new Date(),
           processingStats: {
             savedResults,
+            failedRequests: failedRequests.length,
             sentimentCompleted,
             sentimentFailed,
-            totalResults: batch.results.length
-          }
+            analysisQueued,
+            analysisBatchId,
+            totalResults: batch.results.length,
+            spendUSD: spendLedger.total
+          },
+          failedRequests
         }
       }
     );
 
-    console.log(`✅ Batch processing completed: ${savedResults} results saved, ${sentimentCompleted} sentiment analyses`);
+    if (failedRequests.length > 0) {
+      console.warn(`⚠️ ${failedRequests.length} batch requests failed at the provider and were not saved`);
+    }
+    console.log(`✅ Batch processing completed: ${savedResults} results saved, ${sentimentCompleted} sentiment analyses, ${analysisQueued} queued for analysis`);
+
+    await spendLedger.flush();
+
+    job.attrs.result = {
+      batchId: batch.batchId,
+      savedResults,
+      failedRequests: failedRequests.length,
+      sentimentCompleted,
+      sentimentFailed,
+      analysisQueued,
+      analysisBatchId,
+      spendUSD: spendLedger.total,
+      resilience: providerFactory.getResilienceSummary(),
+      completedAt: new Date()
+    };
 
     // Close workspace connection
     if (workspaceConnection) {
@@ -316,6 +371,9 @@ Return JSON only. Include ALL brands from the list, using their EXACT names:`;
   } catch (error) {
     console.error('💥 Batch processing failed:', error);
 
+    // Results saved before the failure were still billed
+    await spendLedger.flush().catch(flushError => console.error('❌ Failed to write spend ledger:', flushError.message));
+
     if (workspaceConnection) {
       await workspaceConnection.close();
     }
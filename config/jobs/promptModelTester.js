@@ -5,6 +5,15 @@ const yaml = require('js-yaml');
 const fs = require('fs');
 const path = require('path');
 const { submitBatch } = require('../../graphql/mutations/helpers/batch');
+const { getCompatibleModelIdsForPlan } = require('../providers/openaiCompatible/config');
+const { CircuitOpenError } = require('../providers/resilience');
+const { ConcurrencyLimiter, throttle } = require('../utils/concurrency');
+const { buildSystemPrompt, buildMessages, getPromptProfiles } = require('../utils/contextProfiles');
+const { extractCitations } = require('../utils/citations');
+const { getUsageCost } = require('../data/pricing');
+const { analyzeBrands, getAnalysisSettings, getAnalyzers, LOCAL_DETECTOR } = require('../utils/brandAnalysis');
+const { pendingAnalysisState, getAnalysisState } = require('../utils/analysisState');
+const { SpendLedger, getBudgetStatus, getRecentUsage, estimateRequestCost, planWithinBudget } = require('../data/spendLedger');
 
 // Import models from config
 const {
@@ -17,6 +26,20 @@ const {
 // Import shared model configuration
 const { getModelConfig } = require('../data/availableModels');
 
+// Providers with a batch back-end (see graphql/mutations/helpers/batch)
+const BATCH_PROVIDERS = ['openai', 'google', 'anthropic'];
+
+// Direct-processing concurrency: overall cap (DIRECT_MAX_CONCURRENCY) and per-provider limits.
+// The shared rate limiter still enforces RPM/TPM; these only bound in-flight calls per job.
+const DEFAULT_MAX_CONCURRENCY = 8;
+const PROVIDER_CONCURRENCY = {
+    openai: 4,
+    anthropic: 3,
+    google: 4,
+    sentiment: 4,
+    default: 2
+};
+
 /**
  * Get models configuration from YAML
  */
@@ -32,9 +55,20 @@ function getModelsConfig() {
   }
 }
 
+// Build one batch request; the trailing sample index and profile ID keep custom_ids unique across runs
+const buildBatchRequest = (workspaceId, prompt, model, { sampleIndex, contextProfile }) => ({
+    custom_id: `${workspaceId}-${prompt._id}-${model.id}-${Date.now()}-${sampleIndex}${contextProfile ? `-${contextProfile._id}` : ''}`,
+    model: model.id,
+    sampleIndex,
+    contextProfileId: contextProfile ? contextProfile._id.toString() : null,
+    messages: buildMessages(prompt.phrase, contextProfile)
+});
+
 // Run prompt against a specific model using providers
-const runPromptAgainstModel = async (providers, prompt, model, workspaceId, WorkspacePreviousModelResult) => {
+// `run` is one { sampleIndex, contextProfile } of the prompt; a null profile is the default context
+const runPromptAgainstModel = async (providers, prompt, model, workspaceId, WorkspacePreviousModelResult, run = {}) => {
     const { id: modelId, name, provider } = model;
+    const { sampleIndex = 0, contextProfile = null } = run;
     
     try {
         console.log(`🤖 Running prompt against ${provider}:${modelId}`);
@@ -48,8 +82,9 @@ const runPromptAgainstModel = async (providers, prompt, model, workspaceId, Work
         // Get model-specific configuration
         const modelConfig = getModelConfig(modelId);
         
-        // Call the model using the provider
-        const result = await providerInstance.generateText(modelId, prompt.phrase, modelConfig);
+        // Call the model using the provider, with the context profile as the system prompt
+        const systemPrompt = buildSystemPrompt(contextProfile);
+        const result = await providerInstance.generateText(modelId, prompt.phrase, systemPrompt ? { ...modelConfig, systemPrompt } : modelConfig);
 
         // Store result in database
         const modelResult = new WorkspacePreviousModelResult({
@@ -60,13 +95,19 @@ const runPromptAgainstModel = async (providers, prompt, model, workspaceId, Work
             provider,
             response: result.response,
             tokensUsed: result.tokensUsed,
+            ...getUsageCost(modelId, result),
             responseTime: result.responseTime,
-            workspaceId
+            sampleIndex,
+            contextProfileId: contextProfile ? contextProfile._id : null,
+            citations: extractCitations(result.response, result.citations),
+            workspaceId,
+            // Pending until performSentimentAnalysis saves an analysis; retryPendingAnalysis picks it up otherwise
+            ...pendingAnalysisState()
         });
 
         await modelResult.save();
         
-        console.log(`✓ Completed ${name} for prompt: "${prompt.phrase.substring(0, 50)}..."`);
+        console.log(`✓ Completed ${name} for prompt: "${prompt.phrase.substring(0, 50)}..."${contextProfile ? ` [${contextProfile.name}]` : ''}`);
         return modelResult;
         
     } catch (error) {
@@ -75,60 +116,8 @@ const runPromptAgainstModel = async (providers, prompt, model, workspaceId, Work
     }
 };
 
-// Perform sentiment analysis using Gemini via Google provider
-const performSentimentAnalysis = async (providers, modelResult, brands, workspaceId, job) => {
-    // Create list of all brands to analyze
-    const allBrands = [
-        { name: brands.ownBrand?.name || 'Not specified', type: 'own' },
-        ...brands.competitors.map(b => ({ name: b.name, type: 'competitor' }))
-    ];
-
-    const analysisPrompt = `Analyze this text for brand mentions and sentiment. Return ONLY valid JSON.
-
-AVAILABLE BRANDS (use these EXACT values):
-${allBrands.map(b => `- ${b.name} (${b.type})`).join('\n')}
-
-Text to analyze: "${modelResult.response}"
-
-CRITICAL RULES - READ CAREFULLY:
-1. "brandKeywords" must be a SINGLE brand name from the list above - NOT a comma-separated list
-2. If the text says "Commonwealth Bank" or "CBA" or "CommBank App", use ONLY "Commbank" (if that's in the list)
-3. DO NOT write: "Commonwealth Bank, CBA, CommBank" ❌
-4. DO write: "Commbank" ✅
-
-WRONG EXAMPLE:
-{
-  "brandKeywords": "Commonwealth Bank, CBA, CommBank App",  ❌ WRONG - multiple values
-  "mentioned": true
-}
-
-CORRECT EXAMPLE:
-{
-  "brandKeywords": "Commbank",  ✅ CORRECT - single exact value from list
-  "mentioned": true
-}
-
-BRAND NORMALIZATION:
-- Text mentions "Commonwealth Bank" or "CBA" or "CommBank Ultimate" → use "Commbank"
-- Text mentions "National Australia Bank" or "NAB Rewards" → use "NAB"
-- Text mentions "ANZ Black Credit Card" → use "ANZ"
-- Text mentions "Westpac Altitude" → use "Westpac"
-
-JSON Response Format:
-{
-    "brands": [
-        {
-            "brandKeywords": "single_brand_name_from_list",
-            "type": "own"|"competitor",
-            "mentioned": boolean,
-            "sentiment": "positive"|"negative"|"not-determined"
-        }
-    ],
-    "overallSentiment": "positive"|"negative"|"not-determined"
-}
-
-Return JSON only. Include ALL brands from the list, using their EXACT names:`;
-
+// Perform sentiment analysis with the workspace's analysis models, in fallback order
+const performSentimentAnalysis = async (analyzers, modelResult, brands, workspaceId, job) => {
     try {
         console.log(`🔍 Analyzing sentiment for result ${modelResult._id}`);
         
@@ -137,47 +126,9 @@ Return JSON only. Include ALL brands from the list, using their EXACT names:`;
             job.touch();
         }
         
-        // Use Gemini for sentiment analysis via Google provider
-        const googleProvider = providers.getProvider('google');
-        if (!googleProvider) {
-            throw new Error('Google provider not available for sentiment analysis');
-        }
-
-        // Get model-specific config for sentiment analysis
-        const sentimentConfig = getModelConfig('gemini-2.5-flash', 'sentiment');
-        
-        const analysisResult = await googleProvider.generateText('gemini-2.5-flash', analysisPrompt, sentimentConfig);
-        
-        // Parse the JSON response
-        let sentimentData;
-        try {
-            // Extract JSON from response (in case there's additional text)
-            const jsonMatch = analysisResult.response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                sentimentData = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('No JSON found in response');
-            }
-        } catch (parseError) {
-            console.error('Failed to parse sentiment analysis JSON:', parseError);
-            // Fallback to basic analysis with new structure
-            sentimentData = {
-                brands: allBrands.map(brand => ({
-                    brandKeywords: brand.name,
-                    type: brand.type,
-                    mentioned: false,
-                    sentiment: 'not-determined'
-                })),
-                overallSentiment: 'not-determined'
-            };
-        }
-
-        // Update the model result with sentiment analysis
-        modelResult.sentimentAnalysis = {
-            ...sentimentData,
-            analyzedAt: new Date(),
-            analyzedBy: 'gemini-2.5-flash'
-        };
+        // Without an available analysis model mentions come from the local detector only
+        modelResult.sentimentAnalysis = await analyzeBrands(analyzers, modelResult.response, brands);
+        Object.assign(modelResult, getAnalysisState(modelResult.sentimentAnalysis, modelResult.analysisAttempts));
 
         await modelResult.save();
         
@@ -208,22 +159,17 @@ module.exports = async function promptModelTester(job, done) {
     console.log(`📋 Job type: ${isRecurringJob ? 'RECURRING (will use batch processing)' : 'IMMEDIATE (will use direct API calls)'}`);
 
     let workspaceConnection = null;
+    let spendLedger = null;
 
     try {
         console.log(`🚀 Starting prompt-model testing job for workspace ${workspaceId}`);
         
         // Initialize provider factory with Redis client
-        const providerFactory = new ProviderFactory();
-        
-        // Check which providers are available
-        const availableProviders = [];
-        const googleProvider = providerFactory.getProvider('google');
-        const openaiProvider = providerFactory.getProvider('openai');
-        const anthropicProvider = providerFactory.getProvider('anthropic');
+        const providerFactory = new ProviderFactory(redisClient);
         
-        if (googleProvider) availableProviders.push('google');
-        if (openaiProvider) availableProviders.push('openai');
-        if (anthropicProvider) availableProviders.push('anthropic');
+        // Providers the factory registered: built-in ones with credentials and configured OpenAI-compatible endpoints.
+        // Whether each model can run is checked below with getProvider + isModelSupported.
+        const availableProviders = Object.keys(providerFactory.getAllProviders());
         
         if (availableProviders.length === 0) {
             throw new Error('No AI providers are available. Check your API keys and credentials.');
@@ -307,18 +253,53 @@ module.exports = async function promptModelTester(job, done) {
         const billingProfile = workspace?.billingProfileId
             ? await airankDb.collection('billingprofiles').findOne({ _id: workspace.billingProfileId })
             : null;
+        const budgetStatus = await getBudgetStatus(airankDb.db, billingProfile);
 
         await airankDb.close();
 
+        spendLedger = new SpendLedger({
+            workspaceId,
+            billingProfileId: workspace?.billingProfileId || null,
+            source: 'promptModelTester'
+        });
+
         // Get allowed models from billing profile (with fallback to free tier)
-        const { getPlanConfig } = require('../../config/plans');
+        const { getPlanConfig, getSamplesLimit, resolveSampleCount } = require('../../config/plans');
         const planConfig = billingProfile?.currentPlan
             ? getPlanConfig(billingProfile.currentPlan)
             : getPlanConfig('free');
-        const allowedModels = billingProfile?.allowedModels || planConfig.allowedModels || [];
+        const planAllowedModels = billingProfile?.allowedModels || planConfig.allowedModels || [];
+
+        // OpenAI-compatible endpoints grant plans access per model via `allowedPlans` in models.yaml
+        const allowedModels = planAllowedModels.length === 0
+            ? planAllowedModels
+            : [...planAllowedModels, ...getCompatibleModelIdsForPlan(billingProfile?.currentPlan || 'free')];
 
         console.log(`📋 Plan: ${billingProfile?.currentPlan || 'free'}, Allowed models: ${allowedModels.join(', ')}`);
 
+        // Samples per prompt x model: prompt setting, else workspace 'sampling' config, capped by the plan
+        const samplingConfig = await workspaceConnection.db.collection('configs').findOne({ configType: 'sampling' });
+        const samplesLimit = getSamplesLimit(billingProfile);
+        const samplesByPrompt = new Map(prompts.map(prompt => [
+            prompt._id.toString(),
+            resolveSampleCount(prompt.samples || samplingConfig?.data?.samples, samplesLimit)
+        ]));
+
+        // Each prompt runs once per attached context profile (or once in the default context) per sample
+        const contextProfiles = await workspaceConnection.db.collection('contextprofiles').find({}).toArray();
+        const profilesById = new Map(contextProfiles.map(profile => [profile._id.toString(), profile]));
+        const getPromptRuns = prompt => getPromptProfiles(prompt, profilesById).flatMap(contextProfile =>
+            [...Array(samplesByPrompt.get(prompt._id.toString())).keys()].map(sampleIndex => ({ sampleIndex, contextProfile }))
+        );
+        const requestsPerModel = prompts.reduce((sum, prompt) => sum + getPromptRuns(prompt).length, 0);
+
+        console.log(`🎲 Runs: ${requestsPerModel} generations per model across ${prompts.length} prompts and ${contextProfiles.length} context profiles (plan limit ${samplesLimit} samples per prompt)`);
+
+        // Analysis models in fallback order (workspace 'analysis' config, else ANALYSIS_MODELS)
+        const analysisSettings = await getAnalysisSettings(workspaceConnection.db);
+        const analyzers = getAnalyzers(providerFactory, analysisSettings.models);
+        console.log(`🔍 Analysis models: ${analyzers.length > 0 ? analyzers.map(analyzer => analyzer.modelId).join(' → ') : 'none available (local detector only)'}`);
+
         // Map workspace models to the format expected by the job (with provider info)
         // Filter by: enabled + entitled + provider available
         const { getModelById } = require('../data/availableModels');
@@ -349,9 +330,11 @@ module.exports = async function promptModelTester(job, done) {
             .filter(model => {
                 // Filter to only include models with available providers
                 const provider = providerFactory.getProvider(model.provider);
-                const hasProvider = provider && provider.isModelSupported(model.id);
-                if (!hasProvider) {
-                    console.log(`⚠️  Model ${model.id} provider not available`);
+                const hasProvider = !!provider && provider.isModelSupported(model.id);
+                if (!provider) {
+                    console.log(`⚠️  Model ${model.id} provider ${model.provider} not available`);
+                } else if (!hasProvider) {
+                    console.log(`⚠️  Model ${model.id} not supported by provider ${model.provider}`);
                 }
                 return hasProvider;
             });
@@ -371,7 +354,8 @@ module.exports = async function promptModelTester(job, done) {
         if (isRecurringJob) {
             for (const model of availableModels) {
                 const modelConfig = modelsConfig.find(m => m.modelId === model.id);
-                if (modelConfig && modelConfig.processByBatch === true) {
+                // OpenAI-compatible endpoints have no batch API, so they always run directly
+                if (modelConfig && modelConfig.processByBatch === true && BATCH_PROVIDERS.includes(model.provider)) {
                     batchModels.push(model);
                 } else {
                     directModels.push(model);
@@ -386,10 +370,53 @@ module.exports = async function promptModelTester(job, done) {
             console.log(`📊 Found ${prompts.length} prompts, ${brands.length} brands, and ${availableModels.length} available models`);
         }
 
+        // Check the projected cost of this run against what is left of the billing profile's monthly budget
+        if (budgetStatus.budgetUSD !== null) {
+            const recentUsage = await getRecentUsage(workspaceConnection.db);
+            const budgetPlan = planWithinBudget(budgetStatus, [...batchModels, ...directModels].map(model => ({
+                id: model.id,
+                costUSD: requestsPerModel * estimateRequestCost(model.id, recentUsage, {
+                    batch: batchModels.includes(model),
+                    analysisModel: analyzers[0]?.modelId
+                })
+            })));
+
+            console.log(`💰 Budget: $${budgetStatus.spentUSD} of $${budgetStatus.budgetUSD} spent, run projected at $${budgetPlan.projectedUSD}`);
+
+            if (!budgetPlan.withinBudget) {
+                console.warn(`⚠️ Projected run cost $${budgetPlan.projectedUSD} exceeds remaining budget $${budgetStatus.remainingUSD} - action: ${budgetPlan.action}`);
+                spendLedger.alert({
+                    action: budgetPlan.action,
+                    projectedUSD: budgetPlan.projectedUSD,
+                    remainingUSD: budgetStatus.remainingUSD,
+                    droppedModels: budgetPlan.droppedIds
+                });
+
+                batchModels = batchModels.filter(model => budgetPlan.keptIds.includes(model.id));
+                directModels = directModels.filter(model => budgetPlan.keptIds.includes(model.id));
+                if (budgetPlan.droppedIds.length > 0) {
+                    console.log(`✂️ Dropped models over budget: ${budgetPlan.droppedIds.join(', ')}`);
+                }
+
+                if (batchModels.length === 0 && directModels.length === 0) {
+                    console.log('⛔ No models fit the remaining budget, skipping run');
+                    await spendLedger.flush();
+                    job.attrs.result = {
+                        skipped: 'budget',
+                        projectedUSD: budgetPlan.projectedUSD,
+                        remainingUSD: budgetStatus.remainingUSD,
+                        completedAt: new Date()
+                    };
+                    await workspaceConnection.close();
+                    return done();
+                }
+            }
+        }
+
         // Organize brands for sentiment analysis
         const ownBrand = brands.find(b => b.isOwnBrand === true) || { name: 'Your Company' };
         const competitors = brands.filter(b => b.isOwnBrand === false);
-        const brandData = { ownBrand, competitors };
+        const brandData = { ownBrand, competitors, aspects: analysisSettings.aspects };
 
         console.log(`🏷️ Brand info: Own brand: "${ownBrand.name}", Competitors: ${competitors.length}`);
         if (competitors.length > 0) {
@@ -397,9 +424,10 @@ module.exports = async function promptModelTester(job, done) {
         }
 
         // Track progress
-        const totalDirectOperations = prompts.length * directModels.length;
+        const totalDirectOperations = requestsPerModel * directModels.length;
         let completedOperations = 0;
         let failedOperations = 0;
+        let skippedOperations = 0;
 
         // BATCH PROCESSING: Group and submit batch jobs
         if (isRecurringJob && batchModels.length > 0) {
@@ -409,7 +437,8 @@ module.exports = async function promptModelTester(job, done) {
             // Both Claude and Gemini use Vertex AI for batch processing
             const modelsByProvider = {
                 openai: batchModels.filter(m => m.provider === 'openai'),
-                vertex: batchModels.filter(m => m.provider === 'google') // All Google models via Vertex AI
+                vertex: batchModels.filter(m => m.provider === 'google'), // All Google models via Vertex AI
+                anthropic: batchModels.filter(m => m.provider === 'anthropic') // Claude via direct Anthropic API
             };
 
             // Get workspace database for batch storage
@@ -417,24 +446,20 @@ module.exports = async function promptModelTester(job, done) {
 
             // OpenAI: Create separate batch per model (OpenAI requirement)
             // Vertex AI: Can batch multiple models together
+            // Anthropic: Message Batches can mix models in one batch
             const openaiModels = modelsByProvider.openai;
             const vertexModels = modelsByProvider.vertex;
+            const anthropicModels = modelsByProvider.anthropic;
 
             // Submit OpenAI batches (one per model)
             for (const model of openaiModels) {
-                console.log(`📦 Preparing openai batch for ${model.id} with ${prompts.length} prompts = ${prompts.length} requests`);
+                console.log(`📦 Preparing openai batch for ${model.id} with ${prompts.length} prompts = ${requestsPerModel} requests`);
 
                 const batchRequests = [];
                 for (const prompt of prompts) {
-                    const customId = `${workspaceId}-${prompt._id}-${model.id}-${Date.now()}`;
-
-                    batchRequests.push({
-                        custom_id: customId,
-                        model: model.id,
-                        messages: [
-                            { role: 'user', content: prompt.phrase }
-                        ]
-                    });
+                    for (const run of getPromptRuns(prompt)) {
+                        batchRequests.push(buildBatchRequest(workspaceId, prompt, model, run));
+                    }
                 }
 
                 try {
@@ -447,20 +472,14 @@ module.exports = async function promptModelTester(job, done) {
 
             // Submit Vertex AI batch (can include multiple models)
             if (vertexModels.length > 0) {
-                console.log(`📦 Preparing vertex batch with ${vertexModels.length} models × ${prompts.length} prompts = ${vertexModels.length * prompts.length} requests`);
+                console.log(`📦 Preparing vertex batch with ${vertexModels.length} models × ${requestsPerModel} prompt runs = ${vertexModels.length * requestsPerModel} requests`);
 
                 const batchRequests = [];
                 for (const prompt of prompts) {
                     for (const model of vertexModels) {
-                        const customId = `${workspaceId}-${prompt._id}-${model.id}-${Date.now()}`;
-
-                        batchRequests.push({
-                            custom_id: customId,
-                            model: model.id,
-                            messages: [
-                                { role: 'user', content: prompt.phrase }
-                            ]
-                        });
+                        for (const run of getPromptRuns(prompt)) {
+                            batchRequests.push(buildBatchRequest(workspaceId, prompt, model, run));
+                        }
                     }
                 }
 
@@ -472,78 +491,114 @@ module.exports = async function promptModelTester(job, done) {
                 }
             }
 
-            console.log('📦 Batch submission completed. Results will be processed when batches complete.');
-        }
-
-        // DIRECT PROCESSING: Run models that don't support batch processing
-        const modelResults = [];
+            // Submit Anthropic batch (can include multiple models)
+            if (anthropicModels.length > 0) {
+                console.log(`📦 Preparing anthropic batch with ${anthropicModels.length} models × ${requestsPerModel} prompt runs = ${anthropicModels.length * requestsPerModel} requests`);
 
-        if (directModels.length > 0) {
-            console.log(`🔄 Starting direct processing for ${directModels.length} models...`);
-
-            for (const prompt of prompts) {
-                console.log(`📝 Processing prompt: "${prompt.phrase.substring(0, 100)}..."`);
-
-                for (const model of directModels) {
-                    try {
-                        // Touch the job to extend lock before expensive model generation
-                        if (typeof job.touch === 'function') {
-                            job.touch();
+                const batchRequests = [];
+                for (const prompt of prompts) {
+                    for (const model of anthropicModels) {
+                        for (const run of getPromptRuns(prompt)) {
+                            batchRequests.push(buildBatchRequest(workspaceId, prompt, model, run));
                         }
-
-                        const result = await runPromptAgainstModel(providerFactory, prompt, model, workspaceId, WorkspacePreviousModelResult);
-                        modelResults.push(result);
-                        completedOperations++;
-                    } catch (error) {
-                        console.error(`❌ Failed to run prompt "${prompt.phrase}" against model "${model.name}":`, error.message);
-                        failedOperations++;
-                    }
-
-                    // Update job progress (if available)
-                    if (typeof job.progress === 'function') {
-                        job.progress(Math.round((completedOperations + failedOperations) / totalDirectOperations * 50)); // 50% for model testing
                     }
+                }
 
-                    // Small delay to be respectful to APIs
-                    await new Promise(resolve => setTimeout(resolve, 100));
+                try {
+                    const batchResult = await submitBatch('anthropic', batchRequests, workspaceDb, workspaceId);
+                    console.log(`✓ Submitted anthropic batch: ${batchResult.batchId} (${batchResult.requestCount} requests)`);
+                } catch (error) {
+                    console.error(`✗ Failed to submit anthropic batch:`, error.message);
                 }
             }
 
-            console.log(`🎯 Direct model testing completed. ${completedOperations} successful, ${failedOperations} failed`);
-        } else {
-            console.log('⚠️ No models require direct processing (all are batch-enabled)');
+            console.log('📦 Batch submission completed. Results will be processed when batches complete.');
         }
 
-        // Initialize sentiment analysis tracking variables
+        // DIRECT PROCESSING: Run models that don't support batch processing
+        // Prompt x model calls run in a bounded pool with per-provider limits (the shared rate
+        // limiter still paces each model), and sentiment analysis starts as each response arrives.
         let sentimentCompleted = 0;
         let sentimentFailed = 0;
 
-        // Perform sentiment analysis on all results (only if Google provider is available)
-        if (googleProvider && modelResults.length > 0) {
-            console.log('🔍 Starting sentiment analysis...');
+        const touchJob = throttle(() => {
+            if (typeof job.touch === 'function') {
+                job.touch();
+            }
+        }, 30000);
+
+        // Sentiment work is only known once responses arrive: every successful response adds one operation
+        const reportProgress = () => {
+            if (typeof job.progress !== 'function' || totalDirectOperations === 0) {
+                return;
+            }
+            const expectedSentiment = totalDirectOperations - failedOperations - skippedOperations;
+            const finished = completedOperations + failedOperations + skippedOperations + sentimentCompleted + sentimentFailed;
+            job.progress(Math.round(finished / (totalDirectOperations + expectedSentiment) * 100));
+        };
+
+        if (directModels.length > 0) {
+            const maxConcurrency = parseInt(process.env.DIRECT_MAX_CONCURRENCY, 10) || DEFAULT_MAX_CONCURRENCY;
+            const pool = new ConcurrencyLimiter(maxConcurrency);
+            const providerPools = new Map();
+            const getProviderPool = providerName => {
+                if (!providerPools.has(providerName)) {
+                    const limit = PROVIDER_CONCURRENCY[providerName] || PROVIDER_CONCURRENCY.default;
+                    providerPools.set(providerName, new ConcurrencyLimiter(limit));
+                }
+                return providerPools.get(providerName);
+            };
+            const sentimentPool = new ConcurrencyLimiter(PROVIDER_CONCURRENCY.sentiment);
+            const sentimentTasks = [];
+
+            console.log(`🔄 Starting direct processing for ${directModels.length} models (${totalDirectOperations} calls, max ${maxConcurrency} concurrent)...`);
 
-            for (const modelResult of modelResults) {
+            const runSentiment = modelResult => sentimentPool.run(async () => {
+                touchJob();
                 try {
-                    await performSentimentAnalysis(providerFactory, modelResult, brandData, workspaceId, job);
+                    await performSentimentAnalysis(analyzers, modelResult, brandData, workspaceId, job);
+                    if (modelResult.sentimentAnalysis.inputTokens > 0) {
+                        spendLedger.record('analysis', modelResult.sentimentAnalysis.analyzedBy, modelResult.sentimentAnalysis, { resultId: modelResult._id });
+                    }
                     sentimentCompleted++;
                 } catch (error) {
                     console.error(`❌ Sentiment analysis failed for result ${modelResult._id}:`, error.message);
                     sentimentFailed++;
                 }
-                
-                // Update job progress (50% base + 50% for sentiment analysis)
-                if (typeof job.progress === 'function') {
-                    const sentimentProgress = Math.round((sentimentCompleted + sentimentFailed) / modelResults.length * 50);
-                    job.progress(50 + sentimentProgress);
+                reportProgress();
+            });
+
+            const runTask = (prompt, model, run) => getProviderPool(model.provider).run(() => pool.run(async () => {
+                touchJob();
+                try {
+                    const result = await runPromptAgainstModel(providerFactory, prompt, model, workspaceId, WorkspacePreviousModelResult, run);
+                    spendLedger.record('generation', model.id, result, { resultId: result._id });
+                    completedOperations++;
+                    sentimentTasks.push(runSentiment(result));
+                } catch (error) {
+                    if (error instanceof CircuitOpenError) {
+                        // Model's circuit breaker is open - skip without calling the API
+                        skippedOperations++;
+                    } else {
+                        console.error(`❌ Failed to run prompt "${prompt.phrase}" against model "${model.name}":`, error.message);
+                        failedOperations++;
+                    }
                 }
-                
-                // Small delay between sentiment analysis calls
-                await new Promise(resolve => setTimeout(resolve, 200));
-            }
+                reportProgress();
+            }));
 
+            await Promise.all(prompts.flatMap(prompt => directModels.flatMap(model =>
+                getPromptRuns(prompt).map(run => runTask(prompt, model, run))
+            )));
+            console.log(`🎯 Direct model testing completed. ${completedOperations} successful, ${failedOperations} failed, ${skippedOperations} skipped (circuit open)`);
+
+            await Promise.all(sentimentTasks);
             console.log(`🎯 Sentiment analysis completed. ${sentimentCompleted} successful, ${sentimentFailed} failed`);
+            if (analyzers.length === 0) {
+                console.log('⚠️ No analysis model available - mentions came from the local detector, sentiment is undetermined');
+            }
         } else {
-            console.log('⚠️ Skipping sentiment analysis - Google provider not available');
+            console.log('⚠️ No models require direct processing (all are batch-enabled)');
         }
 
         // Final summary
@@ -551,29 +606,34 @@ module.exports = async function promptModelTester(job, done) {
             jobType: isRecurringJob ? 'recurring' : 'immediate',
             totalPrompts: prompts.length,
             totalModels: availableModels.length,
-            totalOperations: totalDirectOperations + (isRecurringJob ? (batchModels.length * prompts.length) : 0),
+            totalOperations: totalDirectOperations + (isRecurringJob ? (batchModels.length * requestsPerModel) : 0),
+            requestsPerModel,
             availableProviders,
             batchProcessing: isRecurringJob ? {
                 enabled: true,
                 batchModels: batchModels.length,
                 directModels: directModels.length,
-                batchedRequests: batchModels.length * prompts.length
+                batchedRequests: batchModels.length * requestsPerModel
             } : {
                 enabled: false
             },
             modelTestingResults: {
                 successful: completedOperations,
-                failed: failedOperations
+                failed: failedOperations,
+                skipped: skippedOperations
             },
-            sentimentAnalysisResults: googleProvider ? {
+            sentimentAnalysisResults: {
                 successful: sentimentCompleted || 0,
-                failed: sentimentFailed || 0
-            } : {
-                skipped: 'Google provider not available'
+                failed: sentimentFailed || 0,
+                analysisModels: analyzers.length > 0 ? analyzers.map(analyzer => analyzer.modelId) : [LOCAL_DETECTOR]
             },
+            spendUSD: spendLedger.total,
+            resilience: providerFactory.getResilienceSummary(),
             completedAt: new Date()
         };
 
+        await spendLedger.flush();
+
         console.log('🎉 Job completed successfully:', summary);
         job.attrs.result = summary;
         
@@ -587,6 +647,11 @@ module.exports = async function promptModelTester(job, done) {
 
     } catch (error) {
         console.error('💥 Job failed with error:', error);
+
+        // Calls made before the failure were still billed
+        if (spendLedger) {
+            await spendLedger.flush().catch(flushError => console.error('❌ Failed to write spend ledger:', flushError.message));
+        }
         
         // Close the workspace database connection even on error
         if (workspaceConnection) {
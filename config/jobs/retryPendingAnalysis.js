@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const ProviderFactory = require('../providers');
+const { analyzeBrands, getAnalysisSettings, getAnalyzers } = require('../utils/brandAnalysis');
+const { getAnalysisState, retryDueFilter } = require('../utils/analysisState');
+const { SpendLedger } = require('../data/spendLedger');
+
+// Results retried per workspace per run, so one backlog cannot hold the job for hours
+const RETRY_BATCH_SIZE = 100;
+
+/**
+ * Retries sentiment analysis for results left pending, failed or detector-only
+ * Runs every 15 minutes across all workspaces. A result is due once its `nextAnalysisAt` has passed
+ * (see config/utils/analysisState.js for the backoff); results stored before analysis statuses existed
+ * are picked up when they have no analysis at all. Workspaces without an available analysis model are
+ * skipped, so their results keep their attempts until a model is back.
+ */
+module.exports = async function retryPendingAnalysis(job, done) {
+  let airankConn = null;
+
+  try {
+    console.log('🔁 Retrying pending and failed sentiment analyses...');
+
+    airankConn = mongoose.createConnection(`${process.env.MONGODB_URI}/airank?${process.env.MONGODB_PARAMS}`);
+    await airankConn.asPromise();
+    const workspaces = await airankConn.db.collection('workspaces').find({}).toArray();
+
+    const providerFactory = new ProviderFactory(job.redisClient);
+    let totalCompleted = 0;
+    let totalFailed = 0;
+
+    for (const workspace of workspaces) {
+      const workspaceId = workspace._id.toString();
+      let workspaceConn = null;
+      const spendLedger = new SpendLedger({
+        workspaceId,
+        billingProfileId: workspace.billingProfileId || null,
+        source: 'retryPendingAnalysis'
+      });
+
+      try {
+        workspaceConn = mongoose.createConnection(`${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`);
+        await workspaceConn.asPromise();
+
+        const WorkspacePreviousModelResult = workspaceConn.model('PreviousModelResult', require('../data/models').PreviousModelResultSchema);
+        const dueResults = await WorkspacePreviousModelResult.find(retryDueFilter())
+          .sort({ nextAnalysisAt: 1 })
+          .limit(RETRY_BATCH_SIZE)
+          .exec();
+
+        if (dueResults.length === 0) {
+          continue;
+        }
+
+        const analysisSettings = await getAnalysisSettings(workspaceConn.db);
+        const analyzers = getAnalyzers(providerFactory, analysisSettings.models);
+        if (analyzers.length === 0) {
+          console.log(`  Workspace ${workspace.name}: ${dueResults.length} result(s) due, but none of ${analysisSettings.models.join(', ')} is available - retrying later`);
+          continue;
+        }
+
+        console.log(`  Workspace ${workspace.name}: ${dueResults.length} result(s) due for analysis`);
+
+        const WorkspaceBrand = workspaceConn.model('Brand', require('../data/models').BrandSchema);
+        const brands = await WorkspaceBrand.find({}).exec();
+        const ownBrand = brands.find(b => b.isOwnBrand === true) || { name: 'Your Company' };
+        const competitors = brands.filter(b => b.isOwnBrand === false);
+        const brandData = { ownBrand, competitors, aspects: analysisSettings.aspects };
+
+        for (const modelResult of dueResults) {
+          if (typeof job.touch === 'function') {
+            job.touch();
+          }
+
+          try {
+            modelResult.sentimentAnalysis = await analyzeBrands(analyzers, modelResult.response, brandData);
+            Object.assign(modelResult, getAnalysisState(modelResult.sentimentAnalysis, modelResult.analysisAttempts));
+            await modelResult.save();
+
+            if (modelResult.sentimentAnalysis.inputTokens > 0) {
+              spendLedger.record('analysis', modelResult.sentimentAnalysis.analyzedBy, modelResult.sentimentAnalysis, { resultId: modelResult._id });
+            }
+
+            if (modelResult.sentimentAnalysis.analysisStatus === 'complete') {
+              totalCompleted++;
+            } else {
+              totalFailed++;
+            }
+          } catch (error) {
+            console.error(`    ❌ Retry failed for result ${modelResult._id}:`, error.message);
+            totalFailed++;
+          }
+        }
+
+      } catch (error) {
+        console.error(`  ⚠️  Error processing workspace ${workspaceId}:`, error.message);
+      } finally {
+        await spendLedger.flush().catch(flushError => console.error('❌ Failed to write spend ledger:', flushError.message));
+        if (workspaceConn) {
+          await workspaceConn.close();
+        }
+      }
+    }
+
+    await airankConn.close();
+
+    console.log(`✅ Analysis retry complete: ${totalCompleted} analysed, ${totalFailed} still failing`);
+    job.attrs.result = {
+      analysisCompleted: totalCompleted,
+      analysisFailed: totalFailed,
+      resilience: providerFactory.getResilienceSummary(),
+      completedAt: new Date()
+    };
+    done();
+
+  } catch (error) {
+    console.error('💥 Error retrying pending analyses:', error);
+    if (airankConn) {
+      await airankConn.close().catch(() => {});
+    }
+    done(error);
+  }
+};
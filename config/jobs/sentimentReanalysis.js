@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const ProviderFactory = require('../providers');
-const { getModelConfig } = require('../data/availableModels');
+const { analyzeBrands, outdatedAnalysisFilter, getAnalysisSettings, getAnalyzers } = require('../utils/brandAnalysis');
+const { getAnalysisState } = require('../utils/analysisState');
+const { SpendLedger, getBudgetStatus, getRecentUsage, estimateRequestCost, planWithinBudget } = require('../data/spendLedger');
 
 // Import models from config
 const { 
@@ -8,60 +10,10 @@ const {
     PreviousModelResult 
 } = require('../data/models');
 
-// Perform sentiment analysis using Gemini via Google provider
-const performSentimentAnalysis = async (providers, modelResult, brands, workspaceId, job) => {
-    // Create list of all brands to analyze
-    const allBrands = [
-        { name: brands.ownBrand?.name || 'Not specified', type: 'own' },
-        ...brands.competitors.map(b => ({ name: b.name, type: 'competitor' }))
-    ];
-
-    const analysisPrompt = `Analyze this text for brand mentions and sentiment. Return ONLY valid JSON.
-
-AVAILABLE BRANDS (use these EXACT values):
-${allBrands.map(b => `- ${b.name} (${b.type})`).join('\n')}
-
-Text to analyze: "${modelResult.response}"
-
-CRITICAL RULES - READ CAREFULLY:
-1. "brandKeywords" must be a SINGLE brand name from the list above - NOT a comma-separated list
-2. If the text says "Commonwealth Bank" or "CBA" or "CommBank App", use ONLY "Commbank" (if that's in the list)
-3. DO NOT write: "Commonwealth Bank, CBA, CommBank" ❌
-4. DO write: "Commbank" ✅
-
-WRONG EXAMPLE:
-{
-  "brandKeywords": "Commonwealth Bank, CBA, CommBank App",  ❌ WRONG - multiple values
-  "mentioned": true
-}
-
-CORRECT EXAMPLE:
-{
-  "brandKeywords": "Commbank",  ✅ CORRECT - single exact value from list
-  "mentioned": true
-}
-
-BRAND NORMALIZATION:
-- Text mentions "Commonwealth Bank" or "CBA" or "CommBank Ultimate" → use "Commbank"
-- Text mentions "National Australia Bank" or "NAB Rewards" → use "NAB"
-- Text mentions "ANZ Black Credit Card" → use "ANZ"
-- Text mentions "Westpac Altitude" → use "Westpac"
-
-JSON Response Format:
-{
-    "brands": [
-        {
-            "brandKeywords": "single_brand_name_from_list",
-            "type": "own"|"competitor",
-            "mentioned": boolean,
-            "sentiment": "positive"|"negative"|"not-determined"
-        }
-    ],
-    "overallSentiment": "positive"|"negative"|"not-determined"
-}
-
-Return JSON only. Include ALL brands from the list, using their EXACT names:`;
-
+// Perform sentiment analysis with the workspace's analysis models, in fallback order
+// Only a complete analysis is saved: when every analysis call fails the stored analysis is kept
+// rather than replaced with undetermined sentiment. Returns the new analysis either way.
+const performSentimentAnalysis = async (analyzers, modelResult, brands, workspaceId, job) => {
     try {
         console.log(`🔍 Re-analyzing sentiment for result ${modelResult._id}`);
         
@@ -70,52 +22,19 @@ Return JSON only. Include ALL brands from the list, using their EXACT names:`;
             job.touch();
         }
         
-        // Use Gemini for sentiment analysis via Google provider
-        const googleProvider = providers.getProvider('google');
-        if (!googleProvider) {
-            throw new Error('Google provider not available for sentiment analysis');
-        }
-
-        // Get model-specific config for sentiment analysis
-        const sentimentConfig = getModelConfig('gemini-2.5-flash', 'sentiment');
-        
-        const analysisResult = await googleProvider.generateText('gemini-2.5-flash', analysisPrompt, sentimentConfig);
-        
-        // Parse the JSON response
-        let sentimentData;
-        try {
-            // Extract JSON from response (in case there's additional text)
-            const jsonMatch = analysisResult.response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                sentimentData = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('No JSON found in response');
-            }
-        } catch (parseError) {
-            console.error('Failed to parse sentiment analysis JSON:', parseError);
-            // Fallback to basic analysis with new structure
-            sentimentData = {
-                brands: allBrands.map(brand => ({
-                    brandKeywords: brand.name,
-                    type: brand.type,
-                    mentioned: false,
-                    sentiment: 'not-determined'
-                })),
-                overallSentiment: 'not-determined'
-            };
+        const sentimentAnalysis = await analyzeBrands(analyzers, modelResult.response, brands);
+        if (sentimentAnalysis.analysisStatus !== 'complete') {
+            console.warn(`⚠️ Keeping the stored analysis of result ${modelResult._id}: ${sentimentAnalysis.analysisError || sentimentAnalysis.analysisStatus}`);
+            return sentimentAnalysis;
         }
 
-        // Update the model result with NEW sentiment analysis structure
-        modelResult.sentimentAnalysis = {
-            ...sentimentData,
-            analyzedAt: new Date(),
-            analyzedBy: 'gemini-2.5-flash'
-        };
+        modelResult.sentimentAnalysis = sentimentAnalysis;
+        Object.assign(modelResult, getAnalysisState(modelResult.sentimentAnalysis, modelResult.analysisAttempts));
 
         await modelResult.save();
         
         console.log(`✓ Sentiment re-analysis completed for result ${modelResult._id}`);
-        return modelResult;
+        return sentimentAnalysis;
         
     } catch (error) {
         console.error(`✗ Sentiment re-analysis failed for result ${modelResult._id}:`, error.message);
@@ -124,8 +43,10 @@ Return JSON only. Include ALL brands from the list, using their EXACT names:`;
 };
 
 // Main job function - Re-run sentiment analysis only
+// Job data: { workspaceId, belowVersion } - belowVersion limits the run to results analysed
+// with an older analyzer (e.g. 2 re-analyses everything from version 1 and unversioned results)
 module.exports = async function sentimentReanalysis(job, done) {
-    const { workspaceId } = job.attrs.data;
+    const { workspaceId, belowVersion } = job.attrs.data;
     
     if (!workspaceId) {
         return done(new Error('workspaceId is required'));
@@ -136,16 +57,8 @@ module.exports = async function sentimentReanalysis(job, done) {
     try {
         console.log(`🔄 Starting sentiment re-analysis job for workspace ${workspaceId}`);
         
-        // Initialize provider factory
-        const providerFactory = new ProviderFactory();
-        
-        // Check if Google provider is available
-        const googleProvider = providerFactory.getProvider('google');
-        if (!googleProvider) {
-            throw new Error('Google provider is required for sentiment analysis');
-        }
-        
-        console.log(`📡 Google provider available for sentiment analysis`);
+        // Initialize provider factory with Redis client (shared rate limits)
+        const providerFactory = new ProviderFactory(job.redisClient);
 
         // Connect to workspace-specific database
         console.log('🔌 Connecting to workspace database...');
@@ -175,14 +88,25 @@ module.exports = async function sentimentReanalysis(job, done) {
         const WorkspaceBrand = workspaceConnection.model('Brand', require('../data/models').BrandSchema);
         const WorkspacePreviousModelResult = workspaceConnection.model('PreviousModelResult', require('../data/models').PreviousModelResultSchema);
 
+        // Re-analysing without a model would replace stored sentiment with detector-only results
+        const analysisSettings = await getAnalysisSettings(workspaceConnection.db);
+        const analyzers = getAnalyzers(providerFactory, analysisSettings.models);
+        if (analyzers.length === 0) {
+            throw new Error('No analysis model available - not re-analysing, stored sentiment is kept');
+        }
+        console.log(`📡 Analysis models: ${analyzers.map(analyzer => analyzer.modelId).join(' → ')}`);
+
         // Fetch brands
         console.log('📊 Fetching brands from database...');
         const brands = await WorkspaceBrand.find({}).maxTimeMS(30000).exec();
         console.log(`✅ Found ${brands.length} brands`);
 
         // Fetch existing model results that need sentiment re-analysis
-        console.log('📊 Fetching existing model results...');
-        const modelResults = await WorkspacePreviousModelResult.find({}).maxTimeMS(30000).exec();
+        console.log(belowVersion
+            ? `📊 Fetching results analysed with analyzer version < ${belowVersion}...`
+            : '📊 Fetching existing model results...');
+        const resultsFilter = belowVersion ? outdatedAnalysisFilter(parseInt(belowVersion, 10)) : {};
+        const modelResults = await WorkspacePreviousModelResult.find(resultsFilter).maxTimeMS(30000).exec();
         console.log(`✅ Found ${modelResults.length} existing model results`);
 
         if (modelResults.length === 0) {
@@ -190,10 +114,67 @@ module.exports = async function sentimentReanalysis(job, done) {
             return done();
         }
 
+        // Check the projected analysis cost against the billing profile's monthly budget
+        const airankDb = mongoose.createConnection(`${process.env.MONGODB_URI}/airank?${process.env.MONGODB_PARAMS}`);
+        await airankDb.asPromise();
+        const workspace = await airankDb.collection('workspaces').findOne({ _id: workspaceId });
+        const billingProfile = workspace?.billingProfileId
+            ? await airankDb.collection('billingprofiles').findOne({ _id: workspace.billingProfileId })
+            : null;
+        const budgetStatus = await getBudgetStatus(airankDb.db, billingProfile);
+        await airankDb.close();
+
+        const spendLedger = new SpendLedger({
+            workspaceId,
+            billingProfileId: workspace?.billingProfileId || null,
+            source: 'sentimentReanalysis'
+        });
+
+        let resultsToAnalyze = modelResults;
+        if (budgetStatus.budgetUSD !== null) {
+            const recentUsage = await getRecentUsage(workspaceConnection.db);
+            // Analysis-only cost: the first analysis model at its recent average usage
+            const analysisModel = analyzers[0].modelId;
+            const costPerResult = estimateRequestCost(analysisModel, {
+                models: recentUsage.analysis ? new Map([[analysisModel, recentUsage.analysis]]) : new Map()
+            });
+            const budgetPlan = planWithinBudget(budgetStatus, modelResults.map(result => ({
+                id: result._id.toString(),
+                costUSD: costPerResult
+            })));
+
+            if (!budgetPlan.withinBudget) {
+                console.warn(`⚠️ Projected re-analysis cost $${budgetPlan.projectedUSD} exceeds remaining budget $${budgetStatus.remainingUSD} - action: ${budgetPlan.action}`);
+                spendLedger.alert({
+                    action: budgetPlan.action,
+                    projectedUSD: budgetPlan.projectedUSD,
+                    remainingUSD: budgetStatus.remainingUSD,
+                    droppedResults: budgetPlan.droppedIds.length
+                });
+
+                const keptIds = new Set(budgetPlan.keptIds);
+                resultsToAnalyze = modelResults.filter(result => keptIds.has(result._id.toString()));
+
+                if (resultsToAnalyze.length === 0) {
+                    console.log('⛔ Re-analysis does not fit the remaining budget, skipping');
+                    await spendLedger.flush();
+                    job.attrs.result = {
+                        skipped: 'budget',
+                        projectedUSD: budgetPlan.projectedUSD,
+                        remainingUSD: budgetStatus.remainingUSD,
+                        completedAt: new Date()
+                    };
+                    await workspaceConnection.close();
+                    return done();
+                }
+                console.log(`✂️ Re-analyzing ${resultsToAnalyze.length} of ${modelResults.length} results within budget`);
+            }
+        }
+
         // Organize brands for sentiment analysis
         const ownBrand = brands.find(b => b.isOwnBrand === true) || { name: 'Your Company' };
         const competitors = brands.filter(b => b.isOwnBrand === false);
-        const brandData = { ownBrand, competitors };
+        const brandData = { ownBrand, competitors, aspects: analysisSettings.aspects };
 
         console.log(`🏷️ Brand info: Own brand: "${ownBrand.name}", Competitors: ${competitors.length}`);
 
@@ -204,10 +185,18 @@ module.exports = async function sentimentReanalysis(job, done) {
         // Re-run sentiment analysis on all existing results
         console.log('🔍 Starting sentiment re-analysis...');
         
-        for (const modelResult of modelResults) {
+        for (const modelResult of resultsToAnalyze) {
             try {
-                await performSentimentAnalysis(providerFactory, modelResult, brandData, workspaceId, job);
-                sentimentCompleted++;
+                const sentimentAnalysis = await performSentimentAnalysis(analyzers, modelResult, brandData, workspaceId, job);
+                // Failed analysis calls that reached a model are still billed
+                if (sentimentAnalysis.inputTokens > 0) {
+                    spendLedger.record('analysis', sentimentAnalysis.analyzedBy, sentimentAnalysis, { resultId: modelResult._id });
+                }
+                if (sentimentAnalysis.analysisStatus === 'complete') {
+                    sentimentCompleted++;
+                } else {
+                    sentimentFailed++;
+                }
             } catch (error) {
                 console.error(`❌ Sentiment re-analysis failed for result ${modelResult._id}:`, error.message);
                 sentimentFailed++;
@@ -215,7 +204,7 @@ module.exports = async function sentimentReanalysis(job, done) {
             
             // Update job progress
             if (typeof job.progress === 'function') {
-                job.progress(Math.round((sentimentCompleted + sentimentFailed) / modelResults.length * 100));
+                job.progress(Math.round((sentimentCompleted + sentimentFailed) / resultsToAnalyze.length * 100));
             }
             
             // Small delay to be respectful to APIs
@@ -223,6 +212,18 @@ module.exports = async function sentimentReanalysis(job, done) {
         }
 
         console.log(`🎯 Sentiment re-analysis completed. ${sentimentCompleted} successful, ${sentimentFailed} failed`);
+
+        await spendLedger.flush();
+
+        job.attrs.result = {
+            totalResults: modelResults.length,
+            successful: sentimentCompleted,
+            failed: sentimentFailed,
+            skippedOverBudget: modelResults.length - resultsToAnalyze.length,
+            spendUSD: spendLedger.total,
+            resilience: providerFactory.getResilienceSummary(),
+            completedAt: new Date()
+        };
         
         // Close workspace connection
         if (workspaceConnection) {
@@ -19,10 +19,11 @@ const PLAN_CONFIGS = {
     promptsLimit: 4,
     modelsLimit: 1,
     modelsSelectable: 0, // No selection - fixed model
+    samplesLimit: 1, // Generations per prompt x model per run
     promptCharacterLimit: 150,
     dataRetentionDays: 30,
     jobFrequency: 'monthly',
-    costBudgetMonthly: 0,
+    costBudgetMonthly: 0, // Not enforced - the fixed model and prompt limit bound spend
 
     // Allowed models for this tier (Fixed: GPT-4o-mini only)
     allowedModels: [
@@ -53,6 +54,7 @@ const PLAN_CONFIGS = {
     promptsLimit: 10,
     modelsLimit: 3,
     modelsSelectable: 3, // Must select exactly 3
+    samplesLimit: 1,
     promptCharacterLimit: 150,
     dataRetentionDays: 90,
     jobFrequency: 'daily',
@@ -98,6 +100,7 @@ const PLAN_CONFIGS = {
     promptsLimit: 20,
     modelsLimit: 6,
     modelsSelectable: 6, // Must select exactly 6
+    samplesLimit: 3,
     promptCharacterLimit: 150,
     dataRetentionDays: 180,
     jobFrequency: 'daily',
@@ -137,6 +140,7 @@ const PLAN_CONFIGS = {
       '20 prompts per month',
       'Select 6 AI models',
       'Includes Premium tier models',
+      'Up to 3 samples per prompt',
       'Daily data refresh',
       '180-day data retention',
       'Priority support',
@@ -157,6 +161,7 @@ const PLAN_CONFIGS = {
     promptsLimit: 999999,  // Unlimited
     modelsLimit: 999999,   // Unlimited
     modelsSelectable: 999999, // Unlimited selection
+    samplesLimit: 10,
     promptCharacterLimit: 150,  // Default, can be customized
     dataRetentionDays: 365,
     jobFrequency: 'daily',
@@ -179,7 +184,11 @@ const PLAN_CONFIGS = {
       'gemini-2.5-flash-lite',
       'gpt-4-turbo-2024-04-09',
       'gpt-4.1-mini-2025-04-14',
-      'gemini-2.0-flash'
+      'gemini-2.0-flash',
+      'claude-opus-4-20250514',
+      'claude-sonnet-4-20250514',
+      'claude-sonnet-4-5-20250929',
+      'claude-haiku-4-5-20251001'
     ],
 
     // Plan metadata
@@ -189,6 +198,7 @@ const PLAN_CONFIGS = {
       'Unlimited prompts',
       'All AI models available',
       'Unlimited model selection',
+      'Up to 10 samples per prompt',
       'Custom data refresh frequency',
       'Custom data retention',
       'Dedicated support',
@@ -253,6 +263,8 @@ function getPlanEntitlements(planId, customOverrides = {}) {
       promptCharacterLimit: customOverrides.promptCharacterLimit || plan.promptCharacterLimit,
       dataRetentionDays: customOverrides.dataRetentionDays || plan.dataRetentionDays,
       jobFrequency: customOverrides.jobFrequency || plan.jobFrequency,
+      samplesLimit: customOverrides.samplesLimit || plan.samplesLimit,
+      costBudgetMonthly: customOverrides.costBudgetMonthly || plan.costBudgetMonthly,
       allowedModels: customOverrides.allowedModels || plan.allowedModels
     };
   }
@@ -265,15 +277,71 @@ function getPlanEntitlements(planId, customOverrides = {}) {
     promptCharacterLimit: plan.promptCharacterLimit,
     dataRetentionDays: plan.dataRetentionDays,
     jobFrequency: plan.jobFrequency,
+    samplesLimit: plan.samplesLimit,
+    costBudgetMonthly: plan.costBudgetMonthly,
     allowedModels: plan.allowedModels
   };
 }
 
+// Scheduled runs per month for each job frequency (used for request and cost estimates)
+const RUNS_PER_MONTH = {
+  daily: 30,
+  weekly: 4,
+  monthly: 1
+};
+
+/**
+ * Get the maximum samples per prompt x model for a billing profile
+ * A samplesLimit stored on the billing profile (e.g. enterprise override) wins over the plan default.
+ * @param {Object} billingProfile - Billing profile document (may be null)
+ * @returns {number} Samples limit (at least 1)
+ */
+function getSamplesLimit(billingProfile) {
+  const plan = getPlanConfig(billingProfile?.currentPlan);
+  return Math.max(1, billingProfile?.samplesLimit || plan.samplesLimit || 1);
+}
+
+/**
+ * Resolve how many samples to run, clamped to 1..samplesLimit
+ * @param {number} requested - Samples requested by the prompt or workspace (may be undefined)
+ * @param {number} samplesLimit - Plan samples limit
+ * @returns {number} Samples to run
+ */
+function resolveSampleCount(requested, samplesLimit) {
+  const samples = parseInt(requested, 10) || 1;
+  return Math.min(Math.max(samples, 1), Math.max(samplesLimit || 1, 1));
+}
+
+/**
+ * Get the monthly provider cost budget for a billing profile
+ * A costBudgetMonthly stored on the billing profile (e.g. enterprise override) wins over the plan default.
+ * @param {Object} billingProfile - Billing profile document (may be null)
+ * @returns {number|null} Budget in USD, or null when not enforced (-1 = no limit, 0 = no budget)
+ */
+function getCostBudget(billingProfile) {
+  const plan = getPlanConfig(billingProfile?.currentPlan);
+  const budget = billingProfile?.costBudgetMonthly ?? plan.costBudgetMonthly;
+  return typeof budget === 'number' && budget > 0 ? budget : null;
+}
+
+/**
+ * Get the number of scheduled runs per month for a job frequency
+ * @param {string} jobFrequency - daily, weekly or monthly
+ * @returns {number} Runs per month
+ */
+function getRunsPerMonth(jobFrequency) {
+  return RUNS_PER_MONTH[jobFrequency] || RUNS_PER_MONTH.monthly;
+}
+
 module.exports = {
   PLAN_CONFIGS,
   getPlanConfig,
   getAllPlanConfigs,
   getPlanIds,
   isValidPlanId,
-  getPlanEntitlements
+  getPlanEntitlements,
+  getSamplesLimit,
+  resolveSampleCount,
+  getCostBudget,
+  getRunsPerMonth
 };
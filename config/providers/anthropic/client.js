@@ -1,63 +1,30 @@
 const { Anthropic } = require('@anthropic-ai/sdk');
-const { RateLimiter } = require('limiter');
+const ProviderRateLimiter = require('../rateLimiter');
+const { fromAnthropicContent } = require('../../utils/citations');
+
+// Tool the model is made to call for structured output; its input is the JSON answer
+const RESPONSE_TOOL = 'respond';
 
 // Rate limits for Anthropic models (requests per minute)
 const RATE_LIMITS = {
-    'claude-3-sonnet-20240229': { rpm: 50, tpm: 40000 },
-    'claude-3-haiku-20240307': { rpm: 50, tpm: 50000 },
-    'claude-3-opus-20240229': { rpm: 50, tpm: 20000 },
-    'claude-3-5-sonnet-20241022': { rpm: 50, tpm: 40000 }
+    // Claude 4 models
+    'claude-opus-4-20250514': { rpm: 50, tpm: 30000 },
+    'claude-sonnet-4-20250514': { rpm: 50, tpm: 30000 },
+    'claude-sonnet-4-5-20250929': { rpm: 50, tpm: 30000 },
+    'claude-haiku-4-5-20251001': { rpm: 50, tpm: 50000 }
 };
 
 class AnthropicProvider {
-    constructor(apiKey, redisClient) {
+    constructor(rateLimiter = new ProviderRateLimiter()) {
+        const apiKey = process.env.ANTHROPIC_API_KEY;
         if (!apiKey) {
-            throw new Error('Anthropic API key is required');
-        }
-        
-        this.client = new Anthropic({ apiKey });
-        this.redisClient = redisClient;
-        this.rateLimiters = new Map();
-        
-        // Initialize rate limiters for each model
-        Object.keys(RATE_LIMITS).forEach(modelId => {
-            const limits = RATE_LIMITS[modelId];
-            this.rateLimiters.set(modelId, {
-                requests: new RateLimiter({ tokensPerInterval: limits.rpm, interval: 'minute' }),
-                tokens: new RateLimiter({ tokensPerInterval: limits.tpm, interval: 'minute' })
-            });
-        });
-    }
-
-    // Check Redis-based rate limit
-    async checkRedisRateLimit(modelId, type = 'requests') {
-        const key = `anthropic:${modelId}:${type}`;
-        const limits = RATE_LIMITS[modelId];
-        
-        if (!limits) {
-            console.warn(`No rate limits defined for Anthropic model: ${modelId}`);
-            return true;
+            console.warn('🟡 Anthropic provider: ANTHROPIC_API_KEY not set');
+            return;
         }
 
-        const limit = type === 'requests' ? limits.rpm : limits.tpm;
-        const current = await this.redisClient.incr(key);
-        
-        if (current === 1) {
-            await this.redisClient.expire(key, 60); // 1 minute expiry
-        }
-
-        return current <= limit;
-    }
-
-    // Wait for rate limit reset
-    async waitForRateLimit(modelId, type = 'requests') {
-        const key = `anthropic:${modelId}:${type}`;
-        const ttl = await this.redisClient.ttl(key);
-        
-        if (ttl > 0) {
-            console.log(`Anthropic rate limit hit for ${modelId} (${type}), waiting ${ttl} seconds...`);
-            await new Promise(resolve => setTimeout(resolve, ttl * 1000));
-        }
+        this.client = new Anthropic({ apiKey, maxRetries: 0 }); // Retries are handled by ProviderResilience
+        this.name = 'anthropic';
+        this.rateLimiter = rateLimiter;
     }
 
     // Estimate token count (rough approximation)
@@ -68,56 +35,101 @@ class AnthropicProvider {
     // Make a message request with rate limiting
     async createMessage(modelId, messages, options = {}) {
         const startTime = Date.now();
-        
-        // Check rate limits
-        const canMakeRequest = await this.checkRedisRateLimit(modelId, 'requests');
-        if (!canMakeRequest) {
-            await this.waitForRateLimit(modelId, 'requests');
-        }
 
-        // Estimate token usage for rate limiting
+        // Reserve a request plus estimated tokens; corrected from real usage after the call
         const inputText = messages.map(m => m.content).join(' ');
         const estimatedTokens = this.estimateTokens(inputText) + (options.max_tokens || 1000);
-
-        const canUseTokens = await this.checkRedisRateLimit(modelId, 'tokens');
-        if (!canUseTokens) {
-            await this.waitForRateLimit(modelId, 'tokens');
-        }
+        const reservation = await this.rateLimiter.acquire(this.name, modelId, RATE_LIMITS[modelId], estimatedTokens);
 
         try {
-            const response = await this.client.messages.create({
+            // Anthropic takes the system prompt as a top-level field, not a message
+            const systemMessage = messages.find(m => m.role === 'system');
+            const requestParams = {
                 model: modelId,
                 max_tokens: options.max_tokens || 1000,
-                temperature: options.temperature || 0.7,
-                messages,
-                ...options
-            });
+                temperature: options.temperature !== undefined ? options.temperature : 0.7,
+                messages: messages.filter(m => m.role !== 'system')
+            };
+
+            if (systemMessage) {
+                requestParams.system = systemMessage.content;
+            }
+            if (options.top_p !== undefined) {
+                requestParams.top_p = options.top_p;
+            }
+            if (options.top_k !== undefined) {
+                requestParams.top_k = options.top_k;
+            }
+            // Structured output: Anthropic has no response schema, so force a tool call whose input follows it
+            if (options.responseSchema) {
+                requestParams.tools = [{
+                    name: RESPONSE_TOOL,
+                    description: 'Return the answer in the required JSON structure.',
+                    input_schema: options.responseSchema
+                }];
+                requestParams.tool_choice = { type: 'tool', name: RESPONSE_TOOL };
+            }
+
+            const response = await this.client.messages.create(requestParams);
 
             const responseTime = Date.now() - startTime;
-            
+
+            await this.rateLimiter.recordUsage(reservation, response.usage.input_tokens + response.usage.output_tokens);
+
+            const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === RESPONSE_TOOL);
+
             return {
-                content: response.content[0].text,
+                content: toolUse
+                    ? JSON.stringify(toolUse.input)
+                    : response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
                 tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
                 inputTokens: response.usage.input_tokens,
                 outputTokens: response.usage.output_tokens,
                 responseTime,
                 model: response.model,
-                stopReason: response.stop_reason
+                stopReason: response.stop_reason,
+                citations: fromAnthropicContent(response.content) // Web search citations on text blocks
             };
         } catch (error) {
             console.error(`Anthropic API error for ${modelId}:`, error.message);
-            
-            // Handle rate limit errors specifically
+
+            // Rate limit errors block the model in the shared limiter; the SDK error is rethrown as is so
+            // its status and retry-after headers reach ProviderResilience
             if (error.status === 429) {
-                console.log(`Anthropic rate limit exceeded for ${modelId}, waiting before retry...`);
-                await new Promise(resolve => setTimeout(resolve, 60000)); // Wait 1 minute
-                throw new Error(`Rate limit exceeded for ${modelId}`);
+                await this.rateLimiter.handleRateLimitError(reservation, error);
             }
-            
+
             throw error;
         }
     }
 
+    // Generate text using the model (wrapper around createMessage)
+    async generateText(modelId, prompt, options = {}) {
+        // options.systemPrompt carries the context profile (persona, locale) when one is set
+        const messages = [
+            ...(options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : []),
+            { role: 'user', content: prompt }
+        ];
+
+        const result = await this.createMessage(modelId, messages, options);
+
+        return {
+            response: result.content,
+            tokensUsed: result.tokensUsed,
+            inputTokens: result.inputTokens,
+            outputTokens: result.outputTokens,
+            responseTime: result.responseTime,
+            model: result.model,
+            provider: 'anthropic',
+            citations: result.citations
+        };
+    }
+
+    // Check if a model is supported
+    isModelSupported(modelId) {
+        return Object.keys(RATE_LIMITS).includes(modelId);
+    }
+
     // Get available models
     getAvailableModels() {
         return Object.keys(RATE_LIMITS);
@@ -127,6 +139,14 @@ class AnthropicProvider {
     getRateLimitInfo(modelId) {
         return RATE_LIMITS[modelId] || null;
     }
+
+    getProviderInfo() {
+        return {
+            name: this.name,
+            initialized: !!this.client,
+            supportedModels: this.getAvailableModels()
+        };
+    }
 }
 
-module.exports = AnthropicProvider; 
\ No newline at end of file
+module.exports = AnthropicProvider;
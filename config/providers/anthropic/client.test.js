@@ -0,0 +1,120 @@
+/**
+ * Tests for the Anthropic provider's structured output and rate limit errors
+ *
+ * A `responseSchema` becomes a forced tool call whose input schema is the requested schema, and the
+ * tool input comes back as the JSON response text. A 429 reaches the caller as the SDK's own error.
+ * Runs against a fake Messages API client.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AnthropicProvider = require('./client');
+
+const SCHEMA = {
+  type: 'object',
+  properties: { sentiment: { type: 'string', enum: ['positive', 'negative'] } },
+  required: ['sentiment'],
+  additionalProperties: false
+};
+
+// Provider whose Messages API answers with `content` and records each request
+function createProvider(content) {
+  const previous = process.env.ANTHROPIC_API_KEY;
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+  const provider = new AnthropicProvider();
+  if (previous === undefined) {
+    delete process.env.ANTHROPIC_API_KEY;
+  } else {
+    process.env.ANTHROPIC_API_KEY = previous;
+  }
+
+  provider.requests = [];
+  provider.client = {
+    messages: {
+      async create(params) {
+        provider.requests.push(params);
+        return {
+          model: params.model,
+          content,
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 120, output_tokens: 30 }
+        };
+      }
+    }
+  };
+  return provider;
+}
+
+test('forces a tool call with the response schema and returns its input as JSON', async () => {
+  const provider = createProvider([
+    { type: 'tool_use', id: 'toolu_1', name: 'respond', input: { sentiment: 'positive' } }
+  ]);
+
+  const result = await provider.generateText('claude-sonnet-4-20250514', 'How is Harbour Bank described?', {
+    max_tokens: 500,
+    temperature: 0,
+    responseSchema: SCHEMA
+  });
+
+  const [request] = provider.requests;
+  assert.deepStrictEqual(request.tools, [{
+    name: 'respond',
+    description: 'Return the answer in the required JSON structure.',
+    input_schema: SCHEMA
+  }]);
+  assert.deepStrictEqual(request.tool_choice, { type: 'tool', name: 'respond' });
+  assert.strictEqual(request.responseSchema, undefined);
+  assert.strictEqual(request.temperature, 0);
+
+  assert.strictEqual(result.response, '{"sentiment":"positive"}');
+  assert.strictEqual(result.inputTokens, 120);
+  assert.strictEqual(result.outputTokens, 30);
+});
+
+test('sends plain requests without tools and returns the text blocks', async () => {
+  const provider = createProvider([
+    { type: 'text', text: 'Harbour Bank ' },
+    { type: 'text', text: 'is well regarded.' }
+  ]);
+
+  const result = await provider.generateText('claude-sonnet-4-20250514', 'Which bank is best?', { systemPrompt: 'You are in Australia.' });
+
+  const [request] = provider.requests;
+  assert.strictEqual(request.tools, undefined);
+  assert.strictEqual(request.tool_choice, undefined);
+  assert.strictEqual(request.system, 'You are in Australia.');
+  assert.strictEqual(result.response, 'Harbour Bank is well regarded.');
+});
+
+test('rethrows rate limit errors with their status and headers after blocking the model', async () => {
+  const provider = createProvider([]);
+  const rateLimitError = Object.assign(new Error('429 rate_limit_error'), {
+    status: 429,
+    headers: { 'retry-after': '30' }
+  });
+  provider.client.messages.create = async () => {
+    throw rateLimitError;
+  };
+  const handled = [];
+  provider.rateLimiter = {
+    acquire: async () => 'reservation',
+    recordUsage: async () => {},
+    handleRateLimitError: async (reservation, error) => handled.push({ reservation, error })
+  };
+
+  const realError = console.error;
+  console.error = () => {};
+  try {
+    await assert.rejects(provider.generateText('claude-sonnet-4-20250514', 'Which bank is best?'), error => {
+      assert.strictEqual(error, rateLimitError);
+      assert.strictEqual(error.status, 429);
+      assert.strictEqual(error.headers['retry-after'], '30');
+      return true;
+    });
+  } finally {
+    console.error = realError;
+  }
+  assert.deepStrictEqual(handled, [{ reservation: 'reservation', error: rateLimitError }]);
+});
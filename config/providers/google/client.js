@@ -1,12 +1,43 @@
 const { VertexAI } = require('@google-cloud/vertexai');
 const { GoogleAuth } = require('google-auth-library');
 const { AnthropicVertex } = require('@anthropic-ai/vertex-sdk');
-const { RateLimiter } = require('limiter');
+const ProviderRateLimiter = require('../rateLimiter');
+const { fromGroundingMetadata } = require('../../utils/citations');
+
+// Convert a JSON schema to the OpenAPI subset Gemini accepts: nullable instead of type unions,
+// and no additionalProperties
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const { additionalProperties, type, properties, items, ...rest } = schema;
+    const types = Array.isArray(type) ? type : [type];
+    const converted = { ...rest, type: types.find(t => t !== 'null') };
+
+    if (types.includes('null')) {
+        converted.nullable = true;
+    }
+    // Gemini enums are strings only; null is covered by nullable
+    if (rest.enum) {
+        converted.enum = rest.enum.filter(value => value !== null);
+    }
+    if (properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    if (items) {
+        converted.items = toGeminiSchema(items);
+    }
+
+    return converted;
+}
 
 class GoogleProvider {
-  constructor() {
+  constructor(rateLimiter = new ProviderRateLimiter()) {
     this.name = 'google';
-    this.rateLimiters = new Map();
+    this.rateLimiter = rateLimiter;
     this.vertexAI = null;
     this.anthropicVertex = null;
     this.projectId = process.env.GCP_PROJECT_ID;
@@ -40,47 +71,26 @@ class GoogleProvider {
     }
   }
 
-  getRateLimiter(modelId, type = 'requests') {
-    const key = `${modelId}:${type}`;
-    
-    if (!this.rateLimiters.has(key)) {
-      const limits = this.getModelLimits(modelId, type);
-      this.rateLimiters.set(key, new RateLimiter({
-        tokensPerInterval: limits.max,
-        interval: limits.interval
-      }));
-    }
-    
-    return this.rateLimiters.get(key);
-  }
-
-  getModelLimits(modelId, type) {
+  getModelLimits(modelId) {
     // Gemini models (via Vertex AI)
     const geminiLimits = {
-      'gemini-2.5-pro': {
-        requests: { max: 300, interval: 60000 }, // 300 RPM
-        tokens: { max: 1000000, interval: 60000 } // 1M TPM
-      },
-      'gemini-2.5-flash': {
-        requests: { max: 1000, interval: 60000 }, // 1000 RPM  
-        tokens: { max: 1000000, interval: 60000 } // 1M TPM
-      }
+      'gemini-2.5-pro': { rpm: 300, tpm: 1000000 },
+      'gemini-2.5-flash': { rpm: 1000, tpm: 1000000 }
     };
 
     // Claude models (via Vertex AI) - based on Vertex AI documentation
     const claudeLimits = {
-      'claude-opus-4@20250514': {
-        requests: { max: 25, interval: 60000 }, // 25 QPM
-        tokens: { max: 60000, interval: 60000 } // 60k input TPM
-      },
-      'claude-sonnet-4@20250514': {
-        requests: { max: 35, interval: 60000 }, // 35 QPM
-        tokens: { max: 280000, interval: 60000 } // 280k input TPM
-      }
+      'claude-opus-4@20250514': { rpm: 25, tpm: 60000 }, // 60k input TPM
+      'claude-sonnet-4@20250514': { rpm: 35, tpm: 280000 } // 280k input TPM
     };
 
     const allLimits = { ...geminiLimits, ...claudeLimits };
-    return allLimits[modelId]?.[type] || { max: 100, interval: 60000 };
+    return allLimits[modelId] || { rpm: 100, tpm: null };
+  }
+
+  // Estimate token count (rough approximation)
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
   }
 
   async generateText(modelId, prompt, options = {}) {
@@ -88,17 +98,18 @@ class GoogleProvider {
       throw new Error('Google provider not initialized');
     }
 
-    // Apply rate limiting
-    const requestLimiter = this.getRateLimiter(modelId, 'requests');
-    const tokenLimiter = this.getRateLimiter(modelId, 'tokens');
-    
-    await requestLimiter.removeTokens(1);
-    
+    // Reserve a request plus estimated tokens; corrected from real usage after the call
+    const estimatedTokens = this.estimateTokens(prompt + (options.systemPrompt || '')) + (options.max_tokens || options.maxTokens || 1024);
+    const reservation = await this.rateLimiter.acquire(this.name, modelId, this.getModelLimits(modelId), estimatedTokens);
+
     const startTime = Date.now();
 
     try {
       let response;
       let tokensUsed = 0;
+      let inputTokens = 0;
+      let outputTokens = 0;
+      let citations = [];
 
       // Check if it's a Claude model (Anthropic via Vertex AI)
       if (modelId.startsWith('claude-')) {
@@ -110,6 +121,8 @@ class GoogleProvider {
           model: modelId,
           max_tokens: options.max_tokens || options.maxTokens || 1024,
           anthropic_version: "vertex-2024-10-22",
+          // Context profile (persona, locale) when one is set
+          ...(options.systemPrompt ? { system: options.systemPrompt } : {}),
           messages: [
             {
               role: 'user',
@@ -119,7 +132,9 @@ class GoogleProvider {
         });
 
         response = message.content[0].text;
-        tokensUsed = message.usage.input_tokens + message.usage.output_tokens;
+        inputTokens = message.usage.input_tokens;
+        outputTokens = message.usage.output_tokens;
+        tokensUsed = inputTokens + outputTokens;
       } 
       // Gemini models (via Vertex AI)
       else {
@@ -131,11 +146,18 @@ class GoogleProvider {
         const maxTokens = options.max_tokens || options.maxTokens || 1024;
         const model = this.vertexAI.getGenerativeModel({
           model: modelId,
+          // Context profile (persona, locale) when one is set
+          ...(options.systemPrompt ? { systemInstruction: options.systemPrompt } : {}),
           generationConfig: {
             maxOutputTokens: maxTokens,
             temperature: options.temperature !== undefined ? options.temperature : 0.7,
             topP: options.topP !== undefined ? options.topP : 1.0,
             topK: options.topK !== undefined ? options.topK : 32,
+            // Structured output when the caller passes a JSON schema
+            ...(options.responseSchema ? {
+              responseMimeType: 'application/json',
+              responseSchema: toGeminiSchema(options.responseSchema)
+            } : {})
           },
           safetySettings: [
             // Use default safety settings to match web interface behavior
@@ -198,23 +220,37 @@ class GoogleProvider {
         }
         
         tokensUsed = responseData?.usageMetadata?.totalTokenCount || 0;
+        // Thinking tokens are billed as output on Gemini 2.5
+        inputTokens = responseData?.usageMetadata?.promptTokenCount || 0;
+        outputTokens = (responseData?.usageMetadata?.candidatesTokenCount || 0) + (responseData?.usageMetadata?.thoughtsTokenCount || 0);
+
+        // Sources used when the model has search grounding enabled
+        citations = fromGroundingMetadata(candidate.groundingMetadata);
       }
 
-      // Apply token-based rate limiting
-      await tokenLimiter.removeTokens(tokensUsed);
+      await this.rateLimiter.recordUsage(reservation, tokensUsed);
 
       const responseTime = Date.now() - startTime;
 
       return {
         response,
         tokensUsed,
+        inputTokens,
+        outputTokens,
         responseTime,
         model: modelId,
-        provider: this.name
+        provider: this.name,
+        citations
       };
 
     } catch (error) {
       console.error(`❌ Google provider error for ${modelId}:`, error.message);
+
+      // Vertex AI reports quota exhaustion as 429 / RESOURCE_EXHAUSTED
+      if (error.status === 429 || error.code === 429 || /RESOURCE_EXHAUSTED|429/.test(error.message)) {
+        await this.rateLimiter.handleRateLimitError(reservation, error);
+      }
+
       throw error;
     }
   }
@@ -246,4 +282,5 @@ class GoogleProvider {
   }
 }
 
-module.exports = GoogleProvider; 
\ No newline at end of file
+module.exports = GoogleProvider;
+module.exports.toGeminiSchema = toGeminiSchema; 
\ No newline at end of file
@@ -1,18 +1,40 @@
 const OpenAIProvider = require('./openai/client');
 const GoogleProvider = require('./google/client');
+const AnthropicProvider = require('./anthropic/client');
+const OpenAICompatibleProvider = require('./openaiCompatible/client');
+const MockProvider = require('./mock/client');
+const ProviderRateLimiter = require('./rateLimiter');
+const ProviderResilience = require('./resilience');
+const { isMockEnabled } = require('./mock/client');
+const { getCompatibleProviderConfigs } = require('./openaiCompatible/config');
+
+const BUILT_IN_PROVIDERS = ['mock', 'openai', 'google', 'anthropic'];
 
 class ProviderFactory {
-    constructor() {
+    // redisClient (job.redisClient) shares rate-limit windows across workers; omit for in-process limits
+    constructor(redisClient = null) {
         this.providers = new Map();
+        this.rateLimiter = new ProviderRateLimiter(redisClient);
+        this.resilience = new ProviderResilience();
         this.initializeProviders();
+        this.providers.forEach((provider, providerName) => this.wrapProvider(providerName, provider));
     }
 
     // Initialize all providers
     initializeProviders() {
+        // Mock mode: one deterministic provider stands in for every real provider, no API keys needed
+        if (isMockEnabled()) {
+            const mockProvider = new MockProvider();
+            const compatibleIds = getCompatibleProviderConfigs().map(config => config.id);
+            [...BUILT_IN_PROVIDERS, ...compatibleIds].forEach(name => this.providers.set(name, mockProvider));
+            console.log(`🧪 Mock AI provider initialized (standing in for ${[...BUILT_IN_PROVIDERS.slice(1), ...compatibleIds].join(', ')})`);
+            return;
+        }
+
         // Initialize OpenAI if API key is available
         if (process.env.OPENAI_API_KEY) {
             try {
-                const openaiProvider = new OpenAIProvider();
+                const openaiProvider = new OpenAIProvider(this.rateLimiter);
                 if (openaiProvider.client) {
                     this.providers.set('openai', openaiProvider);
                     console.log('✅ OpenAI provider initialized');
@@ -27,7 +49,7 @@ class ProviderFactory {
         // Initialize Google if credentials are available (handles both Gemini and Anthropic via Vertex AI)
         if (process.env.GCP_PROJECT_ID) {
             try {
-                const googleProvider = new GoogleProvider();
+                const googleProvider = new GoogleProvider(this.rateLimiter);
                 if (googleProvider.vertexAI || googleProvider.anthropicVertex) {
                     this.providers.set('google', googleProvider);
                     console.log('✅ Google Vertex AI provider initialized (includes Gemini and Anthropic models)');
@@ -38,6 +60,55 @@ class ProviderFactory {
         } else {
             console.warn('🟡 GCP_PROJECT_ID not found, skipping Google provider');
         }
+
+        // Initialize Anthropic if API key is available (direct API, independent of Vertex AI quota)
+        if (process.env.ANTHROPIC_API_KEY) {
+            try {
+                const anthropicProvider = new AnthropicProvider(this.rateLimiter);
+                if (anthropicProvider.client) {
+                    this.providers.set('anthropic', anthropicProvider);
+                    console.log('✅ Anthropic provider initialized');
+                }
+            } catch (error) {
+                console.error('❌ Failed to initialize Anthropic provider:', error.message);
+            }
+        } else {
+            console.warn('🟡 Anthropic API key not found, skipping Anthropic provider');
+        }
+
+        // Initialize OpenAI-compatible endpoints configured under `compatibleProviders` in models.yaml
+        getCompatibleProviderConfigs().forEach(config => {
+            if (BUILT_IN_PROVIDERS.includes(config.id)) {
+                console.error(`❌ OpenAI-compatible provider id "${config.id}" clashes with a built-in provider, skipping`);
+                return;
+            }
+            try {
+                const compatibleProvider = new OpenAICompatibleProvider(config, this.rateLimiter);
+                if (compatibleProvider.client) {
+                    this.providers.set(config.id, compatibleProvider);
+                    console.log(`✅ ${compatibleProvider.displayName} provider initialized (OpenAI-compatible, ${compatibleProvider.models.length} models)`);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to initialize OpenAI-compatible provider ${config.id}:`, error.message);
+            }
+        });
+    }
+
+    // Route generateText through retries and the per-model circuit breaker
+    wrapProvider(providerName, provider) {
+        if (provider.resilienceWrapped) {
+            return; // The mock provider is registered under several names
+        }
+
+        const generateText = provider.generateText.bind(provider);
+        provider.generateText = (modelId, prompt, options) =>
+            this.resilience.execute(providerName, modelId, () => generateText(modelId, prompt, options));
+        provider.resilienceWrapped = true;
+    }
+
+    // Retry counts and circuit breaker state for the job summary
+    getResilienceSummary() {
+        return this.resilience.getSummary();
     }
 
     // Get a specific provider
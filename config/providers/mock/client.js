@@ -0,0 +1,157 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Check whether mock providers are enabled for this process
+ * When enabled, ProviderFactory and the batch helpers never call real AI APIs.
+ * @returns {boolean}
+ */
+function isMockEnabled() {
+    return process.env.MOCK_AI_PROVIDERS === 'true';
+}
+
+/**
+ * Load fixtures from the file named by MOCK_AI_FIXTURES
+ * Format: { "responses": [{ "model", "prompt", "response", "tokensUsed", "latencyMs" }], "default": "..." }
+ * "model" must match exactly; "prompt" matches as a case-insensitive substring. Both are optional.
+ * @returns {Object} - Fixtures object
+ */
+function loadFixtures() {
+    const fixturesPath = process.env.MOCK_AI_FIXTURES;
+    if (!fixturesPath) {
+        return { responses: [] };
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Failed to load mock fixtures from ${fixturesPath}:`, error.message);
+        return { responses: [] };
+    }
+}
+
+// Stable integer derived from the input, so the same model+prompt always gets the same answer
+function hashToInt(...parts) {
+    return parseInt(crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 8), 16);
+}
+
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.client = true; // Mirrors the real providers' "initialized" check in ProviderFactory
+        this.fixtures = options.fixtures || loadFixtures();
+        this.calls = [];
+    }
+
+    // Replace fixtures at runtime (used by tests)
+    setFixtures(fixtures) {
+        this.fixtures = fixtures || { responses: [] };
+    }
+
+    // Estimate token count (rough approximation)
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    findFixture(modelId, prompt) {
+        const lowerPrompt = prompt.toLowerCase();
+        return (this.fixtures.responses || []).find(fixture =>
+            (!fixture.model || fixture.model === modelId) &&
+            (!fixture.prompt || lowerPrompt.includes(fixture.prompt.toLowerCase()))
+        );
+    }
+
+    // Build brand-sentiment JSON for analysis prompts, based on plain substring matching
+    buildAnalysisResponse(prompt) {
+        // Brand lines may carry aliases after the type: "- Acme (own) - also: ACM"
+        const brandLines = prompt.match(/^- (.+?) \((own|competitor)\)(?: - .*)?$/gm) || [];
+        const textMatch = prompt.match(/Text to analyze: "([\s\S]*?)"\n/);
+        const text = (textMatch ? textMatch[1] : '').toLowerCase();
+
+        const brands = brandLines.map(line => {
+            const [, name, type] = line.match(/^- (.+?) \((own|competitor)\)(?: - .*)?$/);
+            return { brandKeywords: name, type, index: text.indexOf(name.toLowerCase()) };
+        });
+
+        const mentionedOrder = brands
+            .filter(b => b.index !== -1)
+            .sort((a, b) => a.index - b.index)
+            .map(b => b.brandKeywords);
+
+        return JSON.stringify({
+            brands: brands.map(b => {
+                const mentioned = b.index !== -1;
+                const position = mentioned ? mentionedOrder.indexOf(b.brandKeywords) + 1 : null;
+                return {
+                    brandKeywords: b.brandKeywords,
+                    type: b.type,
+                    mentioned,
+                    sentiment: mentioned ? 'positive' : 'not-determined',
+                    confidence: mentioned ? 1 : null,
+                    position,
+                    // The first brand mentioned counts as the recommendation
+                    role: mentioned ? (position === 1 ? 'primary-recommendation' : 'alternative') : null,
+                    aspects: []
+                };
+            }),
+            overallSentiment: mentionedOrder.length > 0 ? 'positive' : 'not-determined',
+            untrackedBrands: []
+        });
+    }
+
+    buildResponse(modelId, prompt) {
+        const fixture = this.findFixture(modelId, prompt);
+        if (fixture) {
+            return fixture;
+        }
+
+        if (prompt.includes('AVAILABLE BRANDS')) {
+            return { response: this.buildAnalysisResponse(prompt) };
+        }
+
+        return {
+            response: this.fixtures.default ||
+                `Mock response from ${modelId} (#${hashToInt(modelId, prompt) % 1000}) for: ${prompt}`
+        };
+    }
+
+    // Generate text deterministically from fixtures or scripted defaults
+    async generateText(modelId, prompt, options = {}) {
+        const { response, tokensUsed, latencyMs } = this.buildResponse(modelId, prompt);
+
+        this.calls.push({ modelId, prompt, options });
+
+        const inputTokens = this.estimateTokens(prompt);
+        const outputTokens = this.estimateTokens(response);
+
+        return {
+            response,
+            tokensUsed: tokensUsed !== undefined ? tokensUsed : inputTokens + outputTokens,
+            inputTokens,
+            outputTokens,
+            responseTime: latencyMs !== undefined ? latencyMs : 200 + (hashToInt(modelId, prompt) % 1000),
+            model: modelId,
+            provider: this.name
+        };
+    }
+
+    // The mock stands in for every provider, so every model is supported
+    isModelSupported(modelId) {
+        return true;
+    }
+
+    getAvailableModels() {
+        return [...new Set((this.fixtures.responses || []).map(f => f.model).filter(Boolean))];
+    }
+
+    getProviderInfo() {
+        return {
+            name: this.name,
+            initialized: true,
+            fixtures: (this.fixtures.responses || []).length
+        };
+    }
+}
+
+module.exports = MockProvider;
+module.exports.isMockEnabled = isMockEnabled;
@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
-const { RateLimiter } = require('limiter');
+const ProviderRateLimiter = require('../rateLimiter');
+const { fromChatCompletion } = require('../../utils/citations');
 
 // Rate limits for OpenAI models (based on OpenAI Tier 1 limits)
 const RATE_LIMITS = {
@@ -21,50 +22,16 @@ const RATE_LIMITS = {
 };
 
 class OpenAIProvider {
-    constructor() {
+    constructor(rateLimiter = new ProviderRateLimiter()) {
         const apiKey = process.env.OPENAI_API_KEY;
         if (!apiKey) {
             console.warn('🟡 OpenAI provider: OPENAI_API_KEY not set');
             return;
         }
         
-        this.client = new OpenAI({ apiKey });
+        this.client = new OpenAI({ apiKey, maxRetries: 0 }); // Retries are handled by ProviderResilience
         this.name = 'openai';
-        this.rateLimiters = new Map();
-        
-        // Initialize rate limiters for each model
-        Object.keys(RATE_LIMITS).forEach(modelId => {
-            const limits = RATE_LIMITS[modelId];
-            this.rateLimiters.set(modelId, {
-                requests: new RateLimiter({ tokensPerInterval: limits.rpm, interval: 'minute' }),
-                tokens: new RateLimiter({ tokensPerInterval: limits.tpm, interval: 'minute' })
-            });
-        });
-    }
-
-    // Check Redis-based rate limit
-    async checkRedisRateLimit(modelId, type = 'requests') {
-        // For now, use in-memory rate limiting since Redis client isn't available
-        // TODO: Integrate with Redis when available
-        const rateLimiter = this.rateLimiters.get(modelId);
-        if (!rateLimiter) {
-            return true;
-        }
-
-        const limiter = type === 'requests' ? rateLimiter.requests : rateLimiter.tokens;
-        try {
-            await limiter.removeTokens(1);
-            return true;
-        } catch (error) {
-            return false;
-        }
-    }
-
-    // Wait for rate limit reset
-    async waitForRateLimit(modelId, type = 'requests') {
-        // Simple backoff strategy
-        console.log(`OpenAI rate limit hit for ${modelId} (${type}), waiting 60 seconds...`);
-        await new Promise(resolve => setTimeout(resolve, 60000));
+        this.rateLimiter = rateLimiter;
     }
 
     // Estimate token count (rough approximation)
@@ -75,23 +42,11 @@ class OpenAIProvider {
     // Make a chat completion request with rate limiting
     async chatCompletion(modelId, messages, options = {}) {
         const startTime = Date.now();
-        
-        // Check rate limits
-        const canMakeRequest = await this.checkRedisRateLimit(modelId, 'requests');
-        if (!canMakeRequest) {
-            await this.waitForRateLimit(modelId, 'requests');
-        }
 
-        // Estimate token usage for rate limiting
+        // Reserve a request plus estimated tokens; corrected from real usage after the call
         const inputText = messages.map(m => m.content).join(' ');
-        const estimatedInputTokens = this.estimateTokens(inputText);
-        const estimatedOutputTokens = options.max_tokens || 1000;
-        const totalEstimatedTokens = estimatedInputTokens + estimatedOutputTokens;
-
-        const canUseTokens = await this.checkRedisRateLimit(modelId, 'tokens');
-        if (!canUseTokens) {
-            await this.waitForRateLimit(modelId, 'tokens');
-        }
+        const estimatedTokens = this.estimateTokens(inputText) + (options.max_tokens || 1000);
+        const reservation = await this.rateLimiter.acquire(this.name, modelId, RATE_LIMITS[modelId], estimatedTokens);
 
         try {
             // o1 models use different parameter names
@@ -115,6 +70,8 @@ class OpenAIProvider {
             const response = await this.client.chat.completions.create(requestParams);
 
             const responseTime = Date.now() - startTime;
+
+            await this.rateLimiter.recordUsage(reservation, response.usage.total_tokens);
             
             return {
                 content: response.choices[0].message.content,
@@ -123,15 +80,15 @@ class OpenAIProvider {
                 outputTokens: response.usage.completion_tokens,
                 responseTime,
                 model: response.model,
-                finishReason: response.choices[0].finish_reason
+                finishReason: response.choices[0].finish_reason,
+                citations: fromChatCompletion(response) // url_citation annotations from search models
             };
         } catch (error) {
             console.error(`OpenAI API error for ${modelId}:`, error.message);
             
             // Handle rate limit errors specifically
             if (error.status === 429) {
-                console.log(`OpenAI rate limit exceeded for ${modelId}, waiting before retry...`);
-                await new Promise(resolve => setTimeout(resolve, 60000)); // Wait 1 minute
+                await this.rateLimiter.handleRateLimitError(reservation, error);
                 throw new Error(`Rate limit exceeded for ${modelId}`);
             }
             
@@ -141,18 +98,31 @@ class OpenAIProvider {
 
     // Generate text using the model (wrapper around chatCompletion)
     async generateText(modelId, prompt, options = {}) {
+        // systemPrompt carries the context profile (persona, locale) when one is set; it is not an API parameter
+        const { systemPrompt, responseSchema, ...completionOptions } = options;
+        // Structured output when the caller passes a JSON schema
+        if (responseSchema) {
+            completionOptions.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: responseSchema, strict: true }
+            };
+        }
         const messages = [
+            ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
             { role: 'user', content: prompt }
         ];
 
-        const result = await this.chatCompletion(modelId, messages, options);
+        const result = await this.chatCompletion(modelId, messages, completionOptions);
         
         return {
             response: result.content,
             tokensUsed: result.tokensUsed,
+            inputTokens: result.inputTokens,
+            outputTokens: result.outputTokens,
             responseTime: result.responseTime,
             model: result.model,
-            provider: 'openai'
+            provider: 'openai',
+            citations: result.citations
         };
     }
 
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const ProviderRateLimiter = require('../rateLimiter');
+const { fromChatCompletion } = require('../../utils/citations');
+
+// Default rate limit for self-hosted/third-party endpoints when a model sets no `rpm`
+const DEFAULT_RPM = 60;
+
+/**
+ * Provider for any endpoint implementing the OpenAI chat completions API
+ * (vLLM, Ollama, LM Studio, Mistral, DeepSeek, Perplexity, ...).
+ * Configured entirely from the `compatibleProviders` section of models.yaml.
+ */
+class OpenAICompatibleProvider {
+    constructor(config, rateLimiter = new ProviderRateLimiter()) {
+        if (!config || !config.id || !config.baseURL) {
+            throw new Error('OpenAI-compatible provider requires an id and baseURL');
+        }
+
+        this.name = config.id;
+        this.displayName = config.name || config.id;
+        this.baseURL = config.baseURL.replace(/\/+$/, '');
+        this.models = config.models || [];
+        this.timeout = config.timeoutMs || 120000;
+        // How a `responseSchema` is sent: strict 'json_schema' (default) or 'json_object' for endpoints with JSON mode only
+        this.responseFormat = config.responseFormat || 'json_schema';
+
+        // Auth is optional - local servers like Ollama usually need none
+        this.headers = { 'Content-Type': 'application/json' };
+        const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : null;
+        if (config.apiKeyEnv && !apiKey) {
+            console.warn(`🟡 ${this.displayName} provider: ${config.apiKeyEnv} not set`);
+            return;
+        }
+        if (apiKey) {
+            this.headers[config.authHeader] = config.authScheme ? `${config.authScheme} ${apiKey}` : apiKey;
+        }
+
+        this.client = axios.create({
+            baseURL: this.baseURL,
+            headers: this.headers,
+            timeout: this.timeout
+        });
+
+        this.rateLimiter = rateLimiter;
+    }
+
+    // Estimate token count (rough approximation)
+    estimateTokens(text) {
+        return Math.ceil(text.length / 4);
+    }
+
+    // Rate limits come from the model entry in models.yaml (`rpm`, optional `tpm`)
+    getRateLimitInfo(modelId) {
+        const model = this.models.find(m => m.modelId === modelId);
+        return model ? { rpm: model.rpm || DEFAULT_RPM, tpm: model.tpm || null } : null;
+    }
+
+    // Make a chat completion request with rate limiting
+    async chatCompletion(modelId, messages, options = {}) {
+        const startTime = Date.now();
+
+        const inputText = messages.map(m => m.content).join(' ');
+        const estimatedTokens = this.estimateTokens(inputText) + (options.max_tokens || 1000);
+        const reservation = await this.rateLimiter.acquire(this.name, modelId, this.getRateLimitInfo(modelId), estimatedTokens);
+
+        try {
+            const requestParams = {
+                model: modelId,
+                messages,
+                max_tokens: options.max_tokens || 1000,
+                temperature: options.temperature !== undefined ? options.temperature : 0.7
+            };
+            if (options.top_p !== undefined) {
+                requestParams.top_p = options.top_p;
+            }
+            // Structured output when the caller passes a JSON schema; JSON mode relies on the prompt for the shape
+            if (options.responseSchema) {
+                requestParams.response_format = this.responseFormat === 'json_object'
+                    ? { type: 'json_object' }
+                    : { type: 'json_schema', json_schema: { name: 'response', schema: options.responseSchema, strict: true } };
+            }
+
+            const { data } = await this.client.post('/chat/completions', requestParams);
+
+            const responseTime = Date.now() - startTime;
+            const usage = data.usage || {};
+
+            await this.rateLimiter.recordUsage(reservation, usage.total_tokens);
+
+            return {
+                content: data.choices?.[0]?.message?.content || '',
+                tokensUsed: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+                inputTokens: usage.prompt_tokens || 0,
+                outputTokens: usage.completion_tokens || 0,
+                responseTime,
+                model: data.model || modelId,
+                finishReason: data.choices?.[0]?.finish_reason,
+                citations: fromChatCompletion(data) // Annotations or Perplexity-style citations/search_results
+            };
+        } catch (error) {
+            const message = error.response?.data?.error?.message || error.message;
+            console.error(`${this.displayName} API error for ${modelId}:`, message);
+
+            if (error.response?.status === 429) {
+                await this.rateLimiter.handleRateLimitError(reservation, error);
+            }
+
+            // Keep the HTTP status, headers and network error code (ECONNREFUSED, ETIMEDOUT, ...) so
+            // ProviderResilience can tell retryable failures from terminal ones
+            const wrapped = new Error(`${this.displayName} request failed for ${modelId}: ${message}`, { cause: error });
+            wrapped.status = error.response?.status;
+            wrapped.headers = error.response?.headers;
+            wrapped.code = error.code;
+            throw wrapped;
+        }
+    }
+
+    // Generate text using the model (wrapper around chatCompletion)
+    async generateText(modelId, prompt, options = {}) {
+        // options.systemPrompt carries the context profile (persona, locale) when one is set
+        const messages = [
+            ...(options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : []),
+            { role: 'user', content: prompt }
+        ];
+
+        const result = await this.chatCompletion(modelId, messages, options);
+
+        return {
+            response: result.content,
+            tokensUsed: result.tokensUsed,
+            inputTokens: result.inputTokens,
+            outputTokens: result.outputTokens,
+            responseTime: result.responseTime,
+            model: result.model,
+            provider: this.name,
+            citations: result.citations
+        };
+    }
+
+    // Check if a model is supported
+    isModelSupported(modelId) {
+        return this.models.some(model => model.modelId === modelId);
+    }
+
+    // Get available models
+    getAvailableModels() {
+        return this.models.map(model => model.modelId);
+    }
+
+    getProviderInfo() {
+        return {
+            name: this.name,
+            displayName: this.displayName,
+            baseURL: this.baseURL,
+            initialized: !!this.client,
+            supportedModels: this.getAvailableModels()
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,76 @@
+/**
+ * Tests for the OpenAI-compatible provider's structured output
+ *
+ * A `responseSchema` is sent as a strict `json_schema` response format, or as JSON mode for endpoints
+ * configured with `responseFormat: json_object`. Runs against a fake HTTP client.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const OpenAICompatibleProvider = require('./client');
+
+const SCHEMA = {
+  type: 'object',
+  properties: { sentiment: { type: 'string', enum: ['positive', 'negative'] } },
+  required: ['sentiment'],
+  additionalProperties: false
+};
+
+// Provider for one endpoint whose chat completions answer with `content` and record each request
+function createProvider(config = {}) {
+  const provider = new OpenAICompatibleProvider({
+    id: 'mistral',
+    baseURL: 'https://api.mistral.example/v1/',
+    models: [{ modelId: 'mistral-large-latest', rpm: 60 }],
+    ...config
+  });
+
+  provider.requests = [];
+  provider.client = {
+    async post(url, params) {
+      provider.requests.push({ url, params });
+      return {
+        data: {
+          model: params.model,
+          choices: [{ message: { content: '{"sentiment":"negative"}' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 80, completion_tokens: 10, total_tokens: 90 }
+        }
+      };
+    }
+  };
+  return provider;
+}
+
+test('sends a response schema as a strict json_schema response format', async () => {
+  const provider = createProvider();
+
+  const result = await provider.generateText('mistral-large-latest', 'How is Harbour Bank described?', { responseSchema: SCHEMA });
+
+  const [{ url, params }] = provider.requests;
+  assert.strictEqual(url, '/chat/completions');
+  assert.deepStrictEqual(params.response_format, {
+    type: 'json_schema',
+    json_schema: { name: 'response', schema: SCHEMA, strict: true }
+  });
+  assert.strictEqual(params.responseSchema, undefined);
+  assert.strictEqual(result.response, '{"sentiment":"negative"}');
+  assert.strictEqual(result.provider, 'mistral');
+});
+
+test('uses JSON mode for endpoints configured with responseFormat json_object', async () => {
+  const provider = createProvider({ responseFormat: 'json_object' });
+
+  await provider.generateText('mistral-large-latest', 'How is Harbour Bank described?', { responseSchema: SCHEMA });
+
+  assert.deepStrictEqual(provider.requests[0].params.response_format, { type: 'json_object' });
+});
+
+test('sends no response format without a schema', async () => {
+  const provider = createProvider();
+
+  await provider.generateText('mistral-large-latest', 'Which bank is best?');
+
+  assert.strictEqual(provider.requests[0].params.response_format, undefined);
+});
@@ -0,0 +1,72 @@
+const yaml = require('js-yaml');
+const fs = require('fs');
+const path = require('path');
+
+let cachedProviderConfigs = null;
+let cachedModels = null;
+
+/**
+ * Load models.yaml
+ * @returns {Object} - Parsed YAML ({ models, compatibleProviders })
+ */
+function loadModelsYaml() {
+  try {
+    const configPath = path.join(__dirname, '../../models.yaml');
+    return yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+  } catch (error) {
+    console.error('Error loading models config:', error);
+    return {};
+  }
+}
+
+/**
+ * Get OpenAI-compatible endpoint configurations, each with its model list attached
+ * Models belong to an endpoint when their `provider` in models.yaml equals the endpoint `id`.
+ * Cached for the life of the process - model lookups call this from per-result loops.
+ * @returns {Array} - [{ id, name, baseURL, apiKeyEnv, authHeader, authScheme, models: [...] }]
+ */
+function getCompatibleProviderConfigs() {
+  if (cachedProviderConfigs) {
+    return cachedProviderConfigs;
+  }
+
+  const config = loadModelsYaml();
+  const models = config.models || [];
+
+  cachedProviderConfigs = (config.compatibleProviders || []).map(provider => ({
+    authHeader: 'Authorization',
+    authScheme: 'Bearer',
+    ...provider,
+    models: models.filter(m => m.provider === provider.id)
+  }));
+
+  return cachedProviderConfigs;
+}
+
+/**
+ * Get every model served by an OpenAI-compatible endpoint
+ * @returns {Array} - models.yaml model entries
+ */
+function getCompatibleModels() {
+  if (!cachedModels) {
+    cachedModels = getCompatibleProviderConfigs().flatMap(provider => provider.models);
+  }
+  return cachedModels;
+}
+
+/**
+ * Get IDs of OpenAI-compatible models a plan may use (via `allowedPlans` on the model entry)
+ * @param {String} planId - Plan ID (free, small, medium, enterprise)
+ * @returns {Array<String>} - Model IDs
+ */
+function getCompatibleModelIdsForPlan(planId) {
+  return getCompatibleModels()
+    .filter(m => Array.isArray(m.allowedPlans) && m.allowedPlans.includes(planId))
+    .map(m => m.modelId);
+}
+
+module.exports = {
+  getCompatibleProviderConfigs,
+  getCompatibleModels,
+  getCompatibleModelIdsForPlan
+};
@@ -0,0 +1,277 @@
+/**
+ * Shared rate limiting for every AI provider client.
+ *
+ * Limits are fixed one-minute windows of requests and tokens per provider+model. With a
+ * Redis client (job.redisClient) the counters are shared by every Agenda worker and
+ * replica, so org-wide RPM/TPM quotas hold; without one (scripts, local runs) the same
+ * windows are kept in process memory.
+ *
+ * Usage from a provider:
+ *   const reservation = await rateLimiter.acquire('openai', modelId, { rpm, tpm }, estimatedTokens);
+ *   ...call the API...
+ *   await rateLimiter.recordUsage(reservation, usage.total_tokens);
+ *   // on a 429: await rateLimiter.handleRateLimitError(reservation, error);
+ */
+
+const WINDOW_MS = 60000;
+const KEY_PREFIX = 'airank:ratelimit';
+
+// Atomically reserve one request and the estimated tokens in the current window.
+// Returns 0 when reserved, 1 when the request limit is reached, 2 for the token limit,
+// 3 while the model is blocked after a provider 429.
+const ACQUIRE_SCRIPT = `
+if redis.call('EXISTS', KEYS[3]) == 1 then
+  return 3
+end
+local requests = tonumber(redis.call('GET', KEYS[1]) or '0')
+local tokens = tonumber(redis.call('GET', KEYS[2]) or '0')
+if requests + 1 > tonumber(ARGV[1]) then
+  return 1
+end
+if tokens > 0 and tokens + tonumber(ARGV[3]) > tonumber(ARGV[2]) then
+  return 2
+end
+redis.call('INCR', KEYS[1])
+redis.call('INCRBY', KEYS[2], ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+redis.call('PEXPIRE', KEYS[2], ARGV[4])
+return 0
+`;
+
+const LIMIT_NAMES = { 1: 'requests', 2: 'tokens', 3: 'blocked' };
+
+class ProviderRateLimiter {
+    /**
+     * @param {Object} redisClient - Connected node-redis client (optional)
+     */
+    constructor(redisClient = null) {
+        this.redisClient = redisClient;
+        this.windows = new Map(); // In-memory fallback: key -> { count, expiresAt }
+    }
+
+    getWindowStart(now = Date.now()) {
+        return Math.floor(now / WINDOW_MS) * WINDOW_MS;
+    }
+
+    getKeys(provider, modelId, windowStart) {
+        const base = `${KEY_PREFIX}:${provider}:${modelId}`;
+        return {
+            requests: `${base}:requests:${windowStart}`,
+            tokens: `${base}:tokens:${windowStart}`,
+            blocked: `${base}:blocked`
+        };
+    }
+
+    /**
+     * Reserve capacity for one call, waiting until the window resets if a limit is reached
+     * @param {String} provider - Provider name (openai, google, anthropic, ...)
+     * @param {String} modelId - Model ID
+     * @param {Object} limits - { rpm, tpm }; without limits the call is not throttled
+     * @param {Number} estimatedTokens - Expected input + output tokens for the call
+     * @returns {Object} - Reservation to pass to recordUsage/handleRateLimitError
+     */
+    async acquire(provider, modelId, limits, estimatedTokens = 0) {
+        const reservation = { provider, modelId, windowStart: null, estimatedTokens: Math.ceil(estimatedTokens) };
+
+        if (!limits) {
+            return reservation;
+        }
+
+        while (true) {
+            const now = Date.now();
+            const windowStart = this.getWindowStart(now);
+            const keys = this.getKeys(provider, modelId, windowStart);
+
+            const result = this.redisClient
+                ? await this.acquireRedis(keys, limits, reservation.estimatedTokens)
+                : this.acquireMemory(keys, limits, reservation.estimatedTokens, now);
+
+            if (result === 0) {
+                reservation.windowStart = windowStart;
+                return reservation;
+            }
+
+            const waitMs = result === 3
+                ? await this.getBlockedMs(keys.blocked, now)
+                : windowStart + WINDOW_MS - now;
+
+            console.log(`⏳ ${provider} rate limit (${LIMIT_NAMES[result]}) reached for ${modelId}, waiting ${Math.ceil(waitMs / 1000)}s for reset...`);
+            await new Promise(resolve => setTimeout(resolve, Math.max(waitMs, 0) + Math.floor(Math.random() * 250)));
+        }
+    }
+
+    async acquireRedis(keys, limits, estimatedTokens) {
+        const result = await this.redisClient.eval(ACQUIRE_SCRIPT, {
+            keys: [keys.requests, keys.tokens, keys.blocked],
+            arguments: [
+                String(limits.rpm || Number.MAX_SAFE_INTEGER),
+                String(limits.tpm || Number.MAX_SAFE_INTEGER),
+                String(estimatedTokens),
+                String(WINDOW_MS * 2)
+            ]
+        });
+        return Number(result);
+    }
+
+    acquireMemory(keys, limits, estimatedTokens, now) {
+        this.pruneMemory(now);
+
+        if (this.windows.has(keys.blocked)) {
+            return 3;
+        }
+
+        const requests = this.windows.get(keys.requests)?.count || 0;
+        const tokens = this.windows.get(keys.tokens)?.count || 0;
+
+        if (limits.rpm && requests + 1 > limits.rpm) {
+            return 1;
+        }
+        if (limits.tpm && tokens > 0 && tokens + estimatedTokens > limits.tpm) {
+            return 2;
+        }
+
+        this.incrementMemory(keys.requests, 1, now);
+        this.incrementMemory(keys.tokens, estimatedTokens, now);
+        return 0;
+    }
+
+    incrementMemory(key, amount, now) {
+        const entry = this.windows.get(key) || { count: 0, expiresAt: now + WINDOW_MS * 2 };
+        entry.count += amount;
+        this.windows.set(key, entry);
+    }
+
+    pruneMemory(now) {
+        this.windows.forEach((entry, key) => {
+            if (entry.expiresAt <= now) {
+                this.windows.delete(key);
+            }
+        });
+    }
+
+    async getBlockedMs(blockedKey, now) {
+        if (this.redisClient) {
+            const ttl = await this.redisClient.pTTL(blockedKey);
+            return ttl > 0 ? ttl : 0;
+        }
+        const entry = this.windows.get(blockedKey);
+        return entry ? entry.expiresAt - now : 0;
+    }
+
+    /**
+     * Correct the token counter with the real usage reported by the provider
+     * @param {Object} reservation - Result of acquire
+     * @param {Number} actualTokens - Total tokens from the response `usage`
+     */
+    async recordUsage(reservation, actualTokens) {
+        if (!reservation?.windowStart || actualTokens === undefined || actualTokens === null) {
+            return;
+        }
+
+        const delta = Math.ceil(actualTokens) - reservation.estimatedTokens;
+        if (delta === 0) {
+            return;
+        }
+
+        // Only adjust the window the tokens were reserved in; once it has reset the usage no longer counts
+        const now = Date.now();
+        if (reservation.windowStart + WINDOW_MS <= now) {
+            return;
+        }
+
+        const { tokens } = this.getKeys(reservation.provider, reservation.modelId, reservation.windowStart);
+
+        try {
+            if (this.redisClient) {
+                await this.redisClient.incrBy(tokens, delta);
+            } else {
+                this.incrementMemory(tokens, delta, now);
+            }
+            reservation.estimatedTokens += delta;
+        } catch (error) {
+            console.error(`Failed to record token usage for ${reservation.modelId}:`, error.message);
+        }
+    }
+
+    /**
+     * Block a model until the provider's reset time after a 429, then release the caller
+     * Uses the retry-after / reset headers from the error when present, otherwise the window reset.
+     * @param {Object} reservation - Result of acquire
+     * @param {Error} error - Provider SDK error (may carry `headers`)
+     */
+    async handleRateLimitError(reservation, error) {
+        const now = Date.now();
+        const waitMs = getRetryAfterMs(error) ?? (this.getWindowStart(now) + WINDOW_MS - now);
+        const { blocked } = this.getKeys(reservation.provider, reservation.modelId, null);
+
+        console.log(`${reservation.provider} rate limit exceeded for ${reservation.modelId}, blocking for ${Math.ceil(waitMs / 1000)}s...`);
+
+        if (this.redisClient) {
+            await this.redisClient.set(blocked, '1', { PX: Math.max(waitMs, 1) });
+        } else {
+            this.windows.set(blocked, { count: 1, expiresAt: now + waitMs });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+}
+
+/**
+ * Read the provider's reset time from a rate-limit error, in milliseconds
+ * Supports retry-after-ms / retry-after (OpenAI, Anthropic, OpenAI-compatible) and
+ * OpenAI's x-ratelimit-reset-* durations such as "1m30s" or "250ms".
+ * @param {Error} error - Provider SDK or axios error
+ * @returns {Number|null}
+ */
+function getRetryAfterMs(error) {
+    const rawHeaders = error?.headers || error?.response?.headers;
+    if (!rawHeaders) {
+        return null;
+    }
+
+    const get = name => (typeof rawHeaders.get === 'function' ? rawHeaders.get(name) : rawHeaders[name]);
+
+    const retryAfterMs = Number(get('retry-after-ms'));
+    if (retryAfterMs > 0) {
+        return retryAfterMs;
+    }
+
+    const retryAfter = get('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) {
+            return seconds * 1000;
+        }
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) {
+            return Math.max(date - Date.now(), 0);
+        }
+    }
+
+    const resets = [get('x-ratelimit-reset-requests'), get('x-ratelimit-reset-tokens')]
+        .map(parseDuration)
+        .filter(ms => ms !== null);
+
+    return resets.length > 0 ? Math.max(...resets) : null;
+}
+
+// Parse durations like "6m0s", "1.5s", "250ms"
+function parseDuration(value) {
+    if (!value) {
+        return null;
+    }
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    let total = 0;
+    let matched = false;
+
+    for (const [, amount, unit] of String(value).matchAll(/([\d.]+)(ms|h|m|s)/g)) {
+        total += parseFloat(amount) * units[unit];
+        matched = true;
+    }
+
+    return matched ? Math.ceil(total) : null;
+}
+
+module.exports = ProviderRateLimiter;
+module.exports.getRetryAfterMs = getRetryAfterMs;
@@ -0,0 +1,212 @@
+/**
+ * Tests for the shared provider rate limiter
+ *
+ * Covers the in-memory windows (request and token limits, per-model keys, usage corrections,
+ * blocking after a 429), the Redis path against a recording fake client, and reading reset
+ * times from provider rate-limit errors.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ProviderRateLimiter = require('./rateLimiter');
+const { getRetryAfterMs } = require('./rateLimiter');
+
+const WINDOW_MS = 60000;
+
+// Run fn with Date.now fixed at `now`
+async function atTime(now, fn) {
+  const realNow = Date.now;
+  Date.now = () => now;
+  try {
+    return await fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test('allows requests up to the per-minute request limit', () => {
+  const limiter = new ProviderRateLimiter();
+  const now = 10 * WINDOW_MS;
+  const keys = limiter.getKeys('openai', 'gpt-4o', limiter.getWindowStart(now));
+
+  assert.strictEqual(limiter.acquireMemory(keys, { rpm: 2 }, 0, now), 0);
+  assert.strictEqual(limiter.acquireMemory(keys, { rpm: 2 }, 0, now), 0);
+  assert.strictEqual(limiter.acquireMemory(keys, { rpm: 2 }, 0, now), 1);
+});
+
+test('reserves estimated tokens against the token limit, always letting the first call through', () => {
+  const limiter = new ProviderRateLimiter();
+  const now = 10 * WINDOW_MS;
+  const keys = limiter.getKeys('openai', 'gpt-4o', limiter.getWindowStart(now));
+
+  // A single call larger than the whole budget would otherwise never run
+  assert.strictEqual(limiter.acquireMemory(keys, { rpm: 100, tpm: 1000 }, 1500, now), 0);
+  assert.strictEqual(limiter.acquireMemory(keys, { rpm: 100, tpm: 1000 }, 10, now), 2);
+});
+
+test('keeps separate windows per provider, model and minute', () => {
+  const limiter = new ProviderRateLimiter();
+  const now = 10 * WINDOW_MS;
+  const windowStart = limiter.getWindowStart(now);
+  const limits = { rpm: 1 };
+
+  assert.strictEqual(limiter.acquireMemory(limiter.getKeys('openai', 'gpt-4o', windowStart), limits, 0, now), 0);
+  assert.strictEqual(limiter.acquireMemory(limiter.getKeys('openai', 'gpt-4o-mini', windowStart), limits, 0, now), 0);
+  assert.strictEqual(limiter.acquireMemory(limiter.getKeys('anthropic', 'gpt-4o', windowStart), limits, 0, now), 0);
+  assert.strictEqual(limiter.acquireMemory(limiter.getKeys('openai', 'gpt-4o', windowStart), limits, 0, now), 1);
+
+  const nextMinute = now + WINDOW_MS;
+  assert.strictEqual(limiter.acquireMemory(limiter.getKeys('openai', 'gpt-4o', limiter.getWindowStart(nextMinute)), limits, 0, nextMinute), 0);
+});
+
+test('returns immediately without limits', async () => {
+  const limiter = new ProviderRateLimiter();
+  const reservation = await limiter.acquire('openai', 'gpt-4o', null, 120.4);
+
+  assert.deepStrictEqual(reservation, { provider: 'openai', modelId: 'gpt-4o', windowStart: null, estimatedTokens: 121 });
+  assert.strictEqual(limiter.windows.size, 0);
+});
+
+test('waits for the next window once the request limit is reached', async () => {
+  const limiter = new ProviderRateLimiter();
+  const windowEnd = 20 * WINDOW_MS;
+  let now = windowEnd - 5;
+
+  const realNow = Date.now;
+  Date.now = () => now;
+  try {
+    await limiter.acquire('openai', 'gpt-4o', { rpm: 1 }, 0);
+    // The second call only fits in the next window, so move the clock there while it waits
+    const second = limiter.acquire('openai', 'gpt-4o', { rpm: 1 }, 0);
+    now = windowEnd;
+    const reservation = await second;
+    assert.strictEqual(reservation.windowStart, windowEnd);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('corrects reserved tokens with the usage the provider reports', async () => {
+  const limiter = new ProviderRateLimiter();
+  const now = 30 * WINDOW_MS + 1000;
+
+  await atTime(now, async () => {
+    const reservation = await limiter.acquire('openai', 'gpt-4o', { rpm: 10, tpm: 1000 }, 100);
+    await limiter.recordUsage(reservation, 900);
+
+    const { tokens } = limiter.getKeys('openai', 'gpt-4o', reservation.windowStart);
+    assert.strictEqual(limiter.windows.get(tokens).count, 900);
+    assert.strictEqual(reservation.estimatedTokens, 900);
+
+    const keys = limiter.getKeys('openai', 'gpt-4o', reservation.windowStart);
+    assert.strictEqual(limiter.acquireMemory(keys, { rpm: 10, tpm: 1000 }, 200, now), 2);
+  });
+});
+
+test('ignores usage reported after the reservation window has reset', async () => {
+  const limiter = new ProviderRateLimiter();
+  const now = 40 * WINDOW_MS;
+  const reservation = await atTime(now, () => limiter.acquire('openai', 'gpt-4o', { rpm: 10, tpm: 1000 }, 100));
+
+  await atTime(now + WINDOW_MS, () => limiter.recordUsage(reservation, 900));
+
+  const { tokens } = limiter.getKeys('openai', 'gpt-4o', reservation.windowStart);
+  assert.strictEqual(limiter.windows.get(tokens).count, 100);
+});
+
+test('blocks a model after a 429 until the provider reset time', async () => {
+  const limiter = new ProviderRateLimiter();
+  const reservation = await limiter.acquire('anthropic', 'claude-sonnet-4-20250514', { rpm: 50 }, 0);
+
+  await limiter.handleRateLimitError(reservation, { status: 429, headers: { 'retry-after-ms': '30' } });
+
+  const now = Date.now();
+  const keys = limiter.getKeys('anthropic', 'claude-sonnet-4-20250514', limiter.getWindowStart(now));
+  const { blocked } = keys;
+  const blockedUntil = limiter.windows.get(blocked).expiresAt;
+
+  assert.strictEqual(limiter.acquireMemory(keys, { rpm: 50 }, 0, blockedUntil - 1), 3);
+  assert.strictEqual(await limiter.getBlockedMs(blocked, blockedUntil - 10), 10);
+  assert.strictEqual(limiter.acquireMemory(keys, { rpm: 50 }, 0, blockedUntil), 0);
+});
+
+// Records the commands the limiter sends; eval answers from `evalResults` in order
+function createFakeRedis(evalResults = []) {
+  const calls = [];
+  return {
+    calls,
+    async eval(script, options) {
+      calls.push({ command: 'eval', ...options });
+      return evalResults.length > 0 ? evalResults.shift() : 0;
+    },
+    async incrBy(key, amount) {
+      calls.push({ command: 'incrBy', key, amount });
+    },
+    async set(key, value, options) {
+      calls.push({ command: 'set', key, value, options });
+    },
+    async pTTL(key) {
+      calls.push({ command: 'pTTL', key });
+      return 5;
+    }
+  };
+}
+
+test('reserves through one atomic Redis script with shared window keys', async () => {
+  const redis = createFakeRedis([0]);
+  const limiter = new ProviderRateLimiter(redis);
+  const now = 50 * WINDOW_MS + 2000;
+
+  const reservation = await atTime(now, () => limiter.acquire('openai', 'gpt-4o', { rpm: 500, tpm: 30000 }, 250));
+
+  assert.strictEqual(reservation.windowStart, 50 * WINDOW_MS);
+  assert.deepStrictEqual(redis.calls, [{
+    command: 'eval',
+    keys: [
+      `airank:ratelimit:openai:gpt-4o:requests:${50 * WINDOW_MS}`,
+      `airank:ratelimit:openai:gpt-4o:tokens:${50 * WINDOW_MS}`,
+      'airank:ratelimit:openai:gpt-4o:blocked'
+    ],
+    arguments: ['500', '30000', '250', String(WINDOW_MS * 2)]
+  }]);
+  assert.strictEqual(limiter.windows.size, 0);
+});
+
+test('retries the Redis reservation after a blocked model is released', async () => {
+  const redis = createFakeRedis([3, 0]);
+  const limiter = new ProviderRateLimiter(redis);
+
+  const reservation = await limiter.acquire('openai', 'gpt-4o', { rpm: 500 }, 0);
+
+  assert.ok(reservation.windowStart);
+  assert.deepStrictEqual(redis.calls.map(call => call.command), ['eval', 'pTTL', 'eval']);
+});
+
+test('records usage and 429 blocks in Redis', async () => {
+  const redis = createFakeRedis([0]);
+  const limiter = new ProviderRateLimiter(redis);
+
+  const reservation = await limiter.acquire('openai', 'gpt-4o', { rpm: 500, tpm: 30000 }, 100);
+  await limiter.recordUsage(reservation, 160);
+  await limiter.handleRateLimitError(reservation, { headers: { 'retry-after-ms': '5' } });
+
+  const [, incrBy, set] = redis.calls;
+  assert.deepStrictEqual(incrBy, { command: 'incrBy', key: `airank:ratelimit:openai:gpt-4o:tokens:${reservation.windowStart}`, amount: 60 });
+  assert.deepStrictEqual(set, { command: 'set', key: 'airank:ratelimit:openai:gpt-4o:blocked', value: '1', options: { PX: 5 } });
+});
+
+test('reads reset times from rate-limit error headers', () => {
+  assert.strictEqual(getRetryAfterMs({ headers: { 'retry-after-ms': '1500' } }), 1500);
+  assert.strictEqual(getRetryAfterMs({ headers: { 'retry-after': '2' } }), 2000);
+  assert.strictEqual(getRetryAfterMs({ response: { headers: { 'retry-after': '3' } } }), 3000);
+  assert.strictEqual(getRetryAfterMs({ headers: { 'x-ratelimit-reset-requests': '1m30s', 'x-ratelimit-reset-tokens': '250ms' } }), 90000);
+  assert.strictEqual(getRetryAfterMs({ headers: new Headers({ 'retry-after-ms': '700' }) }), 700);
+
+  const httpDate = getRetryAfterMs({ headers: { 'retry-after': new Date(Date.now() + 60000).toUTCString() } });
+  assert.ok(httpDate > 55000 && httpDate <= 60000);
+
+  assert.strictEqual(getRetryAfterMs({ headers: {} }), null);
+  assert.strictEqual(getRetryAfterMs(new Error('quota exceeded')), null);
+});
@@ -0,0 +1,197 @@
+/**
+ * Retry and circuit breaking for provider calls.
+ *
+ * ProviderFactory routes every generateText call through ProviderResilience.execute:
+ * retryable errors (429, 5xx, timeouts, dropped connections) are retried with jittered
+ * exponential backoff, terminal errors (bad request, auth, unknown model) fail at once,
+ * and a per-model circuit breaker stops a dead model being called for every prompt.
+ * One instance lives for the duration of a job, so breaker state is per job run.
+ */
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: 4,           // First call plus 3 retries
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    failureThreshold: 3,      // Consecutive failed calls before the breaker opens
+    cooldownMs: 5 * 60 * 1000 // Open breaker allows a single trial call after this long
+};
+
+// HTTP statuses worth retrying (529 is Anthropic's "overloaded")
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+// Statuses that mean the model will not work for the rest of the job
+const FATAL_STATUSES = [401, 403, 404];
+
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+const RETRYABLE_MESSAGE = /timed? ?out|rate limit|overloaded|RESOURCE_EXHAUSTED|UNAVAILABLE|DEADLINE_EXCEEDED|socket hang up|network error|Connection error/i;
+
+class CircuitOpenError extends Error {
+    constructor(modelId, breaker) {
+        super(`Circuit open for ${modelId} after ${breaker.failures} consecutive failures, skipping`);
+        this.name = 'CircuitOpenError';
+        this.modelId = modelId;
+        this.retryable = false;
+    }
+}
+
+/**
+ * Classify a provider error
+ * @param {Error} error - Error thrown by a provider client
+ * @returns {Object} - { retryable, fatal, reason }
+ */
+function classifyError(error) {
+    if (error instanceof CircuitOpenError) {
+        return { retryable: false, fatal: false, reason: 'circuit_open' };
+    }
+
+    const status = error.status || error.statusCode || error.response?.status || (typeof error.code === 'number' && error.code >= 100 ? error.code : null);
+
+    if (status) {
+        if (RETRYABLE_STATUSES.includes(status)) {
+            return { retryable: true, fatal: false, reason: `http_${status}` };
+        }
+        return { retryable: false, fatal: FATAL_STATUSES.includes(status), reason: `http_${status}` };
+    }
+
+    if (RETRYABLE_CODES.includes(error.code)) {
+        return { retryable: true, fatal: false, reason: error.code };
+    }
+
+    if (['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.name) || RETRYABLE_MESSAGE.test(error.message || '')) {
+        return { retryable: true, fatal: false, reason: 'transient' };
+    }
+
+    return { retryable: false, fatal: false, reason: 'terminal' };
+}
+
+class ProviderResilience {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.breakers = new Map(); // modelId -> breaker state
+        this.retries = new Map();  // modelId -> retry count
+    }
+
+    getBreaker(modelId) {
+        if (!this.breakers.has(modelId)) {
+            this.breakers.set(modelId, {
+                state: 'closed',
+                failures: 0,
+                openedAt: null,
+                lastError: null,
+                skipped: 0
+            });
+        }
+        return this.breakers.get(modelId);
+    }
+
+    // Whether a call may go through; moves an open breaker to half-open once cooled down
+    allowRequest(breaker) {
+        if (breaker.state === 'closed') {
+            return true;
+        }
+        if (breaker.state === 'open' && Date.now() - breaker.openedAt >= this.options.cooldownMs) {
+            breaker.state = 'half-open';
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess(breaker) {
+        breaker.state = 'closed';
+        breaker.failures = 0;
+        breaker.openedAt = null;
+    }
+
+    recordFailure(modelId, breaker, error, classification) {
+        breaker.failures++;
+        breaker.lastError = error.message;
+
+        const shouldOpen = classification.fatal ||
+            breaker.state === 'half-open' ||
+            breaker.failures >= this.options.failureThreshold;
+
+        if (shouldOpen && breaker.state !== 'open') {
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+            console.warn(`🔌 Circuit opened for ${modelId} (${classification.reason}): ${error.message}`);
+        }
+    }
+
+    getBackoffDelay(attempt) {
+        // Full jitter: random delay up to the exponential cap
+        const cap = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempt - 1));
+        return Math.floor(Math.random() * cap);
+    }
+
+    /**
+     * Run a provider call with retries and the model's circuit breaker
+     * @param {String} providerName - Provider name (for logging)
+     * @param {String} modelId - Model ID (breaker key)
+     * @param {Function} fn - Async function making the call
+     * @returns {*} - Result of fn
+     */
+    async execute(providerName, modelId, fn) {
+        const breaker = this.getBreaker(modelId);
+
+        if (!this.allowRequest(breaker)) {
+            breaker.skipped++;
+            throw new CircuitOpenError(modelId, breaker);
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await fn();
+                this.recordSuccess(breaker);
+                return result;
+            } catch (error) {
+                const classification = classifyError(error);
+                const canRetry = classification.retryable &&
+                    attempt < this.options.maxAttempts &&
+                    breaker.state !== 'half-open';
+
+                if (!canRetry) {
+                    this.recordFailure(modelId, breaker, error, classification);
+                    error.retryable = classification.retryable;
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                this.retries.set(modelId, (this.retries.get(modelId) || 0) + 1);
+
+                const delay = this.getBackoffDelay(attempt);
+                console.log(`🔁 ${providerName}:${modelId} failed (${classification.reason}), retry ${attempt}/${this.options.maxAttempts - 1} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Breaker state and retry counts for a job's attrs.result
+     * @returns {Object} - { totalRetries, retries, circuitBreakers }
+     */
+    getSummary() {
+        const retries = Object.fromEntries(this.retries);
+        const circuitBreakers = {};
+
+        this.breakers.forEach((breaker, modelId) => {
+            circuitBreakers[modelId] = {
+                state: breaker.state,
+                consecutiveFailures: breaker.failures,
+                skippedCalls: breaker.skipped,
+                openedAt: breaker.openedAt ? new Date(breaker.openedAt) : null,
+                lastError: breaker.lastError
+            };
+        });
+
+        return {
+            totalRetries: Object.values(retries).reduce((sum, count) => sum + count, 0),
+            retries,
+            circuitBreakers
+        };
+    }
+}
+
+module.exports = ProviderResilience;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.classifyError = classifyError;
@@ -0,0 +1,213 @@
+/**
+ * Tests for provider retries and circuit breaking
+ *
+ * Covers error classification, jittered exponential backoff, retrying transient failures,
+ * failing terminal errors at once, retrying network failures of an OpenAI-compatible endpoint, and
+ * the per-model circuit breaker (opening, skipping, half-open trial calls after the cooldown) with
+ * its job summary.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ProviderResilience = require('./resilience');
+const { CircuitOpenError, classifyError } = require('./resilience');
+const OpenAICompatibleProvider = require('./openaiCompatible/client');
+
+// Millisecond backoff so retries do not slow the tests down
+const FAST = { baseDelayMs: 1, maxDelayMs: 2 };
+
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+
+// Async function failing with each of `errors` in turn, then returning `result`
+function flaky(errors, result = 'ok') {
+  const fn = async () => {
+    fn.calls++;
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return result;
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+// Run fn without the retry log lines, which the Node 20 test runner misreads on a child's stdout
+async function withoutRetryLogs(fn) {
+  const realLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = realLog;
+  }
+}
+
+test('classifies retryable, fatal and terminal errors', () => {
+  assert.deepStrictEqual(classifyError(httpError(429)), { retryable: true, fatal: false, reason: 'http_429' });
+  assert.deepStrictEqual(classifyError(httpError(529)), { retryable: true, fatal: false, reason: 'http_529' });
+  assert.deepStrictEqual(classifyError({ response: { status: 503 } }), { retryable: true, fatal: false, reason: 'http_503' });
+  assert.deepStrictEqual(classifyError(httpError(401)), { retryable: false, fatal: true, reason: 'http_401' });
+  assert.deepStrictEqual(classifyError(httpError(404)), { retryable: false, fatal: true, reason: 'http_404' });
+  assert.deepStrictEqual(classifyError(httpError(400)), { retryable: false, fatal: false, reason: 'http_400' });
+  assert.deepStrictEqual(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), { retryable: true, fatal: false, reason: 'ECONNRESET' });
+  assert.deepStrictEqual(classifyError(Object.assign(new Error('quota'), { code: 8 })).retryable, false);
+  assert.deepStrictEqual(classifyError(new Error('8 RESOURCE_EXHAUSTED: Quota exceeded')), { retryable: true, fatal: false, reason: 'transient' });
+  assert.deepStrictEqual(classifyError(Object.assign(new Error('x'), { name: 'APIConnectionTimeoutError' })).retryable, true);
+  assert.deepStrictEqual(classifyError(new Error('Unexpected token in JSON')), { retryable: false, fatal: false, reason: 'terminal' });
+  assert.deepStrictEqual(classifyError(new CircuitOpenError('gpt-4o', { failures: 3 })), { retryable: false, fatal: false, reason: 'circuit_open' });
+});
+
+test('draws backoff delays with full jitter up to the exponential cap', () => {
+  const resilience = new ProviderResilience({ baseDelayMs: 1000, maxDelayMs: 5000 });
+  const realRandom = Math.random;
+
+  try {
+    Math.random = () => 0.9999;
+    assert.strictEqual(resilience.getBackoffDelay(1), 999);
+    assert.strictEqual(resilience.getBackoffDelay(2), 1999);
+    assert.strictEqual(resilience.getBackoffDelay(3), 3999);
+    assert.strictEqual(resilience.getBackoffDelay(4), 4999); // Capped at maxDelayMs
+
+    Math.random = () => 0;
+    assert.strictEqual(resilience.getBackoffDelay(4), 0);
+  } finally {
+    Math.random = realRandom;
+  }
+});
+
+test('retries transient failures and counts the retries', async () => {
+  const resilience = new ProviderResilience(FAST);
+  const fn = flaky([httpError(503), httpError(429)]);
+
+  assert.strictEqual(await withoutRetryLogs(() => resilience.execute('openai', 'gpt-4o', fn)), 'ok');
+  assert.strictEqual(fn.calls, 3);
+
+  const summary = resilience.getSummary();
+  assert.strictEqual(summary.totalRetries, 2);
+  assert.deepStrictEqual(summary.retries, { 'gpt-4o': 2 });
+  assert.strictEqual(summary.circuitBreakers['gpt-4o'].state, 'closed');
+});
+
+test('gives up after maxAttempts and marks the error as retryable', async () => {
+  const resilience = new ProviderResilience({ ...FAST, maxAttempts: 3 });
+  const fn = flaky([httpError(500), httpError(500), httpError(500), httpError(500)]);
+
+  await assert.rejects(withoutRetryLogs(() => resilience.execute('openai', 'gpt-4o', fn)), error => {
+    assert.strictEqual(error.status, 500);
+    assert.strictEqual(error.retryable, true);
+    assert.strictEqual(error.attempts, 3);
+    return true;
+  });
+  assert.strictEqual(fn.calls, 3);
+});
+
+test('does not retry terminal errors', async () => {
+  const resilience = new ProviderResilience(FAST);
+  const fn = flaky([httpError(400, 'Invalid request')]);
+
+  await assert.rejects(resilience.execute('openai', 'gpt-4o', fn), { message: 'Invalid request', retryable: false, attempts: 1 });
+  assert.strictEqual(fn.calls, 1);
+  assert.strictEqual(resilience.getSummary().circuitBreakers['gpt-4o'].state, 'closed');
+});
+
+test('retries a self-hosted endpoint that refuses the connection', async () => {
+  const resilience = new ProviderResilience(FAST);
+  const provider = new OpenAICompatibleProvider({
+    id: 'vllm',
+    baseURL: 'http://localhost:8000/v1',
+    models: [{ modelId: 'llama-3.1-70b', rpm: 60 }]
+  });
+  let calls = 0;
+  provider.client = {
+    async post() {
+      calls++;
+      if (calls === 1) {
+        // What axios throws when nothing listens on the port
+        throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8000'), { code: 'ECONNREFUSED' });
+      }
+      return { data: { choices: [{ message: { content: 'ok' } }], usage: { total_tokens: 5 } } };
+    }
+  };
+
+  const realError = console.error;
+  console.error = () => {};
+  try {
+    const result = await withoutRetryLogs(() => resilience.execute('vllm', 'llama-3.1-70b', () => provider.generateText('llama-3.1-70b', 'Hello')));
+    assert.strictEqual(result.response, 'ok');
+  } finally {
+    console.error = realError;
+  }
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(resilience.getSummary().retries, { 'llama-3.1-70b': 1 });
+});
+
+test('opens the breaker after consecutive failed calls and skips the model', async () => {
+  const resilience = new ProviderResilience({ ...FAST, maxAttempts: 1, failureThreshold: 2 });
+
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(resilience.execute('google', 'gemini-2.5-flash', flaky([httpError(503)])));
+  }
+
+  const fn = flaky([]);
+  await assert.rejects(resilience.execute('google', 'gemini-2.5-flash', fn), CircuitOpenError);
+  assert.strictEqual(fn.calls, 0);
+
+  // Other models are unaffected
+  assert.strictEqual(await resilience.execute('google', 'gemini-2.5-pro', flaky([])), 'ok');
+
+  const breaker = resilience.getSummary().circuitBreakers['gemini-2.5-flash'];
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.consecutiveFailures, 2);
+  assert.strictEqual(breaker.skippedCalls, 1);
+  assert.ok(breaker.openedAt instanceof Date);
+  assert.strictEqual(breaker.lastError, 'HTTP 503');
+});
+
+test('a success resets the consecutive failure count', async () => {
+  const resilience = new ProviderResilience({ ...FAST, maxAttempts: 1, failureThreshold: 2 });
+
+  await assert.rejects(resilience.execute('openai', 'gpt-4o', flaky([httpError(503)])));
+  await resilience.execute('openai', 'gpt-4o', flaky([]));
+  await assert.rejects(resilience.execute('openai', 'gpt-4o', flaky([httpError(503)])));
+
+  assert.strictEqual(resilience.getSummary().circuitBreakers['gpt-4o'].state, 'closed');
+});
+
+test('opens the breaker at once on auth and unknown-model errors', async () => {
+  const resilience = new ProviderResilience(FAST);
+
+  await assert.rejects(resilience.execute('anthropic', 'claude-opus-4-20250514', flaky([httpError(401)])));
+
+  assert.strictEqual(resilience.getSummary().circuitBreakers['claude-opus-4-20250514'].state, 'open');
+  await assert.rejects(resilience.execute('anthropic', 'claude-opus-4-20250514', flaky([])), CircuitOpenError);
+});
+
+test('allows one trial call after the cooldown and closes or re-opens on its outcome', async () => {
+  const resilience = new ProviderResilience({ ...FAST, failureThreshold: 1, cooldownMs: 1000 });
+  const realNow = Date.now;
+  let now = 1000000;
+  Date.now = () => now;
+
+  try {
+    await assert.rejects(resilience.execute('openai', 'gpt-4o', flaky([httpError(401)])));
+    await assert.rejects(resilience.execute('openai', 'gpt-4o', flaky([])), CircuitOpenError);
+
+    // A failed trial re-opens the breaker without retrying, even for a retryable error
+    now += 1000;
+    const trial = flaky([httpError(503)]);
+    await assert.rejects(resilience.execute('openai', 'gpt-4o', trial), { status: 503 });
+    assert.strictEqual(trial.calls, 1);
+    assert.strictEqual(resilience.getBreaker('gpt-4o').state, 'open');
+    assert.strictEqual(resilience.getBreaker('gpt-4o').openedAt, now);
+
+    // A successful trial closes it again
+    now += 1000;
+    assert.strictEqual(await resilience.execute('openai', 'gpt-4o', flaky([])), 'ok');
+    assert.strictEqual(resilience.getBreaker('gpt-4o').state, 'closed');
+    assert.strictEqual(resilience.getBreaker('gpt-4o').failures, 0);
+  } finally {
+    Date.now = realNow;
+  }
+});
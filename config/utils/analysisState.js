@@ -0,0 +1,120 @@
+/**
+ * Analysis lifecycle of a result.
+ *
+ * `sentimentAnalysis.analysisStatus` is the one status of a result's analysis: 'pending' from the moment
+ * it is stored until an analysis is saved (or while it waits on an analysis batch), 'complete' once a
+ * model judged sentiment, 'detector-only' when no analysis model was available and 'failed' when the
+ * attempt produced no sentiment judgement. Next to it, `analysisAttempts` counts the attempts and
+ * `nextAnalysisAt` schedules the next one: every status but 'complete' is picked up by the
+ * retryPendingAnalysis job once it has passed, with exponential backoff until MAX_ANALYSIS_ATTEMPTS.
+ * Kept free of provider SDKs so graphql can load it.
+ */
+
+// 'complete' - model judged sentiment; 'detector-only' - no analysis model was available; 'pending' -
+// not analysed yet or queued in an analysis batch; 'failed' - the model call failed or its output stayed
+// invalid after the repair attempt
+const ANALYSIS_STATUSES = ['complete', 'detector-only', 'pending', 'failed'];
+
+// Statuses without a sentiment judgement, retried until they get one
+const RETRYABLE_STATUSES = ['pending', 'failed', 'detector-only'];
+
+// Attempts before a failed or detector-only result is left alone (nextAnalysisAt null)
+const MAX_ANALYSIS_ATTEMPTS = 5;
+
+// Delay before retry n is RETRY_BASE_MINUTES * RETRY_FACTOR^(n-1): 5 min, 20 min, 80 min, ~5 h
+const RETRY_BASE_MINUTES = 5;
+const RETRY_FACTOR = 4;
+
+// New results are analysed by the job that stored them; the retry job only steps in after this
+const PENDING_GRACE_MINUTES = 15;
+
+// Vertex batches can take up to a day; after that a result still waiting on one is analysed directly
+const BATCH_WAIT_MINUTES = 24 * 60;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+/**
+ * State of a result that has just been stored and not analysed yet
+ * @param {Date} now - Reference time
+ * @returns {Object} - { sentimentAnalysis, analysisAttempts, nextAnalysisAt } to store on the result
+ */
+function pendingAnalysisState(now = new Date()) {
+  return {
+    sentimentAnalysis: { analysisStatus: 'pending' },
+    analysisAttempts: 0,
+    nextAnalysisAt: addMinutes(now, PENDING_GRACE_MINUTES)
+  };
+}
+
+/**
+ * Retry schedule of a result after an analysis attempt
+ * Failed and detector-only analyses are retried with backoff, since an analysis model may be back by
+ * then. A result queued in an analysis batch stays pending without using up an attempt.
+ * @param {Object} sentimentAnalysis - The analysis just made (null when the attempt threw)
+ * @param {Number} previousAttempts - analysisAttempts before this attempt
+ * @param {Date} now - Reference time
+ * @returns {Object} - { analysisAttempts, nextAnalysisAt } to store on the result
+ */
+function getAnalysisState(sentimentAnalysis, previousAttempts = 0, now = new Date()) {
+  const attempts = previousAttempts || 0;
+
+  if (sentimentAnalysis?.analysisStatus === 'pending') {
+    return { analysisAttempts: attempts, nextAnalysisAt: addMinutes(now, BATCH_WAIT_MINUTES) };
+  }
+
+  const analysisAttempts = attempts + 1;
+  if (sentimentAnalysis?.analysisStatus === 'complete') {
+    return { analysisAttempts, nextAnalysisAt: null };
+  }
+
+  return {
+    analysisAttempts,
+    nextAnalysisAt: analysisAttempts < MAX_ANALYSIS_ATTEMPTS
+      ? addMinutes(now, RETRY_BASE_MINUTES * RETRY_FACTOR ** (analysisAttempts - 1))
+      : null
+  };
+}
+
+// Results stored before analysis statuses existed that never got an analysis
+const LEGACY_UNANALYSED = {
+  'sentimentAnalysis.analysisStatus': { $exists: false },
+  $or: [{ 'sentimentAnalysis.brands': { $exists: false } }, { 'sentimentAnalysis.brands': { $size: 0 } }]
+};
+
+/**
+ * Mongo filter for results due for an analysis retry
+ * @param {Date} now - Reference time
+ * @returns {Object}
+ */
+function retryDueFilter(now = new Date()) {
+  return {
+    $or: [
+      { 'sentimentAnalysis.analysisStatus': { $in: RETRYABLE_STATUSES }, nextAnalysisAt: { $lte: now } },
+      LEGACY_UNANALYSED
+    ]
+  };
+}
+
+/**
+ * Mongo filter for results with no sentiment judgement yet: pending, failed and detector-only
+ * (including those out of retries) and legacy results that were never analysed
+ * @returns {Object}
+ */
+function unanalysedFilter() {
+  return {
+    $or: [
+      { 'sentimentAnalysis.analysisStatus': { $in: RETRYABLE_STATUSES } },
+      LEGACY_UNANALYSED
+    ]
+  };
+}
+
+module.exports = {
+  ANALYSIS_STATUSES,
+  RETRYABLE_STATUSES,
+  MAX_ANALYSIS_ATTEMPTS,
+  pendingAnalysisState,
+  getAnalysisState,
+  retryDueFilter,
+  unanalysedFilter
+};
@@ -0,0 +1,79 @@
+/**
+ * Tests for the analysis lifecycle of a result
+ *
+ * Covers the retry schedule after each kind of analysis (complete, failed, detector-only, queued in a
+ * batch, thrown), running out of attempts, and the filters the retry job and analytics query with.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_ANALYSIS_ATTEMPTS,
+  pendingAnalysisState,
+  getAnalysisState,
+  retryDueFilter,
+  unanalysedFilter
+} = require('./analysisState');
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+const minutesLater = minutes => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+test('stores new results as pending, due after the grace period', () => {
+  assert.deepStrictEqual(pendingAnalysisState(NOW), {
+    sentimentAnalysis: { analysisStatus: 'pending' },
+    analysisAttempts: 0,
+    nextAnalysisAt: minutesLater(15)
+  });
+});
+
+test('schedules no retry once a model judged sentiment', () => {
+  assert.deepStrictEqual(getAnalysisState({ analysisStatus: 'complete' }, 2, NOW), { analysisAttempts: 3, nextAnalysisAt: null });
+});
+
+test('retries failed and detector-only analyses with exponential backoff', () => {
+  ['failed', 'detector-only'].forEach(analysisStatus => {
+    const delays = [0, 1, 2, 3].map(previousAttempts => getAnalysisState({ analysisStatus }, previousAttempts, NOW));
+    assert.deepStrictEqual(delays, [
+      { analysisAttempts: 1, nextAnalysisAt: minutesLater(5) },
+      { analysisAttempts: 2, nextAnalysisAt: minutesLater(20) },
+      { analysisAttempts: 3, nextAnalysisAt: minutesLater(80) },
+      { analysisAttempts: 4, nextAnalysisAt: minutesLater(320) }
+    ], analysisStatus);
+  });
+
+  // An attempt that threw counts as failed
+  assert.deepStrictEqual(getAnalysisState(null, undefined, NOW), { analysisAttempts: 1, nextAnalysisAt: minutesLater(5) });
+});
+
+test('stops retrying after the last attempt', () => {
+  assert.deepStrictEqual(getAnalysisState({ analysisStatus: 'detector-only' }, MAX_ANALYSIS_ATTEMPTS - 1, NOW), {
+    analysisAttempts: MAX_ANALYSIS_ATTEMPTS,
+    nextAnalysisAt: null
+  });
+});
+
+test('waits a day for an analysis batch without using up an attempt', () => {
+  assert.deepStrictEqual(getAnalysisState({ analysisStatus: 'pending' }, 1, NOW), { analysisAttempts: 1, nextAnalysisAt: minutesLater(24 * 60) });
+});
+
+test('queries the one analysis status for due and unanalysed results', () => {
+  const legacy = {
+    'sentimentAnalysis.analysisStatus': { $exists: false },
+    $or: [{ 'sentimentAnalysis.brands': { $exists: false } }, { 'sentimentAnalysis.brands': { $size: 0 } }]
+  };
+
+  assert.deepStrictEqual(retryDueFilter(NOW), {
+    $or: [
+      { 'sentimentAnalysis.analysisStatus': { $in: ['pending', 'failed', 'detector-only'] }, nextAnalysisAt: { $lte: NOW } },
+      legacy
+    ]
+  });
+  assert.deepStrictEqual(unanalysedFilter(), {
+    $or: [
+      { 'sentimentAnalysis.analysisStatus': { $in: ['pending', 'failed', 'detector-only'] } },
+      legacy
+    ]
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Golden-set evaluation of the brand analyzer.
+ *
+ * A golden set is a JSON file of labelled cases:
+ *
+ *   {
+ *     "cases": [{
+ *       "id": "unique-case-id",
+ *       "text": "Model response to analyse",
+ *       "brands": { "ownBrand": { "name", "aliases", ... }, "competitors": [...], "aspects": [...] },
+ *       "expected": [{ "brand": "Acme", "mentioned": true, "sentiment": "positive", "position": 1 }]
+ *     }]
+ *   }
+ *
+ * Brands missing from `expected` are expected not to be mentioned; `sentiment` and `position` are only
+ * scored when labelled. Each case runs through analyzeBrands exactly as the jobs do, against a live
+ * provider, recorded provider outputs (offline) or no provider (detector only), and is scored on
+ * mention precision/recall, sentiment accuracy and mean absolute position error.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { analyzeBrands } = require('./brandAnalysis');
+
+/**
+ * Load and check a golden set
+ * @param {String} filePath - Path to the golden set JSON
+ * @returns {Array} - Cases
+ */
+function loadGoldenSet(filePath) {
+  const { cases } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(cases) || cases.length === 0) {
+    throw new Error(`${filePath} has no cases`);
+  }
+
+  const ids = new Set();
+  cases.forEach((testCase, index) => {
+    if (!testCase.id || ids.has(testCase.id)) {
+      throw new Error(`Case ${index} needs a unique "id"`);
+    }
+    if (typeof testCase.text !== 'string' || !testCase.brands?.ownBrand?.name || !Array.isArray(testCase.expected)) {
+      throw new Error(`Case ${testCase.id} needs "text", "brands.ownBrand.name" and "expected"`);
+    }
+    ids.add(testCase.id);
+  });
+
+  return cases;
+}
+
+// Recordings are keyed by model and exact prompt, so a changed prompt never replays a stale output
+function recordingKey(modelId, prompt) {
+  return crypto.createHash('sha256').update(`${modelId}\u0000${prompt}`).digest('hex');
+}
+
+/**
+ * Load recorded provider outputs
+ * @param {String} filePath - Recordings JSON ({ recordings: { key: { model, provider, caseId, response, ... } } })
+ * @returns {Object} - Recordings by key (empty when the file does not exist)
+ */
+function loadRecordings(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8')).recordings || {};
+}
+
+function saveRecordings(filePath, recordings) {
+  fs.writeFileSync(filePath, `${JSON.stringify({ recordings }, null, 2)}\n`);
+}
+
+/**
+ * Provider that answers from recordings instead of calling an API
+ * Unrecorded prompts fail like an unavailable model, and are listed in `missing`.
+ * @param {Object} recordings - Result of loadRecordings
+ * @returns {Object} - Provider with generateText(modelId, prompt, options)
+ */
+function createReplayProvider(recordings) {
+  return {
+    name: 'replay',
+    missing: [],
+    async generateText(modelId, prompt) {
+      const recording = recordings[recordingKey(modelId, prompt)];
+      if (!recording) {
+        this.missing.push(modelId);
+        throw new Error(`No recorded output for this ${modelId} prompt - re-record the golden set`);
+      }
+      return {
+        response: recording.response,
+        inputTokens: recording.inputTokens || 0,
+        outputTokens: recording.outputTokens || 0
+      };
+    }
+  };
+}
+
+/**
+ * Wrap a live provider so every call it makes is added to `recordings`
+ * @param {Object} provider - Provider to call
+ * @param {Object} recordings - Recordings object to add to
+ * @param {Function} getCaseId - Returns the case being evaluated (stored for readability)
+ * @returns {Object} - Provider
+ */
+function createRecordingProvider(provider, recordings, getCaseId) {
+  return {
+    name: `recording:${provider.name}`,
+    async generateText(modelId, prompt, options) {
+      const result = await provider.generateText(modelId, prompt, options);
+      recordings[recordingKey(modelId, prompt)] = {
+        model: modelId,
+        // 'mock' when recorded with MOCK_AI_PROVIDERS, so replays can say they are not scoring a live model
+        provider: result.provider || provider.name,
+        caseId: getCaseId(),
+        response: result.response,
+        inputTokens: result.inputTokens || 0,
+        outputTokens: result.outputTokens || 0
+      };
+      return result;
+    }
+  };
+}
+
+/**
+ * Compare one analysis with the labels of its case
+ * @param {Object} testCase - Golden set case
+ * @param {Object} analysis - sentimentAnalysis from analyzeBrands
+ * @returns {Object} - Counts for summarize plus per-brand `errors`
+ */
+function scoreCase(testCase, analysis) {
+  const expectedByName = new Map(testCase.expected.map(label => [label.brand.toLowerCase(), label]));
+  const score = {
+    id: testCase.id,
+    analysisStatus: analysis.analysisStatus,
+    truePositives: 0,
+    falsePositives: 0,
+    falseNegatives: 0,
+    sentimentLabelled: 0,
+    sentimentCorrect: 0,
+    positionLabelled: 0,
+    positionErrorSum: 0,
+    errors: []
+  };
+
+  analysis.brands.forEach(brand => {
+    const label = expectedByName.get(brand.brandKeywords.toLowerCase()) || { mentioned: false };
+    if (label.mentioned && !brand.mentioned) {
+      score.falseNegatives++;
+      score.errors.push(`${brand.brandKeywords}: missed mention`);
+      return;
+    }
+    if (!label.mentioned) {
+      if (brand.mentioned) {
+        score.falsePositives++;
+        score.errors.push(`${brand.brandKeywords}: not mentioned but detected`);
+      }
+      return;
+    }
+
+    score.truePositives++;
+    if (label.sentiment) {
+      score.sentimentLabelled++;
+      if (brand.sentiment === label.sentiment) {
+        score.sentimentCorrect++;
+      } else {
+        score.errors.push(`${brand.brandKeywords}: sentiment ${brand.sentiment}, expected ${label.sentiment}`);
+      }
+    }
+    if (label.position) {
+      score.positionLabelled++;
+      const error = Math.abs((brand.position || 0) - label.position);
+      score.positionErrorSum += error;
+      if (error > 0) {
+        score.errors.push(`${brand.brandKeywords}: position ${brand.position}, expected ${label.position}`);
+      }
+    }
+  });
+
+  return score;
+}
+
+/**
+ * Aggregate case scores into the headline metrics
+ * @param {Array} scores - Results of scoreCase
+ * @returns {Object} - { cases, precision, recall, f1, sentimentAccuracy, positionError, statuses }
+ */
+function summarize(scores) {
+  const total = key => scores.reduce((sum, score) => sum + score[key], 0);
+  const truePositives = total('truePositives');
+  const precision = ratio(truePositives, truePositives + total('falsePositives'));
+  const recall = ratio(truePositives, truePositives + total('falseNegatives'));
+
+  const statuses = {};
+  scores.forEach(score => {
+    statuses[score.analysisStatus] = (statuses[score.analysisStatus] || 0) + 1;
+  });
+
+  return {
+    cases: scores.length,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : null,
+    sentimentAccuracy: ratio(total('sentimentCorrect'), total('sentimentLabelled')),
+    positionError: ratio(total('positionErrorSum'), total('positionLabelled')),
+    statuses
+  };
+}
+
+// null when there is nothing to measure, rather than a misleading 0 or 1
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Run every case through the analyzer and score it
+ * @param {Array} cases - Result of loadGoldenSet
+ * @param {Array} analyzers - [{ modelId, provider }] passed to analyzeBrands (empty = detector only)
+ * @param {Object} options - { onCase(testCase) } called before each case
+ * @returns {Promise<Object>} - { summary, scores }
+ */
+async function evaluate(cases, analyzers, options = {}) {
+  const scores = [];
+  for (const testCase of cases) {
+    if (options.onCase) {
+      options.onCase(testCase);
+    }
+    const analysis = await analyzeBrands(analyzers, testCase.text, testCase.brands);
+    scores.push(scoreCase(testCase, analysis));
+  }
+
+  return { summary: summarize(scores), scores };
+}
+
+/**
+ * Check a summary against minimum scores
+ * @param {Object} summary - Result of summarize
+ * @param {Object} thresholds - { minPrecision, minRecall, minSentimentAccuracy, maxPositionError }
+ * @returns {Array} - Failed checks (empty when the gate passes)
+ */
+function checkThresholds(summary, thresholds) {
+  const checks = [
+    ['precision', thresholds.minPrecision, (value, limit) => value >= limit],
+    ['recall', thresholds.minRecall, (value, limit) => value >= limit],
+    ['sentimentAccuracy', thresholds.minSentimentAccuracy, (value, limit) => value >= limit],
+    ['positionError', thresholds.maxPositionError, (value, limit) => value <= limit]
+  ];
+
+  return checks
+    .filter(([, limit]) => limit !== undefined && limit !== null)
+    .filter(([metric, limit, passes]) => summary[metric] === null || !passes(summary[metric], limit))
+    .map(([metric, limit]) => `${metric} ${summary[metric] === null ? 'n/a' : summary[metric].toFixed(3)} (limit ${limit})`);
+}
+
+module.exports = {
+  loadGoldenSet,
+  loadRecordings,
+  saveRecordings,
+  recordingKey,
+  createReplayProvider,
+  createRecordingProvider,
+  scoreCase,
+  summarize,
+  evaluate,
+  checkThresholds
+};
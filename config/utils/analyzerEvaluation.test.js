@@ -0,0 +1,109 @@
+/**
+ * Tests for the analyzer evaluation
+ *
+ * Replays the golden set from the committed recordings, so a change to the analysis prompt, schema
+ * or model fails here until the recordings are refreshed with
+ * `node scripts/evaluateAnalyzer.js --mode record`. Also covers scoring cases and threshold checks.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+  loadGoldenSet,
+  loadRecordings,
+  recordingKey,
+  createReplayProvider,
+  scoreCase,
+  evaluate,
+  checkThresholds
+} = require('./analyzerEvaluation');
+const { ANALYSIS_MODEL } = require('./brandAnalysis');
+
+const EVALS_DIR = path.join(__dirname, '../evals');
+
+// analyzeBrands logs every replayed call that fails
+async function evaluateQuietly(cases, analyzers) {
+  const realWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return await evaluate(cases, analyzers);
+  } finally {
+    console.warn = realWarn;
+  }
+}
+
+test('replays every golden case from the committed recordings', async () => {
+  const cases = loadGoldenSet(path.join(EVALS_DIR, 'brandAnalysis.golden.json'));
+  const replayProvider = createReplayProvider(loadRecordings(path.join(EVALS_DIR, 'brandAnalysis.recordings.json')));
+
+  const { summary } = await evaluateQuietly(cases, [{ modelId: ANALYSIS_MODEL, provider: replayProvider }]);
+
+  assert.strictEqual(
+    replayProvider.missing.length,
+    0,
+    `${replayProvider.missing.length} analysis calls had no recording - run node scripts/evaluateAnalyzer.js --mode record and commit the recordings`
+  );
+  assert.deepStrictEqual(summary.statuses, { complete: cases.length });
+});
+
+test('fails unrecorded prompts like an unavailable model', async () => {
+  const recordings = { [recordingKey(ANALYSIS_MODEL, 'known prompt')]: { response: '{}', inputTokens: 10 } };
+  const replayProvider = createReplayProvider(recordings);
+
+  assert.deepStrictEqual(await replayProvider.generateText(ANALYSIS_MODEL, 'known prompt'), { response: '{}', inputTokens: 10, outputTokens: 0 });
+  await assert.rejects(replayProvider.generateText(ANALYSIS_MODEL, 'changed prompt'), /No recorded output/);
+  await assert.rejects(replayProvider.generateText('gpt-4o', 'known prompt'), /No recorded output/);
+  assert.deepStrictEqual(replayProvider.missing, [ANALYSIS_MODEL, 'gpt-4o']);
+});
+
+test('scores mentions, sentiment and position against the labels', () => {
+  const testCase = {
+    id: 'case-1',
+    expected: [
+      { brand: 'Harbour Bank', mentioned: true, sentiment: 'positive', position: 1 },
+      { brand: 'Summit Credit Union', mentioned: true, sentiment: 'negative' },
+      { brand: 'Nimbus Finance', mentioned: true }
+    ]
+  };
+  const score = scoreCase(testCase, {
+    analysisStatus: 'complete',
+    brands: [
+      { brandKeywords: 'Harbour Bank', mentioned: true, sentiment: 'positive', position: 2 },
+      { brandKeywords: 'Summit Credit Union', mentioned: true, sentiment: 'negative', position: 1 },
+      { brandKeywords: 'Nimbus Finance', mentioned: false },
+      { brandKeywords: 'Ferro Bank', mentioned: true, sentiment: 'neutral', position: 3 }
+    ]
+  });
+
+  assert.deepStrictEqual(score, {
+    id: 'case-1',
+    analysisStatus: 'complete',
+    truePositives: 2,
+    falsePositives: 1,
+    falseNegatives: 1,
+    sentimentLabelled: 2,
+    sentimentCorrect: 2,
+    positionLabelled: 1,
+    positionErrorSum: 1,
+    errors: [
+      'Harbour Bank: position 2, expected 1',
+      'Nimbus Finance: missed mention',
+      'Ferro Bank: not mentioned but detected'
+    ]
+  });
+});
+
+test('reports each missed threshold, counting unmeasured metrics as missed', () => {
+  const summary = { precision: 0.9, recall: 0.75, sentimentAccuracy: null, positionError: 0.5 };
+
+  assert.deepStrictEqual(checkThresholds(summary, {}), []);
+  assert.deepStrictEqual(checkThresholds(summary, { minPrecision: 0.9, maxPositionError: 0.5 }), []);
+  assert.deepStrictEqual(checkThresholds(summary, { minRecall: 0.8, minSentimentAccuracy: 0.5, maxPositionError: 0.25 }), [
+    'recall 0.750 (limit 0.8)',
+    'sentimentAccuracy n/a (limit 0.5)',
+    'positionError 0.500 (limit 0.25)'
+  ]);
+});
@@ -0,0 +1,157 @@
+/**
+ * Brand aliases.
+ *
+ * A brand is known by more than its canonical name: aliases ("Commonwealth Bank"), abbreviations
+ * ("CBA"), product names ("CommBank Yello") and official domains ("commbank.com.au"). These helpers
+ * clean the lists entered through createBrand/updateBrand and resolve any of those terms back to the
+ * canonical brand name stored in `sentimentAnalysis.brands`.
+ */
+
+const TERM_FIELDS = ['aliases', 'abbreviations', 'productNames'];
+
+/**
+ * Trim, drop empties and de-duplicate a list of names (case-insensitive)
+ * @param {Array} terms - Raw input
+ * @param {Array} exclude - Terms to leave out (e.g. the brand name itself)
+ * @returns {Array}
+ */
+function normalizeTerms(terms, exclude = []) {
+  const seen = new Set(exclude.filter(Boolean).map(term => term.trim().toLowerCase()));
+  const result = [];
+
+  (terms || []).forEach(term => {
+    const cleaned = typeof term === 'string' ? term.trim().replace(/\s+/g, ' ') : '';
+    const key = cleaned.toLowerCase();
+    if (cleaned && !seen.has(key)) {
+      seen.add(key);
+      result.push(cleaned);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Reduce domains or URLs to bare lower-case hostnames without www.
+ * @param {Array} domains - Raw input ("https://www.example.com/page", "Example.com")
+ * @returns {Array}
+ */
+function normalizeDomains(domains) {
+  const hosts = (domains || [])
+    .filter(domain => typeof domain === 'string' && domain.trim())
+    .map(domain => domain.trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^www\./, '')
+      .split(/[/?#:]/)[0])
+    .filter(host => host.includes('.'));
+
+  return [...new Set(hosts)];
+}
+
+/**
+ * Clean the alias fields of a createBrand/updateBrand input
+ * Only fields present in the input are returned, so updates leave the others untouched.
+ * @param {Object} input - { aliases, abbreviations, productNames, domains }
+ * @param {String} name - Canonical brand name (never kept as its own alias)
+ * @returns {Object}
+ */
+function normalizeBrandAliases(input, name) {
+  const result = {};
+
+  TERM_FIELDS.forEach(field => {
+    if (input[field] !== undefined) {
+      result[field] = normalizeTerms(input[field], [name]);
+    }
+  });
+
+  if (input.domains !== undefined) {
+    result.domains = normalizeDomains(input.domains);
+  }
+
+  return result;
+}
+
+/**
+ * Every term a brand can be mentioned by, canonical name first
+ * @param {Object} brand - Brand document
+ * @returns {Array}
+ */
+function getBrandTerms(brand) {
+  return normalizeTerms([
+    brand.name,
+    ...TERM_FIELDS.flatMap(field => brand[field] || []),
+    ...(brand.domains || [])
+  ]);
+}
+
+/**
+ * Build a lookup of lower-cased term -> brand
+ * The canonical name always wins when two brands share a term.
+ * @param {Array} brands - Brand documents (or { name, type, ... } objects)
+ * @returns {Map}
+ */
+function buildAliasIndex(brands) {
+  const index = new Map();
+
+  brands.forEach(brand => {
+    getBrandTerms(brand).slice(1).forEach(term => {
+      const key = term.toLowerCase();
+      if (!index.has(key)) {
+        index.set(key, brand);
+      }
+    });
+  });
+  brands.forEach(brand => index.set(brand.name.trim().toLowerCase(), brand));
+
+  return index;
+}
+
+/**
+ * Resolve a term the analysis model returned to a brand
+ * Also handles a comma-separated list of terms by taking the first one that resolves.
+ * @param {String} term - Name, alias, abbreviation, product name or domain
+ * @param {Map} aliasIndex - Result of buildAliasIndex
+ * @returns {Object|null} - Brand, or null when the term is unknown
+ */
+function resolveBrand(term, aliasIndex) {
+  if (typeof term !== 'string' || !term.trim()) {
+    return null;
+  }
+
+  const exact = aliasIndex.get(term.trim().toLowerCase());
+  if (exact) {
+    return exact;
+  }
+
+  for (const part of term.split(/[,;/]/)) {
+    const key = part.trim().toLowerCase().replace(/^www\./, '');
+    if (aliasIndex.has(key)) {
+      return aliasIndex.get(key);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a stored brand judgement or override to the workspace's current brand
+ * Matches by `brandId`, or by name and aliases for entries stored before brand IDs, so a renamed
+ * brand still resolves.
+ * @param {Object} entry - { brandId, brandKeywords }
+ * @param {Map} brandsById - Current brands by id
+ * @param {Map} aliasIndex - Result of buildAliasIndex
+ * @returns {Object|null} - Brand, or null when the brand is no longer tracked
+ */
+function resolveBrandEntry(entry, brandsById, aliasIndex) {
+  return (entry.brandId && brandsById.get(String(entry.brandId))) || resolveBrand(entry.brandKeywords, aliasIndex);
+}
+
+module.exports = {
+  normalizeTerms,
+  normalizeDomains,
+  normalizeBrandAliases,
+  getBrandTerms,
+  buildAliasIndex,
+  resolveBrand,
+  resolveBrandEntry
+};
@@ -0,0 +1,772 @@
+/**
+ * Brand analysis for model responses.
+ *
+ * Owns the analysis prompt template, the output schema and the parser used by every job that
+ * analyses responses (direct runs, batch results, re-analysis and scripts). Bump ANALYZER_VERSION
+ * whenever the prompt, schema or parsing changes in a way that alters results; each analysis stores
+ * the version it was made with so older results can be re-analysed selectively.
+ *
+ * Versions:
+ *   1 - original per-job prompts (only batch results asked for positions); results stored without a version
+ *   2 - single shared prompt with positions for every result
+ *   3 - prompt generated from each brand's aliases; alias mentions resolve to the canonical brand
+ *   4 - mentions and positions from the local detector; the model only judges sentiment
+ *   5 - provider-native structured output, validated against the brand list with one repair attempt
+ *   6 - per-brand aspect sentiment from the workspace aspect taxonomy
+ *   7 - role of each mention (recommended, alternative, reference, comparison loser, warning)
+ *   8 - neutral and mixed sentiment, and a 0-1 confidence per brand judgement
+ *   9 - names of untracked brands and companies mentioned, for competitor discovery
+ *  10 - brands referenced by `brandId` as well as name, so renames keep their history
+ */
+
+const { getModelConfig, getModelById } = require('../data/availableModels');
+const { getUsageCost } = require('../data/pricing');
+const { toGeminiSchema } = require('../providers/google/client');
+const { normalizeTerms, getBrandTerms, buildAliasIndex, resolveBrand } = require('./brandAliases');
+const { detectMentions } = require('./mentionDetector');
+const { ANALYSIS_STATUSES } = require('./analysisState');
+
+const ANALYZER_VERSION = 10;
+// Default analysis model, and the model analysis batches fall back to when the workspace's is not a Gemini model
+const ANALYSIS_MODEL = 'gemini-2.5-flash';
+// analyzedBy when no analysis model was available or none of them answered
+const LOCAL_DETECTOR = 'local-detector';
+
+// 'neutral' and 'mixed' are judgements; 'not-determined' means no judgement (not mentioned, or no usable
+// model output)
+const SENTIMENTS = ['positive', 'negative', 'neutral', 'mixed', 'not-determined'];
+
+// What a mention does for the brand; null when the brand is not mentioned
+const MENTION_ROLES = ['primary-recommendation', 'alternative', 'neutral-reference', 'comparison-loser', 'warning'];
+const RECOMMENDED_ROLE = 'primary-recommendation';
+
+// `type` of analysis batches in the `batches` collection (generation batches are 'generation')
+const ANALYSIS_BATCH_TYPE = 'analysis';
+
+// Untracked brand names kept per result
+const MAX_UNTRACKED_BRANDS = 20;
+
+// Aspects judged per brand when the workspace has not configured its own taxonomy
+const DEFAULT_ASPECTS = ['price', 'fees', 'customer service', 'features', 'trust', 'ease of use'];
+
+/**
+ * JSON schema of the analysis output (one entry per brand in the list)
+ * Passed to the provider as `responseSchema` (Gemini responseSchema / OpenAI json_schema).
+ * @param {Array} aspects - Aspect taxonomy the `aspect` values are limited to
+ * @returns {Object}
+ */
+function buildAnalysisSchema(aspects = DEFAULT_ASPECTS) {
+  return {
+    type: 'object',
+    properties: {
+      brands: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            brandKeywords: { type: 'string' },
+            type: { type: 'string', enum: ['own', 'competitor'] },
+            mentioned: { type: 'boolean' },
+            sentiment: { type: 'string', enum: SENTIMENTS },
+            confidence: { type: ['number', 'null'] },
+            position: { type: ['integer', 'null'] },
+            role: { type: ['string', 'null'], enum: [...MENTION_ROLES, null] },
+            aspects: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  aspect: { type: 'string', enum: aspects },
+                  sentiment: { type: 'string', enum: SENTIMENTS }
+                },
+                required: ['aspect', 'sentiment'],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ['brandKeywords', 'type', 'mentioned', 'sentiment', 'confidence', 'position', 'role', 'aspects'],
+          additionalProperties: false
+        }
+      },
+      overallSentiment: { type: 'string', enum: SENTIMENTS },
+      untrackedBrands: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['brands', 'overallSentiment', 'untrackedBrands'],
+    additionalProperties: false
+  };
+}
+
+const ANALYSIS_SCHEMA = buildAnalysisSchema();
+
+/**
+ * Aspect taxonomy for an analysis: the workspace's own list, else the defaults
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @returns {Array} - Lower-cased aspect names
+ */
+function getAnalysisAspects(brandData) {
+  const aspects = normalizeTerms(brandData?.aspects).map(aspect => aspect.toLowerCase());
+  return aspects.length > 0 ? aspects : DEFAULT_ASPECTS;
+}
+
+/**
+ * Flatten the workspace brands into the list the analysis works on
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @returns {Array} - [{ name, type, aliases, abbreviations, productNames, domains }]
+ */
+function getAnalysisBrands(brandData) {
+  const toAnalysisBrand = (brand, type) => ({
+    id: brand?._id ? String(brand._id) : null,
+    name: brand?.name || 'Not specified',
+    type,
+    aliases: brand?.aliases || [],
+    abbreviations: brand?.abbreviations || [],
+    productNames: brand?.productNames || [],
+    domains: brand?.domains || []
+  });
+
+  return [
+    toAnalysisBrand(brandData?.ownBrand, 'own'),
+    ...(brandData?.competitors || []).map(b => toAnalysisBrand(b, 'competitor'))
+  ];
+}
+
+// One line per brand: "- Acme (own) - also: Acme Corp, ACM; products: Widget Pro; domains: acme.com"
+function describeBrand(brand) {
+  const details = [
+    [...brand.aliases, ...brand.abbreviations].length > 0 && `also: ${[...brand.aliases, ...brand.abbreviations].join(', ')}`,
+    brand.productNames.length > 0 && `products: ${brand.productNames.join(', ')}`,
+    brand.domains.length > 0 && `domains: ${brand.domains.join(', ')}`
+  ].filter(Boolean);
+
+  return `- ${brand.name} (${brand.type})${details.length > 0 ? ` - ${details.join('; ')}` : ''}`;
+}
+
+/**
+ * Build the analysis prompt for one response
+ * @param {String} text - Model response to analyse
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @returns {String}
+ */
+function buildAnalysisPrompt(text, brandData) {
+  const allBrands = getAnalysisBrands(brandData);
+  const names = allBrands.map(b => b.name);
+  const aspects = getAnalysisAspects(brandData);
+
+  // Examples use the workspace's own brands so they never point at another customer's market
+  const aliasBrand = allBrands.find(b => getBrandTerms(b).length > 1) || allBrands[0];
+  const aliasTerms = getBrandTerms(aliasBrand).slice(1, 4);
+  const wrongKeywords = aliasTerms.length > 0
+    ? [aliasBrand.name, ...aliasTerms].join(', ')
+    : (names.length > 1 ? names.slice(0, 3).join(', ') : `${aliasBrand.name}, ${aliasBrand.name} App`);
+
+  const normalization = allBrands
+    .map(b => ({ name: b.name, terms: getBrandTerms(b).slice(1) }))
+    .filter(b => b.terms.length > 0)
+    .map(b => `- Text mentions ${b.terms.map(term => `"${term}"`).join(' or ')} → use "${b.name}"`);
+
+  const positionExample = names.length > 1
+    ? `- Text: "I recommend ${names[1]} and ${names[0]}..." → ${names[1]} position=1, ${names[0]} position=2`
+    : `- Text: "I recommend ${names[0]}..." → ${names[0]} position=1`;
+
+  return `Analyze this text for brand mentions and sentiment. Return ONLY valid JSON.
+
+AVAILABLE BRANDS (use these EXACT values):
+${allBrands.map(describeBrand).join('\n')}
+
+Text to analyze: "${text}"
+
+CRITICAL RULES - READ CAREFULLY:
+1. "brandKeywords" must be a SINGLE brand name from the list above - NOT a comma-separated list
+2. A mention of any alias, abbreviation, product or domain listed for a brand counts as a mention of that brand - use ONLY the brand name
+3. DO NOT write: "${wrongKeywords}" ❌
+4. DO write: "${aliasBrand.name}" ✅
+5. For "position": if the brand is mentioned, indicate which order it appears in the text (1=first brand mentioned, 2=second, etc.). If not mentioned, use null.
+6. For "aspects": list only the aspects the text expresses an opinion about for that brand, each with its sentiment. Use ONLY these aspects: ${aspects.join(', ')}. Use [] when none apply or the brand is not mentioned.
+7. For "role": what the mention does for the brand. If not mentioned, use null.
+   - "primary-recommendation": the text recommends it as the (or a top) choice
+   - "alternative": listed as one option among others, or as a fallback
+   - "neutral-reference": mentioned without recommending or discouraging it
+   - "comparison-loser": compared with another brand and comes off worse
+   - "warning": the text advises against it or warns about it
+8. For "sentiment" of a mentioned brand use "positive", "negative", "neutral" (mentioned without an opinion) or "mixed" (both praise and criticism). Use "not-determined" only when the brand is not mentioned.
+9. For "confidence": how sure you are of that brand's sentiment and role, from 0 (guess) to 1 (certain). If not mentioned, use null.
+10. For "untrackedBrands": the names of other brands, companies or products the text mentions that are NOT in the list above (no aliases of listed brands, no generic words like "banks"). Use [] when there are none.
+
+WRONG EXAMPLE:
+{
+  "brandKeywords": "${wrongKeywords}",  ❌ WRONG - multiple values
+  "mentioned": true
+}
+
+CORRECT EXAMPLE:
+{
+  "brandKeywords": "${aliasBrand.name}",  ✅ CORRECT - single exact value from list
+  "mentioned": true,
+  "position": 1
+}
+${normalization.length > 0 ? `
+BRAND NORMALIZATION:
+${normalization.join('\n')}
+` : ''}
+POSITION EXAMPLES:
+${positionExample}
+
+JSON Response Format:
+{
+    "brands": [
+        {
+            "brandKeywords": "single_brand_name_from_list",
+            "type": "own"|"competitor",
+            "mentioned": boolean,
+            "sentiment": "positive"|"negative"|"neutral"|"mixed"|"not-determined",
+            "confidence": number|null,
+            "position": number|null,
+            "role": "primary-recommendation"|"alternative"|"neutral-reference"|"comparison-loser"|"warning"|null,
+            "aspects": [
+                { "aspect": "one_aspect_from_list", "sentiment": "positive"|"negative"|"neutral"|"mixed" }
+            ]
+        }
+    ],
+    "overallSentiment": "positive"|"negative"|"neutral"|"mixed"|"not-determined",
+    "untrackedBrands": ["other_brand_name"]
+}
+
+Return JSON only. Include ALL brands from the list, using their EXACT names:`;
+}
+
+/**
+ * Ask the model to fix output that failed validation
+ * @param {String} prompt - Original analysis prompt
+ * @param {String} responseText - The invalid output
+ * @param {Array} errors - Validation errors from parseAnalysis
+ * @returns {String}
+ */
+function buildRepairPrompt(prompt, responseText, errors) {
+  return `${prompt}
+
+Your previous answer was:
+${responseText}
+
+It is invalid:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON only, with one entry for every brand in the list.`;
+}
+
+// Structured output is plain JSON, but providers without native schemas may still wrap it in a code fence
+function parseJson(responseText) {
+  const text = (responseText || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(text);
+}
+
+/**
+ * Validate one brand's aspect sentiments against the taxonomy
+ * @param {Array} aspects - Raw `aspects` from the model (missing counts as none)
+ * @param {Array} taxonomy - Allowed aspect names (lower case)
+ * @param {String} label - Brand label for error messages
+ * @param {Array} errors - Collects validation errors
+ * @returns {Array} - [{ aspect, sentiment }], one entry per aspect
+ */
+function parseAspects(aspects, taxonomy, label, errors) {
+  if (aspects === undefined || aspects === null) {
+    return [];
+  }
+  if (!Array.isArray(aspects)) {
+    errors.push(`${label}: "aspects" must be an array`);
+    return [];
+  }
+
+  const byAspect = new Map();
+  aspects.forEach(item => {
+    const aspect = typeof item?.aspect === 'string' ? item.aspect.trim().toLowerCase() : '';
+    if (!taxonomy.includes(aspect)) {
+      errors.push(`${label}: aspect "${item?.aspect}" is not one of ${taxonomy.join(', ')}`);
+    } else if (!SENTIMENTS.includes(item.sentiment)) {
+      errors.push(`${label}: sentiment for aspect "${aspect}" must be one of ${SENTIMENTS.join(', ')}`);
+    } else if (!byAspect.has(aspect)) {
+      byAspect.set(aspect, { aspect, sentiment: item.sentiment });
+    }
+  });
+
+  return Array.from(byAspect.values());
+}
+
+/**
+ * Clean the untracked brand names the model reported
+ * Names that resolve to a tracked brand (e.g. an alias the model did not recognise) are dropped.
+ * @param {Array} names - Raw `untrackedBrands` from the model (missing counts as none)
+ * @param {Map} aliasIndex - Result of buildAliasIndex for the tracked brands
+ * @param {Array} errors - Collects validation errors
+ * @returns {Array}
+ */
+function parseUntrackedBrands(names, aliasIndex, errors) {
+  if (names === undefined || names === null) {
+    return [];
+  }
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    errors.push('"untrackedBrands" must be an array of names');
+    return [];
+  }
+
+  return normalizeTerms(names)
+    .filter(name => !resolveBrand(name, aliasIndex))
+    .slice(0, MAX_UNTRACKED_BRANDS);
+}
+
+/**
+ * Parse the model output and validate it against the brand list
+ * Every brand must be present exactly once (aliases resolve to the canonical brand) with schema-valid
+ * values; anything else is reported in `errors` rather than coerced into "not mentioned".
+ * @param {String} responseText - Raw analysis model output
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @returns {Object} - { parsed: true, brands, overallSentiment, untrackedBrands } or { parsed: false, errors }
+ */
+function parseAnalysis(responseText, brandData) {
+  const allBrands = getAnalysisBrands(brandData);
+
+  let data;
+  try {
+    data = parseJson(responseText);
+  } catch (error) {
+    return { parsed: false, errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.brands)) {
+    return { parsed: false, errors: ['Output must be an object with a "brands" array'] };
+  }
+
+  const errors = [];
+  if (!SENTIMENTS.includes(data.overallSentiment)) {
+    errors.push(`"overallSentiment" must be one of ${SENTIMENTS.join(', ')}`);
+  }
+
+  // Aliases, abbreviations, products and domains resolve to the canonical brand; one entry per brand
+  const aliasIndex = buildAliasIndex(allBrands);
+  const taxonomy = getAnalysisAspects(brandData);
+  const byName = new Map();
+
+  data.brands.forEach((brand, index) => {
+    const canonical = resolveBrand(brand?.brandKeywords, aliasIndex);
+    if (!canonical) {
+      errors.push(`brands[${index}]: "${brand?.brandKeywords}" is not in the brand list`);
+      return;
+    }
+    if (typeof brand.mentioned !== 'boolean') {
+      errors.push(`brands[${index}] (${canonical.name}): "mentioned" must be true or false`);
+      return;
+    }
+    if (!SENTIMENTS.includes(brand.sentiment)) {
+      errors.push(`brands[${index}] (${canonical.name}): "sentiment" must be one of ${SENTIMENTS.join(', ')}`);
+      return;
+    }
+
+    if (brand.mentioned && !MENTION_ROLES.includes(brand.role)) {
+      errors.push(`brands[${index}] (${canonical.name}): "role" must be one of ${MENTION_ROLES.join(', ')} when mentioned`);
+      return;
+    }
+
+    const confidence = brand.mentioned ? brand.confidence : null;
+    if (brand.mentioned && !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+      errors.push(`brands[${index}] (${canonical.name}): "confidence" must be a number from 0 to 1 when mentioned`);
+      return;
+    }
+
+    const position = parseInt(brand.position, 10);
+    const aspects = parseAspects(brand.aspects, taxonomy, `brands[${index}] (${canonical.name})`, errors);
+    const entry = {
+      brandKeywords: canonical.name,
+      type: canonical.type,
+      mentioned: brand.mentioned,
+      sentiment: brand.sentiment,
+      confidence,
+      position: brand.mentioned && position > 0 ? position : null,
+      role: brand.mentioned ? brand.role : null,
+      aspects: brand.mentioned ? aspects : []
+    };
+
+    const key = entry.brandKeywords.toLowerCase();
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, entry);
+    } else if (entry.mentioned) {
+      // The same brand reported twice (e.g. under an alias): keep the earliest mention
+      const earlier = !existing.mentioned || (entry.position !== null && (existing.position === null || entry.position < existing.position));
+      existing.mentioned = true;
+      existing.position = earlier ? entry.position : existing.position;
+      existing.role = earlier ? entry.role : existing.role;
+      if (earlier || existing.sentiment === 'not-determined') {
+        existing.sentiment = entry.sentiment;
+        existing.confidence = entry.confidence;
+      }
+      const seenAspects = new Set(existing.aspects.map(item => item.aspect));
+      existing.aspects.push(...entry.aspects.filter(item => !seenAspects.has(item.aspect)));
+    }
+  });
+
+  const untrackedBrands = parseUntrackedBrands(data.untrackedBrands, aliasIndex, errors);
+
+  const missing = allBrands.filter(brand => !byName.has(brand.name.toLowerCase()));
+  if (missing.length > 0) {
+    errors.push(`Missing brands: ${missing.map(brand => brand.name).join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { parsed: false, errors };
+  }
+
+  return {
+    parsed: true,
+    brands: Array.from(byName.values()),
+    overallSentiment: data.overallSentiment,
+    untrackedBrands
+  };
+}
+
+/**
+ * Combine detector mentions with the model's judgement
+ * The detector decides `mentioned` and `position`; the model contributes sentiment and role. Brands where
+ * the two disagree about whether the brand is mentioned are listed in `disagreements`, with the
+ * detector's possible misspellings kept on the brand for the reviewer.
+ * @param {Array} detected - Result of detectMentions
+ * @param {Object} judged - Result of parseAnalysis, or null when the model gave nothing usable
+ * @returns {Object} - { brands, overallSentiment, untrackedBrands, disagreements, needsReview }
+ */
+function mergeAnalysis(detected, judged) {
+  const judgedByName = new Map((judged?.brands || []).map(brand => [brand.brandKeywords.toLowerCase(), brand]));
+  const disagreements = [];
+
+  const brands = detected.map(brand => {
+    const verdict = judgedByName.get(brand.brandKeywords.toLowerCase());
+    if (judged && (verdict?.mentioned === true) !== brand.mentioned) {
+      disagreements.push(brand.brandKeywords);
+    }
+
+    return {
+      brandId: brand.brandId,
+      brandKeywords: brand.brandKeywords,
+      type: brand.type,
+      mentioned: brand.mentioned,
+      sentiment: brand.mentioned && verdict ? verdict.sentiment : 'not-determined',
+      confidence: brand.mentioned && verdict ? verdict.confidence : null,
+      role: brand.mentioned && verdict ? verdict.role : null,
+      aspects: brand.mentioned && verdict ? verdict.aspects : [],
+      position: brand.position,
+      offset: brand.offset,
+      possibleMisspellings: brand.possibleMisspellings || []
+    };
+  });
+
+  return {
+    brands,
+    overallSentiment: judged ? judged.overallSentiment : 'not-determined',
+    untrackedBrands: judged ? judged.untrackedBrands : [],
+    disagreements,
+    needsReview: disagreements.length > 0
+  };
+}
+
+/**
+ * Build the `sentimentAnalysis` subdocument from the detector and, when available, the model's judgement
+ * @param {String} text - Model response that was analysed
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @param {Object} outcome - { judged, analysisStatus, analysisError, modelId, usage } - modelId: the
+ *   analysis model that answered (unset when none did)
+ * @returns {Object}
+ */
+function buildSentimentAnalysis(text, brandData, { judged = null, analysisStatus, analysisError = null, modelId = null, usage = null }) {
+  const detected = detectMentions(text, getAnalysisBrands(brandData));
+
+  return {
+    ...mergeAnalysis(detected, judged),
+    analysisStatus,
+    analysisError,
+    analyzedAt: new Date(),
+    analyzedBy: modelId || LOCAL_DETECTOR,
+    analyzerVersion: ANALYZER_VERSION,
+    // Usage fields are only set when the model was actually called
+    ...usage
+  };
+}
+
+/**
+ * Analysis models that can be called, in fallback order
+ * Models that are unknown or whose provider is not initialised are left out.
+ * @param {ProviderFactory} providerFactory - Provider factory of the job
+ * @param {Array} models - Model IDs in fallback order (getAnalysisSettings().models)
+ * @returns {Array} - [{ modelId, provider }] (empty = detector only)
+ */
+function getAnalyzers(providerFactory, models = getDefaultAnalysisModels()) {
+  return models
+    .map(modelId => ({ modelId, provider: providerFactory.getProvider(getModelById(modelId)?.provider) }))
+    .filter(analyzer => analyzer.provider);
+}
+
+/**
+ * Call an analysis model with structured output
+ * @param {Object} analyzer - { modelId, provider }
+ * @param {String} prompt - Analysis or repair prompt
+ * @param {Object} brandData - { ownBrand, competitors, aspects } - the aspects shape the output schema
+ * @param {Object} usage - { inputTokens, outputTokens } accumulator
+ * @returns {Promise<String>} - Raw output
+ */
+async function callAnalysisModel({ modelId, provider }, prompt, brandData, usage) {
+  const options = {
+    ...getModelConfig(modelId, 'sentiment'),
+    responseSchema: buildAnalysisSchema(getAnalysisAspects(brandData))
+  };
+  const result = await provider.generateText(modelId, prompt, options);
+  usage.inputTokens += result.inputTokens || 0;
+  usage.outputTokens += result.outputTokens || 0;
+  return result.response;
+}
+
+/**
+ * Validate model output, repairing it once with a synchronous call when it is invalid
+ * @param {Object} analyzer - { modelId, provider } of the model that produced the output (null skips the repair)
+ * @param {String} prompt - The analysis prompt the output answers
+ * @param {String} responseText - Raw output
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @param {Object} usage - { inputTokens, outputTokens } accumulator for the repair call
+ * @returns {Promise<Object>} - Final parseAnalysis result
+ */
+async function parseWithRepair(analyzer, prompt, responseText, brandData, usage) {
+  const analysis = parseAnalysis(responseText, brandData);
+  if (analysis.parsed || !analyzer) {
+    return analysis;
+  }
+
+  console.warn(`⚠️ Invalid brand analysis output, retrying once: ${analysis.errors.join('; ')}`);
+  return parseAnalysis(await callAnalysisModel(analyzer, buildRepairPrompt(prompt, responseText, analysis.errors), brandData, usage), brandData);
+}
+
+// Turn a final parseAnalysis result into the outcome buildSentimentAnalysis expects
+function toOutcome(analysis, modelId, usage) {
+  if (analysis.parsed) {
+    return { judged: analysis, analysisStatus: 'complete', modelId, usage };
+  }
+
+  const analysisError = analysis.errors.join('; ');
+  console.warn(`⚠️ Brand analysis output invalid: ${analysisError}`);
+  return { analysisStatus: 'failed', analysisError, modelId, usage };
+}
+
+/**
+ * Analyse one response and build the `sentimentAnalysis` subdocument
+ * Mentions always come from the local detector. The analysis models are tried in order until one
+ * answers, so an outage or exhausted quota falls through to the next; `analyzedBy` is the model that
+ * answered. Without analyzers the result is `detector-only`; when every call fails, or the output is
+ * still invalid after one repair attempt, it is `failed`, with sentiment left undetermined and the
+ * reason in `analysisError`.
+ * @param {Array} analyzers - Result of getAnalyzers (empty or null = detector only)
+ * @param {String} text - Model response to analyse
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @returns {Promise<Object>} - sentimentAnalysis with analysisStatus, analyzedBy, analyzerVersion and, when a model answered, usage cost
+ */
+async function analyzeBrands(analyzers, text, brandData) {
+  if (!analyzers || analyzers.length === 0) {
+    return buildSentimentAnalysis(text, brandData, { analysisStatus: 'detector-only' });
+  }
+
+  const prompt = buildAnalysisPrompt(text, brandData);
+  const callErrors = [];
+
+  for (const analyzer of analyzers) {
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let responseText;
+    try {
+      responseText = await callAnalysisModel(analyzer, prompt, brandData, usage);
+    } catch (error) {
+      console.warn(`⚠️ Analysis model ${analyzer.modelId} call failed: ${error.message}`);
+      callErrors.push(`${analyzer.modelId}: ${error.message}`);
+      continue;
+    }
+
+    try {
+      const analysis = await parseWithRepair(analyzer, prompt, responseText, brandData, usage);
+      return buildSentimentAnalysis(text, brandData, toOutcome(analysis, analyzer.modelId, getUsageCost(analyzer.modelId, usage)));
+    } catch (error) {
+      console.warn(`⚠️ Analysis repair call failed: ${error.message}`);
+      return buildSentimentAnalysis(text, brandData, {
+        analysisStatus: 'failed',
+        analysisError: error.message,
+        modelId: analyzer.modelId,
+        usage: getUsageCost(analyzer.modelId, usage)
+      });
+    }
+  }
+
+  return buildSentimentAnalysis(text, brandData, { analysisStatus: 'failed', analysisError: callErrors.join('; ') });
+}
+
+/**
+ * Detector-only analysis for a result whose sentiment is queued in an analysis batch
+ * @param {String} text - Model response
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @returns {Object} - sentimentAnalysis with analysisStatus 'pending'
+ */
+function pendingAnalysis(text, brandData) {
+  return buildSentimentAnalysis(text, brandData, { analysisStatus: 'pending' });
+}
+
+/**
+ * Model an analysis batch runs on: the first analysis model when it is a Gemini model (analysis batches
+ * are Vertex Gemini batches), else the default
+ * @param {Array} models - Analysis model IDs in fallback order
+ * @returns {String}
+ */
+function getAnalysisBatchModel(models) {
+  const [modelId] = models || [];
+  return modelId && getModelById(modelId)?.provider === 'google' && modelId.startsWith('gemini-') ? modelId : ANALYSIS_MODEL;
+}
+
+/**
+ * One request of an analysis batch, in the format submitBatch expects
+ * @param {String} resultId - PreviousModelResult ID the analysis belongs to
+ * @param {String} text - Model response to analyse
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @param {String} modelId - Analysis batch model (getAnalysisBatchModel)
+ * @returns {Object} - { custom_id, model, resultId, messages }
+ */
+function buildAnalysisBatchRequest(resultId, text, brandData, modelId = ANALYSIS_MODEL) {
+  return {
+    custom_id: `${ANALYSIS_BATCH_TYPE}-${resultId}`,
+    model: modelId,
+    resultId: String(resultId),
+    messages: [{ role: 'user', content: buildAnalysisPrompt(text, brandData) }]
+  };
+}
+
+/**
+ * submitBatch options for an analysis batch: the batch type and the sentiment generation config
+ * with the output schema (Vertex batch requests take Gemini's generationConfig as-is)
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @param {String} modelId - Analysis batch model (getAnalysisBatchModel)
+ * @returns {Object} - { type, generationConfig }
+ */
+function getAnalysisBatchOptions(brandData, modelId = ANALYSIS_MODEL) {
+  const config = getModelConfig(modelId, 'sentiment');
+
+  return {
+    type: ANALYSIS_BATCH_TYPE,
+    generationConfig: {
+      maxOutputTokens: config.max_tokens,
+      temperature: config.temperature,
+      topP: config.topP,
+      topK: config.topK,
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(buildAnalysisSchema(getAnalysisAspects(brandData)))
+    }
+  };
+}
+
+/**
+ * Build the `sentimentAnalysis` subdocument from an analysis batch output
+ * Invalid output gets the same single repair attempt as direct analysis, made synchronously on the
+ * batch model.
+ * @param {Object} provider - Google provider for the repair call (may be null)
+ * @param {String} text - Model response that was analysed
+ * @param {Object} brandData - { ownBrand, competitors, aspects }
+ * @param {String} responseText - Analysis output from the batch (null when the request failed)
+ * @param {Object} batchUsage - { inputTokens, outputTokens } of the batch request
+ * @param {String} modelId - Model the batch ran on
+ * @returns {Promise<Object>}
+ */
+async function analyzeBatchOutput(provider, text, brandData, responseText, batchUsage, modelId = ANALYSIS_MODEL) {
+  const batchCost = getUsageCost(modelId, batchUsage, { batch: true });
+  const repairUsage = { inputTokens: 0, outputTokens: 0 };
+  const analyzer = provider ? { modelId, provider } : null;
+  // The batch model only answered when there is output to judge
+  const answeredBy = responseText ? modelId : null;
+
+  try {
+    const analysis = responseText
+      ? await parseWithRepair(analyzer, buildAnalysisPrompt(text, brandData), responseText, brandData, repairUsage)
+      : { parsed: false, errors: ['Analysis batch request returned no output'] };
+
+    // Batch tokens at the batch rate plus any repair call at the normal rate
+    const repairCost = getUsageCost(modelId, repairUsage);
+    const usage = {
+      inputTokens: batchCost.inputTokens + repairCost.inputTokens,
+      outputTokens: batchCost.outputTokens + repairCost.outputTokens,
+      costUSD: batchCost.costUSD === null ? null : Math.round((batchCost.costUSD + repairCost.costUSD) * 1000000) / 1000000
+    };
+    return buildSentimentAnalysis(text, brandData, toOutcome(analysis, answeredBy, usage));
+  } catch (error) {
+    console.warn(`⚠️ Analysis repair call failed: ${error.message}`);
+    return buildSentimentAnalysis(text, brandData, { analysisStatus: 'failed', analysisError: error.message, modelId: answeredBy, usage: batchCost });
+  }
+}
+
+/**
+ * Deployment analysis models in fallback order, from ANALYSIS_MODELS (comma-separated)
+ * @returns {Array} - Model IDs (ANALYSIS_MODEL when unset)
+ */
+function getDefaultAnalysisModels() {
+  const models = normalizeTerms((process.env.ANALYSIS_MODELS || '').split(','));
+  return models.length > 0 ? models : [ANALYSIS_MODEL];
+}
+
+/**
+ * Analysis settings for a workspace
+ * The workspace 'analysis' config (`updateConfig` with `configType: "analysis"`) overrides the
+ * deployment defaults from ANALYSIS_BATCH_MODE and ANALYSIS_MODELS.
+ * @param {Db} workspaceDb - Native workspace database handle
+ * @returns {Promise<Object>} - { batch, aspects, models } - batch: analyse batch results through an
+ *   analysis batch; aspects: the aspect taxonomy (`data.aspects`, defaults when unset); models: analysis
+ *   model IDs in fallback order (`data.models`, a list or a single ID)
+ */
+async function getAnalysisSettings(workspaceDb) {
+  const analysisConfig = await workspaceDb.collection('configs').findOne({ configType: 'analysis' });
+  const batch = analysisConfig?.data?.batch;
+  const models = normalizeTerms([].concat(analysisConfig?.data?.models || []));
+
+  return {
+    batch: typeof batch === 'boolean' ? batch : process.env.ANALYSIS_BATCH_MODE === 'true',
+    aspects: getAnalysisAspects({ aspects: analysisConfig?.data?.aspects }),
+    models: models.length > 0 ? models : getDefaultAnalysisModels()
+  };
+}
+
+/**
+ * Mongo filter for results analysed by an analyzer older than `belowVersion`
+ * Results analysed before versioning (no analyzerVersion) count as version 1.
+ * @param {Number} belowVersion - Target version (defaults to the current one)
+ * @returns {Object}
+ */
+function outdatedAnalysisFilter(belowVersion = ANALYZER_VERSION) {
+  const filter = { 'sentimentAnalysis.analyzerVersion': { $lt: belowVersion } };
+  if (belowVersion <= 1) {
+    return filter;
+  }
+  return { $or: [filter, { 'sentimentAnalysis.analyzerVersion': { $exists: false } }] };
+}
+
+module.exports = {
+  ANALYZER_VERSION,
+  ANALYSIS_MODEL,
+  LOCAL_DETECTOR,
+  ANALYSIS_STATUSES,
+  ANALYSIS_BATCH_TYPE,
+  SENTIMENTS,
+  MENTION_ROLES,
+  RECOMMENDED_ROLE,
+  ANALYSIS_SCHEMA,
+  DEFAULT_ASPECTS,
+  buildAnalysisSchema,
+  getAnalysisAspects,
+  getAnalysisBrands,
+  buildAnalysisPrompt,
+  buildRepairPrompt,
+  parseAnalysis,
+  mergeAnalysis,
+  getDefaultAnalysisModels,
+  getAnalyzers,
+  analyzeBrands,
+  pendingAnalysis,
+  getAnalysisBatchModel,
+  buildAnalysisBatchRequest,
+  getAnalysisBatchOptions,
+  analyzeBatchOutput,
+  getAnalysisSettings,
+  outdatedAnalysisFilter
+};
@@ -0,0 +1,453 @@
+/**
+ * Tests for brand analysis
+ *
+ * Covers validating model output against the workspace brand list (aliases, duplicates, missing
+ * brands, schema values and aspects), merging the model's judgement with detector mentions, and
+ * analysing a response against fake analysis models: structured output, the one repair attempt and
+ * falling back to the next model.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseAnalysis, mergeAnalysis, analyzeBrands, LOCAL_DETECTOR } = require('./brandAnalysis');
+
+const brandData = {
+  ownBrand: { _id: 'brand-own', name: 'Harbour Bank', aliases: ['Harbour'], abbreviations: ['HBK'] },
+  competitors: [
+    { _id: 'brand-coastal', name: 'Coastal Credit', productNames: ['Coastal Saver'] },
+    { _id: 'brand-summit', name: 'Summit Mutual', domains: ['summitmutual.com'] }
+  ],
+  aspects: ['Fees', 'Customer Service']
+};
+
+// A valid judgement for one brand; override fields per test
+const judgement = (brandKeywords, fields = {}) => ({
+  brandKeywords,
+  type: 'competitor',
+  mentioned: true,
+  sentiment: 'positive',
+  confidence: 0.9,
+  position: 1,
+  role: 'primary-recommendation',
+  aspects: [],
+  ...fields
+});
+
+const unmentioned = brandKeywords => judgement(brandKeywords, {
+  mentioned: false, sentiment: 'not-determined', confidence: null, position: null, role: null
+});
+
+const output = (brands, fields = {}) => JSON.stringify({
+  brands,
+  overallSentiment: 'positive',
+  untrackedBrands: [],
+  ...fields
+});
+
+test('parses a complete analysis into one entry per brand', () => {
+  const analysis = parseAnalysis(output([
+    judgement('Harbour Bank', { type: 'own', aspects: [{ aspect: 'fees', sentiment: 'positive' }] }),
+    judgement('Coastal Credit', { sentiment: 'mixed', confidence: 0.6, position: 2, role: 'alternative' }),
+    unmentioned('Summit Mutual')
+  ]), brandData);
+
+  assert.strictEqual(analysis.parsed, true);
+  assert.strictEqual(analysis.overallSentiment, 'positive');
+  assert.deepStrictEqual(analysis.untrackedBrands, []);
+  assert.deepStrictEqual(analysis.brands, [
+    {
+      brandKeywords: 'Harbour Bank', type: 'own', mentioned: true, sentiment: 'positive', confidence: 0.9,
+      position: 1, role: 'primary-recommendation', aspects: [{ aspect: 'fees', sentiment: 'positive' }]
+    },
+    {
+      brandKeywords: 'Coastal Credit', type: 'competitor', mentioned: true, sentiment: 'mixed', confidence: 0.6,
+      position: 2, role: 'alternative', aspects: []
+    },
+    {
+      brandKeywords: 'Summit Mutual', type: 'competitor', mentioned: false, sentiment: 'not-determined', confidence: null,
+      position: null, role: null, aspects: []
+    }
+  ]);
+});
+
+test('accepts output wrapped in a code fence', () => {
+  const text = '```json\n' + output([judgement('Harbour Bank'), unmentioned('Coastal Credit'), unmentioned('Summit Mutual')]) + '\n```';
+
+  assert.strictEqual(parseAnalysis(text, brandData).parsed, true);
+});
+
+test('rejects output that is not JSON or has no brands array', () => {
+  const notJson = parseAnalysis('Harbour Bank is mentioned positively.', brandData);
+  assert.strictEqual(notJson.parsed, false);
+  assert.match(notJson.errors[0], /^Output is not valid JSON/);
+
+  assert.deepStrictEqual(parseAnalysis('{"overallSentiment":"positive"}', brandData), {
+    parsed: false,
+    errors: ['Output must be an object with a "brands" array']
+  });
+});
+
+test('resolves aliases, abbreviations, products and domains to the canonical brand and type', () => {
+  const analysis = parseAnalysis(output([
+    judgement('HBK', { type: 'competitor' }),
+    judgement('coastal saver', { position: 2, role: 'alternative' }),
+    unmentioned('summitmutual.com')
+  ]), brandData);
+
+  assert.strictEqual(analysis.parsed, true);
+  assert.deepStrictEqual(analysis.brands.map(brand => [brand.brandKeywords, brand.type]), [
+    ['Harbour Bank', 'own'],
+    ['Coastal Credit', 'competitor'],
+    ['Summit Mutual', 'competitor']
+  ]);
+});
+
+test('merges a brand reported twice, keeping the earliest mention', () => {
+  const analysis = parseAnalysis(output([
+    unmentioned('Harbour Bank'),
+    judgement('Harbour', { position: 3, sentiment: 'negative', role: 'warning', aspects: [{ aspect: 'fees', sentiment: 'negative' }] }),
+    judgement('HBK', { position: 1, sentiment: 'positive', aspects: [{ aspect: 'fees', sentiment: 'positive' }, { aspect: 'customer service', sentiment: 'neutral' }] }),
+    unmentioned('Coastal Credit'),
+    unmentioned('Summit Mutual')
+  ]), brandData);
+
+  const [harbour] = analysis.brands;
+  assert.strictEqual(analysis.brands.length, 3);
+  assert.strictEqual(harbour.mentioned, true);
+  assert.strictEqual(harbour.position, 1);
+  assert.strictEqual(harbour.sentiment, 'positive');
+  assert.strictEqual(harbour.role, 'primary-recommendation');
+  assert.deepStrictEqual(harbour.aspects, [
+    { aspect: 'fees', sentiment: 'negative' },
+    { aspect: 'customer service', sentiment: 'neutral' }
+  ]);
+});
+
+test('reports unknown and missing brands instead of treating them as not mentioned', () => {
+  const analysis = parseAnalysis(output([
+    judgement('Harbour Bank'),
+    judgement('Riverside Bank')
+  ]), brandData);
+
+  assert.deepStrictEqual(analysis, {
+    parsed: false,
+    errors: [
+      'brands[1]: "Riverside Bank" is not in the brand list',
+      'Missing brands: Coastal Credit, Summit Mutual'
+    ]
+  });
+});
+
+test('reports schema violations per brand', () => {
+  const analysis = parseAnalysis(output([
+    judgement('Harbour Bank', { mentioned: 'yes' }),
+    judgement('Coastal Credit', { sentiment: 'glowing' }),
+    judgement('Summit Mutual', { role: null })
+  ], { overallSentiment: 'great' }), brandData);
+
+  assert.strictEqual(analysis.parsed, false);
+  assert.deepStrictEqual(analysis.errors, [
+    '"overallSentiment" must be one of positive, negative, neutral, mixed, not-determined',
+    'brands[0] (Harbour Bank): "mentioned" must be true or false',
+    'brands[1] (Coastal Credit): "sentiment" must be one of positive, negative, neutral, mixed, not-determined',
+    'brands[2] (Summit Mutual): "role" must be one of primary-recommendation, alternative, neutral-reference, comparison-loser, warning when mentioned',
+    'Missing brands: Harbour Bank, Coastal Credit, Summit Mutual'
+  ]);
+});
+
+test('requires a confidence from 0 to 1 for mentioned brands only', () => {
+  const analysis = parseAnalysis(output([
+    judgement('Harbour Bank', { confidence: 1.5 }),
+    judgement('Coastal Credit', { confidence: null }),
+    unmentioned('Summit Mutual')
+  ]), brandData);
+
+  assert.deepStrictEqual(analysis.errors, [
+    'brands[0] (Harbour Bank): "confidence" must be a number from 0 to 1 when mentioned',
+    'brands[1] (Coastal Credit): "confidence" must be a number from 0 to 1 when mentioned',
+    'Missing brands: Harbour Bank, Coastal Credit'
+  ]);
+
+  const ignored = parseAnalysis(output([
+    judgement('Harbour Bank'),
+    unmentioned('Coastal Credit'),
+    { ...unmentioned('Summit Mutual'), confidence: 0.8, position: 4, role: 'alternative' }
+  ]), brandData);
+  assert.deepStrictEqual(ignored.brands[2], {
+    brandKeywords: 'Summit Mutual', type: 'competitor', mentioned: false, sentiment: 'not-determined', confidence: null,
+    position: null, role: null, aspects: []
+  });
+});
+
+test('limits aspects to the workspace taxonomy', () => {
+  const valid = parseAnalysis(output([
+    judgement('Harbour Bank', { aspects: [{ aspect: 'Customer Service', sentiment: 'negative' }, { aspect: 'fees', sentiment: 'positive' }] }),
+    unmentioned('Coastal Credit'),
+    unmentioned('Summit Mutual')
+  ]), brandData);
+  assert.deepStrictEqual(valid.brands[0].aspects, [
+    { aspect: 'customer service', sentiment: 'negative' },
+    { aspect: 'fees', sentiment: 'positive' }
+  ]);
+
+  const invalid = parseAnalysis(output([
+    judgement('Harbour Bank', { aspects: [{ aspect: 'price', sentiment: 'positive' }, { aspect: 'fees', sentiment: 'cheap' }] }),
+    judgement('Coastal Credit', { aspects: 'fees' }),
+    unmentioned('Summit Mutual')
+  ]), brandData);
+  assert.deepStrictEqual(invalid.errors, [
+    'brands[0] (Harbour Bank): aspect "price" is not one of fees, customer service',
+    'brands[0] (Harbour Bank): sentiment for aspect "fees" must be one of positive, negative, neutral, mixed, not-determined',
+    'brands[1] (Coastal Credit): "aspects" must be an array'
+  ]);
+});
+
+test('keeps untracked brand names that do not resolve to a tracked brand', () => {
+  const brands = [judgement('Harbour Bank'), unmentioned('Coastal Credit'), unmentioned('Summit Mutual')];
+
+  const analysis = parseAnalysis(output(brands, { untrackedBrands: ['Riverside Bank', ' Harbour ', 'riverside bank', 'Oak Lending'] }), brandData);
+  assert.deepStrictEqual(analysis.untrackedBrands, ['Riverside Bank', 'Oak Lending']);
+
+  assert.deepStrictEqual(parseAnalysis(output(brands, { untrackedBrands: 'Riverside Bank' }), brandData).errors, [
+    '"untrackedBrands" must be an array of names'
+  ]);
+});
+
+// Detector entry as returned by detectMentions
+const detectedMention = (brandId, brandKeywords, position, fields = {}) => ({
+  brandId,
+  brandKeywords,
+  type: 'competitor',
+  mentioned: position !== null,
+  position,
+  offset: position === null ? null : position * 10,
+  matchedTerm: position === null ? null : brandKeywords,
+  mentionCount: position === null ? 0 : 1,
+  possibleMisspellings: [],
+  ...fields
+});
+
+test('takes mentions and positions from the detector and sentiment from the model', () => {
+  const detected = [
+    detectedMention('brand-own', 'Harbour Bank', 2, { type: 'own' }),
+    detectedMention('brand-coastal', 'Coastal Credit', 1),
+    detectedMention('brand-summit', 'Summit Mutual', null)
+  ];
+  const judged = parseAnalysis(output([
+    judgement('Harbour Bank', { type: 'own', position: 1, sentiment: 'negative', confidence: 0.7, role: 'warning', aspects: [{ aspect: 'fees', sentiment: 'negative' }] }),
+    judgement('Coastal Credit', { position: 2, role: 'alternative' }),
+    unmentioned('Summit Mutual')
+  ], { untrackedBrands: ['Oak Lending'] }), brandData);
+
+  assert.deepStrictEqual(mergeAnalysis(detected, judged), {
+    brands: [
+      {
+        brandId: 'brand-own', brandKeywords: 'Harbour Bank', type: 'own', mentioned: true, sentiment: 'negative', confidence: 0.7,
+        role: 'warning', aspects: [{ aspect: 'fees', sentiment: 'negative' }], position: 2, offset: 20, possibleMisspellings: []
+      },
+      {
+        brandId: 'brand-coastal', brandKeywords: 'Coastal Credit', type: 'competitor', mentioned: true, sentiment: 'positive', confidence: 0.9,
+        role: 'alternative', aspects: [], position: 1, offset: 10, possibleMisspellings: []
+      },
+      {
+        brandId: 'brand-summit', brandKeywords: 'Summit Mutual', type: 'competitor', mentioned: false, sentiment: 'not-determined', confidence: null,
+        role: null, aspects: [], position: null, offset: null, possibleMisspellings: []
+      }
+    ],
+    overallSentiment: 'positive',
+    untrackedBrands: ['Oak Lending'],
+    disagreements: [],
+    needsReview: false
+  });
+});
+
+test('flags brands where the detector and the model disagree about a mention for review', () => {
+  const detected = [
+    detectedMention('brand-own', 'Harbour Bank', 1, { type: 'own' }),
+    detectedMention('brand-coastal', 'Coastal Credit', null, { possibleMisspellings: ['Costal'] }),
+    detectedMention('brand-summit', 'Summit Mutual', null)
+  ];
+  const judged = parseAnalysis(output([
+    unmentioned('Harbour Bank'),
+    judgement('Coastal Credit'),
+    unmentioned('Summit Mutual')
+  ]), brandData);
+
+  const merged = mergeAnalysis(detected, judged);
+  assert.deepStrictEqual(merged.disagreements, ['Harbour Bank', 'Coastal Credit']);
+  assert.strictEqual(merged.needsReview, true);
+
+  // The detector still decides the mention; a judgement for an unmentioned brand is dropped
+  assert.deepStrictEqual(merged.brands.map(({ mentioned, sentiment, role }) => ({ mentioned, sentiment, role })), [
+    { mentioned: true, sentiment: 'not-determined', role: null },
+    { mentioned: false, sentiment: 'not-determined', role: null },
+    { mentioned: false, sentiment: 'not-determined', role: null }
+  ]);
+
+  // Possible misspellings stay on the brand for the reviewer
+  assert.deepStrictEqual(merged.brands[1].possibleMisspellings, ['Costal']);
+});
+
+test('keeps detector mentions with undetermined sentiment when there is no judgement', () => {
+  const detected = [
+    detectedMention('brand-own', 'Harbour Bank', 1, { type: 'own' }),
+    detectedMention('brand-coastal', 'Coastal Credit', null)
+  ];
+
+  const merged = mergeAnalysis(detected, null);
+  assert.strictEqual(merged.overallSentiment, 'not-determined');
+  assert.deepStrictEqual(merged.untrackedBrands, []);
+  assert.deepStrictEqual(merged.disagreements, []);
+  assert.strictEqual(merged.needsReview, false);
+  assert.deepStrictEqual(merged.brands[0], {
+    brandId: 'brand-own', brandKeywords: 'Harbour Bank', type: 'own', mentioned: true, sentiment: 'not-determined', confidence: null,
+    role: null, aspects: [], position: 1, offset: 10, possibleMisspellings: []
+  });
+});
+
+const RESPONSE = 'For home loans I would go with Coastal Credit. Harbour Bank is a decent alternative.';
+
+const validOutput = output([
+  judgement('Harbour Bank', { type: 'own', position: 2, sentiment: 'neutral', confidence: 0.8, role: 'alternative' }),
+  judgement('Coastal Credit', { aspects: [{ aspect: 'fees', sentiment: 'positive' }] }),
+  unmentioned('Summit Mutual')
+]);
+const invalidOutput = output([judgement('Harbour Bank', { type: 'own' })]);
+
+// Analysis model answering with each of `answers` in turn (an Error is thrown); records its calls
+function createAnalyzer(modelId, answers) {
+  const calls = [];
+  const provider = {
+    async generateText(model, prompt, options) {
+      calls.push({ model, prompt, options });
+      const answer = answers.shift();
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      return { response: answer, inputTokens: 1000, outputTokens: 200 };
+    }
+  };
+  return { modelId, provider, calls };
+}
+
+// analyzeBrands logs each invalid output and failed call
+async function analyzeQuietly(analyzers, text) {
+  const realWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return await analyzeBrands(analyzers, text, brandData);
+  } finally {
+    console.warn = realWarn;
+  }
+}
+
+test('asks the analysis model for structured output limited to the workspace brands and aspects', async () => {
+  const analyzer = createAnalyzer('gemini-2.5-flash', [validOutput]);
+
+  const analysis = await analyzeQuietly([analyzer], RESPONSE);
+
+  const [{ model, prompt, options }] = analyzer.calls;
+  assert.strictEqual(model, 'gemini-2.5-flash');
+  assert.match(prompt, /Coastal Credit/);
+  const item = options.responseSchema.properties.brands.items;
+  assert.deepStrictEqual(item.properties.aspects.items.properties.aspect.enum, ['fees', 'customer service']);
+  assert.deepStrictEqual(options.responseSchema.required, ['brands', 'overallSentiment', 'untrackedBrands']);
+
+  assert.strictEqual(analysis.analysisStatus, 'complete');
+  assert.strictEqual(analysis.analysisError, null);
+  assert.strictEqual(analysis.analyzedBy, 'gemini-2.5-flash');
+  assert.strictEqual(analysis.inputTokens, 1000);
+  assert.strictEqual(analysis.outputTokens, 200);
+  assert.deepStrictEqual(analysis.brands.map(({ brandId, mentioned, position, sentiment }) => ({ brandId, mentioned, position, sentiment })), [
+    { brandId: 'brand-own', mentioned: true, position: 2, sentiment: 'neutral' },
+    { brandId: 'brand-coastal', mentioned: true, position: 1, sentiment: 'positive' },
+    { brandId: 'brand-summit', mentioned: false, position: null, sentiment: 'not-determined' }
+  ]);
+});
+
+test('repairs invalid output once with the validation errors', async () => {
+  const analyzer = createAnalyzer('gemini-2.5-flash', [invalidOutput, validOutput]);
+
+  const analysis = await analyzeQuietly([analyzer], RESPONSE);
+
+  assert.strictEqual(analyzer.calls.length, 2);
+  const repairPrompt = analyzer.calls[1].prompt;
+  assert.ok(repairPrompt.startsWith(analyzer.calls[0].prompt));
+  assert.ok(repairPrompt.includes(`Your previous answer was:\n${invalidOutput}`));
+  assert.ok(repairPrompt.includes('- Missing brands: Coastal Credit, Summit Mutual'));
+  assert.ok(analyzer.calls[1].options.responseSchema);
+
+  assert.strictEqual(analysis.analysisStatus, 'complete');
+  assert.strictEqual(analysis.brands[1].sentiment, 'positive');
+  // Usage covers both calls
+  assert.strictEqual(analysis.inputTokens, 2000);
+  assert.strictEqual(analysis.outputTokens, 400);
+});
+
+test('fails with the validation errors when the repaired output is still invalid', async () => {
+  const analyzer = createAnalyzer('gemini-2.5-flash', [invalidOutput, 'not json']);
+
+  const analysis = await analyzeQuietly([analyzer], RESPONSE);
+
+  assert.strictEqual(analyzer.calls.length, 2);
+  assert.strictEqual(analysis.analysisStatus, 'failed');
+  assert.match(analysis.analysisError, /^Output is not valid JSON/);
+  assert.strictEqual(analysis.analyzedBy, 'gemini-2.5-flash');
+  assert.strictEqual(analysis.overallSentiment, 'not-determined');
+  // Detector mentions are kept without a judgement
+  assert.deepStrictEqual(analysis.brands.map(({ mentioned, sentiment }) => ({ mentioned, sentiment })), [
+    { mentioned: true, sentiment: 'not-determined' },
+    { mentioned: true, sentiment: 'not-determined' },
+    { mentioned: false, sentiment: 'not-determined' }
+  ]);
+});
+
+test('fails when the repair call itself fails', async () => {
+  const analyzer = createAnalyzer('gemini-2.5-flash', [invalidOutput, new Error('quota exceeded')]);
+
+  const analysis = await analyzeQuietly([analyzer], RESPONSE);
+
+  assert.strictEqual(analysis.analysisStatus, 'failed');
+  assert.strictEqual(analysis.analysisError, 'quota exceeded');
+  assert.strictEqual(analysis.analyzedBy, 'gemini-2.5-flash');
+  assert.strictEqual(analysis.inputTokens, 1000);
+});
+
+test('falls back to the next analysis model when a call fails', async () => {
+  const primary = createAnalyzer('gemini-2.5-flash', [new Error('503 Service Unavailable')]);
+  const fallback = createAnalyzer('gpt-4o-mini-2024-07-18', [validOutput]);
+
+  const analysis = await analyzeQuietly([primary, fallback], RESPONSE);
+
+  assert.strictEqual(primary.calls.length, 1);
+  assert.strictEqual(fallback.calls.length, 1);
+  assert.strictEqual(fallback.calls[0].prompt, primary.calls[0].prompt);
+  assert.strictEqual(analysis.analysisStatus, 'complete');
+  assert.strictEqual(analysis.analyzedBy, 'gpt-4o-mini-2024-07-18');
+});
+
+test('fails with every call error when no analysis model answers', async () => {
+  const analysis = await analyzeQuietly([
+    createAnalyzer('gemini-2.5-flash', [new Error('503 Service Unavailable')]),
+    createAnalyzer('gpt-4o-mini-2024-07-18', [new Error('429 Too Many Requests')])
+  ], RESPONSE);
+
+  assert.strictEqual(analysis.analysisStatus, 'failed');
+  assert.strictEqual(analysis.analysisError, 'gemini-2.5-flash: 503 Service Unavailable; gpt-4o-mini-2024-07-18: 429 Too Many Requests');
+  assert.strictEqual(analysis.analyzedBy, LOCAL_DETECTOR);
+  assert.strictEqual(analysis.inputTokens, undefined);
+});
+
+test('analyses with the detector alone when no analysis model is available', async () => {
+  const analysis = await analyzeQuietly([], RESPONSE);
+
+  assert.strictEqual(analysis.analysisStatus, 'detector-only');
+  assert.strictEqual(analysis.analyzedBy, LOCAL_DETECTOR);
+  assert.deepStrictEqual(analysis.brands.map(({ mentioned, position, sentiment }) => ({ mentioned, position, sentiment })), [
+    { mentioned: true, position: 2, sentiment: 'not-determined' },
+    { mentioned: true, position: 1, sentiment: 'not-determined' },
+    { mentioned: false, position: null, sentiment: 'not-determined' }
+  ]);
+});
@@ -0,0 +1,102 @@
+/**
+ * Analyst overrides of brand judgements.
+ *
+ * Reviewers correct `mentioned`, `sentiment` and `position` for a brand on a result. Overrides live
+ * in `brandOverrides` on the result, next to (not inside) `sentimentAnalysis`, so re-analysis keeps
+ * them; every change is appended to `reviewHistory`. Readers apply them on top of the analyzer's
+ * output with applyBrandOverrides.
+ */
+
+const OVERRIDE_FIELDS = ['mentioned', 'sentiment', 'position'];
+
+// Same values as SENTIMENTS in brandAnalysis, which graphql cannot load (it pulls in the provider SDKs)
+const SENTIMENTS = ['positive', 'negative', 'neutral', 'mixed', 'not-determined'];
+
+/**
+ * Validate the fields of an override
+ * @param {Object} changes - { mentioned, sentiment, position } - unset fields keep the analyzer's value
+ * @returns {Object} - Only the fields given, e.g. { sentiment: 'negative' }
+ */
+function normalizeOverride(changes) {
+  const override = {};
+
+  if (changes.mentioned !== undefined && changes.mentioned !== null) {
+    override.mentioned = Boolean(changes.mentioned);
+  }
+  if (changes.sentiment !== undefined && changes.sentiment !== null) {
+    if (!SENTIMENTS.includes(changes.sentiment)) {
+      throw new Error(`sentiment must be one of ${SENTIMENTS.join(', ')}`);
+    }
+    override.sentiment = changes.sentiment;
+  }
+  if (changes.position !== undefined && changes.position !== null) {
+    if (!Number.isInteger(changes.position) || changes.position < 1) {
+      throw new Error('position must be a positive integer');
+    }
+    override.position = changes.position;
+  }
+
+  if (Object.keys(override).length === 0) {
+    throw new Error(`Nothing to override - set at least one of ${OVERRIDE_FIELDS.join(', ')}`);
+  }
+  if (override.mentioned === false && (override.sentiment || override.position)) {
+    throw new Error('A brand overridden as not mentioned cannot have a sentiment or position');
+  }
+
+  return override;
+}
+
+/**
+ * Whether a brand entry and an override (or two entries) refer to the same brand
+ * Compares `brandId` when both have one, so a renamed brand keeps its overrides; entries stored
+ * before brand IDs fall back to the name.
+ * @param {Object} a - { brandId, brandKeywords }
+ * @param {Object} b - { brandId, brandKeywords }
+ * @returns {Boolean}
+ */
+function isSameBrand(a, b) {
+  if (a.brandId && b.brandId) {
+    return String(a.brandId) === String(b.brandId);
+  }
+  return (a.brandKeywords || '').toLowerCase() === (b.brandKeywords || '').toLowerCase();
+}
+
+/**
+ * Brand judgements with overrides applied
+ * A brand overridden as not mentioned loses its sentiment, position, role and aspects; overridden
+ * brands get confidence 1.
+ * @param {Array} brands - sentimentAnalysis.brands
+ * @param {Array} overrides - brandOverrides of the same result
+ * @returns {Array} - Plain brand objects, `overridden: true` where an override applied
+ */
+function applyBrandOverrides(brands, overrides) {
+  return (brands || []).map(brand => {
+    const plain = typeof brand.toObject === 'function' ? brand.toObject() : brand;
+    const override = (overrides || []).find(candidate => isSameBrand(plain, candidate));
+    if (!override) {
+      return plain;
+    }
+
+    // A reviewed judgement is certain, so confidence filters never drop it
+    const result = { ...plain, confidence: 1, overridden: true };
+    OVERRIDE_FIELDS.forEach(field => {
+      if (override[field] !== undefined && override[field] !== null) {
+        result[field] = override[field];
+      }
+    });
+
+    if (result.mentioned === false) {
+      Object.assign(result, { sentiment: 'not-determined', position: null, role: null, aspects: [] });
+    }
+
+    return result;
+  });
+}
+
+module.exports = {
+  OVERRIDE_FIELDS,
+  SENTIMENTS,
+  normalizeOverride,
+  isSameBrand,
+  applyBrandOverrides
+};
@@ -0,0 +1,103 @@
+/**
+ * Tests for analyst overrides of brand judgements
+ *
+ * Covers validating override fields, matching overrides to brands by ID (falling back to the name
+ * for entries stored before brand IDs) and applying them on top of the analyzer's output.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeOverride, isSameBrand, applyBrandOverrides } = require('./brandOverrides');
+
+const analysed = (brandId, brandKeywords, fields = {}) => ({
+  brandId,
+  brandKeywords,
+  type: 'competitor',
+  mentioned: true,
+  sentiment: 'positive',
+  confidence: 0.4,
+  position: 1,
+  role: 'primary-recommendation',
+  aspects: [{ aspect: 'fees', sentiment: 'positive' }],
+  ...fields
+});
+
+test('keeps only the override fields that are set', () => {
+  assert.deepStrictEqual(normalizeOverride({ sentiment: 'negative', position: null }), { sentiment: 'negative' });
+  assert.deepStrictEqual(normalizeOverride({ mentioned: 1, position: 2 }), { mentioned: true, position: 2 });
+  assert.deepStrictEqual(normalizeOverride({ mentioned: false }), { mentioned: false });
+});
+
+test('rejects invalid and empty overrides', () => {
+  assert.throws(() => normalizeOverride({ sentiment: 'glowing' }), {
+    message: 'sentiment must be one of positive, negative, neutral, mixed, not-determined'
+  });
+  assert.throws(() => normalizeOverride({ position: 0 }), { message: 'position must be a positive integer' });
+  assert.throws(() => normalizeOverride({ position: 1.5 }), { message: 'position must be a positive integer' });
+  assert.throws(() => normalizeOverride({}), { message: 'Nothing to override - set at least one of mentioned, sentiment, position' });
+  assert.throws(() => normalizeOverride({ mentioned: false, sentiment: 'negative' }), {
+    message: 'A brand overridden as not mentioned cannot have a sentiment or position'
+  });
+});
+
+test('matches brands by ID, falling back to the name without one', () => {
+  // Renamed brand: same ID, new name
+  assert.strictEqual(isSameBrand({ brandId: 'brand-1', brandKeywords: 'Harbour Bank' }, { brandId: 'brand-1', brandKeywords: 'Harbour' }), true);
+  // Different brands that once shared a name
+  assert.strictEqual(isSameBrand({ brandId: 'brand-1', brandKeywords: 'Harbour' }, { brandId: 'brand-2', brandKeywords: 'Harbour' }), false);
+  // ObjectId-like values compare by string
+  assert.strictEqual(isSameBrand({ brandId: { toString: () => 'brand-1' } }, { brandId: 'brand-1' }), true);
+
+  assert.strictEqual(isSameBrand({ brandId: 'brand-1', brandKeywords: 'Harbour Bank' }, { brandId: null, brandKeywords: 'harbour bank' }), true);
+  assert.strictEqual(isSameBrand({ brandKeywords: 'Harbour Bank' }, { brandKeywords: 'Coastal Credit' }), false);
+});
+
+test('applies overrides on top of the analyzer output with full confidence', () => {
+  const brands = [
+    analysed('brand-1', 'Harbour Bank'),
+    analysed('brand-2', 'Coastal Credit', { position: 2 })
+  ];
+
+  const applied = applyBrandOverrides(brands, [{ brandId: 'brand-1', brandKeywords: 'Harbour', sentiment: 'negative', position: null }]);
+
+  assert.deepStrictEqual(applied[0], {
+    ...brands[0],
+    sentiment: 'negative',
+    confidence: 1,
+    overridden: true
+  });
+  assert.strictEqual(applied[1], brands[1]);
+  // The stored judgements are not modified
+  assert.strictEqual(brands[0].sentiment, 'positive');
+});
+
+test('clears the judgement of a brand overridden as not mentioned', () => {
+  const [applied] = applyBrandOverrides([analysed('brand-1', 'Harbour Bank')], [{ brandId: 'brand-1', mentioned: false }]);
+
+  assert.deepStrictEqual(applied, {
+    brandId: 'brand-1',
+    brandKeywords: 'Harbour Bank',
+    type: 'competitor',
+    mentioned: false,
+    sentiment: 'not-determined',
+    confidence: 1,
+    position: null,
+    role: null,
+    aspects: [],
+    overridden: true
+  });
+});
+
+test('applies overrides stored by name before brand IDs, and handles missing lists', () => {
+  const [applied] = applyBrandOverrides(
+    [{ toObject: () => analysed(null, 'Harbour Bank') }],
+    [{ brandKeywords: 'HARBOUR BANK', mentioned: true, position: 3 }]
+  );
+  assert.strictEqual(applied.position, 3);
+  assert.strictEqual(applied.overridden, true);
+
+  assert.deepStrictEqual(applyBrandOverrides(null, [{ brandId: 'brand-1', sentiment: 'negative' }]), []);
+  assert.deepStrictEqual(applyBrandOverrides([analysed('brand-1', 'Harbour Bank')], undefined), [analysed('brand-1', 'Harbour Bank')]);
+});
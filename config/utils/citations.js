@@ -0,0 +1,163 @@
+/**
+ * Citation extraction for model responses.
+ *
+ * Grounded models report their sources in different shapes: Gemini `groundingMetadata`,
+ * OpenAI search-model `url_citation` annotations, Anthropic web-search text-block citations,
+ * and Perplexity-style `citations` / `search_results` arrays. These helpers normalise all of them, plus URLs written inline in
+ * the response text, into one list of { url, domain, title, position, source }.
+ */
+
+// Markdown links first so their titles are kept, then bare URLs
+const MARKDOWN_LINK = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+const BARE_URL = /https?:\/\/[^\s<>"'`)\]]+/g;
+
+// Vertex grounding returns redirect URLs; the real site is only in the chunk title
+const GROUNDING_REDIRECT_HOST = 'vertexaisearch.cloud.google.com';
+
+/**
+ * Get the hostname of a URL (lower-case, without www.)
+ * @param {String} url - Absolute URL
+ * @returns {String|null}
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Strip punctuation that commonly trails a URL in prose
+function cleanUrl(url) {
+  return url.replace(/[.,;:!?]+$/, '');
+}
+
+/**
+ * Parse URLs written inline in response text
+ * @param {String} text - Model response
+ * @returns {Array} - [{ url, title, offset, source: 'inline' }]
+ */
+function extractInlineCitations(text) {
+  if (!text) {
+    return [];
+  }
+
+  const found = [];
+  const covered = [];
+
+  for (const match of text.matchAll(MARKDOWN_LINK)) {
+    found.push({ url: cleanUrl(match[2]), title: match[1].trim(), offset: match.index, source: 'inline' });
+    covered.push([match.index, match.index + match[0].length]);
+  }
+
+  for (const match of text.matchAll(BARE_URL)) {
+    const inLink = covered.some(([start, end]) => match.index >= start && match.index < end);
+    if (!inLink) {
+      found.push({ url: cleanUrl(match[0]), title: null, offset: match.index, source: 'inline' });
+    }
+  }
+
+  return found.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Read citations from Gemini grounding metadata
+ * @param {Object} groundingMetadata - candidate.groundingMetadata
+ * @returns {Array} - [{ url, title, domain, source: 'grounding' }]
+ */
+function fromGroundingMetadata(groundingMetadata) {
+  const chunks = groundingMetadata?.groundingChunks || [];
+
+  return chunks
+    .map(chunk => chunk.web || chunk.retrievedContext)
+    .filter(web => web && web.uri)
+    .map(web => {
+      const isRedirect = getDomain(web.uri) === GROUNDING_REDIRECT_HOST;
+      return {
+        url: web.uri,
+        title: web.title || null,
+        // For redirect URLs Vertex puts the source domain in the title
+        domain: isRedirect && web.title ? web.title.toLowerCase().replace(/^www\./, '') : null,
+        source: 'grounding'
+      };
+    });
+}
+
+/**
+ * Read citations from an OpenAI-format chat completion (annotations and Perplexity-style fields)
+ * @param {Object} body - Chat completion response body
+ * @returns {Array} - [{ url, title, source: 'annotation' }]
+ */
+function fromChatCompletion(body) {
+  const message = body?.choices?.[0]?.message || {};
+
+  const annotations = (message.annotations || [])
+    .filter(a => a.type === 'url_citation' && a.url_citation?.url)
+    .map(a => ({ url: a.url_citation.url, title: a.url_citation.title || null, offset: a.url_citation.start_index, source: 'annotation' }));
+
+  const searchResults = (body?.search_results || [])
+    .filter(r => r && r.url)
+    .map(r => ({ url: r.url, title: r.title || null, source: 'annotation' }));
+
+  const citationUrls = (body?.citations || [])
+    .filter(url => typeof url === 'string')
+    .map(url => ({ url, title: null, source: 'annotation' }));
+
+  return [...annotations, ...searchResults, ...citationUrls];
+}
+
+/**
+ * Read citations attached to Anthropic text blocks (web search results)
+ * @param {Array} content - Message content blocks
+ * @returns {Array} - [{ url, title, source: 'annotation' }]
+ */
+function fromAnthropicContent(content) {
+  return (content || [])
+    .filter(block => block.type === 'text')
+    .flatMap(block => block.citations || [])
+    .filter(citation => citation.url)
+    .map(citation => ({ url: citation.url, title: citation.title || null, source: 'annotation' }));
+}
+
+/**
+ * Merge provider citations with inline URLs into the stored `citations` array
+ * Structured citations come first (in provider order), then inline URLs in text order.
+ * Each URL appears once; `position` is its 1-based rank in the merged list.
+ * @param {String} text - Model response
+ * @param {Array} providerCitations - Citations returned by the provider (optional)
+ * @returns {Array} - [{ url, domain, title, position, source }]
+ */
+function extractCitations(text, providerCitations = []) {
+  const merged = new Map();
+
+  [...(providerCitations || []), ...extractInlineCitations(text)].forEach(citation => {
+    const domain = citation.domain || getDomain(citation.url);
+    if (!domain) {
+      return;
+    }
+
+    const existing = merged.get(citation.url);
+    if (existing) {
+      existing.title = existing.title || citation.title || null;
+      return;
+    }
+
+    merged.set(citation.url, {
+      url: citation.url,
+      domain,
+      title: citation.title || null,
+      source: citation.source || 'inline'
+    });
+  });
+
+  return Array.from(merged.values()).map((citation, index) => ({ ...citation, position: index + 1 }));
+}
+
+module.exports = {
+  getDomain,
+  extractInlineCitations,
+  fromGroundingMetadata,
+  fromChatCompletion,
+  fromAnthropicContent,
+  extractCitations
+};
@@ -0,0 +1,64 @@
+/**
+ * Concurrency helpers for jobs that fan out many provider calls
+ */
+
+/**
+ * Limits how many async tasks run at once; extra tasks queue in FIFO order
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {number} maxConcurrency - Maximum number of tasks running at the same time
+   */
+  constructor(maxConcurrency) {
+    this.maxConcurrency = Math.max(1, maxConcurrency);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Resolves/rejects with the task's result
+   */
+  async run(task) {
+    if (this.active >= this.maxConcurrency) {
+      // The finishing task hands its slot straight to us, so `active` is not incremented here
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+/**
+ * Throttle a function so it runs at most once per interval (used for job.touch)
+ * @param {Function} fn - Function to throttle
+ * @param {number} intervalMs - Minimum time between calls
+ * @returns {Function} - Throttled function
+ */
+function throttle(fn, intervalMs) {
+  let lastCall = 0;
+  return (...args) => {
+    const now = Date.now();
+    if (now - lastCall >= intervalMs) {
+      lastCall = now;
+      return fn(...args);
+    }
+  };
+}
+
+module.exports = {
+  ConcurrencyLimiter,
+  throttle
+};
@@ -0,0 +1,68 @@
+/**
+ * Context profiles: who is asking a prompt and from where.
+ * A profile turns its system prompt, persona and locale/country hints into one system message
+ * that is sent ahead of the prompt, in both the direct path and the batch builders.
+ */
+
+/**
+ * Build the system prompt for a context profile
+ * @param {Object} profile - { systemPrompt, persona, locale, country } (may be null)
+ * @returns {String|null} - System prompt, or null when the profile adds no context
+ */
+function buildSystemPrompt(profile) {
+  if (!profile) {
+    return null;
+  }
+
+  const parts = [];
+
+  if (profile.systemPrompt && profile.systemPrompt.trim()) {
+    parts.push(profile.systemPrompt.trim());
+  }
+
+  if (profile.persona && profile.persona.trim()) {
+    parts.push(`You are answering this user: ${profile.persona.trim()}`);
+  }
+
+  if (profile.country || profile.locale) {
+    const where = [profile.country, profile.locale && `locale ${profile.locale}`].filter(Boolean).join(', ');
+    parts.push(`The user is based in ${where}. Answer as you would for someone there, with locally available options.`);
+  }
+
+  return parts.length > 0 ? parts.join('\n\n') : null;
+}
+
+/**
+ * Build OpenAI-format chat messages for a prompt run under a context profile
+ * @param {String} phrase - Prompt text
+ * @param {Object} profile - Context profile (may be null for the default context)
+ * @returns {Array} - [{ role, content }]
+ */
+function buildMessages(phrase, profile) {
+  const systemPrompt = buildSystemPrompt(profile);
+  return [
+    ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+    { role: 'user', content: phrase }
+  ];
+}
+
+/**
+ * Resolve the profiles a prompt runs under
+ * Prompts without attached profiles (or whose profiles were deleted) run once in the default context.
+ * @param {Object} prompt - Prompt document with optional contextProfileIds
+ * @param {Map} profilesById - Workspace context profiles keyed by string ID
+ * @returns {Array} - Profiles, with null standing for the default context
+ */
+function getPromptProfiles(prompt, profilesById) {
+  const profiles = (prompt.contextProfileIds || [])
+    .map(id => profilesById.get(id.toString()))
+    .filter(Boolean);
+
+  return profiles.length > 0 ? profiles : [null];
+}
+
+module.exports = {
+  buildSystemPrompt,
+  buildMessages,
+  getPromptProfiles
+};
@@ -0,0 +1,178 @@
+/**
+ * Local brand-mention detector.
+ *
+ * Finds brand mentions in a response without calling a model, so `mentioned` and `position` are
+ * deterministic and available even when the analysis model is unavailable or returns bad JSON.
+ * Every term of a brand (name, aliases, abbreviations, product names, domains) is matched:
+ *
+ * - case-insensitive, on word boundaries ("NAB" does not match "unable")
+ * - short all-caps abbreviations ("NAB", "CBA") only match in capitals, so they are not confused with words
+ * - ignoring accents and separators inside multi-part names ("Comm-Bank", "Comm Bank" match "CommBank")
+ *
+ * Position is the order of each brand's first mention by character offset. Words one typo away from a
+ * longer single-word term ("Westpack" for "Westpac") are only reported as `possibleMisspellings`: they
+ * never make a brand mentioned, since ordinary words are one edit from many names ("targets", "revolt").
+ */
+
+const { getBrandTerms } = require('./brandAliases');
+
+// Abbreviations up to this length written in capitals are matched case-sensitively
+const CASE_SENSITIVE_MAX_LENGTH = 4;
+// Single-word terms at least this long are checked for possible misspellings
+const MISSPELLING_MIN_LENGTH = 6;
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const WORD = /[\p{L}\p{N}]+/gu;
+const SEPARATOR = "[\\s\\-.'’_]?";
+
+// Strip accents one character at a time so offsets in the folded text match the original
+function foldText(text) {
+  return Array.from(text, char => {
+    const base = Array.from(char.normalize('NFD'))[0];
+    return base.length === char.length ? base : char;
+  }).join('');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isCaseSensitive(term) {
+  return term.length <= CASE_SENSITIVE_MAX_LENGTH && term === term.toUpperCase() && /\p{Lu}/u.test(term);
+}
+
+// "CommBank" -> C[sep]?o[sep]?m... so spacing and punctuation inside the name are ignored
+function termPattern(term) {
+  const chars = Array.from(foldText(term)).filter(char => !/[\s\-.'’_]/.test(char));
+  return chars.map(escapeRegExp).join(SEPARATOR);
+}
+
+function isBoundary(text, index) {
+  return index < 0 || index >= text.length || !WORD_CHAR.test(text[index]);
+}
+
+// Levenshtein distance, stopping early once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find every occurrence of one term
+ * @param {String} text - Accent-folded response
+ * @param {String} term - Brand term
+ * @returns {Array} - [{ offset, length }]
+ */
+function findTerm(text, term) {
+  const caseSensitive = isCaseSensitive(term);
+  const pattern = new RegExp(termPattern(term), caseSensitive ? 'gu' : 'giu');
+  const matches = [];
+
+  for (const match of text.matchAll(pattern)) {
+    if (isBoundary(text, match.index - 1) && isBoundary(text, match.index + match[0].length)) {
+      matches.push({ offset: match.index, length: match[0].length });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Find words one typo away from a longer single-word term
+ * @param {String} text - Accent-folded response
+ * @param {String} term - Brand term
+ * @returns {Array} - [{ offset, length }]
+ */
+function findMisspellings(text, term) {
+  const folded = foldText(term).toLowerCase();
+  if (isCaseSensitive(term) || folded.length < MISSPELLING_MIN_LENGTH || !/^[\p{L}\p{N}]+$/u.test(folded)) {
+    return [];
+  }
+
+  return Array.from(text.matchAll(WORD))
+    .filter(word => editDistance(word[0].toLowerCase(), folded, 1) === 1)
+    .map(word => ({ offset: word.index, length: word[0].length }));
+}
+
+/**
+ * Detect which brands a response mentions and in what order
+ * @param {String} text - Model response
+ * @param {Array} brands - [{ id, name, type, aliases, abbreviations, productNames, domains }]
+ * @returns {Array} - One entry per brand: { brandId, brandKeywords, type, mentioned, position, offset, matchedTerm, mentionCount, possibleMisspellings }
+ */
+function detectMentions(text, brands) {
+  const original = text || '';
+  const folded = foldText(original);
+
+  const detected = brands.map(brand => {
+    let first = null;
+    // Terms can overlap ("commbank" inside "commbank.com.au"), so count each start offset once
+    const offsets = new Set();
+    const misspellings = [];
+
+    getBrandTerms(brand).forEach(term => {
+      findTerm(folded, term).forEach(match => {
+        offsets.add(match.offset);
+        if (!first || match.offset < first.offset) {
+          first = match;
+        }
+      });
+      misspellings.push(...findMisspellings(folded, term));
+    });
+
+    // Words that also match a term exactly are mentions, not misspellings
+    const possibleMisspellings = [...new Set(misspellings
+      .filter(match => !offsets.has(match.offset))
+      .map(match => original.slice(match.offset, match.offset + match.length)))];
+
+    const mentionCount = offsets.size;
+    return {
+      brandId: brand.id || null,
+      brandKeywords: brand.name,
+      type: brand.type,
+      mentioned: mentionCount > 0,
+      position: null,
+      offset: first ? first.offset : null,
+      matchedTerm: first ? original.slice(first.offset, first.offset + first.length) : null,
+      mentionCount,
+      // Words one typo from a brand term - worth a second look, never counted as mentions
+      possibleMisspellings
+    };
+  });
+
+  // Rank by first mention
+  detected
+    .filter(brand => brand.mentioned)
+    .sort((a, b) => a.offset - b.offset)
+    .forEach((brand, index) => {
+      brand.position = index + 1;
+    });
+
+  return detected;
+}
+
+module.exports = {
+  detectMentions,
+  editDistance
+};
@@ -0,0 +1,126 @@
+/**
+ * Tests for the local brand-mention detector
+ *
+ * Covers word-boundary and case rules, separators and accents inside names, possible misspellings
+ * (never counted as mentions), alias terms, positions by first mention and the fields passed through
+ * from each brand.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectMentions, editDistance } = require('./mentionDetector');
+
+const brand = (name, fields = {}) => ({ id: null, name, type: 'competitor', ...fields });
+
+// Detect a single brand and return its entry
+const detectOne = (text, name, fields) => detectMentions(text, [brand(name, fields)])[0];
+
+test('matches names case-insensitively on word boundaries', () => {
+  assert.strictEqual(detectOne('I would pick westpac here.', 'Westpac').mentioned, true);
+  assert.strictEqual(detectOne('Try Westpac-branded cards.', 'Westpac').mentioned, true);
+  assert.strictEqual(detectOne('They were unable to help.', 'Nab').mentioned, false);
+});
+
+test('matches short all-caps abbreviations only in capitals', () => {
+  assert.strictEqual(detectOne('Compare NAB and others.', 'National Australia Bank', { abbreviations: ['NAB'] }).mentioned, true);
+  assert.strictEqual(detectOne('Grab a nab of bread.', 'National Australia Bank', { abbreviations: ['NAB'] }).mentioned, false);
+  assert.strictEqual(detectOne('It was unable to load.', 'National Australia Bank', { abbreviations: ['NAB'] }).mentioned, false);
+});
+
+test('ignores separators and accents inside names', () => {
+  ['CommBank', 'Comm Bank', 'Comm-Bank', 'comm.bank'].forEach(written => {
+    assert.strictEqual(detectOne(`Try ${written} first.`, 'CommBank').mentioned, true, written);
+  });
+  assert.strictEqual(detectOne('Nestle sells coffee.', 'Nestlé').mentioned, true);
+
+  const accented = detectOne('We like Nestlé products.', 'Nestle');
+  assert.strictEqual(accented.mentioned, true);
+  assert.strictEqual(accented.matchedTerm, 'Nestlé');
+});
+
+test('reports words one typo from longer single-word terms without counting them as mentions', () => {
+  const typo = detectOne('Westpack has good rates.', 'Westpac');
+  assert.strictEqual(typo.mentioned, false);
+  assert.strictEqual(typo.position, null);
+  assert.deepStrictEqual(typo.possibleMisspellings, ['Westpack']);
+
+  // Short terms and two typos are not reported
+  assert.deepStrictEqual(detectOne('Ask Anzz about it.', 'ANZ Bank', { aliases: ['Anz'] }).possibleMisspellings, []);
+  assert.deepStrictEqual(detectOne('Wastpack has good rates.', 'Westpac').possibleMisspellings, []);
+
+  // An exact mention still counts, alongside the misspelling
+  const both = detectOne('Westpack, or rather Westpac, is fine.', 'Westpac');
+  assert.strictEqual(both.mentioned, true);
+  assert.strictEqual(both.matchedTerm, 'Westpac');
+  assert.strictEqual(both.mentionCount, 1);
+});
+
+test('does not mention brands for plurals and common words near their names', () => {
+  const text = 'Set savings targets and avoid stripes; revolt against squares.';
+  const detected = detectMentions(text, [brand('Target'), brand('Stripe'), brand('Revolut'), brand('Square')]);
+
+  assert.deepStrictEqual(detected.map(({ mentioned, position }) => ({ mentioned, position })), [
+    { mentioned: false, position: null },
+    { mentioned: false, position: null },
+    { mentioned: false, position: null },
+    { mentioned: false, position: null }
+  ]);
+  assert.strictEqual(detectOne('Our planet needs planets.', 'Planet').mentionCount, 1);
+  assert.strictEqual(detectOne('Compare the banks and their savings accounts.', 'Bankwest').mentioned, false);
+});
+
+test('matches aliases, product names and domains', () => {
+  const fields = { aliases: ['Commonwealth Bank'], productNames: ['NetBank'], domains: ['commbank.com.au'] };
+
+  assert.strictEqual(detectOne('The Commonwealth Bank app is fine.', 'CommBank', fields).matchedTerm, 'Commonwealth Bank');
+  assert.strictEqual(detectOne('Log in to NetBank.', 'CommBank', fields).matchedTerm, 'NetBank');
+
+  // Overlapping terms at one offset count as one mention
+  const domain = detectOne('See commbank.com.au for rates.', 'CommBank', fields);
+  assert.strictEqual(domain.mentionCount, 1);
+  assert.strictEqual(domain.offset, 4);
+});
+
+test('ranks brands by their first mention and counts mentions', () => {
+  const text = 'Summit is cheaper than Harbour Bank, and Summit has better service. Coastal was not reviewed.';
+  const detected = detectMentions(text, [
+    brand('Harbour Bank', { type: 'own' }),
+    brand('Summit', { aliases: ['Summit Mutual'] }),
+    brand('Riverside'),
+    brand('Coastal')
+  ]);
+
+  assert.deepStrictEqual(detected.map(({ brandKeywords, mentioned, position, mentionCount }) => ({ brandKeywords, mentioned, position, mentionCount })), [
+    { brandKeywords: 'Harbour Bank', mentioned: true, position: 2, mentionCount: 1 },
+    { brandKeywords: 'Summit', mentioned: true, position: 1, mentionCount: 2 },
+    { brandKeywords: 'Riverside', mentioned: false, position: null, mentionCount: 0 },
+    { brandKeywords: 'Coastal', mentioned: true, position: 3, mentionCount: 1 }
+  ]);
+  assert.strictEqual(detected[0].offset, text.indexOf('Harbour Bank'));
+});
+
+test('passes brand ID, name and type through and handles empty text', () => {
+  const [detected] = detectMentions(null, [{ id: 'brand-1', name: 'Harbour Bank', type: 'own' }]);
+
+  assert.deepStrictEqual(detected, {
+    brandId: 'brand-1',
+    brandKeywords: 'Harbour Bank',
+    type: 'own',
+    mentioned: false,
+    position: null,
+    offset: null,
+    matchedTerm: null,
+    mentionCount: 0,
+    possibleMisspellings: []
+  });
+});
+
+test('computes edit distance, stopping once it exceeds the maximum', () => {
+  assert.strictEqual(editDistance('westpac', 'westpac', 1), 0);
+  assert.strictEqual(editDistance('westpack', 'westpac', 1), 1);
+  assert.strictEqual(editDistance('wastpack', 'westpac', 1), 2);
+  assert.strictEqual(editDistance('nab', 'westpac', 1), 2);
+  assert.strictEqual(editDistance('kitten', 'sitting', 3), 3);
+});
@@ -81,8 +81,11 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
     const { typeDefs: queryTypeDefs, resolvers: queryResolvers } = require('./queries/query');
     const { typeDefs: promptTypeDefs, resolvers: promptResolvers } = require('./queries/prompt');
     const { typeDefs: brandTypeDefs, resolvers: brandResolvers } = require('./queries/brand');
+    const { typeDefs: contextProfileTypeDefs, resolvers: contextProfileResolvers } = require('./queries/contextProfile');
     const { typeDefs: modelTypeDefs, resolvers: modelResolvers } = require('./queries/model');
     const { typeDefs: analyticsTypeDefs, resolvers: analyticsResolvers } = require('./queries/analytics');
+    const { typeDefs: suggestedCompetitorTypeDefs, resolvers: suggestedCompetitorResolvers } = require('./queries/suggestedCompetitor');
+    const { typeDefs: reviewQueueTypeDefs, resolvers: reviewQueueResolvers } = require('./queries/reviewQueue');
     const { typeDefs: billingProfileTypeDefs, resolvers: billingProfileResolvers } = require('./queries/billingProfile');
     const { typeDefs: billingPlansTypeDefs, resolvers: billingPlansResolvers } = require('./queries/billingPlans');
     const { typeDefs: entitlementsTypeDefs, resolvers: entitlementsResolvers } = require('./queries/entitlements');
@@ -102,6 +105,12 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
     const { createBrand } = require('./mutations/createBrand');
     const { updateBrand } = require('./mutations/updateBrand');
     const { deleteBrand } = require('./mutations/deleteBrand');
+    const { acceptSuggestedCompetitor } = require('./mutations/acceptSuggestedCompetitor');
+    const { overrideBrandJudgement } = require('./mutations/overrideBrandJudgement');
+    const { clearBrandOverride } = require('./mutations/clearBrandOverride');
+    const { createContextProfile } = require('./mutations/createContextProfile');
+    const { updateContextProfile } = require('./mutations/updateContextProfile');
+    const { deleteContextProfile } = require('./mutations/deleteContextProfile');
     const { createModel } = require('./mutations/createModel');
     const { updateModel } = require('./mutations/updateModel');
     const { deleteModel } = require('./mutations/deleteModel');
@@ -130,8 +139,11 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
         queryTypeDefs,
         promptTypeDefs,
         brandTypeDefs,
+        contextProfileTypeDefs,
         modelTypeDefs,
         analyticsTypeDefs,
+        suggestedCompetitorTypeDefs,
+        reviewQueueTypeDefs,
         billingProfileTypeDefs,
         billingPlansTypeDefs,
         entitlementsTypeDefs,
@@ -159,8 +171,11 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
             ): PaginatedQueries
             prompts(workspaceId: String, workspaceSlug: String, promptId: String): [Prompt]
             brands(workspaceId: String, workspaceSlug: String, brandId: String): [Brand]
+            contextProfiles(workspaceId: String, workspaceSlug: String, contextProfileId: String): [ContextProfile]
             models(workspaceId: String, workspaceSlug: String, modelId: String): [Model]
-            analytics(workspaceId: String!, startDate: String, endDate: String): AnalyticsData
+            analytics(workspaceId: String!, startDate: String, endDate: String, contextProfileId: String, minConfidence: Float): AnalyticsData
+            suggestedCompetitors(workspaceId: String, workspaceSlug: String, startDate: String, endDate: String, limit: Int): [SuggestedCompetitor!]
+            reviewQueue(workspaceId: String, workspaceSlug: String, limit: Int, offset: Int, minConfidence: Float, includeReviewed: Boolean): [ReviewItem!]
             billingProfiles(billingProfileId: ID): [BillingProfile]
             billingPlans: [BillingPlan]
           }
@@ -238,12 +253,18 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
               query: String
               queryId: ID
             ): QueryResult
-            createPrompt(workspaceId: String, workspaceSlug: String, phrase: String!): Prompt
-            updatePrompt(workspaceId: String, workspaceSlug: String, id: ID!, phrase: String!): Prompt
+            createPrompt(workspaceId: String, workspaceSlug: String, phrase: String!, samples: Int, contextProfileIds: [ID!]): Prompt
+            updatePrompt(workspaceId: String, workspaceSlug: String, id: ID!, phrase: String!, samples: Int, contextProfileIds: [ID!]): Prompt
             deletePrompt(workspaceId: String, workspaceSlug: String, id: ID!): PromptDeletionResponse
-            createBrand(workspaceId: String, workspaceSlug: String, name: String!, isOwnBrand: Boolean): Brand
-            updateBrand(workspaceId: String, workspaceSlug: String, id: ID!, name: String, isOwnBrand: Boolean): Brand
+            createBrand(workspaceId: String, workspaceSlug: String, name: String!, isOwnBrand: Boolean, aliases: [String!], abbreviations: [String!], productNames: [String!], domains: [String!]): Brand
+            updateBrand(workspaceId: String, workspaceSlug: String, id: ID!, name: String, isOwnBrand: Boolean, aliases: [String!], abbreviations: [String!], productNames: [String!], domains: [String!]): Brand
             deleteBrand(workspaceId: String, workspaceSlug: String, id: ID!): BrandDeletionResponse
+            acceptSuggestedCompetitor(workspaceId: String, workspaceSlug: String, name: String!, aliases: [String!], domains: [String!]): Brand
+            overrideBrandJudgement(workspaceId: String, workspaceSlug: String, resultId: ID!, brandId: ID, brandKeywords: String, mentioned: Boolean, sentiment: String, position: Int, reason: String!): ReviewItem
+            clearBrandOverride(workspaceId: String, workspaceSlug: String, resultId: ID!, brandId: ID, brandKeywords: String, reason: String!): ReviewItem
+            createContextProfile(workspaceId: String, workspaceSlug: String, name: String!, systemPrompt: String, locale: String, country: String, persona: String): ContextProfile
+            updateContextProfile(workspaceId: String, workspaceSlug: String, id: ID!, name: String, systemPrompt: String, locale: String, country: String, persona: String): ContextProfile
+            deleteContextProfile(workspaceId: String, workspaceSlug: String, id: ID!): ContextProfileDeletionResponse
             createModel(workspaceId: String, workspaceSlug: String, name: String!, provider: String!, modelId: String!, isEnabled: Boolean): Model
             updateModel(workspaceId: String, workspaceSlug: String, id: ID!, name: String, provider: String, modelId: String, isEnabled: Boolean): Model
             deleteModel(workspaceId: String, workspaceSlug: String, id: ID!): ModelDeletionResponse
@@ -301,6 +322,11 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
             remainingBrands: [Brand]
           }
 
+          type ContextProfileDeletionResponse {
+            message: String
+            remainingContextProfiles: [ContextProfile]
+          }
+
           type ModelDeletionResponse {
             message: String
             remainingModels: [Model]
@@ -449,6 +475,13 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
                 }
                 return brandResolvers.brands(parent, { ...args, workspaceId }, context);
             },
+            contextProfiles: async (parent, args, context) => {
+                const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+                if (!workspaceId) {
+                    throw new Error('Workspace not found.');
+                }
+                return contextProfileResolvers.contextProfiles(parent, { ...args, workspaceId }, context);
+            },
             models: async (parent, args, context) => {
                 const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
                 if (!workspaceId) {
@@ -463,6 +496,20 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
                 }
                 return analyticsResolvers.analytics(parent, { ...args, workspaceId }, context);
             },
+            suggestedCompetitors: async (parent, args, context) => {
+                const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+                if (!workspaceId) {
+                    throw new Error('Workspace not found.');
+                }
+                return suggestedCompetitorResolvers.suggestedCompetitors(parent, { ...args, workspaceId }, context);
+            },
+            reviewQueue: async (parent, args, context) => {
+                const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+                if (!workspaceId) {
+                    throw new Error('Workspace not found.');
+                }
+                return reviewQueueResolvers.reviewQueue(parent, { ...args, workspaceId }, context);
+            },
             billingProfiles: async (parent, args, context) => {
                 return billingProfileResolvers.billingProfiles(parent, args, context);
             },
@@ -585,6 +632,48 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
             }
             return deleteBrand(parent, { ...args, workspaceId }, context);
           },
+          acceptSuggestedCompetitor: async (parent, args, context) => {
+            const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+            if (!workspaceId) {
+                throw new Error('Workspace not found.');
+            }
+            return acceptSuggestedCompetitor(parent, { ...args, workspaceId }, context);
+          },
+          overrideBrandJudgement: async (parent, args, context) => {
+            const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+            if (!workspaceId) {
+                throw new Error('Workspace not found.');
+            }
+            return overrideBrandJudgement(parent, { ...args, workspaceId }, context);
+          },
+          clearBrandOverride: async (parent, args, context) => {
+            const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+            if (!workspaceId) {
+                throw new Error('Workspace not found.');
+            }
+            return clearBrandOverride(parent, { ...args, workspaceId }, context);
+          },
+          createContextProfile: async (parent, args, context) => {
+            const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+            if (!workspaceId) {
+                throw new Error('Workspace not found.');
+            }
+            return createContextProfile(parent, { ...args, workspaceId }, context);
+          },
+          updateContextProfile: async (parent, args, context) => {
+            const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+            if (!workspaceId) {
+                throw new Error('Workspace not found.');
+            }
+            return updateContextProfile(parent, { ...args, workspaceId }, context);
+          },
+          deleteContextProfile: async (parent, args, context) => {
+            const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
+            if (!workspaceId) {
+                throw new Error('Workspace not found.');
+            }
+            return deleteContextProfile(parent, { ...args, workspaceId }, context);
+          },
           createModel: async (parent, args, context) => {
             const workspaceId = args.workspaceId || (args.workspaceSlug && await getWorkspaceIdFromSlug(args.workspaceSlug));
             if (!workspaceId) {
@@ -612,6 +701,9 @@ mongoose.connect(mongoUri, CONNECTION_POOL_OPTIONS)
           attachBillingProfile: async (parent, args, context) => {
             return attachBillingProfileResolvers.attachBillingProfile(parent, args, context);
           },
+          updateBudgetAction: async (parent, args, context) => {
+            return billingProfileResolvers.updateBudgetAction(parent, args, context);
+          },
           createSubscription: async (parent, args, context) => {
             return createSubscriptionResolvers.createSubscription(parent, args, context);
           },
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { Member } = require('../../queries/member');
+const { createBrand } = require('../createBrand');
+
+// Load brand alias helpers - handle both local dev and Docker paths
+let buildAliasIndex, resolveBrand;
+try {
+  // Try Docker path first (mutations is directly under /app)
+  ({ buildAliasIndex, resolveBrand } = require('../../config/utils/brandAliases'));
+} catch (e) {
+  // Fall back to local dev path
+  ({ buildAliasIndex, resolveBrand } = require('../../../config/utils/brandAliases'));
+}
+
+/**
+ * Track a suggested competitor as a workspace brand
+ * The name must be one the brand analysis reported as untracked. The brand itself is created by
+ * createBrand, so the usual permission check and the plan's brand limit apply.
+ */
+async function acceptSuggestedCompetitor(parent, args, context) {
+  const { user } = context;
+  if (!user || !user.sub) {
+    throw new Error('User not authenticated');
+  }
+
+  const { workspaceId, name, aliases, domains } = args;
+
+  const member = await Member.findOne({
+    workspaceId,
+    userId: user.sub,
+    permissions: "create:brands"
+  });
+
+  if (!member) {
+    throw new Error('User not authorized to create brands');
+  }
+
+  const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+  const datalake = mongoose.createConnection(dataLakeUri);
+
+  let suggestion;
+  try {
+    await datalake.asPromise();
+
+    const brands = await datalake.collection('brands').find({ workspaceId }).toArray();
+    const aliasIndex = buildAliasIndex(brands.map(brand => ({ ...brand, type: brand.isOwnBrand ? 'own' : 'competitor' })));
+    const existing = resolveBrand(name, aliasIndex);
+    if (existing) {
+      throw new Error(`"${name}" is already tracked as ${existing.name}`);
+    }
+
+    // Case-insensitive match on the names stored by the analysis
+    suggestion = await datalake.collection('previousmodelresults').findOne(
+      { 'sentimentAnalysis.untrackedBrands': name.trim() },
+      { collation: { locale: 'en', strength: 2 }, projection: { 'sentimentAnalysis.untrackedBrands': 1 } }
+    );
+    if (!suggestion) {
+      throw new Error(`"${name}" is not a suggested competitor`);
+    }
+  } finally {
+    await datalake.close();
+  }
+
+  // Keep the spelling the models used
+  const suggestedName = suggestion.sentimentAnalysis.untrackedBrands
+    .find(untracked => untracked.toLowerCase() === name.trim().toLowerCase()) || name.trim();
+
+  return createBrand(parent, { workspaceId, name: suggestedName, isOwnBrand: false, aliases, domains }, context);
+}
+
+module.exports = { acceptSuggestedCompetitor };
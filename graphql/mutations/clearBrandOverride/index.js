@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { Member } = require('../../queries/member');
+const { toReviewItem, loadWorkspaceBrands, currentBrandLookup } = require('../../queries/reviewQueue');
+
+// Load brand override helpers - handle both local dev and Docker paths
+let OVERRIDE_FIELDS, isSameBrand, applyBrandOverrides;
+try {
+  // Try Docker path first (mutations is directly under /app)
+  ({ OVERRIDE_FIELDS, isSameBrand, applyBrandOverrides } = require('../../config/utils/brandOverrides'));
+} catch (e) {
+  // Fall back to local dev path
+  ({ OVERRIDE_FIELDS, isSameBrand, applyBrandOverrides } = require('../../../config/utils/brandOverrides'));
+}
+
+/**
+ * Remove the override of one brand on a result, going back to the analyzer's judgement
+ * The brand is picked by `brandId`, or by name for overrides stored before brand IDs. The removal
+ * is recorded in `reviewHistory` like any other review.
+ */
+async function clearBrandOverride(parent, args, { user }) {
+  if (!user || !user.sub) {
+    throw new Error('User not authenticated');
+  }
+
+  const { workspaceId, resultId, brandId, brandKeywords, reason } = args;
+
+  const member = await Member.findOne({
+    workspaceId,
+    userId: user.sub,
+    permissions: "update:brands"
+  });
+
+  if (!member) {
+    throw new Error('User not authorized to review brand judgements');
+  }
+
+  if (!brandId && !(brandKeywords && brandKeywords.trim())) {
+    throw new Error('brandId or brandKeywords is required');
+  }
+
+  if (!reason || !reason.trim()) {
+    throw new Error('A reason is required');
+  }
+
+  const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+  const datalake = mongoose.createConnection(dataLakeUri);
+
+  try {
+    await datalake.asPromise();
+    const results = datalake.collection('previousmodelresults');
+
+    const result = await results.findOne({ _id: new mongoose.Types.ObjectId(resultId) });
+    if (!result) {
+      throw new Error('Result not found');
+    }
+
+    // Match stored overrides as stored and under the brand's current ID and name
+    const workspaceBrands = await loadWorkspaceBrands(datalake);
+    const currentBrand = currentBrandLookup(workspaceBrands);
+    const target = { brandId, brandKeywords: brandKeywords && brandKeywords.trim() };
+    const override = (result.brandOverrides || []).find(o => {
+      const current = currentBrand(o);
+      return isSameBrand(target, o) ||
+        (current && isSameBrand(target, { brandId: String(current._id), brandKeywords: current.name }));
+    });
+    if (!override) {
+      throw new Error(`Brand "${brandKeywords || brandId}" has no override on this result`);
+    }
+
+    const brand = (result.sentimentAnalysis?.brands || []).find(b => isSameBrand(b, override));
+    const current = brand ? applyBrandOverrides([brand], [override])[0] : override;
+    const reviewedAt = new Date();
+
+    await results.updateOne(
+      { _id: result._id },
+      {
+        $set: { brandOverrides: result.brandOverrides.filter(o => o !== override), updatedAt: reviewedAt },
+        $push: {
+          reviewHistory: {
+            brandId: override.brandId || null,
+            brandKeywords: override.brandKeywords,
+            action: 'clear',
+            changes: null,
+            previous: Object.fromEntries(OVERRIDE_FIELDS.map(field => [field, current[field] ?? null])),
+            reviewedBy: user.email || user.sub,
+            reviewedAt,
+            reason: reason.trim()
+          }
+        }
+      }
+    );
+
+    return toReviewItem(await results.findOne({ _id: result._id }), workspaceBrands);
+  } finally {
+    await datalake.close();
+  }
+}
+
+module.exports = { clearBrandOverride };
@@ -2,6 +2,16 @@ const mongoose = require('mongoose');
 const { Member } = require('../../queries/member');
 const { canPerformAction } = require('../helpers/entitlements');
 
+// Load brand alias helpers - handle both local dev and Docker paths
+let normalizeBrandAliases;
+try {
+  // Try Docker path first (mutations is directly under /app)
+  normalizeBrandAliases = require('../../config/utils/brandAliases').normalizeBrandAliases;
+} catch (e) {
+  // Fall back to local dev path
+  normalizeBrandAliases = require('../../../config/utils/brandAliases').normalizeBrandAliases;
+}
+
 // Define the Brand Model factory for workspace-specific connections
 const Brand = (workspaceId) => {
   const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
@@ -11,6 +21,10 @@ const Brand = (workspaceId) => {
     _id: { type: mongoose.Schema.Types.ObjectId, required: true },
     name: { type: String, required: true },
     isOwnBrand: { type: Boolean, required: true, default: false },
+    aliases: { type: [String], default: [] },
+    abbreviations: { type: [String], default: [] },
+    productNames: { type: [String], default: [] },
+    domains: { type: [String], default: [] },
     workspaceId: { type: String, required: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
@@ -22,7 +36,7 @@ async function createBrand(parent, args, { user }) {
     throw new Error('User not authenticated');
   }
 
-  const { workspaceId, workspaceSlug, name, isOwnBrand = false } = args;
+  const { workspaceId, workspaceSlug, name, isOwnBrand = false, aliases, abbreviations, productNames, domains } = args;
   const userId = user.sub;
 
   try {
@@ -64,6 +78,7 @@ async function createBrand(parent, args, { user }) {
       _id: new mongoose.Types.ObjectId(),
       name,
       isOwnBrand,
+      ...normalizeBrandAliases({ aliases, abbreviations, productNames, domains }, name),
       workspaceId: workspaceId || workspaceSlug
     });
 
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { Member } = require('../../queries/member');
+
+// Define the ContextProfile Model factory for workspace-specific connections
+const ContextProfile = (workspaceId) => {
+  const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+  const datalake = mongoose.createConnection(dataLakeUri);
+
+  return datalake.model('ContextProfile', new mongoose.Schema({
+    _id: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    systemPrompt: { type: String },
+    locale: { type: String },
+    country: { type: String },
+    persona: { type: String },
+    workspaceId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+  }));
+};
+
+async function createContextProfile(parent, args, { user }) {
+  if (!user || !user.sub) {
+    throw new Error('User not authenticated');
+  }
+
+  const { workspaceId, workspaceSlug, name, systemPrompt, locale, country, persona } = args;
+  const userId = user.sub;
+
+  try {
+    // Context profiles are part of prompt setup, so creating one needs the prompts permission
+    const member = await Member.findOne({
+      workspaceId: workspaceId || workspaceSlug,
+      userId: userId,
+      permissions: "create:prompts"
+    });
+
+    if (!member) {
+      throw new Error('User not authorized to create context profiles');
+    }
+
+    // Get the workspace-specific model
+    const ContextProfileModel = ContextProfile(workspaceId || workspaceSlug);
+
+    // Create the context profile
+    const contextProfile = new ContextProfileModel({
+      _id: new mongoose.Types.ObjectId(),
+      name,
+      systemPrompt,
+      locale,
+      country,
+      persona,
+      workspaceId: workspaceId || workspaceSlug
+    });
+
+    await contextProfile.save();
+    return contextProfile;
+
+  } catch (error) {
+    console.error('Error creating context profile:', error);
+    throw new Error(`Failed to create context profile: ${error.message}`);
+  }
+}
+
+module.exports = { createContextProfile };
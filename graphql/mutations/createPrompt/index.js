@@ -2,6 +2,16 @@ const mongoose = require('mongoose');
 const { Member } = require('../../queries/member');
 const { canPerformAction, enforceCharacterLimit, getEntitlements } = require('../helpers/entitlements');
 
+// Load plans config - handle both local dev and Docker paths
+let resolveSampleCount;
+try {
+  // Try Docker path first (mutations is directly under /app)
+  resolveSampleCount = require('../../config/plans').resolveSampleCount;
+} catch (e) {
+  // Fall back to local dev path
+  resolveSampleCount = require('../../../config/plans').resolveSampleCount;
+}
+
 // Define the Prompt Model factory for workspace-specific connections
 const Prompt = (workspaceId) => {
   const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
@@ -11,6 +21,8 @@ const Prompt = (workspaceId) => {
     _id: { type: mongoose.Schema.Types.ObjectId, required: true },
     phrase: { type: String, required: true },
     workspaceId: { type: String, required: true },
+    samples: { type: Number, min: 1 },
+    contextProfileIds: [{ type: mongoose.Schema.Types.ObjectId }],
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
   }));
@@ -21,7 +33,7 @@ async function createPrompt(parent, args, { user }) {
     throw new Error('User not authenticated');
   }
 
-  const { workspaceId, workspaceSlug, phrase } = args;
+  const { workspaceId, workspaceSlug, phrase, samples, contextProfileIds } = args;
   const userId = user.sub;
 
   try {
@@ -57,9 +69,15 @@ async function createPrompt(parent, args, { user }) {
     const prompt = new PromptModel({
       _id: new mongoose.Types.ObjectId(),
       phrase: enforcedPhrase.truncated,
-      workspaceId: workspaceId || workspaceSlug
+      workspaceId: workspaceId || workspaceSlug,
+      contextProfileIds: contextProfileIds || []
     });
 
+    // Samples are capped by the plan's samples limit
+    if (samples !== undefined && samples !== null) {
+      prompt.samples = resolveSampleCount(samples, entitlements.samplesLimit);
+    }
+
     await prompt.save();
     return prompt;
 
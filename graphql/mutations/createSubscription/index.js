@@ -218,6 +218,8 @@ const resolvers = {
     const modelsLimit = meta.models_limit === 'unlimited' ? 999999 : parseInt(meta.models_limit);
     const dataRetentionDays = meta.data_retention_days === 'unlimited' ? 999999 : parseInt(meta.data_retention_days);
     const promptCharacterLimit = meta.prompt_character_limit ? parseInt(meta.prompt_character_limit) : 150;
+    const samplesLimit = meta.samples_limit ? parseInt(meta.samples_limit) : null; // null falls back to the plan default
+    const costBudgetMonthly = meta.cost_budget_monthly ? parseFloat(meta.cost_budget_monthly) : null; // null falls back to the plan default
     const jobFrequency = meta.batch_frequency || 'monthly';
 
     // Update billing profile with subscription details
@@ -233,6 +235,8 @@ const resolvers = {
           promptsLimit,
           modelsLimit,
           promptCharacterLimit,
+          samplesLimit,
+          costBudgetMonthly,
           jobFrequency,
           dataRetentionDays,
           updatedAt: new Date()
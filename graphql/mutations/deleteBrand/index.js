@@ -10,6 +10,10 @@ const Brand = (workspaceId) => {
     _id: { type: mongoose.Schema.Types.ObjectId, required: true },
     name: { type: String, required: true },
     isOwnBrand: { type: Boolean, required: true, default: false },
+    aliases: { type: [String], default: [] },
+    abbreviations: { type: [String], default: [] },
+    productNames: { type: [String], default: [] },
+    domains: { type: [String], default: [] },
     workspaceId: { type: String, required: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
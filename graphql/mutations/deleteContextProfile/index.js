@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { Member } = require('../../queries/member');
+
+// Define the ContextProfile Model factory for workspace-specific connections
+const ContextProfile = (workspaceId) => {
+  const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+  const datalake = mongoose.createConnection(dataLakeUri);
+
+  return datalake.model('ContextProfile', new mongoose.Schema({
+    _id: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    systemPrompt: { type: String },
+    locale: { type: String },
+    country: { type: String },
+    persona: { type: String },
+    workspaceId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+  }));
+};
+
+async function deleteContextProfile(parent, args, { user }) {
+  if (!user || !user.sub) {
+    throw new Error('User not authenticated');
+  }
+
+  const { workspaceId, workspaceSlug, id } = args;
+  const userId = user.sub;
+
+  try {
+    // Context profiles are part of prompt setup, so deleting one needs the prompts permission
+    const member = await Member.findOne({
+      workspaceId: workspaceId || workspaceSlug,
+      userId: userId,
+      permissions: "delete:prompts"
+    });
+
+    if (!member) {
+      throw new Error('User not authorized to delete context profiles');
+    }
+
+    // Get the workspace-specific model
+    const ContextProfileModel = ContextProfile(workspaceId || workspaceSlug);
+
+    const deletedContextProfile = await ContextProfileModel.findByIdAndDelete(id);
+
+    if (!deletedContextProfile) {
+      throw new Error('Context profile not found');
+    }
+
+    // Detach the profile from prompts; past results keep their contextProfileId for analytics
+    await ContextProfileModel.db.collection('prompts').updateMany(
+      { contextProfileIds: new mongoose.Types.ObjectId(id) },
+      { $pull: { contextProfileIds: new mongoose.Types.ObjectId(id) } }
+    );
+
+    // Get remaining context profiles
+    const remainingContextProfiles = await ContextProfileModel.find({ workspaceId: workspaceId || workspaceSlug });
+
+    return {
+      message: 'Context profile deleted successfully',
+      remainingContextProfiles
+    };
+
+  } catch (error) {
+    console.error('Error deleting context profile:', error);
+    throw new Error(`Failed to delete context profile: ${error.message}`);
+  }
+}
+
+module.exports = { deleteContextProfile };
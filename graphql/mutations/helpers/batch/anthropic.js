@@ -0,0 +1,183 @@
+const { Anthropic } = require('@anthropic-ai/sdk');
+const mongoose = require('mongoose');
+
+/**
+ * Build an Anthropic-safe custom_id for a request.
+ * Anthropic only accepts ^[a-zA-Z0-9_-]{1,64}$, which our
+ * workspaceId-promptId-modelId-timestamp IDs exceed (and Claude model IDs
+ * may contain '@' or '.'), so requests are numbered and mapped back on download.
+ * @param {Number} index - Request index within the batch
+ * @returns {String} - Anthropic custom_id
+ */
+function toAnthropicCustomId(index) {
+  return `req-${index}`;
+}
+
+/**
+ * Submit a batch job to the Anthropic Message Batches API
+ * @param {Array} requests - Array of {custom_id, model, sampleIndex, contextProfileId, messages}
+ * @param {Object} workspaceDb - MongoDB workspace database connection
+ * @param {String} workspaceId - Workspace ID
+ * @returns {Object} - Batch metadata
+ */
+async function submitAnthropicBatch(requests, workspaceDb, workspaceId) {
+  const anthropic = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY
+  });
+
+  console.log(`🚀 [Anthropic Batch] Starting submission for workspace ${workspaceId}`);
+  console.log(`📊 [Anthropic Batch] Request count: ${requests.length}`);
+
+  // Convert OpenAI format messages to Anthropic Message Batch requests
+  const batchRequests = requests.map((req, index) => {
+    const systemMessage = req.messages.find(m => m.role === 'system');
+    const params = {
+      model: req.model,
+      max_tokens: 1000,
+      messages: req.messages.filter(m => m.role !== 'system')
+    };
+
+    if (systemMessage) {
+      params.system = systemMessage.content;
+    }
+
+    return {
+      custom_id: toAnthropicCustomId(index),
+      params
+    };
+  });
+
+  let batch;
+  try {
+    console.log(`🔨 [Anthropic Batch] Creating message batch...`);
+    batch = await anthropic.beta.messages.batches.create({
+      requests: batchRequests
+    });
+    console.log(`✅ [Anthropic Batch] Batch created successfully: ${batch.id}`);
+    console.log(`📋 [Anthropic Batch] Status: ${batch.processing_status}`);
+  } catch (error) {
+    console.error(`❌ [Anthropic Batch] Batch creation failed for workspace ${workspaceId}`);
+    console.error(`❌ [Anthropic Batch] Error:`, error.message);
+    throw new Error(`Anthropic batch creation failed: ${error.message}`);
+  }
+
+  // Validate batch ID format
+  if (!batch.id || !batch.id.startsWith('msgbatch_')) {
+    console.error(`❌ [Anthropic Batch] Invalid batch ID format received: ${batch.id}`);
+    throw new Error(`Invalid Anthropic batch ID format: ${batch.id}`);
+  }
+
+  // Store batch metadata in MongoDB
+  const batchDoc = {
+    _id: new mongoose.Types.ObjectId(),
+    workspaceId: workspaceId,
+    batchId: batch.id,
+    provider: 'anthropic',
+    modelId: requests[0]?.model, // Store first model as reference
+    status: 'submitted',
+    requestCount: requests.length,
+    submittedAt: new Date(),
+    completedAt: null,
+    expiresAt: batch.expires_at ? new Date(batch.expires_at) : new Date(Date.now() + 24 * 60 * 60 * 1000),
+    results: [],
+    isProcessed: false,
+    metadata: {
+      requests: requests.map((r, index) => ({
+        custom_id: r.custom_id,
+        model: r.model,
+        sampleIndex: r.sampleIndex || 0,
+        contextProfileId: r.contextProfileId || null,
+        anthropic_custom_id: toAnthropicCustomId(index)
+      }))
+    }
+  };
+
+  try {
+    console.log(`💾 [Anthropic Batch] Storing batch document in MongoDB...`);
+    await workspaceDb.collection('batches').insertOne(batchDoc);
+    console.log(`✅ [Anthropic Batch] Batch document stored with _id: ${batchDoc._id}`);
+  } catch (error) {
+    console.error(`❌ [Anthropic Batch] Failed to store batch document in MongoDB`);
+    console.error(`❌ [Anthropic Batch] Batch ID from Anthropic: ${batch.id}`);
+    console.error(`❌ [Anthropic Batch] Error:`, error.message);
+    throw new Error(`Failed to store batch in MongoDB: ${error.message}`);
+  }
+
+  console.log(`✅ [Anthropic Batch] Batch submission complete`);
+  console.log(`📋 [Anthropic Batch] Batch ID: ${batch.id}`);
+  console.log(`📋 [Anthropic Batch] Document ID: ${batchDoc._id}`);
+
+  return {
+    batchId: batch.id,
+    documentId: batchDoc._id,
+    requestCount: requests.length
+  };
+}
+
+/**
+ * Check status of Anthropic message batch
+ * @param {String} batchId - Anthropic message batch ID
+ * @returns {Object} - Batch status
+ */
+async function checkAnthropicBatchStatus(batchId) {
+  const anthropic = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY
+  });
+
+  const batch = await anthropic.beta.messages.batches.retrieve(batchId);
+
+  return {
+    id: batch.id,
+    status: batch.processing_status,
+    results_url: batch.results_url,
+    request_counts: batch.request_counts
+  };
+}
+
+/**
+ * Download and process Anthropic message batch results
+ * @param {String} batchId - Anthropic message batch ID
+ * @param {Object} workspaceDb - MongoDB workspace database connection
+ * @returns {Array} - Processed results
+ */
+async function downloadAnthropicBatchResults(batchId, workspaceDb) {
+  const anthropic = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY
+  });
+
+  const batchDoc = await workspaceDb.collection('batches').findOne({ batchId });
+  const requestMap = new Map(
+    (batchDoc?.metadata?.requests || []).map(r => [r.anthropic_custom_id, r.custom_id])
+  );
+
+  // Results are streamed as JSONL: { custom_id, result: { type, message | error } }
+  const results = [];
+  for await (const entry of await anthropic.beta.messages.batches.results(batchId)) {
+    results.push({
+      ...entry,
+      custom_id: requestMap.get(entry.custom_id) || entry.custom_id
+    });
+  }
+
+  // Update batch document with results
+  await workspaceDb.collection('batches').updateOne(
+    { batchId: batchId },
+    {
+      $set: {
+        status: 'received',
+        results: results,
+        completedAt: new Date()
+      }
+    }
+  );
+
+  console.log(`✓ Downloaded ${results.length} results for batch ${batchId}`);
+
+  return results;
+}
+
+module.exports = {
+  submitAnthropicBatch,
+  checkAnthropicBatchStatus,
+  downloadAnthropicBatchResults
+};
@@ -1,20 +1,37 @@
 const { submitOpenAIBatch, checkOpenAIBatchStatus, downloadOpenAIBatchResults } = require('./openai');
 const { submitVertexBatch, checkVertexBatchStatus, downloadVertexBatchResults } = require('./vertex');
+const { submitAnthropicBatch, checkAnthropicBatchStatus, downloadAnthropicBatchResults } = require('./anthropic');
+const { submitMockBatch, checkMockBatchStatus, downloadMockBatchResults } = require('./mock');
+
+// Load mock provider - repo layout (and batcher image) first, then the graphql image where config sits beside mutations
+let isMockEnabled;
+try {
+  isMockEnabled = require('../../../../config/providers/mock/client').isMockEnabled;
+} catch (e) {
+  isMockEnabled = require('../../../config/providers/mock/client').isMockEnabled;
+}
 
 /**
  * Submit batch job based on provider
- * @param {String} provider - Provider name (openai, vertex)
+ * @param {String} provider - Provider name (openai, vertex, anthropic)
  * @param {Array} requests - Array of requests
  * @param {Object} workspaceDb - MongoDB workspace database connection
  * @param {String} workspaceId - Workspace ID
+ * @param {Object} options - { type, generationConfig } - analysis batches (type 'analysis') are Vertex only
  * @returns {Object} - Batch metadata
  */
-async function submitBatch(provider, requests, workspaceDb, workspaceId) {
+async function submitBatch(provider, requests, workspaceDb, workspaceId, options = {}) {
+  if (isMockEnabled()) {
+    return await submitMockBatch(provider, requests, workspaceDb, workspaceId, options);
+  }
+
   switch (provider) {
     case 'openai':
       return await submitOpenAIBatch(requests, workspaceDb, workspaceId);
     case 'vertex':
-      return await submitVertexBatch(requests, workspaceDb, workspaceId);
+      return await submitVertexBatch(requests, workspaceDb, workspaceId, options);
+    case 'anthropic':
+      return await submitAnthropicBatch(requests, workspaceDb, workspaceId);
     default:
       throw new Error(`Unsupported batch provider: ${provider}`);
   }
@@ -28,11 +45,17 @@ async function submitBatch(provider, requests, workspaceDb, workspaceId) {
  * @returns {Object} - Batch status
  */
 async function checkBatchStatus(provider, batchId, workspaceDb = null) {
+  if (isMockEnabled()) {
+    return await checkMockBatchStatus(batchId);
+  }
+
   switch (provider) {
     case 'openai':
       return await checkOpenAIBatchStatus(batchId);
     case 'vertex':
       return await checkVertexBatchStatus(batchId);
+    case 'anthropic':
+      return await checkAnthropicBatchStatus(batchId);
     default:
       throw new Error(`Unsupported batch provider: ${provider}`);
   }
@@ -41,17 +64,23 @@ async function checkBatchStatus(provider, batchId, workspaceDb = null) {
 /**
  * Download batch results based on provider
  * @param {String} provider - Provider name
- * @param {String} fileId - File ID or GCS prefix
+ * @param {String} fileId - File ID or GCS prefix (unused for anthropic, results are fetched by batch ID)
  * @param {Object} workspaceDb - MongoDB workspace database connection
  * @param {String} batchId - Batch ID
  * @returns {Array} - Batch results
  */
 async function downloadBatchResults(provider, fileId, workspaceDb, batchId) {
+  if (isMockEnabled()) {
+    return await downloadMockBatchResults(workspaceDb, batchId);
+  }
+
   switch (provider) {
     case 'openai':
       return await downloadOpenAIBatchResults(fileId, workspaceDb, batchId);
     case 'vertex':
       return await downloadVertexBatchResults(fileId, workspaceDb, batchId);
+    case 'anthropic':
+      return await downloadAnthropicBatchResults(batchId, workspaceDb);
     default:
       throw new Error(`Unsupported batch provider: ${provider}`);
   }
@@ -64,8 +93,12 @@ module.exports = {
   // Export individual helpers for direct use
   submitOpenAIBatch,
   submitVertexBatch,
+  submitAnthropicBatch,
   checkOpenAIBatchStatus,
   checkVertexBatchStatus,
+  checkAnthropicBatchStatus,
   downloadOpenAIBatchResults,
-  downloadVertexBatchResults
+  downloadVertexBatchResults,
+  downloadAnthropicBatchResults,
+  submitMockBatch
 };
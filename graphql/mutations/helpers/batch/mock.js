@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+// Load mock provider - repo layout (and batcher image) first, then the graphql image where config sits beside mutations
+let MockProvider;
+try {
+  MockProvider = require('../../../../config/providers/mock/client');
+} catch (e) {
+  MockProvider = require('../../../config/providers/mock/client');
+}
+
+/**
+ * Build a provider-formatted batch result line from a mock generation
+ * Mirrors the shapes processBatchResults parses for each real batch back-end.
+ * @param {String} provider - Batch provider (openai, vertex, anthropic)
+ * @param {Object} request - {custom_id, model, sampleIndex, contextProfileId, messages}
+ * @param {Object} generation - MockProvider.generateText result
+ * @returns {Object} - Result line
+ */
+function toProviderResult(provider, request, generation) {
+  const inputTokens = Math.ceil(request.messages.map(m => m.content).join(' ').length / 4);
+  const outputTokens = Math.max(generation.tokensUsed - inputTokens, 0);
+
+  switch (provider) {
+    case 'openai':
+      return {
+        custom_id: request.custom_id,
+        response: {
+          status_code: 200,
+          body: {
+            model: request.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: generation.response }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: generation.tokensUsed }
+          }
+        }
+      };
+    case 'vertex':
+      return {
+        custom_id: request.custom_id,
+        response: {
+          candidates: [{ content: { role: 'model', parts: [{ text: generation.response }] }, finishReason: 'STOP' }],
+          usageMetadata: { promptTokenCount: inputTokens, candidatesTokenCount: outputTokens, totalTokenCount: generation.tokensUsed }
+        }
+      };
+    case 'anthropic':
+      return {
+        custom_id: request.custom_id,
+        result: {
+          type: 'succeeded',
+          message: {
+            model: request.model,
+            content: [{ type: 'text', text: generation.response }],
+            usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+          }
+        }
+      };
+    default:
+      throw new Error(`Unsupported batch provider: ${provider}`);
+  }
+}
+
+/**
+ * Submit a mock batch job
+ * Results are generated immediately and the batch is stored as 'received', so the
+ * listener triggers processBatchResults exactly as it would for a real completed batch.
+ * @param {String} provider - Batch provider being mocked (openai, vertex, anthropic)
+ * @param {Array} requests - Array of {custom_id, model, sampleIndex, contextProfileId, messages}
+ * @param {Object} workspaceDb - MongoDB workspace database connection
+ * @param {String} workspaceId - Workspace ID
+ * @param {Object} options - { type } - 'analysis' for analysis batches (defaults to 'generation')
+ * @returns {Object} - Batch metadata
+ */
+async function submitMockBatch(provider, requests, workspaceDb, workspaceId, options = {}) {
+  const mockProvider = new MockProvider();
+
+  console.log(`🧪 [Mock Batch] Generating ${requests.length} ${provider} results for workspace ${workspaceId}`);
+
+  const results = [];
+  for (const request of requests) {
+    const prompt = request.messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    const systemPrompt = request.messages.find(m => m.role === 'system')?.content;
+    const generation = await mockProvider.generateText(request.model, prompt, systemPrompt ? { systemPrompt } : {});
+    results.push(toProviderResult(provider, request, generation));
+  }
+
+  const batchId = provider === 'vertex'
+    ? `projects/mock/locations/mock/batchPredictionJobs/${Date.now()}`
+    : `${provider === 'anthropic' ? 'msgbatch' : 'batch'}_mock_${new mongoose.Types.ObjectId()}`;
+
+  const batchDoc = {
+    _id: new mongoose.Types.ObjectId(),
+    workspaceId: workspaceId,
+    batchId: batchId,
+    provider: provider,
+    type: options.type || 'generation',
+    modelId: requests[0]?.model,
+    status: 'received',
+    requestCount: requests.length,
+    submittedAt: new Date(),
+    completedAt: new Date(),
+    results: results,
+    isProcessed: false,
+    isMock: true,
+    metadata: {
+      requests: requests.map(r => ({
+        custom_id: r.custom_id,
+        model: r.model,
+        sampleIndex: r.sampleIndex || 0,
+        contextProfileId: r.contextProfileId || null,
+        ...(r.resultId ? { resultId: r.resultId } : {})
+      }))
+    }
+  };
+
+  await workspaceDb.collection('batches').insertOne(batchDoc);
+  console.log(`✅ [Mock Batch] Batch ${batchId} stored with ${results.length} results`);
+
+  return {
+    batchId: batchId,
+    documentId: batchDoc._id,
+    requestCount: requests.length
+  };
+}
+
+/**
+ * Check status of a mock batch job (mock batches complete on submission)
+ * @param {String} batchId - Mock batch ID
+ * @returns {Object} - Batch status
+ */
+async function checkMockBatchStatus(batchId) {
+  return {
+    id: batchId,
+    status: 'completed'
+  };
+}
+
+/**
+ * Return the results stored on a mock batch document
+ * @param {Object} workspaceDb - MongoDB workspace database connection
+ * @param {String} batchId - Mock batch ID
+ * @returns {Array} - Stored results
+ */
+async function downloadMockBatchResults(workspaceDb, batchId) {
+  const batchDoc = await workspaceDb.collection('batches').findOne({ batchId });
+  return batchDoc?.results || [];
+}
+
+module.exports = {
+  submitMockBatch,
+  checkMockBatchStatus,
+  downloadMockBatchResults
+};
@@ -0,0 +1,169 @@
+/**
+ * Tests for the mock batch back-end
+ *
+ * Submits mock batches against an in-memory workspace database and checks the stored batch
+ * document: one result per request in the shape processBatchResults parses for each provider,
+ * deterministic responses, fixtures, and the metadata the results are matched back with.
+ *
+ * Run with `node --test` or `bun test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { submitMockBatch, checkMockBatchStatus, downloadMockBatchResults } = require('./mock');
+
+let MockProvider;
+try {
+  MockProvider = require('../../../../config/providers/mock/client');
+} catch (e) {
+  MockProvider = require('../../../config/providers/mock/client');
+}
+
+// Just enough of a MongoDB database for the batches collection
+function createWorkspaceDb() {
+  const collections = new Map();
+  return {
+    documents: name => collections.get(name) || [],
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, []);
+      }
+      const documents = collections.get(name);
+      return {
+        async insertOne(document) {
+          documents.push(document);
+          return { insertedId: document._id };
+        },
+        async findOne(filter) {
+          return documents.find(document => Object.entries(filter).every(([key, value]) => document[key] === value)) || null;
+        }
+      };
+    }
+  };
+}
+
+const buildRequests = model => [
+  {
+    custom_id: `ws1-prompt1-${model}-1700000000000-0`,
+    model,
+    sampleIndex: 0,
+    contextProfileId: null,
+    messages: [{ role: 'user', content: 'Which bank has the best home loans?' }]
+  },
+  {
+    custom_id: `ws1-prompt1-${model}-1700000000000-1-profile1`,
+    model,
+    sampleIndex: 1,
+    contextProfileId: 'profile1',
+    messages: [
+      { role: 'system', content: 'You are helping a first home buyer in Australia.' },
+      { role: 'user', content: 'Which bank has the best home loans?' }
+    ]
+  }
+];
+
+test('stores an OpenAI mock batch as received with one chat completion per request', async () => {
+  const workspaceDb = createWorkspaceDb();
+  const requests = buildRequests('gpt-4o');
+
+  const batch = await submitMockBatch('openai', requests, workspaceDb, 'ws1');
+
+  const [stored] = workspaceDb.documents('batches');
+  assert.strictEqual(stored.batchId, batch.batchId);
+  assert.match(stored.batchId, /^batch_mock_/);
+  assert.strictEqual(batch.requestCount, 2);
+  assert.strictEqual(stored.provider, 'openai');
+  assert.strictEqual(stored.type, 'generation');
+  assert.strictEqual(stored.status, 'received');
+  assert.strictEqual(stored.isProcessed, false);
+  assert.strictEqual(stored.isMock, true);
+  assert.deepStrictEqual(stored.results.map(result => result.custom_id), requests.map(request => request.custom_id));
+
+  const expected = await new MockProvider().generateText('gpt-4o', 'Which bank has the best home loans?');
+  const body = stored.results[0].response.body;
+  assert.strictEqual(stored.results[0].response.status_code, 200);
+  assert.strictEqual(body.choices[0].message.content, expected.response);
+  assert.strictEqual(body.usage.total_tokens, expected.tokensUsed);
+  assert.strictEqual(body.usage.prompt_tokens + body.usage.completion_tokens, body.usage.total_tokens);
+});
+
+test('keeps sample index and context profile of each request in the batch metadata', async () => {
+  const workspaceDb = createWorkspaceDb();
+  await submitMockBatch('openai', buildRequests('gpt-4o'), workspaceDb, 'ws1');
+
+  const [stored] = workspaceDb.documents('batches');
+  assert.deepStrictEqual(stored.metadata.requests, [
+    { custom_id: 'ws1-prompt1-gpt-4o-1700000000000-0', model: 'gpt-4o', sampleIndex: 0, contextProfileId: null },
+    { custom_id: 'ws1-prompt1-gpt-4o-1700000000000-1-profile1', model: 'gpt-4o', sampleIndex: 1, contextProfileId: 'profile1' }
+  ]);
+});
+
+test('stores Vertex and Anthropic results in their own batch formats', async () => {
+  const workspaceDb = createWorkspaceDb();
+  await submitMockBatch('vertex', buildRequests('gemini-2.5-flash'), workspaceDb, 'ws1');
+  await submitMockBatch('anthropic', buildRequests('claude-sonnet-4-20250514'), workspaceDb, 'ws1');
+
+  const [vertex, anthropic] = workspaceDb.documents('batches');
+
+  assert.match(vertex.batchId, /^projects\/mock\/locations\/mock\/batchPredictionJobs\//);
+  const candidate = vertex.results[0].response.candidates[0];
+  assert.match(candidate.content.parts[0].text, /^Mock response from gemini-2\.5-flash/);
+  assert.ok(vertex.results[0].response.usageMetadata.totalTokenCount > 0);
+
+  assert.match(anthropic.batchId, /^msgbatch_mock_/);
+  const { result } = anthropic.results[1];
+  assert.strictEqual(result.type, 'succeeded');
+  assert.match(result.message.content[0].text, /^Mock response from claude-sonnet-4-20250514/);
+  assert.ok(result.message.usage.input_tokens > 0);
+});
+
+test('generates the same results for the same requests', async () => {
+  const first = createWorkspaceDb();
+  const second = createWorkspaceDb();
+  await submitMockBatch('openai', buildRequests('gpt-4o'), first, 'ws1');
+  await submitMockBatch('openai', buildRequests('gpt-4o'), second, 'ws1');
+
+  assert.deepStrictEqual(first.documents('batches')[0].results, second.documents('batches')[0].results);
+});
+
+test('answers from MOCK_AI_FIXTURES when a fixture matches', async () => {
+  const fixturesPath = path.join(os.tmpdir(), `mock-batch-fixtures-${process.pid}.json`);
+  fs.writeFileSync(fixturesPath, JSON.stringify({
+    responses: [{ model: 'gpt-4o', prompt: 'home loans', response: 'Harbour Bank has the best home loans.' }]
+  }));
+  const previous = process.env.MOCK_AI_FIXTURES;
+  process.env.MOCK_AI_FIXTURES = fixturesPath;
+
+  try {
+    const workspaceDb = createWorkspaceDb();
+    await submitMockBatch('openai', buildRequests('gpt-4o'), workspaceDb, 'ws1');
+
+    const [stored] = workspaceDb.documents('batches');
+    stored.results.forEach(result => {
+      assert.strictEqual(result.response.body.choices[0].message.content, 'Harbour Bank has the best home loans.');
+    });
+  } finally {
+    if (previous === undefined) {
+      delete process.env.MOCK_AI_FIXTURES;
+    } else {
+      process.env.MOCK_AI_FIXTURES = previous;
+    }
+    fs.unlinkSync(fixturesPath);
+  }
+});
+
+test('reports mock batches as completed and downloads the stored results', async () => {
+  const workspaceDb = createWorkspaceDb();
+  const { batchId } = await submitMockBatch('anthropic', buildRequests('claude-sonnet-4-20250514'), workspaceDb, 'ws1', { type: 'analysis' });
+
+  assert.deepStrictEqual(await checkMockBatchStatus(batchId), { id: batchId, status: 'completed' });
+  assert.strictEqual(workspaceDb.documents('batches')[0].type, 'analysis');
+
+  const results = await downloadMockBatchResults(workspaceDb, batchId);
+  assert.strictEqual(results.length, 2);
+  assert.deepStrictEqual(results, workspaceDb.documents('batches')[0].results);
+  assert.deepStrictEqual(await downloadMockBatchResults(workspaceDb, 'batch_unknown'), []);
+});
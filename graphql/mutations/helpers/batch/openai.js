@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 
 /**
  * Submit a batch job to OpenAI
- * @param {Array} requests - Array of {custom_id, model, messages}
+ * @param {Array} requests - Array of {custom_id, model, sampleIndex, contextProfileId, messages}
  * @param {Object} workspaceDb - MongoDB workspace database connection
  * @param {String} workspaceId - Workspace ID
  * @returns {Object} - Batch metadata
@@ -100,7 +100,9 @@ async function submitOpenAIBatch(requests, workspaceDb, workspaceId) {
     metadata: {
       requests: requests.map(r => ({
         custom_id: r.custom_id,
-        model: r.model
+        model: r.model,
+        sampleIndex: r.sampleIndex || 0,
+        contextProfileId: r.contextProfileId || null
       }))
     }
   };
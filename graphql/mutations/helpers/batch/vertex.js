@@ -4,12 +4,15 @@ const mongoose = require('mongoose');
 
 /**
  * Submit a batch job for Claude or Gemini via Vertex AI
- * @param {Array} requests - Array of {custom_id, model, messages}
+ * @param {Array} requests - Array of {custom_id, model, sampleIndex, contextProfileId, resultId, messages}
  * @param {Object} workspaceDb - MongoDB workspace database connection
  * @param {String} workspaceId - Workspace ID
+ * @param {Object} options - { type, generationConfig } - type defaults to 'generation'; analysis batches
+ *   pass 'analysis' and their own generation config (structured output)
  * @returns {Object} - Batch metadata
  */
-async function submitVertexBatch(requests, workspaceDb, workspaceId) {
+async function submitVertexBatch(requests, workspaceDb, workspaceId, options = {}) {
+  const batchType = options.type || 'generation';
   const projectId = process.env.GCP_PROJECT_ID;
   const location = process.env.GCP_REGION || 'us-central1';
   const bucketName = process.env.GCS_BATCH_BUCKET;
@@ -49,7 +52,7 @@ async function submitVertexBatch(requests, workspaceDb, workspaceId) {
         systemInstruction: systemMessage ? {
           parts: [{ text: systemMessage.content }]
         } : undefined,
-        generationConfig: {
+        generationConfig: options.generationConfig || {
           maxOutputTokens: 1000,
           temperature: 0.7
         }
@@ -108,7 +111,7 @@ async function submitVertexBatch(requests, workspaceDb, workspaceId) {
 
   // Create batch prediction job
   const batchPredictionJob = {
-    displayName: `airank-batch-${workspaceId}-${timestamp}`,
+    displayName: `airank-${batchType === 'generation' ? 'batch' : batchType}-${workspaceId}-${timestamp}`,
     model: `projects/${projectId}/locations/${location}/publishers/${publisher}/models/${vertexModelId}`,
     inputConfig: {
       instancesFormat: 'jsonl',
@@ -160,6 +163,7 @@ async function submitVertexBatch(requests, workspaceDb, workspaceId) {
     workspaceId: workspaceId,
     batchId: batchJobName,
     provider: 'vertex', // Using Vertex AI for both Claude and Gemini
+    type: batchType,
     modelId: requests[0]?.model,
     modelType: isClaudeModel ? 'claude' : 'gemini',
     status: 'submitted',
@@ -173,7 +177,11 @@ async function submitVertexBatch(requests, workspaceDb, workspaceId) {
     metadata: {
       requests: requests.map(r => ({
         custom_id: r.custom_id,
-        model: r.model
+        model: r.model,
+        sampleIndex: r.sampleIndex || 0,
+        contextProfileId: r.contextProfileId || null,
+        // Analysis requests point at the result they analyse
+        ...(r.resultId ? { resultId: r.resultId } : {})
       })),
       vertexModelId: vertexModelId,
       publisher: publisher
@@ -2,6 +2,13 @@ const mongoose = require('mongoose');
 const yaml = require('js-yaml');
 const fs = require('fs');
 const path = require('path');
+// Load plans config - repo layout (and batcher image) first, then the graphql image where config sits beside mutations
+let getSamplesLimit;
+try {
+  getSamplesLimit = require('../../../config/plans').getSamplesLimit;
+} catch (e) {
+  getSamplesLimit = require('../../config/plans').getSamplesLimit;
+}
 
 /**
  * Entitlements Helper Functions for Mutations
@@ -150,6 +157,7 @@ async function getEntitlements(workspaceId) {
     allowedModels: effectiveProfile.allowedModels || [],
 
     jobFrequency: effectiveProfile.jobFrequency || 'monthly',
+    samplesLimit: paymentExpired ? 1 : getSamplesLimit(effectiveProfile),
 
     paymentExpired,
   };
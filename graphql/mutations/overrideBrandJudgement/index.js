@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { Member } = require('../../queries/member');
+const { toReviewItem, loadWorkspaceBrands, currentBrandLookup } = require('../../queries/reviewQueue');
+
+// Load brand override helpers - handle both local dev and Docker paths
+let OVERRIDE_FIELDS, normalizeOverride, isSameBrand, applyBrandOverrides;
+try {
+  // Try Docker path first (mutations is directly under /app)
+  ({ OVERRIDE_FIELDS, normalizeOverride, isSameBrand, applyBrandOverrides } = require('../../config/utils/brandOverrides'));
+} catch (e) {
+  // Fall back to local dev path
+  ({ OVERRIDE_FIELDS, normalizeOverride, isSameBrand, applyBrandOverrides } = require('../../../config/utils/brandOverrides'));
+}
+
+/**
+ * Override `mentioned`, `sentiment` and/or `position` for one brand on a result
+ * The brand is picked by `brandId`, or by name for judgements stored before brand IDs. Replaces
+ * any earlier override of that brand and appends the change to `reviewHistory`.
+ */
+async function overrideBrandJudgement(parent, args, { user }) {
+  if (!user || !user.sub) {
+    throw new Error('User not authenticated');
+  }
+
+  const { workspaceId, resultId, brandId, brandKeywords, mentioned, sentiment, position, reason } = args;
+
+  // Brand judgements are brand data, so reviewing them needs the brand update permission
+  const member = await Member.findOne({
+    workspaceId,
+    userId: user.sub,
+    permissions: "update:brands"
+  });
+
+  if (!member) {
+    throw new Error('User not authorized to review brand judgements');
+  }
+
+  if (!brandId && !(brandKeywords && brandKeywords.trim())) {
+    throw new Error('brandId or brandKeywords is required');
+  }
+
+  if (!reason || !reason.trim()) {
+    throw new Error('A reason is required');
+  }
+
+  const changes = normalizeOverride({ mentioned, sentiment, position });
+
+  const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+  const datalake = mongoose.createConnection(dataLakeUri);
+
+  try {
+    await datalake.asPromise();
+    const results = datalake.collection('previousmodelresults');
+
+    const result = await results.findOne({ _id: new mongoose.Types.ObjectId(resultId) });
+    if (!result) {
+      throw new Error('Result not found');
+    }
+
+    // Match stored judgements as stored and under the brand's current ID and name
+    const workspaceBrands = await loadWorkspaceBrands(datalake);
+    const currentBrand = currentBrandLookup(workspaceBrands);
+    const target = { brandId, brandKeywords: brandKeywords && brandKeywords.trim() };
+    const brand = (result.sentimentAnalysis?.brands || []).find(b => {
+      const current = currentBrand(b);
+      return isSameBrand(target, b) ||
+        (current && isSameBrand(target, { brandId: String(current._id), brandKeywords: current.name }));
+    });
+    if (!brand) {
+      throw new Error(`Brand "${brandKeywords || brandId}" is not in this result's analysis`);
+    }
+
+    // Values in effect before this change (analyzer output with any earlier override applied)
+    const current = applyBrandOverrides([brand], result.brandOverrides)[0];
+    const previous = Object.fromEntries(OVERRIDE_FIELDS.map(field => [field, current[field] ?? null]));
+
+    const reviewedBy = user.email || user.sub;
+    const reviewedAt = new Date();
+    const brandOverrides = (result.brandOverrides || [])
+      .filter(override => !isSameBrand(override, brand))
+      .concat({ brandId: brand.brandId || null, brandKeywords: brand.brandKeywords, ...changes, reviewedBy, reviewedAt, reason: reason.trim() });
+
+    await results.updateOne(
+      { _id: result._id },
+      {
+        $set: { brandOverrides, updatedAt: reviewedAt },
+        $push: {
+          reviewHistory: {
+            brandId: brand.brandId || null,
+            brandKeywords: brand.brandKeywords,
+            action: 'override',
+            changes,
+            previous,
+            reviewedBy,
+            reviewedAt,
+            reason: reason.trim()
+          }
+        }
+      }
+    );
+
+    return toReviewItem(await results.findOne({ _id: result._id }), workspaceBrands);
+  } finally {
+    await datalake.close();
+  }
+}
+
+module.exports = { overrideBrandJudgement };
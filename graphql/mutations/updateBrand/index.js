@@ -1,6 +1,16 @@
 const mongoose = require('mongoose');
 const { Member } = require('../../queries/member');
 
+// Load brand alias helpers - handle both local dev and Docker paths
+let normalizeBrandAliases;
+try {
+  // Try Docker path first (mutations is directly under /app)
+  normalizeBrandAliases = require('../../config/utils/brandAliases').normalizeBrandAliases;
+} catch (e) {
+  // Fall back to local dev path
+  normalizeBrandAliases = require('../../../config/utils/brandAliases').normalizeBrandAliases;
+}
+
 // Define the Brand Model factory for workspace-specific connections
 const Brand = (workspaceId) => {
   const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
@@ -10,6 +20,10 @@ const Brand = (workspaceId) => {
     _id: { type: mongoose.Schema.Types.ObjectId, required: true },
     name: { type: String, required: true },
     isOwnBrand: { type: Boolean, required: true, default: false },
+    aliases: { type: [String], default: [] },
+    abbreviations: { type: [String], default: [] },
+    productNames: { type: [String], default: [] },
+    domains: { type: [String], default: [] },
     workspaceId: { type: String, required: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
@@ -21,7 +35,7 @@ async function updateBrand(parent, args, { user }) {
     throw new Error('User not authenticated');
   }
 
-  const { workspaceId, workspaceSlug, id, name, isOwnBrand } = args;
+  const { workspaceId, workspaceSlug, id, name, isOwnBrand, aliases, abbreviations, productNames, domains } = args;
   const userId = user.sub;
 
   try {
@@ -57,6 +71,13 @@ async function updateBrand(parent, args, { user }) {
     if (name !== undefined) updateFields.name = name;
     if (isOwnBrand !== undefined) updateFields.isOwnBrand = isOwnBrand;
 
+    // Alias lists replace the stored ones; the brand's own name is never kept as an alias
+    const aliasInput = { aliases, abbreviations, productNames, domains };
+    if (Object.values(aliasInput).some(value => value !== undefined)) {
+      const currentName = name !== undefined ? name : (await BrandModel.findById(id))?.name;
+      Object.assign(updateFields, normalizeBrandAliases(aliasInput, currentName));
+    }
+
     // Update the brand
     const brand = await BrandModel.findByIdAndUpdate(
       id,
@@ -1,5 +1,16 @@
 const { Member } = require('../../queries/member');
 const mongoose = require('mongoose');
+const { getEntitlements } = require('../helpers/entitlements');
+
+// Load plans config - handle both local dev and Docker paths
+let resolveSampleCount;
+try {
+  // Try Docker path first (mutations is directly under /app)
+  resolveSampleCount = require('../../config/plans').resolveSampleCount;
+} catch (e) {
+  // Fall back to local dev path
+  resolveSampleCount = require('../../../config/plans').resolveSampleCount;
+}
 
 // Async function to update configs
 async function updateWorkspaceConfigs(parent, { workspaceId, workspaceSlug, configs }, { user }) {
@@ -54,6 +65,12 @@ async function updateWorkspaceConfigs(parent, { workspaceId, workspaceSlug, conf
       const now = new Date();
       let method = config.data.method || 'automatic';
 
+      // Sampling config: samples per prompt x model are capped by the plan's samples limit
+      if (config.configType === 'sampling') {
+        const { samplesLimit } = await getEntitlements(workspaceId);
+        config.data = { ...config.data, samples: resolveSampleCount(config.data.samples, samplesLimit) };
+      }
+
       // Get previous config to check for changes
       const previousConfig = await ConfigModel.findOne({ configType: config.configType });
 
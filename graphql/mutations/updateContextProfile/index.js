@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { Member } = require('../../queries/member');
+
+// Define the ContextProfile Model factory for workspace-specific connections
+const ContextProfile = (workspaceId) => {
+  const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+  const datalake = mongoose.createConnection(dataLakeUri);
+
+  return datalake.model('ContextProfile', new mongoose.Schema({
+    _id: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    systemPrompt: { type: String },
+    locale: { type: String },
+    country: { type: String },
+    persona: { type: String },
+    workspaceId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+  }));
+};
+
+async function updateContextProfile(parent, args, { user }) {
+  if (!user || !user.sub) {
+    throw new Error('User not authenticated');
+  }
+
+  const { workspaceId, workspaceSlug, id, name, systemPrompt, locale, country, persona } = args;
+  const userId = user.sub;
+
+  try {
+    // Context profiles are part of prompt setup, so updating one needs the prompts permission
+    const member = await Member.findOne({
+      workspaceId: workspaceId || workspaceSlug,
+      userId: userId,
+      permissions: "update:prompts"
+    });
+
+    if (!member) {
+      throw new Error('User not authorized to update context profiles');
+    }
+
+    // Get the workspace-specific model
+    const ContextProfileModel = ContextProfile(workspaceId || workspaceSlug);
+
+    // Build update object
+    const updateFields = { updatedAt: new Date() };
+    if (name !== undefined) updateFields.name = name;
+    if (systemPrompt !== undefined) updateFields.systemPrompt = systemPrompt;
+    if (locale !== undefined) updateFields.locale = locale;
+    if (country !== undefined) updateFields.country = country;
+    if (persona !== undefined) updateFields.persona = persona;
+
+    // Update the context profile
+    const contextProfile = await ContextProfileModel.findByIdAndUpdate(
+      id,
+      updateFields,
+      { new: true }
+    );
+
+    if (!contextProfile) {
+      throw new Error('Context profile not found');
+    }
+
+    return contextProfile;
+
+  } catch (error) {
+    console.error('Error updating context profile:', error);
+    throw new Error(`Failed to update context profile: ${error.message}`);
+  }
+}
+
+module.exports = { updateContextProfile };
@@ -2,6 +2,16 @@ const mongoose = require('mongoose');
 const { Member } = require('../../queries/member');
 const { enforceCharacterLimit, getEntitlements } = require('../helpers/entitlements');
 
+// Load plans config - handle both local dev and Docker paths
+let resolveSampleCount;
+try {
+  // Try Docker path first (mutations is directly under /app)
+  resolveSampleCount = require('../../config/plans').resolveSampleCount;
+} catch (e) {
+  // Fall back to local dev path
+  resolveSampleCount = require('../../../config/plans').resolveSampleCount;
+}
+
 // Define the Prompt Model factory for workspace-specific connections
 const Prompt = (workspaceId) => {
   const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
@@ -11,6 +21,8 @@ const Prompt = (workspaceId) => {
     _id: { type: mongoose.Schema.Types.ObjectId, required: true },
     phrase: { type: String, required: true },
     workspaceId: { type: String, required: true },
+    samples: { type: Number, min: 1 },
+    contextProfileIds: [{ type: mongoose.Schema.Types.ObjectId }],
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
   }));
@@ -21,7 +33,7 @@ async function updatePrompt(parent, args, { user }) {
     throw new Error('User not authenticated');
   }
 
-  const { workspaceId, workspaceSlug, id, phrase } = args;
+  const { workspaceId, workspaceSlug, id, phrase, samples, contextProfileIds } = args;
   const userId = user.sub;
 
   try {
@@ -48,11 +60,20 @@ async function updatePrompt(parent, args, { user }) {
     const PromptModel = Prompt(workspaceId || workspaceSlug);
 
     // Update the prompt with enforced character limit
-    const prompt = await PromptModel.findByIdAndUpdate(
-      id,
-      { phrase: enforcedPhrase.truncated, updatedAt: new Date() },
-      { new: true }
-    );
+    const update = { phrase: enforcedPhrase.truncated, updatedAt: new Date() };
+
+    // Samples are capped by the plan's samples limit; null clears the override
+    if (samples === null) {
+      update.$unset = { samples: 1 };
+    } else if (samples !== undefined) {
+      update.samples = resolveSampleCount(samples, entitlements.samplesLimit);
+    }
+
+    if (contextProfileIds !== undefined) {
+      update.contextProfileIds = contextProfileIds || [];
+    }
+
+    const prompt = await PromptModel.findByIdAndUpdate(id, update, { new: true });
 
     if (!prompt) {
       throw new Error('Prompt not found');
@@ -2,6 +2,53 @@ const { gql } = require('apollo-server-express');
 const mongoose = require('mongoose');
 const { Member } = require('../member');
 
+// Load brand override, alias and analysis state helpers - handle both local dev and Docker paths
+let applyBrandOverrides, buildAliasIndex, resolveBrandEntry, unanalysedFilter;
+try {
+  // Try Docker path first (queries is directly under /app)
+  applyBrandOverrides = require('../../config/utils/brandOverrides').applyBrandOverrides;
+  ({ buildAliasIndex, resolveBrandEntry } = require('../../config/utils/brandAliases'));
+  unanalysedFilter = require('../../config/utils/analysisState').unanalysedFilter;
+} catch (e) {
+  // Fall back to local dev path
+  applyBrandOverrides = require('../../../config/utils/brandOverrides').applyBrandOverrides;
+  ({ buildAliasIndex, resolveBrandEntry } = require('../../../config/utils/brandAliases'));
+  unanalysedFilter = require('../../../config/utils/analysisState').unanalysedFilter;
+}
+
+/**
+ * Point the brand judgements of a result at the workspace's current brands
+ * Judgements are matched by `brandId`, or by name and aliases for results stored before brand IDs,
+ * and take the brand's current name and type so renamed brands keep their history. Judgements of
+ * brands no longer tracked are dropped, as are repeats of a brand already in the result.
+ * @param {Array} brands - sentimentAnalysis.brands (overrides applied)
+ * @param {Map} brandsById - Current brands by id
+ * @param {Map} aliasIndex - buildAliasIndex of the current brands
+ * @returns {Array}
+ */
+function toCurrentBrands(brands, brandsById, aliasIndex) {
+  const byId = new Map();
+
+  (brands || []).forEach(brand => {
+    const current = resolveBrandEntry(brand, brandsById, aliasIndex);
+    if (!current) {
+      return;
+    }
+
+    const id = String(current._id);
+    if (!byId.has(id) || (brand.mentioned && !byId.get(id).mentioned)) {
+      byId.set(id, {
+        ...brand,
+        brandId: id,
+        brandKeywords: current.name,
+        type: current.isOwnBrand ? 'own' : 'competitor'
+      });
+    }
+  });
+
+  return [...byId.values()];
+}
+
 // Define the Analytics factory for workspace-specific connections
 const Analytics = (workspaceId) => {
   const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
@@ -17,17 +64,36 @@ const Analytics = (workspaceId) => {
     tokensUsed: { type: Number, required: true },
     responseTime: { type: Number, required: true },
     workspaceId: { type: String, required: true },
+    sampleIndex: { type: Number, default: 0 },
+    contextProfileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    citations: [{
+      url: String,
+      domain: String,
+      title: String,
+      position: Number,
+      source: String
+    }],
     sentimentAnalysis: {
       brands: [{
+        brandId: { type: mongoose.Schema.Types.ObjectId, default: null },
         brandKeywords: { type: String, required: true },
         type: { type: String, enum: ['own', 'competitor'], required: true },
         mentioned: { type: Boolean, default: false },
-        sentiment: { type: String, enum: ['positive', 'negative', 'not-determined'], default: 'not-determined' }
+        sentiment: { type: String, enum: ['positive', 'negative', 'neutral', 'mixed', 'not-determined'], default: 'not-determined' },
+        confidence: { type: Number, default: null },
+        role: { type: String, default: null },
+        aspects: [{
+          aspect: String,
+          sentiment: String
+        }]
       }],
-      overallSentiment: { type: String, enum: ['positive', 'negative', 'not-determined'], default: 'not-determined' },
+      overallSentiment: { type: String, enum: ['positive', 'negative', 'neutral', 'mixed', 'not-determined'], default: 'not-determined' },
       analyzedAt: { type: Date },
-      analyzedBy: { type: String, default: 'gemini-2.5-flash' }
+      analyzedBy: { type: String, default: 'gemini-2.5-flash' },
+      analyzerVersion: { type: Number },
+      analysisStatus: { type: String }
     },
+    analysisAttempts: { type: Number },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
   });
@@ -51,9 +117,12 @@ const typeDefs = gql`
     brandType: String!
     positive: Int!
     negative: Int!
+    neutral: Int!
+    mixed: Int!
     notDetermined: Int!
     total: Int!
     positivePercentage: Float!
+    averageConfidence: Float
   }
 
   type ShareOfVoice {
@@ -71,8 +140,11 @@ const typeDefs = gql`
   type AnalyticsSummary {
     totalResults: Int!
     resultsWithSentiment: Int!
+    # Results in the range still waiting for a sentiment judgement (pending, failed or never analysed)
+    unanalysedResults: Int!
     dateRange: DateRange!
     ownBrandMentionPercentage: Float!
+    ownBrandRecommendationPercentage: Float!
     exclusivityRate: Float!
   }
 
@@ -119,6 +191,8 @@ const typeDefs = gql`
     positive: Int!
     negative: Int!
     neutral: Int!
+    mixed: Int!
+    notDetermined: Int!
     positivePercentage: Float!
   }
 
@@ -131,6 +205,77 @@ const typeDefs = gql`
     mentionCount: Int!
   }
 
+  type BrandMentionRate {
+    brandName: String!
+    brandType: String!
+    mentionRate: Float!
+    recommendationRate: Float!
+    variance: Float!
+    standardError: Float!
+    sampleSize: Int!
+    runCount: Int!
+  }
+
+  type ContextProfileVisibility {
+    contextProfileId: ID
+    contextProfileName: String!
+    country: String
+    locale: String
+    totalResults: Int!
+    ownBrandMentions: Int!
+    competitorMentions: Int!
+    ownBrandMentionRate: Float!
+  }
+
+  type CitedDomain {
+    domain: String!
+    citationCount: Int!
+    responseCount: Int!
+    percentage: Float!
+  }
+
+  type BrandCitedDomains {
+    brandName: String!
+    brandType: String!
+    totalCitations: Int!
+    domains: [CitedDomain!]!
+  }
+
+  type ModelCitedDomains {
+    modelName: String!
+    totalCitations: Int!
+    domains: [CitedDomain!]!
+  }
+
+  type AspectSentiment {
+    aspect: String!
+    positive: Int!
+    negative: Int!
+    neutral: Int!
+    mixed: Int!
+    notDetermined: Int!
+    total: Int!
+    netSentiment: Float!
+  }
+
+  type AspectTrend {
+    date: String!
+    aspects: [AspectSentiment!]!
+  }
+
+  type ModelAspects {
+    modelName: String!
+    aspects: [AspectSentiment!]!
+  }
+
+  type BrandAspects {
+    brandName: String!
+    brandType: String!
+    aspects: [AspectSentiment!]!
+    trend: [AspectTrend!]!
+    byModel: [ModelAspects!]!
+  }
+
   type AnalyticsData {
     summary: AnalyticsSummary!
     dailyMentions: [DailyMentions!]!
@@ -143,6 +288,11 @@ const typeDefs = gql`
     brandPositionAnalysis: [BrandPositionAnalysis!]!
     sentimentTrend: [SentimentTrend!]!
     competitiveBreakdown: [CompetitiveBreakdown!]!
+    mentionRates: [BrandMentionRate!]!
+    mentionsByContextProfile: [ContextProfileVisibility!]!
+    citedDomainsByBrand: [BrandCitedDomains!]!
+    citedDomainsByModel: [ModelCitedDomains!]!
+    brandAspects: [BrandAspects!]!
   }
 `;
 
@@ -151,6 +301,77 @@ const formatDate = (date) => {
   return date.toISOString().split('T')[0];
 };
 
+// Helper function to count cited domains for a group of responses
+const addCitedDomains = (group, citations) => {
+  const seen = new Set();
+  citations.forEach(citation => {
+    if (!citation.domain) return;
+    const domainData = group.domains.get(citation.domain) || { citationCount: 0, responseCount: 0 };
+    domainData.citationCount++;
+    if (!seen.has(citation.domain)) {
+      domainData.responseCount++;
+      seen.add(citation.domain);
+    }
+    group.domains.set(citation.domain, domainData);
+    group.totalCitations++;
+  });
+};
+
+// Helper function to rank a group's cited domains (top 10)
+const topCitedDomains = (group) => {
+  return Array.from(group.domains.entries())
+    .map(([domain, data]) => ({
+      domain,
+      citationCount: data.citationCount,
+      responseCount: data.responseCount,
+      percentage: group.totalCitations > 0 ? (data.citationCount / group.totalCitations) * 100 : 0
+    }))
+    .sort((a, b) => b.citationCount - a.citationCount)
+    .slice(0, 10);
+};
+
+// sentimentAnalysis.brands[].role of a mention that recommends the brand (RECOMMENDED_ROLE in config/utils/brandAnalysis)
+const RECOMMENDED_ROLE = 'primary-recommendation';
+
+const emptySentimentCounts = () => ({ positive: 0, negative: 0, neutral: 0, mixed: 0, notDetermined: 0, total: 0 });
+
+// Helper function to count one sentiment; anything that is not a judgement counts as not determined
+const addSentiment = (counts, sentiment) => {
+  const key = ['positive', 'negative', 'neutral', 'mixed'].includes(sentiment) ? sentiment : 'notDetermined';
+  counts[key]++;
+  counts.total++;
+};
+
+// Helper function to get a brand's sentiment; with minConfidence, judgements below it (or without a
+// confidence, i.e. analysed before confidence scores) count as not determined
+const getSentiment = (brand, minConfidence) => {
+  if (minConfidence && !(brand.confidence >= minConfidence)) {
+    return 'not-determined';
+  }
+  return brand.sentiment;
+};
+
+// Helper function to count aspect sentiments into a Map of aspect -> counts
+const addAspects = (counts, aspects) => {
+  aspects.forEach(({ aspect, sentiment }) => {
+    if (!aspect) return;
+    const aspectData = counts.get(aspect) || emptySentimentCounts();
+    addSentiment(aspectData, sentiment);
+    counts.set(aspect, aspectData);
+  });
+};
+
+// Helper function to list aspect counts, most discussed first; netSentiment runs from -100 to 100
+const toAspectSentiments = (counts) => {
+  return Array.from(counts.entries())
+    .map(([aspect, data]) => ({
+      aspect,
+      ...data,
+      netSentiment: data.total > 0 ? ((data.positive - data.negative) / data.total) * 100 : 0
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
 // Helper function to get date range
 const getDateRange = (startDate, endDate) => {
   const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // Default 30 days ago
@@ -165,7 +386,7 @@ const getDateRange = (startDate, endDate) => {
 
 // Define the resolvers
 const resolvers = {
-  analytics: async (_, { workspaceId, startDate, endDate }, { user }) => {
+  analytics: async (_, { workspaceId, startDate, endDate, contextProfileId, minConfidence }, { user }) => {
     if (!user || !user.sub) {
       throw new Error('User not authenticated');
     }
@@ -191,36 +412,64 @@ const resolvers = {
     const brandConnection = mongoose.createConnection(dataLakeUri);
     const BrandSchema = new mongoose.Schema({
       name: String,
-      isOwnBrand: Boolean
+      isOwnBrand: Boolean,
+      aliases: [String],
+      abbreviations: [String],
+      productNames: [String],
+      domains: [String]
     });
     const Brand = brandConnection.model('Brand', BrandSchema);
-    const workspaceBrands = await Brand.find({});
-
-    const validBrandNames = new Set(
-      workspaceBrands
-        .map(b => b.name)
-        .filter(name => name && typeof name === 'string' && name.trim().length > 0)
-    );
+    const workspaceBrands = (await Brand.find({}).lean())
+      .filter(b => b.name && typeof b.name === 'string' && b.name.trim().length > 0);
+    const brandsById = new Map(workspaceBrands.map(b => [String(b._id), b]));
+    const brandAliasIndex = buildAliasIndex(workspaceBrands);
+    const contextProfiles = await brandConnection.collection('contextprofiles').find({}).toArray();
 
     await brandConnection.close();
 
     try {
+      // Optionally narrow to one context profile; 'default' selects results run without a profile
+      const rangeFilter = { createdAt: { $gte: start, $lte: end } };
+      if (contextProfileId === 'default') {
+        rangeFilter.contextProfileId = null;
+      } else if (contextProfileId) {
+        rangeFilter.contextProfileId = contextProfileId;
+      }
+
       // Get all results with sentiment analysis in date range
-      const results = await PreviousModelResult.find({
-        createdAt: { $gte: start, $lte: end },
+      const filter = {
+        ...rangeFilter,
         'sentimentAnalysis.brands': { $exists: true, $ne: [] }
-      }).sort({ createdAt: 1 });
+      };
+      const unanalysedResults = await PreviousModelResult.countDocuments({ ...rangeFilter, ...unanalysedFilter() });
+
+      // Analyst overrides take precedence over the analyzer's judgements everywhere below, and every
+      // judgement is grouped under the brand's id with its current name
+      const results = (await PreviousModelResult.find(filter).sort({ createdAt: 1 }).lean())
+        .map(result => ({
+          ...result,
+          sentimentAnalysis: {
+            ...result.sentimentAnalysis,
+            brands: toCurrentBrands(
+              applyBrandOverrides(result.sentimentAnalysis.brands, result.brandOverrides),
+              brandsById,
+              brandAliasIndex
+            )
+          }
+        }));
 
       if (results.length === 0) {
         return {
           summary: {
             totalResults: 0,
             resultsWithSentiment: 0,
+            unanalysedResults,
             dateRange: {
               start: formatDate(start),
               end: formatDate(end)
             },
             ownBrandMentionPercentage: 0,
+            ownBrandRecommendationPercentage: 0,
             exclusivityRate: 0
           },
           dailyMentions: [],
@@ -232,7 +481,12 @@ const resolvers = {
           coMentionAnalysis: [],
           brandPositionAnalysis: [],
           sentimentTrend: [],
-          competitiveBreakdown: []
+          competitiveBreakdown: [],
+          mentionRates: [],
+          mentionsByContextProfile: [],
+          citedDomainsByBrand: [],
+          citedDomainsByModel: [],
+          brandAspects: []
         };
       }
 
@@ -241,6 +495,7 @@ const resolvers = {
       const brandSentimentMap = new Map();
       const shareOfVoiceMap = new Map();
       let ownBrandMentions = 0;
+      let ownBrandRecommendations = 0;
       let totalResults = results.length;
 
       const mentionsByModelMap = new Map();
@@ -267,8 +522,8 @@ const resolvers = {
         
         result.sentimentAnalysis.brands.forEach(brand => {
           // Only process brands that match the workspace's configured brands
-          if (brand.mentioned && validBrandNames.has(brand.brandKeywords)) {
-            const brandKey = `${brand.brandKeywords}-${brand.type}`;
+          if (brand.mentioned && brandsById.has(brand.brandId)) {
+            const brandKey = brand.brandId;
 
             // Track mentions by model with brand type
             if (brand.type === 'own') {
@@ -287,32 +542,43 @@ const resolvers = {
 
             // Track daily mentions
             const dayBrands = dailyMentionsMap.get(date);
-            dayBrands.set(brandKey, (dayBrands.get(brandKey) || 0) + 1);
+            if (!dayBrands.has(brandKey)) {
+              dayBrands.set(brandKey, { brandName: brand.brandKeywords, brandType: brand.type, mentionCount: 0 });
+            }
+            dayBrands.get(brandKey).mentionCount++;
 
             // Track brand sentiment
             if (!brandSentimentMap.has(brandKey)) {
               brandSentimentMap.set(brandKey, {
+                brandId: brandKey,
                 brandName: brand.brandKeywords,
                 brandType: brand.type,
-                positive: 0,
-                negative: 0,
-                notDetermined: 0,
-                total: 0
+                ...emptySentimentCounts(),
+                confidenceSum: 0,
+                confidenceCount: 0
               });
             }
 
             const sentimentData = brandSentimentMap.get(brandKey);
-            sentimentData.total++;
-            if (brand.sentiment === 'positive') sentimentData.positive++;
-            else if (brand.sentiment === 'negative') sentimentData.negative++;
-            else sentimentData.notDetermined++;
+            const sentiment = getSentiment(brand, minConfidence);
+            addSentiment(sentimentData, sentiment);
+            if (sentiment !== 'not-determined' && typeof brand.confidence === 'number') {
+              sentimentData.confidenceSum += brand.confidence;
+              sentimentData.confidenceCount++;
+            }
 
             // Track share of voice
-            shareOfVoiceMap.set(brandKey, (shareOfVoiceMap.get(brandKey) || 0) + 1);
+            if (!shareOfVoiceMap.has(brandKey)) {
+              shareOfVoiceMap.set(brandKey, { brandName: brand.brandKeywords, brandType: brand.type, mentionCount: 0 });
+            }
+            shareOfVoiceMap.get(brandKey).mentionCount++;
 
-            // Track own brand mentions
+            // Track own brand mentions and recommendations
             if (brand.type === 'own') {
               ownBrandMentions++;
+              if (brand.role === RECOMMENDED_ROLE) {
+                ownBrandRecommendations++;
+              }
             }
           }
         });
@@ -321,36 +587,24 @@ const resolvers = {
       // Convert daily mentions to array format
       const dailyMentions = [];
       for (const [date, brands] of dailyMentionsMap) {
-        const brandMentions = [];
-        for (const [brandKey, count] of brands) {
-          const [brandName, brandType] = brandKey.split('-');
-          brandMentions.push({
-            brandName: brandName.split('-')[0], // Remove type suffix
-            brandType,
-            mentionCount: count,
-            date
-          });
-        }
+        const brandMentions = Array.from(brands.values()).map(mentions => ({ ...mentions, date }));
         dailyMentions.push({ date, brands: brandMentions });
       }
 
       // Convert brand sentiments to array format
-      const brandSentiments = Array.from(brandSentimentMap.values()).map(sentiment => ({
-        ...sentiment,
-        positivePercentage: sentiment.total > 0 ? (sentiment.positive / sentiment.total) * 100 : 0
-      }));
+      const brandSentiments = Array.from(brandSentimentMap.values())
+        .map(({ confidenceSum, confidenceCount, ...sentiment }) => ({
+          ...sentiment,
+          positivePercentage: sentiment.total > 0 ? (sentiment.positive / sentiment.total) * 100 : 0,
+          averageConfidence: confidenceCount > 0 ? confidenceSum / confidenceCount : null
+        }));
 
       // Convert share of voice to array format
-      const totalMentions = Array.from(shareOfVoiceMap.values()).reduce((sum, count) => sum + count, 0);
-      const shareOfVoice = Array.from(shareOfVoiceMap.entries()).map(([brandKey, count]) => {
-        const [brandName, brandType] = brandKey.split('-');
-        return {
-          brandName: brandName.split('-')[0],
-          brandType,
-          mentionCount: count,
-          percentage: totalMentions > 0 ? (count / totalMentions) * 100 : 0
-        };
-      });
+      const totalMentions = Array.from(shareOfVoiceMap.values()).reduce((sum, voice) => sum + voice.mentionCount, 0);
+      const shareOfVoice = Array.from(shareOfVoiceMap.values()).map(voice => ({
+        ...voice,
+        percentage: totalMentions > 0 ? (voice.mentionCount / totalMentions) * 100 : 0
+      }));
 
       // Convert mentions by model to array format
       const mentionsByModel = Array.from(mentionsByModelMap.entries()).map(([modelName, data]) => ({
@@ -384,7 +638,7 @@ const resolvers = {
         }
 
         const mentionedBrands = result.sentimentAnalysis.brands.filter(b =>
-          b && b.mentioned && b.brandKeywords && validBrandNames.has(b.brandKeywords)
+          b && b.mentioned && b.brandKeywords && brandsById.has(b.brandId)
         ).map(b => ({
           brandKeywords: b.brandKeywords,
           type: b.type,
@@ -405,24 +659,27 @@ const resolvers = {
       if (ownBrand) {
         results.forEach(result => {
           const mentionedBrands = result.sentimentAnalysis.brands.filter(b =>
-            b.mentioned && validBrandNames.has(b.brandKeywords)
+            b.mentioned && brandsById.has(b.brandId)
           );
-          const hasOwnBrand = mentionedBrands.some(b => b.type === 'own' && b.brandKeywords === ownBrand.name);
+          const hasOwnBrand = mentionedBrands.some(b => b.brandId === String(ownBrand._id));
 
           if (hasOwnBrand) {
             mentionedBrands.forEach(brand => {
               if (brand.type === 'competitor') {
-                coMentionMap.set(brand.brandKeywords, (coMentionMap.get(brand.brandKeywords) || 0) + 1);
+                if (!coMentionMap.has(brand.brandId)) {
+                  coMentionMap.set(brand.brandId, { brandName: brand.brandKeywords, count: 0 });
+                }
+                coMentionMap.get(brand.brandId).count++;
               }
             });
           }
         });
       }
 
-      const ownBrandTotalMentions = shareOfVoiceMap.get(`${ownBrand?.name}-own`) || 1;
+      const ownBrandTotalMentions = (ownBrand && shareOfVoiceMap.get(String(ownBrand._id))?.mentionCount) || 1;
       const coMentionAnalysis = ownBrand ? [{
         brandName: ownBrand.name,
-        coMentions: Array.from(coMentionMap.entries()).map(([brandName, count]) => ({
+        coMentions: Array.from(coMentionMap.values()).map(({ brandName, count }) => ({
           brandName,
           count,
           percentage: (count / ownBrandTotalMentions) * 100
@@ -438,14 +695,14 @@ const resolvers = {
         }
 
         const mentionedBrands = result.sentimentAnalysis.brands.filter(b =>
-          b && b.mentioned && b.brandKeywords && validBrandNames.has(b.brandKeywords)
+          b && b.mentioned && b.brandKeywords && brandsById.has(b.brandId)
         ).map(b => ({
           brandKeywords: b.brandKeywords,
           type: b.type,
           mentioned: b.mentioned,
           sentiment: b.sentiment,
           position: b.position,
-          brandKey: `${b.brandKeywords}-${b.type}`
+          brandKey: b.brandId
         }));
 
         // Use actual position field from sentiment analysis, fallback to index for old data
@@ -457,6 +714,7 @@ const resolvers = {
 
           if (!brandPositionMap.has(brand.brandKey)) {
             brandPositionMap.set(brand.brandKey, {
+              brandId: brand.brandKey,
               brandName: brand.brandKeywords,
               brandType: brand.type,
               positions: [],
@@ -483,6 +741,7 @@ const resolvers = {
           data.positions.length > 0
         )
         .map(data => ({
+          brandId: data.brandId,
           brandName: data.brandName,
           brandType: data.brandType,
           averagePosition: data.positions.reduce((sum, pos) => sum + pos, 0) / data.positions.length,
@@ -496,16 +755,13 @@ const resolvers = {
       results.forEach(result => {
         const date = formatDate(new Date(result.createdAt));
         if (!sentimentTrendMap.has(date)) {
-          sentimentTrendMap.set(date, { positive: 0, negative: 0, neutral: 0, total: 0 });
+          sentimentTrendMap.set(date, emptySentimentCounts());
         }
         const trendData = sentimentTrendMap.get(date);
 
         result.sentimentAnalysis.brands.forEach(brand => {
-          if (brand.mentioned && brand.type === 'own' && validBrandNames.has(brand.brandKeywords)) {
-            trendData.total++;
-            if (brand.sentiment === 'positive') trendData.positive++;
-            else if (brand.sentiment === 'negative') trendData.negative++;
-            else trendData.neutral++;
+          if (brand.mentioned && brand.type === 'own' && brandsById.has(brand.brandId)) {
+            addSentiment(trendData, getSentiment(brand, minConfidence));
           }
         });
       });
@@ -516,6 +772,8 @@ const resolvers = {
           positive: data.positive,
           negative: data.negative,
           neutral: data.neutral,
+          mixed: data.mixed,
+          notDetermined: data.notDetermined,
           positivePercentage: data.total > 0 ? (data.positive / data.total) * 100 : 0
         }))
         .sort((a, b) => new Date(a.date) - new Date(b.date));
@@ -523,7 +781,7 @@ const resolvers = {
       // Calculate competitive breakdown
       const ownBrandPositivity = brandSentiments.find(b => b.brandType === 'own')?.positivePercentage || 0;
       const competitiveBreakdown = brandSentiments.map(brand => {
-        const positionData = brandPositionAnalysis.find(p => p.brandName === brand.brandName && p.brandType === brand.brandType);
+        const positionData = brandPositionAnalysis.find(p => p.brandId === brand.brandId);
         return {
           brandName: brand.brandName,
           brandType: brand.brandType,
@@ -539,15 +797,190 @@ const resolvers = {
         return b.sentimentGap - a.sentimentGap;
       });
 
+      // Calculate mention rates across samples
+      // A run is one prompt x model on one day; with multi-sample prompts each run holds several
+      // results, and the spread of mentions within a run shows how stable the answer is
+      const runs = new Map();
+      const recommendationCounts = new Map();
+      results.forEach(result => {
+        const runKey = `${result.promptId}-${result.modelId}-${formatDate(new Date(result.createdAt))}`;
+        if (!runs.has(runKey)) {
+          runs.set(runKey, []);
+        }
+        const mentioned = new Set(
+          result.sentimentAnalysis.brands.filter(b => b.mentioned).map(b => b.brandId)
+        );
+        runs.get(runKey).push(mentioned);
+
+        result.sentimentAnalysis.brands
+          .filter(b => b.mentioned && b.role === RECOMMENDED_ROLE)
+          .forEach(b => recommendationCounts.set(b.brandId, (recommendationCounts.get(b.brandId) || 0) + 1));
+      });
+
+      const mentionRates = workspaceBrands
+        .map(brand => {
+          const brandId = String(brand._id);
+          let mentions = 0;
+          let varianceSum = 0;
+          let sampledRuns = 0;
+
+          runs.forEach(samples => {
+            const runMentions = samples.filter(mentioned => mentioned.has(brandId)).length;
+            mentions += runMentions;
+            if (samples.length > 1) {
+              const runRate = runMentions / samples.length;
+              varianceSum += runRate * (1 - runRate);
+              sampledRuns++;
+            }
+          });
+
+          const mentionRate = mentions / totalResults;
+          return {
+            brandName: brand.name,
+            brandType: brand.isOwnBrand ? 'own' : 'competitor',
+            mentionRate,
+            // Share of results recommending the brand, not just mentioning it
+            recommendationRate: (recommendationCounts.get(brandId) || 0) / totalResults,
+            variance: sampledRuns > 0 ? varianceSum / sampledRuns : 0,
+            standardError: Math.sqrt((mentionRate * (1 - mentionRate)) / totalResults),
+            sampleSize: totalResults,
+            runCount: runs.size
+          };
+        })
+        .sort((a, b) => b.mentionRate - a.mentionRate);
+
+      // Calculate visibility per context profile (e.g. AU vs US personas)
+      const profilesById = new Map(contextProfiles.map(profile => [profile._id.toString(), profile]));
+      const contextProfileMap = new Map();
+      results.forEach(result => {
+        const profileKey = result.contextProfileId ? result.contextProfileId.toString() : 'default';
+        if (!contextProfileMap.has(profileKey)) {
+          contextProfileMap.set(profileKey, { totalResults: 0, ownBrandMentions: 0, competitorMentions: 0 });
+        }
+        const profileData = contextProfileMap.get(profileKey);
+        profileData.totalResults++;
+
+        const mentionedBrands = result.sentimentAnalysis.brands.filter(b =>
+          b.mentioned && brandsById.has(b.brandId)
+        );
+        if (mentionedBrands.some(b => b.type === 'own')) profileData.ownBrandMentions++;
+        profileData.competitorMentions += mentionedBrands.filter(b => b.type === 'competitor').length;
+      });
+
+      const mentionsByContextProfile = Array.from(contextProfileMap.entries()).map(([profileKey, data]) => {
+        const profile = profilesById.get(profileKey);
+        return {
+          contextProfileId: profileKey === 'default' ? null : profileKey,
+          contextProfileName: profileKey === 'default' ? 'Default' : (profile?.name || 'Deleted profile'),
+          country: profile?.country || null,
+          locale: profile?.locale || null,
+          totalResults: data.totalResults,
+          ownBrandMentions: data.ownBrandMentions,
+          competitorMentions: data.competitorMentions,
+          ownBrandMentionRate: data.totalResults > 0 ? (data.ownBrandMentions / data.totalResults) * 100 : 0
+        };
+      }).sort((a, b) => b.ownBrandMentionRate - a.ownBrandMentionRate);
+
+      // Calculate top cited domains per brand (responses mentioning the brand) and per model
+      const citedByBrandMap = new Map();
+      const citedByModelMap = new Map();
+      results.forEach(result => {
+        const citations = result.citations || [];
+        if (citations.length === 0) {
+          return;
+        }
+
+        if (!citedByModelMap.has(result.modelName)) {
+          citedByModelMap.set(result.modelName, { totalCitations: 0, domains: new Map() });
+        }
+        addCitedDomains(citedByModelMap.get(result.modelName), citations);
+
+        result.sentimentAnalysis.brands.forEach(brand => {
+          if (brand.mentioned && brandsById.has(brand.brandId)) {
+            if (!citedByBrandMap.has(brand.brandId)) {
+              citedByBrandMap.set(brand.brandId, { brandName: brand.brandKeywords, brandType: brand.type, totalCitations: 0, domains: new Map() });
+            }
+            addCitedDomains(citedByBrandMap.get(brand.brandId), citations);
+          }
+        });
+      });
+
+      const citedDomainsByBrand = Array.from(citedByBrandMap.values())
+        .map(group => ({
+          brandName: group.brandName,
+          brandType: group.brandType,
+          totalCitations: group.totalCitations,
+          domains: topCitedDomains(group)
+        }))
+        .sort((a, b) => b.totalCitations - a.totalCitations);
+
+      const citedDomainsByModel = Array.from(citedByModelMap.entries())
+        .map(([modelName, group]) => ({
+          modelName,
+          totalCitations: group.totalCitations,
+          domains: topCitedDomains(group)
+        }))
+        .sort((a, b) => b.totalCitations - a.totalCitations);
+
+      // Calculate aspect sentiment per brand, overall, per day and per model
+      const brandAspectsMap = new Map();
+      results.forEach(result => {
+        const date = formatDate(new Date(result.createdAt));
+
+        result.sentimentAnalysis.brands.forEach(brand => {
+          if (!brand.mentioned || !brandsById.has(brand.brandId) || !brand.aspects?.length) {
+            return;
+          }
+
+          if (!brandAspectsMap.has(brand.brandId)) {
+            brandAspectsMap.set(brand.brandId, {
+              brandName: brand.brandKeywords,
+              brandType: brand.type,
+              aspects: new Map(),
+              byDate: new Map(),
+              byModel: new Map()
+            });
+          }
+          const aspectData = brandAspectsMap.get(brand.brandId);
+
+          if (!aspectData.byDate.has(date)) aspectData.byDate.set(date, new Map());
+          if (!aspectData.byModel.has(result.modelName)) aspectData.byModel.set(result.modelName, new Map());
+
+          addAspects(aspectData.aspects, brand.aspects);
+          addAspects(aspectData.byDate.get(date), brand.aspects);
+          addAspects(aspectData.byModel.get(result.modelName), brand.aspects);
+        });
+      });
+
+      const brandAspects = Array.from(brandAspectsMap.values())
+        .map(data => ({
+          brandName: data.brandName,
+          brandType: data.brandType,
+          aspects: toAspectSentiments(data.aspects),
+          trend: Array.from(data.byDate.entries())
+            .map(([date, counts]) => ({ date, aspects: toAspectSentiments(counts) }))
+            .sort((a, b) => new Date(a.date) - new Date(b.date)),
+          byModel: Array.from(data.byModel.entries())
+            .map(([modelName, counts]) => ({ modelName, aspects: toAspectSentiments(counts) }))
+        }))
+        .sort((a, b) => {
+          // Own brand first
+          if (a.brandType === 'own') return -1;
+          if (b.brandType === 'own') return 1;
+          return a.brandName.localeCompare(b.brandName);
+        });
+
       return {
         summary: {
           totalResults,
           resultsWithSentiment: results.length,
+          unanalysedResults,
           dateRange: {
             start: formatDate(start),
             end: formatDate(end)
           },
           ownBrandMentionPercentage: totalResults > 0 ? (ownBrandMentions / totalResults) * 100 : 0,
+          ownBrandRecommendationPercentage: totalResults > 0 ? (ownBrandRecommendations / totalResults) * 100 : 0,
           exclusivityRate
         },
         dailyMentions,
@@ -559,7 +992,12 @@ const resolvers = {
         coMentionAnalysis,
         brandPositionAnalysis,
         sentimentTrend,
-        competitiveBreakdown
+        competitiveBreakdown,
+        mentionRates,
+        mentionsByContextProfile,
+        citedDomainsByBrand,
+        citedDomainsByModel,
+        brandAspects
       };
 
     } catch (error) {
@@ -1,6 +1,17 @@
 const { gql } = require('apollo-server-express');
 const mongoose = require('mongoose');
 
+// Load spend ledger - handle both local dev and Docker paths
+let spendLedger;
+try {
+  // Try Docker path first (queries is directly under /app)
+  spendLedger = require('../../config/data/spendLedger');
+} catch (e) {
+  // Fall back to local dev path
+  spendLedger = require('../../../config/data/spendLedger');
+}
+const { getBudgetStatus, BUDGET_ACTIONS } = spendLedger;
+
 // BillingProfile schema - stores in 'airank' database
 const billingProfileSchema = new mongoose.Schema({
   name: String,
@@ -40,6 +51,10 @@ const billingProfileSchema = new mongoose.Schema({
 
   // Entitlements
   promptCharacterLimit: { type: Number, default: 25 }, // Max characters per prompt
+  samplesLimit: { type: Number },                 // Max samples per prompt x model (plan default when unset)
+  costBudgetMonthly: { type: Number },            // Monthly provider spend budget in USD (plan default when unset)
+  budgetAction: { type: String, enum: ['skip', 'trim', 'alert'], default: 'trim' }, // What jobs do when a run would exceed the budget
+  lastBudgetAlert: { type: mongoose.Schema.Types.Mixed }, // Last time a job's projected cost exceeded the budget
   allowedModels: [String],                        // Array of model IDs allowed for this plan
   jobFrequency: { type: String, enum: ['monthly', 'daily'], default: 'monthly' },
   nextJobRunDate: Date,                           // When next job should run
@@ -83,6 +98,36 @@ const typeDefs = gql`
     delete: Boolean!
   }
 
+  type WorkspaceSpend {
+    workspaceId: ID!
+    spentUSD: Float!
+    calls: Int!
+  }
+
+  type BudgetAlert {
+    at: DateTime!
+    workspaceId: ID
+    source: String
+    action: String!
+    projectedUSD: Float
+    remainingUSD: Float
+    droppedModels: [String]
+    droppedResults: Int
+  }
+
+  # Provider spend in the current budget period (Stripe billing period, else calendar month)
+  type BillingProfileSpend {
+    periodStart: DateTime!
+    periodEnd: DateTime!
+    budgetUSD: Float          # null = no budget enforced
+    spentUSD: Float!
+    remainingUSD: Float       # null = no budget enforced
+    percentUsed: Float
+    budgetAction: String!     # skip | trim | alert
+    byWorkspace: [WorkspaceSpend!]!
+    lastBudgetAlert: BudgetAlert
+  }
+
   type BillingProfileMember {
     _id: ID!
     billingProfileId: ID!
@@ -131,6 +176,9 @@ const typeDefs = gql`
 
     # Entitlements
     promptCharacterLimit: Int!
+    samplesLimit: Int
+    costBudgetMonthly: Float
+    budgetAction: String
     allowedModels: [String]
     jobFrequency: String!
     nextJobRunDate: DateTime
@@ -142,6 +190,9 @@ const typeDefs = gql`
     paymentFailedAt: DateTime
     gracePeriodEndsAt: DateTime
 
+    # Spend against costBudgetMonthly
+    spend: BillingProfileSpend
+
     members: [BillingProfileMember]
   }
 
@@ -177,6 +228,11 @@ const typeDefs = gql`
     deleteBillingProfile(
       billingProfileId: ID!
     ): Boolean
+
+    updateBudgetAction(
+      billingProfileId: ID!
+      budgetAction: String!
+    ): BillingProfile
   }
 `;
 
@@ -270,10 +326,16 @@ const resolvers = {
       userEmailMap[user._id] = user.email;
     });
 
+    // Spend per profile from the ledger
+    const spendByProfile = new Map(await Promise.all(filteredProfiles.map(async (p) => (
+      [p._id.toString(), await getBudgetStatus(db, p)]
+    ))));
+
     return filteredProfiles.map((p) => {
       const plainProfile = {
         ...p,
-        _id: p._id.toString()
+        _id: p._id.toString(),
+        budgetAction: p.budgetAction || 'trim'
       };
 
       const membersForProfile = memberDocs
@@ -287,6 +349,7 @@ const resolvers = {
 
       return {
         ...plainProfile,
+        spend: spendByProfile.get(plainProfile._id),
         members: membersForProfile,
       };
     });
@@ -309,7 +372,47 @@ const resolvers = {
     }
 
     const profile = await db.collection('billingprofiles').findOne({ _id: billingProfileId });
-    return profile;
+    if (!profile) {
+      return null;
+    }
+
+    return {
+      ...profile,
+      budgetAction: profile.budgetAction || 'trim',
+      spend: await getBudgetStatus(db, profile)
+    };
+  },
+
+  updateBudgetAction: async (_, { billingProfileId, budgetAction }, { user }) => {
+    if (!user) throw new Error('User not authenticated');
+
+    if (!BUDGET_ACTIONS.includes(budgetAction)) {
+      throw new Error(`Invalid budget action. Use one of: ${BUDGET_ACTIONS.join(', ')}`);
+    }
+
+    const userId = user.sub || user._id;
+    const db = mongoose.connection.db;
+
+    // Check if current user has modify permission
+    const currentMember = await db.collection('billingprofilemembers').findOne({
+      billingProfileId,
+      userId
+    });
+
+    if (!currentMember || !currentMember.permissions?.modify) {
+      throw new Error('Unauthorized: You do not have permission to modify this billing profile');
+    }
+
+    await db.collection('billingprofiles').updateOne(
+      { _id: billingProfileId },
+      { $set: { budgetAction, updatedAt: new Date() } }
+    );
+
+    const profile = await db.collection('billingprofiles').findOne({ _id: billingProfileId });
+    return {
+      ...profile,
+      spend: await getBudgetStatus(db, profile)
+    };
   },
 
   addBillingProfileMember: async (_, { billingProfileId, email, permissions }, { user }) => {
@@ -11,6 +11,10 @@ const Brand = (workspaceId) => {
     _id: { type: mongoose.Schema.Types.ObjectId, required: true },
     name: { type: String, required: true },
     isOwnBrand: { type: Boolean, required: true, default: false },
+    aliases: { type: [String], default: [] },
+    abbreviations: { type: [String], default: [] },
+    productNames: { type: [String], default: [] },
+    domains: { type: [String], default: [] },
     workspaceId: { type: String, required: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
@@ -23,6 +27,10 @@ const typeDefs = gql`
     _id: ID!
     name: String!
     isOwnBrand: Boolean!
+    aliases: [String!]!
+    abbreviations: [String!]!
+    productNames: [String!]!
+    domains: [String!]!
     workspaceId: String!
     createdAt: String
     updatedAt: String
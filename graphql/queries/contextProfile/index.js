@@ -0,0 +1,72 @@
+const { gql } = require('apollo-server-express');
+const mongoose = require('mongoose');
+const { Member } = require('../member');
+
+// Define the ContextProfile Model factory for workspace-specific connections
+const ContextProfile = (workspaceId) => {
+  const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+  const datalake = mongoose.createConnection(dataLakeUri);
+
+  return datalake.model('ContextProfile', new mongoose.Schema({
+    _id: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    systemPrompt: { type: String },
+    locale: { type: String },
+    country: { type: String },
+    persona: { type: String },
+    workspaceId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+  }));
+};
+
+// Define the typeDefs (schema)
+const typeDefs = gql`
+  type ContextProfile {
+    _id: ID!
+    name: String!
+    systemPrompt: String
+    locale: String
+    country: String
+    persona: String
+    workspaceId: String!
+    createdAt: String
+    updatedAt: String
+  }
+`;
+
+// Define the resolvers
+// Context profiles are part of prompt setup, so they use the prompts permissions
+const resolvers = {
+  contextProfiles: async (_, { workspaceId, contextProfileId }, { user }) => {
+    if (user && user.sub) {
+      const userId = user.sub;
+
+      // Find member with the user's userId
+      const member = await Member.findOne({
+        workspaceId,
+        userId: userId,
+        permissions: "query:prompts"
+      });
+
+      if (member) {
+        const ContextProfileModel = ContextProfile(workspaceId);
+        if (contextProfileId) {
+          const contextProfile = await ContextProfileModel.findOne({ _id: contextProfileId });
+          return contextProfile ? [contextProfile] : [];
+        } else {
+          const contextProfiles = await ContextProfileModel.find({ workspaceId });
+          return contextProfiles;
+        }
+      } else {
+        console.error('User not authorized to query context profiles');
+        return null;
+      }
+    } else {
+      console.error('User not authenticated or userId not found');
+      return null;
+    }
+  }
+};
+
+module.exports = { typeDefs, resolvers };
@@ -5,14 +5,29 @@ const fs = require('fs');
 const path = require('path');
 
 // Load plans config - handle both local dev and Docker paths
-let getPlanConfig;
+let plans;
 try {
   // Try Docker path first (queries is directly under /app)
-  getPlanConfig = require('../../config/plans').getPlanConfig;
+  plans = require('../../config/plans');
 } catch (e) {
   // Fall back to local dev path
-  getPlanConfig = require('../../../config/plans').getPlanConfig;
+  plans = require('../../../config/plans');
 }
+const { getPlanConfig, getSamplesLimit, resolveSampleCount, getRunsPerMonth } = plans;
+
+// Load spend ledger - handle both local dev and Docker paths
+let spendLedger;
+try {
+  // Try Docker path first (queries is directly under /app)
+  spendLedger = require('../../config/data/spendLedger');
+} catch (e) {
+  // Fall back to local dev path
+  spendLedger = require('../../../config/data/spendLedger');
+}
+const { getRecentUsage, estimateRequestCost } = spendLedger;
+
+// brandAnalysis ANALYSIS_MODEL - that module loads the provider SDKs, so it is not required here
+const DEFAULT_ANALYSIS_MODEL = 'gemini-2.5-flash';
 
 // GraphQL type definitions
 const typeDefs = gql`
@@ -55,6 +70,13 @@ const typeDefs = gql`
     jobFrequency: String!
     nextJobRunDate: DateTime
 
+    # Sampling - each prompt runs once per sample per model on every job run
+    samplesLimit: Int!
+    samplesPerPrompt: Int!
+    requestsPerRun: Int!
+    estimatedMonthlyRequests: Int!
+    estimatedMonthlyCostUSD: Float!
+
     # Payment status
     paymentStatus: String!
     paymentFailedAt: DateTime
@@ -124,6 +146,16 @@ function getModelConfig(modelId) {
   return models.find(m => m.modelId === modelId) || null;
 }
 
+/**
+ * Get the model a workspace's responses are analysed with (the first in fallback order)
+ * Mirrors brandAnalysis getAnalysisSettings: the workspace 'analysis' config, then ANALYSIS_MODELS.
+ */
+function getAnalysisModel(analysisConfig) {
+  const configured = [].concat(analysisConfig?.data?.models || []);
+  const deployment = (process.env.ANALYSIS_MODELS || '').split(',');
+  return [...configured, ...deployment].map(modelId => String(modelId).trim()).find(Boolean) || DEFAULT_ANALYSIS_MODEL;
+}
+
 /**
  * Get billing profile for a workspace
  */
@@ -285,13 +317,20 @@ async function getEntitlements(workspaceId) {
     modelsLimit: 1,
     promptCharacterLimit: 25,
     jobFrequency: 'monthly',
+    samplesLimit: 1,
     allowedModels: ['gpt-4o-mini-2024-07-18']
   } : billingProfile;
 
+  const samplesLimit = getSamplesLimit(effectiveProfile);
+
   // Count actual brands and prompts (live count)
   // Only count competitor brands - own brand doesn't count toward limit
   let actualBrandsUsed = 0;
   let actualPromptsUsed = 0;
+  let samplesPerPrompt = 1;
+  let requestsPerModel = 0;
+  let recentUsage = null;
+  let analysisModel = DEFAULT_ANALYSIS_MODEL;
 
   try {
     const workspaceDbUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
@@ -304,6 +343,25 @@ async function getEntitlements(workspaceId) {
     });
     actualPromptsUsed = await workspaceDb.collection('prompts').countDocuments({});
 
+    // Samples per prompt: the prompt's own count, else the workspace sampling config, capped by the plan
+    const samplingConfig = await workspaceDb.collection('configs').findOne({ configType: 'sampling' });
+    samplesPerPrompt = resolveSampleCount(samplingConfig?.data?.samples, samplesLimit);
+    const prompts = await workspaceDb.collection('prompts').find({}, { projection: { samples: 1, contextProfileIds: 1 } }).toArray();
+
+    // Each prompt also runs once per attached context profile that still exists
+    const profileIds = new Set(
+      (await workspaceDb.collection('contextprofiles').find({}, { projection: { _id: 1 } }).toArray()).map(p => p._id.toString())
+    );
+    requestsPerModel = prompts.reduce((sum, prompt) => {
+      const samples = prompt.samples ? resolveSampleCount(prompt.samples, samplesLimit) : samplesPerPrompt;
+      const profiles = (prompt.contextProfileIds || []).filter(id => profileIds.has(id.toString())).length;
+      return sum + samples * Math.max(profiles, 1);
+    }, 0);
+
+    // Token usage of recent results, and the model their sentiment analysis runs on, for the cost projection
+    recentUsage = await getRecentUsage(workspaceDb.db);
+    analysisModel = getAnalysisModel(await workspaceDb.collection('configs').findOne({ configType: 'analysis' }));
+
     await workspaceDb.close();
   } catch (error) {
     console.error('Error counting workspace resources:', error);
@@ -333,6 +391,19 @@ async function getEntitlements(workspaceId) {
     allowedModels
   );
 
+  // Projected usage: every enabled, allowed model runs every prompt sample once per job run.
+  // Costs are priced the same way as the job's budget check (recent token usage x pricing.yaml,
+  // batch discount for batch-processed models, plus each response's sentiment analysis call).
+  const runningModels = modelEntitlements.filter(m => m.isCurrentlyEnabled && m.isAllowed);
+  const runsPerMonth = getRunsPerMonth(effectiveProfile.jobFrequency);
+  const requestsPerRun = requestsPerModel * runningModels.length;
+  const costPerRun = runningModels.reduce((sum, m) => (
+    sum + requestsPerModel * estimateRequestCost(m.modelId, recentUsage, {
+      batch: getModelConfig(m.modelId)?.processByBatch === true,
+      analysisModel
+    })
+  ), 0);
+
   return {
     workspaceId,
     billingProfile: effectiveProfile,
@@ -354,6 +425,12 @@ async function getEntitlements(workspaceId) {
     jobFrequency: effectiveProfile.jobFrequency,
     nextJobRunDate: effectiveProfile.nextJobRunDate,
 
+    samplesLimit,
+    samplesPerPrompt,
+    requestsPerRun,
+    estimatedMonthlyRequests: requestsPerRun * runsPerMonth,
+    estimatedMonthlyCostUSD: Math.round(costPerRun * runsPerMonth * 100) / 100,
+
     // Payment status
     paymentStatus: billingProfile.planStatus || 'active',
     paymentFailedAt: billingProfile.paymentFailedAt,
@@ -11,6 +11,8 @@ const Prompt = (workspaceId) => {
     _id: { type: mongoose.Schema.Types.ObjectId, required: true },
     phrase: { type: String, required: true },
     workspaceId: { type: String, required: true },
+    samples: { type: Number, min: 1 },
+    contextProfileIds: [{ type: mongoose.Schema.Types.ObjectId }],
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
   }));
@@ -22,6 +24,8 @@ const typeDefs = gql`
     _id: ID!
     phrase: String!
     workspaceId: String!
+    samples: Int # Generations per model per run; null uses the workspace sampling config
+    contextProfileIds: [ID!] # Runs once per attached context profile; empty runs in the default context
     createdAt: String
     updatedAt: String
   }
@@ -0,0 +1,211 @@
+const { gql } = require('apollo-server-express');
+const mongoose = require('mongoose');
+const { Member } = require('../member');
+
+// Load brand override and alias helpers - handle both local dev and Docker paths
+let applyBrandOverrides, buildAliasIndex, resolveBrandEntry;
+try {
+  // Try Docker path first (queries is directly under /app)
+  applyBrandOverrides = require('../../config/utils/brandOverrides').applyBrandOverrides;
+  ({ buildAliasIndex, resolveBrandEntry } = require('../../config/utils/brandAliases'));
+} catch (e) {
+  // Fall back to local dev path
+  applyBrandOverrides = require('../../../config/utils/brandOverrides').applyBrandOverrides;
+  ({ buildAliasIndex, resolveBrandEntry } = require('../../../config/utils/brandAliases'));
+}
+
+const DEFAULT_LIMIT = 50;
+// Judgements below this confidence are queued for review
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Define the typeDefs (schema)
+const typeDefs = gql`
+  type ReviewBrand {
+    brandId: ID
+    brandKeywords: String!
+    type: String!
+    mentioned: Boolean!
+    sentiment: String!
+    position: Int
+    role: String
+    confidence: Float
+    disagreement: Boolean!
+    possibleMisspellings: [String!]!
+    overridden: Boolean!
+  }
+
+  type ReviewEntry {
+    brandId: ID
+    brandKeywords: String!
+    action: String!
+    changes: JSON
+    previous: JSON
+    reviewedBy: String
+    reviewedAt: String
+    reason: String
+  }
+
+  type ReviewItem {
+    resultId: ID!
+    prompt: String!
+    response: String!
+    modelName: String
+    createdAt: String
+    analysisStatus: String
+    analysisError: String
+    reasons: [String!]!
+    lowestConfidence: Float
+    brands: [ReviewBrand!]!
+    reviewHistory: [ReviewEntry!]!
+  }
+`;
+
+/**
+ * The workspace's tracked brands
+ * @param {Object} datalake - Workspace connection
+ * @returns {Promise<Array>} - Brand documents
+ */
+async function loadWorkspaceBrands(datalake) {
+  const brands = await datalake.collection('brands').find({}).toArray();
+  return brands.filter(b => b.name && typeof b.name === 'string' && b.name.trim().length > 0);
+}
+
+/**
+ * Look up the current brand of a stored judgement or override, as analytics does
+ * @param {Array} workspaceBrands - Result of loadWorkspaceBrands
+ * @returns {Function} - entry => brand, or null when the brand is no longer tracked
+ */
+function currentBrandLookup(workspaceBrands) {
+  const brandsById = new Map(workspaceBrands.map(b => [String(b._id), b]));
+  const aliasIndex = buildAliasIndex(workspaceBrands);
+  return entry => resolveBrandEntry(entry, brandsById, aliasIndex);
+}
+
+/**
+ * Shape a result document for the review queue, with overrides applied
+ * Brands show their current name and type, so renamed brands read as they do in analytics;
+ * brands no longer tracked keep the stored name.
+ * @param {Object} result - Raw previousmodelresults document
+ * @param {Array} workspaceBrands - Result of loadWorkspaceBrands
+ * @param {Number} minConfidence - Threshold for the 'low-confidence' reason
+ * @returns {Object} - ReviewItem
+ */
+function toReviewItem(result, workspaceBrands = [], minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  const currentBrand = currentBrandLookup(workspaceBrands);
+  const analysis = result.sentimentAnalysis || {};
+  const disagreements = new Set((analysis.disagreements || []).map(name => name.toLowerCase()));
+  const confidences = (analysis.brands || [])
+    .filter(brand => brand.mentioned && typeof brand.confidence === 'number')
+    .map(brand => brand.confidence);
+  const lowestConfidence = confidences.length > 0 ? Math.min(...confidences) : null;
+
+  const reasons = [];
+  if (analysis.needsReview) reasons.push('disagreement');
+  if (analysis.analysisStatus === 'failed') reasons.push('failed');
+  if (lowestConfidence !== null && lowestConfidence < minConfidence) reasons.push('low-confidence');
+
+  return {
+    resultId: result._id.toString(),
+    prompt: result.prompt,
+    response: result.response,
+    modelName: result.modelName,
+    createdAt: result.createdAt ? new Date(result.createdAt).toISOString() : null,
+    analysisStatus: analysis.analysisStatus || null,
+    analysisError: analysis.analysisError || null,
+    reasons,
+    lowestConfidence,
+    brands: applyBrandOverrides(analysis.brands, result.brandOverrides).map(brand => {
+      const current = currentBrand(brand);
+      return {
+        ...brand,
+        ...(current && {
+          brandId: String(current._id),
+          brandKeywords: current.name,
+          type: current.isOwnBrand ? 'own' : 'competitor'
+        }),
+        sentiment: brand.sentiment || 'not-determined',
+        disagreement: disagreements.has(brand.brandKeywords.toLowerCase()),
+        possibleMisspellings: brand.possibleMisspellings || [],
+        overridden: !!brand.overridden
+      };
+    }),
+    reviewHistory: (result.reviewHistory || []).map(entry => ({
+      ...entry,
+      reviewedAt: entry.reviewedAt ? new Date(entry.reviewedAt).toISOString() : null
+    }))
+  };
+}
+
+// Define the resolvers
+const resolvers = {
+  // Conflicting results first, then failed analyses and the least confident judgements
+  reviewQueue: async (_, { workspaceId, limit = DEFAULT_LIMIT, offset = 0, minConfidence = DEFAULT_MIN_CONFIDENCE, includeReviewed = false }, { user }) => {
+    if (!user || !user.sub) {
+      throw new Error('User not authenticated');
+    }
+
+    const member = await Member.findOne({
+      workspaceId,
+      userId: user.sub,
+      permissions: "query:analytics"
+    });
+
+    if (!member) {
+      throw new Error('User not authorized to query analytics');
+    }
+
+    const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+    const datalake = mongoose.createConnection(dataLakeUri);
+
+    try {
+      await datalake.asPromise();
+
+      const results = await datalake.collection('previousmodelresults').aggregate([
+        {
+          $match: {
+            $or: [
+              { 'sentimentAnalysis.needsReview': true },
+              { 'sentimentAnalysis.analysisStatus': 'failed' },
+              { 'sentimentAnalysis.brands': { $elemMatch: { mentioned: true, confidence: { $lt: minConfidence } } } }
+            ],
+            // Results an analyst has already looked at leave the queue
+            ...(includeReviewed ? {} : { 'reviewHistory.0': { $exists: false } })
+          }
+        },
+        // Lowest confidence among mentioned brands, as in toReviewItem; results without a judged
+        // confidence (e.g. failed analyses) rank as least confident
+        {
+          $addFields: {
+            reviewConfidence: {
+              $ifNull: [{
+                $min: {
+                  $map: {
+                    input: {
+                      $filter: {
+                        input: { $ifNull: ['$sentimentAnalysis.brands', []] },
+                        as: 'brand',
+                        cond: { $eq: ['$$brand.mentioned', true] }
+                      }
+                    },
+                    as: 'brand',
+                    in: '$$brand.confidence'
+                  }
+                }
+              }, 0]
+            }
+          }
+        },
+        { $sort: { 'sentimentAnalysis.needsReview': -1, reviewConfidence: 1, createdAt: -1 } },
+        { $skip: offset },
+        { $limit: limit }
+      ]).toArray();
+      const workspaceBrands = await loadWorkspaceBrands(datalake);
+
+      return results.map(result => toReviewItem(result, workspaceBrands, minConfidence));
+    } finally {
+      await datalake.close();
+    }
+  }
+};
+
+module.exports = { typeDefs, resolvers, toReviewItem, loadWorkspaceBrands, currentBrandLookup };
@@ -0,0 +1,104 @@
+const { gql } = require('apollo-server-express');
+const mongoose = require('mongoose');
+const { Member } = require('../member');
+
+// Load brand alias helpers - handle both local dev and Docker paths
+let buildAliasIndex, resolveBrand;
+try {
+  // Try Docker path first (queries is directly under /app)
+  ({ buildAliasIndex, resolveBrand } = require('../../config/utils/brandAliases'));
+} catch (e) {
+  // Fall back to local dev path
+  ({ buildAliasIndex, resolveBrand } = require('../../../config/utils/brandAliases'));
+}
+
+const DEFAULT_LIMIT = 20;
+const EXAMPLE_PROMPTS = 3;
+
+// Define the typeDefs (schema)
+const typeDefs = gql`
+  type SuggestedCompetitor {
+    name: String!
+    mentionCount: Int!
+    promptCount: Int!
+    models: [String!]!
+    examplePrompts: [String!]!
+    firstSeen: String!
+    lastSeen: String!
+  }
+`;
+
+// Define the resolvers
+// Suggestions come from the `untrackedBrands` the brand analysis extracts from each response
+const resolvers = {
+  suggestedCompetitors: async (_, { workspaceId, startDate, endDate, limit = DEFAULT_LIMIT }, { user }) => {
+    if (!user || !user.sub) {
+      throw new Error('User not authenticated');
+    }
+
+    const member = await Member.findOne({
+      workspaceId,
+      userId: user.sub,
+      permissions: "query:brands"
+    });
+
+    if (!member) {
+      throw new Error('User not authorized to query brands');
+    }
+
+    const createdAt = {};
+    if (startDate) createdAt.$gte = new Date(startDate);
+    if (endDate) createdAt.$lte = new Date(endDate);
+
+    const dataLakeUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS}`;
+    const datalake = mongoose.createConnection(dataLakeUri);
+
+    try {
+      await datalake.asPromise();
+
+      const brands = await datalake.collection('brands').find({ workspaceId }).toArray();
+      const rows = await datalake.collection('previousmodelresults').aggregate([
+        {
+          $match: {
+            'sentimentAnalysis.untrackedBrands.0': { $exists: true },
+            ...(Object.keys(createdAt).length > 0 ? { createdAt } : {})
+          }
+        },
+        { $sort: { createdAt: 1 } },
+        { $unwind: '$sentimentAnalysis.untrackedBrands' },
+        {
+          $group: {
+            _id: { $toLower: '$sentimentAnalysis.untrackedBrands' },
+            name: { $first: '$sentimentAnalysis.untrackedBrands' },
+            mentionCount: { $sum: 1 },
+            prompts: { $addToSet: '$prompt' },
+            models: { $addToSet: '$modelName' },
+            firstSeen: { $min: '$createdAt' },
+            lastSeen: { $max: '$createdAt' }
+          }
+        },
+        { $sort: { mentionCount: -1, lastSeen: -1 } }
+      ]).toArray();
+
+      // Brands added (or aliases set) after the results were analysed are no longer suggestions
+      const aliasIndex = buildAliasIndex(brands.map(brand => ({ ...brand, type: brand.isOwnBrand ? 'own' : 'competitor' })));
+
+      return rows
+        .filter(row => !resolveBrand(row.name, aliasIndex))
+        .slice(0, limit)
+        .map(row => ({
+          name: row.name,
+          mentionCount: row.mentionCount,
+          promptCount: row.prompts.length,
+          models: row.models.filter(Boolean),
+          examplePrompts: row.prompts.slice(0, EXAMPLE_PROMPTS),
+          firstSeen: row.firstSeen.toISOString(),
+          lastSeen: row.lastSeen.toISOString()
+        }));
+    } finally {
+      await datalake.close();
+    }
+  }
+};
+
+module.exports = { typeDefs, resolvers };
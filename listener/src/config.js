@@ -17,7 +17,8 @@ const config = {
       collection: 'batches',
       filter: {
         status: 'received',
-        isProcessed: false
+        isProcessed: false,
+        type: { $ne: 'analysis' }
       },
       operationType: ['insert', 'update'],
       jobName: 'processBatchResults',
@@ -25,6 +26,19 @@ const config = {
         description: 'Process batch results when they are received'
       }
     },
+    {
+      collection: 'batches',
+      filter: {
+        status: 'received',
+        isProcessed: false,
+        type: 'analysis'
+      },
+      operationType: ['insert', 'update'],
+      jobName: 'processAnalysisBatchResults',
+      metadata: {
+        description: 'Write sentiment back from analysis batches when they are received'
+      }
+    },
     {
       collection: 'batchnotifications',
       filter: {
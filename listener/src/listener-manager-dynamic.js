@@ -79,7 +79,8 @@ class ListenerManager {
         collection: 'batches',
         filter: {
           status: 'received',
-          isProcessed: false
+          isProcessed: false,
+          type: { $ne: 'analysis' }
         },
         operationType: ['insert', 'update'],
         jobName: 'processBatchResults',
@@ -88,6 +89,20 @@ class ListenerManager {
           description: 'Process batch results when they are received'
         }
       },
+      {
+        collection: 'batches',
+        filter: {
+          status: 'received',
+          isProcessed: false,
+          type: 'analysis'
+        },
+        operationType: ['insert', 'update'],
+        jobName: 'processAnalysisBatchResults',
+        isActive: true,
+        metadata: {
+          description: 'Write sentiment back from analysis batches when they are received'
+        }
+      },
       {
         collection: 'batchnotifications',
         filter: {
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { PreviousModelResultSchema, BrandSchema } = require('../config/data/models');
+const { buildAliasIndex, resolveBrand } = require('../config/utils/brandAliases');
+
+/**
+ * One-time script to set `brandId` on brand judgements and overrides stored before brands were
+ * referenced by id. Names resolve through each brand's current name and aliases, so add a renamed
+ * brand's old name as an alias before running this to keep its history.
+ */
+async function backfillBrandIds(workspaceId, mongoUri) {
+  console.log('🚀 Starting brand ID backfill script...');
+  console.log(`📋 Workspace ID: ${workspaceId}`);
+
+  const baseMongoUri = mongoUri || process.env.MONGODB_URI;
+  const workspaceDbUri = `${baseMongoUri}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS || 'authSource=admin&directConnection=true'}`;
+
+  const workspaceConnection = mongoose.createConnection(workspaceDbUri);
+  await workspaceConnection.asPromise();
+
+  try {
+    const WorkspaceBrand = workspaceConnection.model('Brand', BrandSchema);
+    const WorkspacePreviousModelResult = workspaceConnection.model(
+      'PreviousModelResult',
+      PreviousModelResultSchema
+    );
+
+    const brands = await WorkspaceBrand.find({}).lean();
+    const aliasIndex = buildAliasIndex(brands);
+    console.log(`🏷️  Resolving against ${brands.length} brands`);
+
+    // Returns the entries with ids set, or null when none changed
+    const withBrandIds = (entries, unmatched) => {
+      let changed = false;
+      const updated = (entries || []).map(entry => {
+        if (entry.brandId) {
+          return entry;
+        }
+        const brand = resolveBrand(entry.brandKeywords, aliasIndex);
+        if (!brand) {
+          unmatched.set(entry.brandKeywords, (unmatched.get(entry.brandKeywords) || 0) + 1);
+          return entry;
+        }
+        changed = true;
+        return { ...entry, brandId: brand._id };
+      });
+      return changed ? updated : null;
+    };
+
+    const cursor = WorkspacePreviousModelResult.find({
+      $or: [
+        { 'sentimentAnalysis.brands': { $elemMatch: { brandId: null } } },
+        { brandOverrides: { $elemMatch: { brandId: null } } }
+      ]
+    })
+      .select({ 'sentimentAnalysis.brands': 1, brandOverrides: 1 })
+      .lean()
+      .cursor();
+
+    let checked = 0;
+    let updated = 0;
+    const unmatched = new Map();
+    let operations = [];
+
+    for await (const result of cursor) {
+      checked++;
+      const $set = {};
+
+      const brandEntries = withBrandIds(result.sentimentAnalysis?.brands, unmatched);
+      if (brandEntries) {
+        $set['sentimentAnalysis.brands'] = brandEntries;
+      }
+      const overrides = withBrandIds(result.brandOverrides, unmatched);
+      if (overrides) {
+        $set.brandOverrides = overrides;
+      }
+
+      if (Object.keys($set).length === 0) {
+        continue;
+      }
+
+      updated++;
+      operations.push({
+        updateOne: { filter: { _id: result._id }, update: { $set } }
+      });
+
+      if (operations.length === 100) {
+        await WorkspacePreviousModelResult.bulkWrite(operations);
+        operations = [];
+        console.log(`  ⏳ Checked ${checked} results, ${updated} updated...`);
+      }
+    }
+
+    if (operations.length > 0) {
+      await WorkspacePreviousModelResult.bulkWrite(operations);
+    }
+
+    console.log(`\n✅ Checked ${checked} results, set brand IDs on ${updated}`);
+    if (unmatched.size > 0) {
+      console.log('⚠️  Names matching no current brand (add them as aliases and re-run to keep their history):');
+      [...unmatched.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([name, count]) => console.log(`  - ${name}: ${count}`));
+    }
+  } finally {
+    await workspaceConnection.close();
+  }
+}
+
+// Get workspace ID and optional MongoDB URI from command line args
+const workspaceId = process.argv[2];
+const mongoUri = process.argv[3];
+
+if (!workspaceId) {
+  console.error('❌ Error: Workspace ID required');
+  console.log('Usage: node scripts/backfillBrandIds.js <workspaceId> [mongoUri]');
+  process.exit(1);
+}
+
+backfillBrandIds(workspaceId, mongoUri)
+  .then(() => {
+    console.log('✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { PreviousModelResultSchema } = require('../config/data/models');
+const { extractCitations } = require('../config/utils/citations');
+
+/**
+ * One-time script to populate `citations` on results stored before citation capture.
+ * Only inline URLs can be recovered - provider grounding metadata was never stored.
+ */
+async function backfillCitations(workspaceId, mongoUri) {
+  console.log('🚀 Starting citations backfill script...');
+  console.log(`📋 Workspace ID: ${workspaceId}`);
+
+  const baseMongoUri = mongoUri || process.env.MONGODB_URI;
+  const workspaceDbUri = `${baseMongoUri}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS || 'authSource=admin&directConnection=true'}`;
+
+  const workspaceConnection = mongoose.createConnection(workspaceDbUri);
+  await workspaceConnection.asPromise();
+
+  try {
+    const WorkspacePreviousModelResult = workspaceConnection.model(
+      'PreviousModelResult',
+      PreviousModelResultSchema
+    );
+
+    // Results without the field at all; an empty array means citations were already extracted
+    const cursor = WorkspacePreviousModelResult.find({ citations: { $exists: false } })
+      .select({ response: 1 })
+      .lean()
+      .cursor();
+
+    let checked = 0;
+    let updated = 0;
+    let operations = [];
+
+    for await (const result of cursor) {
+      checked++;
+      const citations = extractCitations(result.response);
+      if (citations.length > 0) {
+        updated++;
+      }
+
+      operations.push({
+        updateOne: { filter: { _id: result._id }, update: { $set: { citations } } }
+      });
+
+      if (operations.length === 100) {
+        await WorkspacePreviousModelResult.bulkWrite(operations);
+        operations = [];
+        console.log(`  ⏳ Checked ${checked} results, ${updated} with citations...`);
+      }
+    }
+
+    if (operations.length > 0) {
+      await WorkspacePreviousModelResult.bulkWrite(operations);
+    }
+
+    console.log(`\n✅ Checked ${checked} results, found citations in ${updated}`);
+  } finally {
+    await workspaceConnection.close();
+  }
+}
+
+// Get workspace ID and optional MongoDB URI from command line args
+const workspaceId = process.argv[2];
+const mongoUri = process.argv[3];
+
+if (!workspaceId) {
+  console.error('❌ Error: Workspace ID required');
+  console.log('Usage: node scripts/backfillCitations.js <workspaceId> [mongoUri]');
+  process.exit(1);
+}
+
+backfillCitations(workspaceId, mongoUri)
+  .then(() => {
+    console.log('✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,144 @@
+const path = require('path');
+require('dotenv').config();
+
+const {
+  loadGoldenSet,
+  loadRecordings,
+  saveRecordings,
+  createReplayProvider,
+  createRecordingProvider,
+  evaluate,
+  checkThresholds
+} = require('../config/utils/analyzerEvaluation');
+const { getDefaultAnalysisModels, getAnalyzers } = require('../config/utils/brandAnalysis');
+
+/**
+ * Score the brand analyzer against the golden set.
+ *
+ *   node scripts/evaluateAnalyzer.js [--mode replay|record|detector] [--golden file] [--recordings file]
+ *     [--min-precision N] [--min-recall N] [--min-sentiment-accuracy N] [--max-position-error N] [--verbose]
+ *
+ * replay (default) answers from recorded provider outputs and needs no credentials; record calls the
+ * live analysis models (ANALYSIS_MODELS, in fallback order) and saves their outputs for later replays;
+ * detector scores the local mention detector alone. Exits with 1 when a threshold is missed, so it can
+ * gate analyzer changes.
+ */
+
+const DEFAULT_GOLDEN = path.join(__dirname, '../config/evals/brandAnalysis.golden.json');
+const DEFAULT_RECORDINGS = path.join(__dirname, '../config/evals/brandAnalysis.recordings.json');
+const MODES = ['replay', 'record', 'detector'];
+
+function parseArgs(argv) {
+  const args = { mode: 'replay', golden: DEFAULT_GOLDEN, recordings: DEFAULT_RECORDINGS, thresholds: {}, verbose: false };
+  const thresholdFlags = {
+    '--min-precision': 'minPrecision',
+    '--min-recall': 'minRecall',
+    '--min-sentiment-accuracy': 'minSentimentAccuracy',
+    '--max-position-error': 'maxPositionError'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--verbose') {
+      args.verbose = true;
+    } else if (flag === '--mode' || flag === '--golden' || flag === '--recordings') {
+      args[flag.slice(2)] = argv[++i];
+    } else if (thresholdFlags[flag]) {
+      args.thresholds[thresholdFlags[flag]] = parseFloat(argv[++i]);
+    } else {
+      throw new Error(`Unknown option ${flag}`);
+    }
+  }
+
+  if (!MODES.includes(args.mode)) {
+    throw new Error(`--mode must be one of ${MODES.join(', ')}`);
+  }
+  return args;
+}
+
+function formatMetric(value) {
+  return value === null ? 'n/a' : value.toFixed(3);
+}
+
+async function evaluateAnalyzer(args) {
+  const cases = loadGoldenSet(args.golden);
+  console.log(`🧪 Evaluating ${cases.length} cases from ${path.relative(process.cwd(), args.golden)} (${args.mode})`);
+
+  // Recording starts from scratch so outputs for prompts that no longer exist are dropped
+  const recordings = args.mode === 'record' ? {} : loadRecordings(args.recordings);
+  let currentCase = null;
+  let replayProvider = null;
+  let analyzers = [];
+
+  if (args.mode === 'replay') {
+    const mockRecordings = Object.values(recordings).filter(recording => recording.provider === 'mock').length;
+    if (mockRecordings > 0) {
+      console.warn(`⚠️ ${mockRecordings} recordings come from the mock provider - the scores check the pipeline, not the live model. Re-record with credentials to score the model.`);
+    }
+    replayProvider = createReplayProvider(recordings);
+    analyzers = getDefaultAnalysisModels().map(modelId => ({ modelId, provider: replayProvider }));
+  } else if (args.mode === 'record') {
+    // Only record mode talks to live providers
+    const ProviderFactory = require('../config/providers');
+    analyzers = getAnalyzers(new ProviderFactory()).map(({ modelId, provider }) => ({
+      modelId,
+      provider: createRecordingProvider(provider, recordings, () => currentCase)
+    }));
+    if (analyzers.length === 0) {
+      throw new Error(`None of ${getDefaultAnalysisModels().join(', ')} is available - cannot record analysis outputs`);
+    }
+  }
+
+  const { summary, scores } = await evaluate(cases, analyzers, { onCase: testCase => { currentCase = testCase.id; } });
+
+  if (args.mode === 'record') {
+    saveRecordings(args.recordings, recordings);
+    console.log(`💾 Saved ${Object.keys(recordings).length} recordings to ${path.relative(process.cwd(), args.recordings)}`);
+  }
+
+  scores
+    .filter(score => args.verbose || score.errors.length > 0)
+    .forEach(score => {
+      console.log(`${score.errors.length > 0 ? '❌' : '✅'} ${score.id} (${score.analysisStatus})`);
+      score.errors.forEach(error => console.log(`   - ${error}`));
+    });
+
+  console.log('\n📊 Results');
+  console.log(`   Precision:          ${formatMetric(summary.precision)}`);
+  console.log(`   Recall:             ${formatMetric(summary.recall)}`);
+  console.log(`   F1:                 ${formatMetric(summary.f1)}`);
+  console.log(`   Sentiment accuracy: ${formatMetric(summary.sentimentAccuracy)}`);
+  console.log(`   Position error:     ${formatMetric(summary.positionError)}`);
+  console.log(`   Analysis status:    ${Object.entries(summary.statuses).map(([status, count]) => `${status} ${count}`).join(', ')}`);
+
+  const failures = checkThresholds(summary, args.thresholds);
+
+  // A replay with gaps scores the fallback path, not the analyzer, so it never passes
+  if (replayProvider?.missing.length > 0) {
+    failures.push(`${replayProvider.missing.length} analysis calls had no recording - run with --mode record to refresh them`);
+  }
+
+  return failures;
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+evaluateAnalyzer(args)
+  .then(failures => {
+    if (failures.length > 0) {
+      console.error(`\n❌ Gate failed: ${failures.join(', ')}`);
+      process.exit(1);
+    }
+    console.log('\n✅ Evaluation passed');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Evaluation failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Agenda = require('agenda');
+require('dotenv').config();
+
+const { outdatedAnalysisFilter } = require('../config/utils/brandAnalysis');
+
+/**
+ * Migration for neutral/mixed sentiment and confidence scores (analyzer version 8).
+ *
+ * Before version 8 a mentioned brand the model could not call positive or negative was stored as
+ * 'not-determined', so those results mix genuine neutral mentions with failed judgements and carry no
+ * confidence. They cannot be split without asking the model again: this script reports how many
+ * results are affected and, with --reanalyse, schedules `sentimentReanalysis` for just those results.
+ * Until then analytics counts their 'not-determined' mentions as not determined, never as neutral.
+ */
+const TARGET_VERSION = 8;
+
+async function migrateSentimentClasses(workspaceId, { reanalyse }) {
+  console.log('🚀 Starting sentiment classes migration...');
+  console.log(`📋 Workspace ID: ${workspaceId}`);
+
+  const workspaceDbUri = `${process.env.MONGODB_URI}/workspace_${workspaceId}?${process.env.MONGODB_PARAMS || 'authSource=admin&directConnection=true'}`;
+
+  const workspaceConnection = mongoose.createConnection(workspaceDbUri);
+  await workspaceConnection.asPromise();
+
+  let outdated;
+  let ambiguous;
+  try {
+    const results = workspaceConnection.collection('previousmodelresults');
+    const filter = {
+      ...outdatedAnalysisFilter(TARGET_VERSION),
+      'sentimentAnalysis.brands': { $exists: true, $ne: [] }
+    };
+
+    outdated = await results.countDocuments(filter);
+    ambiguous = await results.countDocuments({
+      ...filter,
+      'sentimentAnalysis.brands': { $elemMatch: { mentioned: true, sentiment: 'not-determined' } }
+    });
+  } finally {
+    await workspaceConnection.close();
+  }
+
+  console.log(`📊 ${outdated} results analysed before version ${TARGET_VERSION}`);
+  console.log(`📊 ${ambiguous} of them have mentioned brands stored as 'not-determined' (neutral or failed)`);
+
+  if (outdated === 0) {
+    console.log('✅ No migration needed');
+    return;
+  }
+
+  if (!reanalyse) {
+    console.log(`ℹ️ Run again with --reanalyse to schedule sentimentReanalysis (belowVersion: ${TARGET_VERSION})`);
+    return;
+  }
+
+  const agenda = new Agenda({
+    db: { address: `${process.env.MONGODB_URI}/airank?${process.env.MONGODB_PARAMS}`, collection: 'jobs' }
+  });
+  await agenda.start();
+
+  try {
+    // The job applies the workspace's cost budget to the results it re-analyses
+    const job = await agenda.now('sentimentReanalysis', { workspaceId, belowVersion: TARGET_VERSION });
+    console.log(`✅ Scheduled sentimentReanalysis job ${job.attrs._id}`);
+  } finally {
+    await agenda.stop();
+  }
+}
+
+const workspaceId = process.argv[2];
+const reanalyse = process.argv.includes('--reanalyse');
+
+if (!workspaceId || workspaceId.startsWith('--')) {
+  console.error('❌ Error: Workspace ID required');
+  console.log('Usage: node scripts/migrateSentimentClasses.js <workspaceId> [--reanalyse]');
+  process.exit(1);
+}
+
+migrateSentimentClasses(workspaceId, { reanalyse })
+  .then(() => {
+    console.log('✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
@@ -1,11 +1,13 @@
 const mongoose = require('mongoose');
 const ProviderFactory = require('../config/providers');
-const { getModelConfig } = require('../config/data/availableModels');
+const { analyzeBrands, outdatedAnalysisFilter, getAnalysisSettings, getAnalyzers } = require('../config/utils/brandAnalysis');
+const { getAnalysisState } = require('../config/utils/analysisState');
 require('dotenv').config();
 
 /**
- * One-time script to reprocess historic sentiment analysis data
- * to populate the position field for brand mentions
+ * One-time script to re-analyse historic results with the current brand analyzer.
+ * Analyzer version 1 only asked batch results for positions, so this fills in `position`
+ * for direct-run results (anything analysed before version 2).
  */
 
 async function reprocessPositions() {
@@ -31,10 +33,9 @@ async function reprocessPositions() {
 
     // Initialize provider factory for sentiment analysis
     const providerFactory = new ProviderFactory();
-    const googleProvider = providerFactory.getProvider('google');
 
-    if (!googleProvider) {
-      throw new Error('Google provider not available - cannot perform sentiment analysis');
+    if (!providerFactory.hasProviders()) {
+      throw new Error('No AI providers available - cannot perform sentiment analysis');
     }
 
     let totalProcessed = 0;
@@ -81,22 +82,22 @@ async function reprocessPositions() {
         const brands = await WorkspaceBrand.find({}).exec();
         const ownBrand = brands.find(b => b.isOwnBrand === true) || { name: 'Your Company' };
         const competitors = brands.filter(b => b.isOwnBrand === false);
-
-        const allBrands = [
-          { name: ownBrand.name, type: 'own' },
-          ...competitors.map(b => ({ name: b.name, type: 'competitor' }))
-        ];
+        const analysisSettings = await getAnalysisSettings(workspaceConnection.db);
+        const brandData = { ownBrand, competitors, aspects: analysisSettings.aspects };
+
+        // The workspace's analysis models, in fallback order
+        const analyzers = getAnalyzers(providerFactory, analysisSettings.models);
+        if (analyzers.length === 0) {
+          console.log(`  ⚠️  None of ${analysisSettings.models.join(', ')} is available, skipping workspace`);
+          continue;
+        }
 
         console.log(`  🏷️  Brands: Own brand "${ownBrand.name}", ${competitors.length} competitors`);
 
-        // Find all results that need position data
-        // (where position field doesn't exist or is null)
+        // Find analysed results from analyzer version 1 (no positions for direct runs)
         const resultsToProcess = await WorkspacePreviousModelResult.find({
           'sentimentAnalysis.brands': { $exists: true },
-          $or: [
-            { 'sentimentAnalysis.brands.position': { $exists: false } },
-            { 'sentimentAnalysis.brands.0.position': null }
-          ]
+          ...outdatedAnalysisFilter(2)
         }).limit(1000).exec(); // Process in batches of 1000
 
         console.log(`  📝 Found ${resultsToProcess.length} results to process`);
@@ -112,27 +113,9 @@ async function reprocessPositions() {
               continue;
             }
 
-            // Update existing sentiment analysis with baseline position ±10%
-            const brands = result.sentimentAnalysis.brands;
-            let positionCounter = 1;
-
-            for (const brand of brands) {
-              if (brand.mentioned) {
-                // Calculate baseline position with ±10% variance
-                const variance = Math.random() * 0.2 - 0.1; // -10% to +10%
-                const basePosition = positionCounter;
-                const adjustedPosition = Math.max(1, Math.round(basePosition * (1 + variance)));
-
-                brand.position = adjustedPosition;
-                positionCounter++;
-              } else {
-                brand.position = null;
-              }
-            }
-
-            // Mark as reprocessed
-            result.sentimentAnalysis.analyzedAt = new Date();
-            result.sentimentAnalysis.analyzedBy = 'baseline-position-reprocess';
+            // Re-run the shared analyzer so positions come from the response itself
+            result.sentimentAnalysis = await analyzeBrands(analyzers, result.response, brandData);
+            Object.assign(result, getAnalysisState(result.sentimentAnalysis, result.analysisAttempts));
 
             await result.save();
             updated++;